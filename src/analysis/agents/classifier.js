@@ -5,8 +5,12 @@
  * Receives themes and derived question from the theme generation stage.
  */
 
-import { loadPrompt, formatPrompt } from '../prompts/classification.js';
-import { initializeLLM, createMessages, invokeLLM, parseLLMResponse } from '../../utils/config/llm-config.js';
+import { loadPrompt, formatPrompt, validatePromptOutput, buildOutputSchema } from '../prompts/classification.js';
+import { initializeLLM, createMessages, invokeStructured } from '../../utils/config/llm-config.js';
+import { getResponseAnalysisText, getParticipantText, formatConversation } from '../../data/parsers/conversation-parser.js';
+import { chunkResponse, rollUpChunkClassifications } from '../../data/parsers/conversation-chunker.js';
+import { isFlaggedResponse } from '../../data/extractors/validator.js';
+import { ANALYSIS_CONFIG, PROCESSING_CONFIG } from '../../utils/config/constants.js';
 
 /**
  * Classification Agent class
@@ -15,11 +19,17 @@ export class ClassifierAgent {
   constructor() {
     this.llm = null; // Initialize lazily
     this.prompt = null; // Will load from prompts/classification.js
+    this.analystNotes = null; // Notes for the question being classified, set by invoke
   }
 
   /**
    * Classify participant responses to themes
+   * Responses flagged as low effort or near duplicates are down-weighted, excluded or kept
+   * according to input.qualityHandling (default PROCESSING_CONFIG.QUALITY.CLASSIFICATION_HANDLING).
+   * Conversations longer than PROCESSING_CONFIG.RESPONSES.MAX_LENGTH are classified chunk by chunk
+   * and rolled up to one classification per participant, with the chunk results under chunks.
    * @param {Object} input - Input data containing derivedQuestion, themes, responses, projectBackground
+   * and optional analystNotes from the question metadata
    * @returns {Promise<Object>} Result with classifications array or error
    */
   async invoke(input) {
@@ -32,38 +42,111 @@ export class ClassifierAgent {
 
       // Initialize LLM if needed (with higher token limit for classification)
       if (!this.llm) {
-        const llmResult = await initializeLLM({ maxTokens: 12000 }); // Even higher limit for 106 classifications
+        const llmResult = await initializeLLM({ agent: 'classifier', maxTokens: 12000 }); // Even higher limit for 106 classifications
         if (llmResult.error) {
           return { error: `LLM initialization failed: ${llmResult.error}` };
         }
         this.llm = llmResult.llm;
       }
 
-      // Load prompt template if needed
-      if (!this.prompt) {
-        const promptResult = loadPrompt('classification');
-        if (promptResult.error) {
-          return { error: `Prompt loading failed: ${promptResult.error}` };
-        }
-        this.prompt = promptResult.template;
+      // Keep the participant's turns, leave out excluded responses and chunk long conversations
+      const prepared = this.prepareUnits(input);
+      if (prepared.error) {
+        return { error: prepared.error };
       }
+      const { units, toClassify, excluded, handling } = prepared;
+      const { derivedQuestion, themes, projectBackground } = input;
 
-      const { derivedQuestion, themes, responses, projectBackground } = input;
-      
-      // Extract user responses only from conversation format
-      const userResponses = responses.map(r => ({
-        participantId: r.participantId,
-        questionId: r.questionId,
-        cleanResponse: r.cleanResponse,
-        userOnly: this.extractUserResponse(r.cleanResponse)
-      })).filter(r => r.userOnly);
-      
-      if (userResponses.length === 0) {
-        return { error: 'No valid user responses found in conversations' };
+      const result = await this.classifyResponses(themes, units, derivedQuestion, projectBackground);
+      const rolledUp = result.error || units.length === toClassify.length
+        ? result
+        : { ...result, classifications: rollUpChunkClassifications(result.classifications, units) };
+      return this.applyQualityHandling(rolledUp, toClassify, excluded, handling);
+
+    } catch (error) {
+      return { error: `Classification failed: ${error.message}` };
+    }
+  }
+
+  /**
+   * Select the responses to classify and split long conversations into chunk units
+   * Used by invoke and by dry runs, which build the batch prompts without calling the LLM.
+   * @param {Object} input - Same input as invoke
+   * @returns {{units?: Array, toClassify?: Array, excluded?: Array, handling?: string, error?: string}} Units to send, the responses they come from, flagged responses left out, and the quality handling
+   */
+  prepareUnits(input) {
+    const { responses } = input;
+    this.analystNotes = input.analystNotes || null;
+    
+    // Keep only the participant's turns of each conversation
+    const userResponses = responses.map(r => ({
+      participantId: r.participantId,
+      questionId: r.questionId,
+      cleanResponse: r.cleanResponse,
+      conversation: r.translation
+        ? `${formatConversation(r.turns || r.cleanResponse)}\nparticipant (translated): ${r.translation.text}`
+        : formatConversation(r.turns || r.cleanResponse),
+      userOnly: getResponseAnalysisText(r),
+      turns: r.turns,
+      quality: r.quality
+    })).filter(r => r.userOnly);
+    
+    if (userResponses.length === 0) {
+      return { error: 'No valid user responses found in conversations' };
+    }
+
+    const handling = input.qualityHandling || PROCESSING_CONFIG.QUALITY.CLASSIFICATION_HANDLING;
+    let toClassify = userResponses;
+    let excluded = [];
+    if (handling === 'exclude') {
+      const kept = userResponses.filter(r => !isFlaggedResponse(r));
+      // Never exclude everything; a question of one-word answers is still classified
+      if (kept.length > 0) {
+        excluded = userResponses.filter(r => isFlaggedResponse(r));
+        toClassify = kept;
       }
+    }
+
+    return { units: this.createClassificationUnits(toClassify), toClassify, excluded, handling };
+  }
+
+  /**
+   * Replace long conversations with one unit per chunk
+   * Chunk units are classified under the chunk ID (e.g. "4434#2") and keep the participant ID
+   * in sourceParticipantId for the roll-up.
+   * @param {Array} userResponses - Participant-level responses with turns
+   * @returns {Array} Responses to send for classification
+   */
+  createClassificationUnits(userResponses) {
+    const units = userResponses.flatMap(response => chunkResponse(response).map(unit => {
+      if (!unit.chunk) return unit;
+      return {
+        ...unit,
+        participantId: unit.chunk.id,
+        sourceParticipantId: response.participantId,
+        conversation: formatConversation(unit.turns),
+        userOnly: getParticipantText(unit.turns)
+      };
+    }));
+
+    if (units.length > userResponses.length) {
+      const chunked = new Set(units.filter(unit => unit.chunk).map(unit => unit.sourceParticipantId));
+      console.log(`[CLASSIFIER] Split ${chunked.size} long conversations into ${units.length - userResponses.length + chunked.size} chunks`);
+    }
+    return units;
+  }
 
-      // For reliability, always use smaller batches for large datasets (>25)
-      if (userResponses.length > 25) {
+  /**
+   * Classify responses in one batch, or in several for large datasets
+   * @param {Array} themes - Available themes
+   * @param {Array} userResponses - User responses to classify
+   * @param {string} derivedQuestion - Research question context
+   * @param {string} projectBackground - Project context
+   * @returns {Promise<Object>} Classification result or error
+   */
+  async classifyResponses(themes, userResponses, derivedQuestion, projectBackground) {
+    try {
+      if (this.needsBatches(userResponses)) {
         console.log(`[CLASSIFIER] Using batch processing for ${userResponses.length} responses`);
         return await this.processInBatches(themes, userResponses, derivedQuestion, projectBackground);
       }
@@ -89,6 +172,61 @@ export class ClassifierAgent {
     }
   }
 
+  /**
+   * Whether responses go in several batches: always for large datasets (>25) or long
+   * conversations, for reliability
+   * @param {Array} userResponses - Units to classify
+   * @returns {boolean} True when processInBatches is used
+   */
+  needsBatches(userResponses) {
+    return userResponses.length > 25 || conversationChars(userResponses) > ANALYSIS_CONFIG.CLASSIFICATION.MAX_BATCH_CHARS;
+  }
+
+  /**
+   * Batches classifyResponses sends first, before any fallback or retry
+   * @param {Array} userResponses - Units to classify
+   * @param {number} [batchSize] - Most responses per batch, as in processInBatches
+   * @returns {Array<Array>} Batches in response order
+   */
+  planBatches(userResponses, batchSize = 25) {
+    return this.needsBatches(userResponses) ? this.createBatches(userResponses, batchSize) : [userResponses];
+  }
+
+  /**
+   * Mark classifications of flagged responses and lower their confidence when down-weighting
+   * @param {Object} result - Classification result
+   * @param {Array} classified - Responses that were sent for classification (with quality)
+   * @param {Array} excluded - Flagged responses left out of classification
+   * @param {string} handling - 'downweight', 'exclude' or 'keep'
+   * @returns {Object} Classification result with qualityFlag on flagged classifications
+   */
+  applyQualityHandling(result, classified, excluded, handling) {
+    if (result.error || !Array.isArray(result.classifications)) {
+      return result;
+    }
+
+    const flaggedById = new Map(classified.filter(r => isFlaggedResponse(r)).map(r => [r.participantId, r.quality]));
+    const factor = PROCESSING_CONFIG.QUALITY.DOWNWEIGHT_FACTOR;
+
+    const classifications = result.classifications.map(classification => {
+      const quality = flaggedById.get(classification.participantId);
+      if (!quality) return classification;
+
+      const marked = { ...classification, qualityFlag: quality.flag };
+      if (handling === 'downweight' && typeof classification.confidence === 'number') {
+        marked.confidence = Math.round(classification.confidence * factor * 100) / 100;
+      }
+      return marked;
+    });
+
+    const handled = { ...result, classifications };
+    if (excluded.length > 0) {
+      console.log(`[CLASSIFIER] Excluded ${excluded.length} flagged responses from classification`);
+      handled.excludedResponses = excluded.map(r => ({ participantId: r.participantId, qualityFlag: r.quality.flag }));
+    }
+    return handled;
+  }
+
   /**
    * Process all responses in a single batch
    * @param {Array} themes - Available themes
@@ -99,27 +237,19 @@ export class ClassifierAgent {
    */
   async processBatch(themes, responses, derivedQuestion, projectBackground) {
     try {
-      // Format the prompt with all data
-      const formattedPrompt = formatPrompt(this.prompt, {
-        themes: themes,
-        responses: responses,
-        derivedQuestion: derivedQuestion,
-        projectBackground: projectBackground,
-        responseCount: responses.length,
-        questionId: responses[0]?.questionId || 'unknown'
-      });
-
-      // Create messages for LLM
-      const messages = createMessages(formattedPrompt.systemPrompt, formattedPrompt.userPrompt);
-
-      // Call LLM API
-      const llmResult = await invokeLLM(this.llm, messages);
+      const promptResult = this.buildBatchMessages(themes, responses, derivedQuestion, projectBackground);
+      if (promptResult.error) {
+        return { error: promptResult.error };
+      }
+
+      // Call LLM API for one classification per response of the batch
+      const llmResult = await invokeStructured(this.llm, promptResult.messages, buildOutputSchema(themes, responses));
       if (llmResult.error) {
-        return { error: `LLM API call failed: ${llmResult.error}` };
+        return { error: llmResult.invalidOutput ? llmResult.error : `LLM API call failed: ${llmResult.error}` };
       }
       
-      // Parse and validate the response
-      const parsedResult = await this.parseLLMResponse(llmResult.content, responses, themes);
+      // Check the classifications against the batch
+      const parsedResult = this.validateClassifications(llmResult.data.classifications, responses, themes);
       if (parsedResult.error) {
         return parsedResult;
       }
@@ -131,24 +261,85 @@ export class ClassifierAgent {
     }
   }
 
+  /**
+   * Build the messages of one classification batch
+   * @param {Array} themes - Available themes
+   * @param {Array} responses - User responses of the batch
+   * @param {string} derivedQuestion - Research question context
+   * @param {string} projectBackground - Project context
+   * @returns {{messages?: Array, error?: string}} LangChain messages or error
+   */
+  buildBatchMessages(themes, responses, derivedQuestion, projectBackground) {
+    // Load prompt template if needed
+    if (!this.prompt) {
+      const promptResult = loadPrompt('classification');
+      if (promptResult.error) {
+        return { error: `Prompt loading failed: ${promptResult.error}` };
+      }
+      this.prompt = promptResult.template;
+    }
+
+    // Format the prompt with all data
+    const formattedPrompt = formatPrompt(this.prompt, {
+      themes: themes,
+      responses: responses,
+      derivedQuestion: derivedQuestion,
+      projectBackground: projectBackground,
+      analystNotes: this.analystNotes,
+      responseCount: responses.length,
+      questionId: responses[0]?.questionId || 'unknown'
+    });
+
+    return { messages: createMessages(formattedPrompt.systemPrompt, formattedPrompt.userPrompt) };
+  }
+
+  /**
+   * Split responses into batches of at most batchSize responses and maxChars conversation characters
+   * A response longer than maxChars on its own gets a batch of its own.
+   * @param {Array} responses - User responses to classify
+   * @param {number} batchSize - Most responses per batch
+   * @param {number} [maxChars] - Most conversation characters per batch (default ANALYSIS_CONFIG.CLASSIFICATION.MAX_BATCH_CHARS)
+   * @returns {Array<Array>} Batches in response order
+   */
+  createBatches(responses, batchSize, maxChars = ANALYSIS_CONFIG.CLASSIFICATION.MAX_BATCH_CHARS) {
+    const batches = [];
+    let current = [];
+    let currentChars = 0;
+    for (const response of responses) {
+      const chars = conversationChars([response]);
+      if (current.length > 0 && (current.length >= batchSize || currentChars + chars > maxChars)) {
+        batches.push(current);
+        current = [];
+        currentChars = 0;
+      }
+      current.push(response);
+      currentChars += chars;
+    }
+    if (current.length > 0) {
+      batches.push(current);
+    }
+    return batches;
+  }
+
   /**
    * Process responses in smaller batches if single batch fails
    * @param {Array} themes - Available themes
    * @param {Array} responses - User responses to classify
    * @param {string} derivedQuestion - Research question context
    * @param {string} projectBackground - Project context
+   * @param {number} [batchSize] - Most responses per batch
    * @returns {Promise<Object>} Combined classification result or error
    */
   async processInBatches(themes, responses, derivedQuestion, projectBackground, batchSize = 25) {
     try {
       const allClassifications = [];
-      const totalBatches = Math.ceil(responses.length / batchSize);
+      const batches = this.createBatches(responses, batchSize);
+      const totalBatches = batches.length;
       
-      console.log(`[CLASSIFIER] Processing ${responses.length} responses in ${totalBatches} batches of ${batchSize}`);
+      console.log(`[CLASSIFIER] Processing ${responses.length} responses in ${totalBatches} batches of up to ${batchSize}`);
       
-      for (let i = 0; i < responses.length; i += batchSize) {
-        const batch = responses.slice(i, i + batchSize);
-        const batchNum = Math.floor(i / batchSize) + 1;
+      for (const [index, batch] of batches.entries()) {
+        const batchNum = index + 1;
         
         console.log(`[CLASSIFIER] Processing batch ${batchNum}/${totalBatches} (${batch.length} responses)`);
         
@@ -279,77 +470,30 @@ export class ClassifierAgent {
   }
 
   /**
-   * Extract user response from conversation format
-   * @param {string} conversationText - Full conversation text
-   * @returns {string} User response only
-   */
-  extractUserResponse(conversationText) {
-    if (!conversationText) return '';
-    
-    // Split by user: markers and extract user parts
-    const parts = conversationText.split(/user:\s*/);
-    const userParts = parts.slice(1); // Skip first part (before first user:)
-    
-    // Join user responses and clean up
-    return userParts.map(part => {
-      // Remove any subsequent assistant: parts
-      return part.split(/assistant:\s*/)[0].trim();
-    }).filter(Boolean).join(' ');
-  }
-
-  /**
-   * Parse LLM response into structured format
-   * @param {string} llmResponse - Raw LLM response
+   * Check classifications that already match the schema against the batch
+   * @param {Array} classifications - Classifications from the LLM
    * @param {Array} originalResponses - Original responses that were classified
    * @param {Array} themes - Available themes
-   * @returns {Promise<Object>} Parsed classification result
+   * @returns {Object} Validated classifications and warnings, or error
    */
-  async parseLLMResponse(llmResponse, originalResponses, themes) {
-    try {
-      // Clean and parse LLM response (handle markdown code blocks and escape sequences)
-      let cleanedResponse = llmResponse;
-      if (typeof llmResponse === 'string') {
-        // Remove markdown code blocks if present
-        cleanedResponse = llmResponse
-          .replace(/```json\s*/g, '')
-          .replace(/```\s*/g, '')
-          .trim();
-        
-        // Log response length for monitoring
-        console.log(`[CLASSIFIER] LLM Response length: ${cleanedResponse.length}`);
-      }
-      
-      // Try to parse as JSON
-      let parsed;
-      if (typeof cleanedResponse === 'string') {
-        parsed = JSON.parse(cleanedResponse);
-      } else {
-        parsed = cleanedResponse;
-      }
-
-      // Validate using prompt validation function
-      const classificationPrompts = await import('../prompts/classification.js');
-      const validationResult = classificationPrompts.validatePromptOutput(parsed, originalResponses, themes);
-      
-      if (validationResult.error) {
-        return { error: validationResult.error };
-      }
-
-      if (!validationResult.passed) {
-        return { 
-          error: `Classification validation failed: ${validationResult.errors.join(', ')}`,
-          warnings: validationResult.warnings
-        };
-      }
+  validateClassifications(classifications, originalResponses, themes) {
+    const validationResult = validatePromptOutput(classifications, originalResponses, themes);
+    
+    if (validationResult.error) {
+      return { error: validationResult.error };
+    }
 
-      return {
-        classifications: validationResult.classifications,
+    if (!validationResult.passed) {
+      return { 
+        error: `Classification validation failed: ${validationResult.errors.join(', ')}`,
         warnings: validationResult.warnings
       };
-
-    } catch (error) {
-      return { error: `Failed to parse LLM response: ${error.message}` };
     }
+
+    return {
+      classifications: validationResult.classifications,
+      warnings: validationResult.warnings
+    };
   }
 
   /**
@@ -365,3 +509,12 @@ export class ClassifierAgent {
     return successRate < 1.0 && successRate >= 0.9 ? 1 : 0;
   }
 }
+
+/**
+ * Count the conversation characters a set of responses adds to a classification prompt
+ * @param {Array} responses - User responses
+ * @returns {number} Character count
+ */
+function conversationChars(responses) {
+  return responses.reduce((sum, r) => sum + (r.conversation || r.cleanResponse || '').length, 0);
+}
@@ -5,9 +5,13 @@
  * Includes retry logic for hallucination prevention through quote validation.
  */
 
-import { loadPrompt, formatPrompt } from '../prompts/quote-extraction.js';
-import { initializeLLM } from '../../utils/config/llm-config.js';
+import { loadPrompt, formatPrompt, buildOutputSchema } from '../prompts/quote-extraction.js';
+import { initializeLLM, invokeStructured } from '../../utils/config/llm-config.js';
 import { QuoteValidator } from '../../utils/validation/quote-validator.js';
+import { TranslatorAgent } from './translator.js';
+import { isFlaggedResponse } from '../../data/extractors/validator.js';
+import { findQuoteChunk } from '../../data/parsers/conversation-chunker.js';
+import { PROCESSING_CONFIG } from '../../utils/config/constants.js';
 
 /**
  * Quote Extractor Agent class
@@ -17,11 +21,14 @@ export class QuoteExtractorAgent {
     this.llm = null;
     this.prompt = null; // Will load from prompts/quote-extraction.js
     this.quoteValidator = null; // Will initialize QuoteValidator
+    this.translator = null; // Created when quotes come from translated responses
     this.maxRetries = 3;
   }
 
   /**
    * Extract supporting quotes for themes with validation retry logic
+   * Quotes from responses flagged as low effort or near duplicates are excluded, ranked last or kept
+   * according to input.qualityHandling (default PROCESSING_CONFIG.QUALITY.QUOTE_HANDLING).
    * @param {Object} input - Input data containing themes, classifications, responses
    * @returns {Promise<Object>} Quotes organized by theme with validation status
    */
@@ -35,22 +42,13 @@ export class QuoteExtractorAgent {
 
       // Initialize LLM if needed
       if (!this.llm) {
-        const llmResult = await initializeLLM({ maxTokens: 8000 });
+        const llmResult = await initializeLLM({ agent: 'quote-extractor', maxTokens: 8000 });
         if (llmResult.error) {
           return { error: `LLM initialization failed: ${llmResult.error}` };
         }
         this.llm = llmResult.llm;
       }
 
-      // Load prompt template if needed
-      if (!this.prompt) {
-        const promptResult = loadPrompt('quote-extraction');
-        if (promptResult.error) {
-          return { error: `Prompt loading failed: ${promptResult.error}` };
-        }
-        this.prompt = promptResult.template;
-      }
-
       // Initialize quote validator if needed
       if (!this.quoteValidator) {
         this.quoteValidator = new QuoteValidator({
@@ -58,14 +56,15 @@ export class QuoteExtractorAgent {
         });
       }
 
-      const { themes, classifications, responses, derivedQuestion, projectBackground } = input;
+      // Flagged responses are ranked last or left out of the prompt
+      const { flaggedIds, handling, promptResponses } = this.selectPromptResponses(input);
       
       // Attempt quote extraction with validation retry logic
       for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
         console.log(`[QUOTE EXTRACTOR] Attempt ${attempt}/${this.maxRetries}`);
         
         // Extract quotes using LLM
-        const quotesResult = await this.extractQuotes(input);
+        const quotesResult = await this.extractQuotes({ ...input, responses: promptResponses });
         
         if (quotesResult.error) {
           console.warn(`[QUOTE EXTRACTOR] Extraction failed on attempt ${attempt}: ${quotesResult.error}`);
@@ -74,6 +73,8 @@ export class QuoteExtractorAgent {
           }
           continue;
         }
+        
+        quotesResult.quotes = this.applyQualityHandling(quotesResult.quotes, flaggedIds, handling);
 
         // Validate extracted quotes for hallucination
         console.log('[QUOTE EXTRACTOR] Validating extracted quotes...');
@@ -82,8 +83,12 @@ export class QuoteExtractorAgent {
         if (validationResult.passed) {
           console.log(`[QUOTE EXTRACTOR] Validation passed on attempt ${attempt}`);
           
-          // Add validation metadata to quotes
-          const validatedQuotes = this.addValidationMetadata(quotesResult.quotes, validationResult);
+          // Add validation metadata to quotes, the chunk of long interviews they come from,
+          // and translations for quotes in another language
+          const validatedQuotes = await this.addQuoteTranslations(
+            this.addChunkProvenance(this.addValidationMetadata(quotesResult.quotes, validationResult), input.responses),
+            input.responses
+          );
           
           return {
             quotes: validatedQuotes,
@@ -103,7 +108,10 @@ export class QuoteExtractorAgent {
           if (attempt === this.maxRetries) {
             // Return quotes with validation warnings on final attempt
             console.warn('[QUOTE EXTRACTOR] Max retries reached, returning quotes with validation warnings');
-            const quotesWithWarnings = this.addValidationMetadata(quotesResult.quotes, validationResult);
+            const quotesWithWarnings = await this.addQuoteTranslations(
+              this.addChunkProvenance(this.addValidationMetadata(quotesResult.quotes, validationResult), input.responses),
+              input.responses
+            );
             
             return {
               quotes: quotesWithWarnings,
@@ -129,6 +137,171 @@ export class QuoteExtractorAgent {
     }
   }
 
+  /**
+   * Responses shown to the LLM and the quality handling applied to the quotes
+   * @param {Object} input - Same input as invoke
+   * @returns {{flaggedIds: Set<string>, handling: string, promptResponses: Array}} Flagged participant IDs, handling and prompt responses
+   */
+  selectPromptResponses(input) {
+    const { responses } = input;
+    const flaggedIds = new Set(responses.filter(r => isFlaggedResponse(r)).map(r => r.participantId));
+    let handling = input.qualityHandling || PROCESSING_CONFIG.QUALITY.QUOTE_HANDLING;
+    if (handling === 'exclude' && flaggedIds.size === responses.length) {
+      // Nothing better to quote when every response is flagged; rank instead of dropping
+      handling = 'downweight';
+    }
+    return { flaggedIds, handling, promptResponses: this.prioritizeResponses(responses, flaggedIds, handling) };
+  }
+
+  /**
+   * Order or filter responses shown to the LLM so flagged responses are not used as examples
+   * @param {Array} responses - Cleaned responses with quality flags
+   * @param {Set<string>} flaggedIds - Participant IDs of flagged responses
+   * @param {string} handling - 'exclude', 'downweight' or 'keep'
+   * @returns {Array} Responses for the prompt
+   */
+  prioritizeResponses(responses, flaggedIds, handling) {
+    if (flaggedIds.size === 0 || handling === 'keep') {
+      return responses;
+    }
+    const unflagged = responses.filter(r => !flaggedIds.has(r.participantId));
+    if (handling === 'exclude') {
+      return unflagged;
+    }
+    return [...unflagged, ...responses.filter(r => flaggedIds.has(r.participantId))];
+  }
+
+  /**
+   * Drop quotes from flagged responses, or move them to the end of each theme's list
+   * @param {Object} quotes - Extracted quotes organized by theme
+   * @param {Set<string>} flaggedIds - Participant IDs of flagged responses
+   * @param {string} handling - 'exclude', 'downweight' or 'keep'
+   * @returns {Object} Quotes organized by theme
+   */
+  applyQualityHandling(quotes, flaggedIds, handling) {
+    if (flaggedIds.size === 0 || handling === 'keep') {
+      return quotes;
+    }
+
+    const handled = {};
+    for (const [themeId, themeQuotes] of Object.entries(quotes)) {
+      const unflagged = themeQuotes.filter(quote => !flaggedIds.has(quote.participantId));
+      handled[themeId] = handling === 'exclude'
+        ? unflagged
+        : [...unflagged, ...themeQuotes.filter(quote => flaggedIds.has(quote.participantId))];
+    }
+    return handled;
+  }
+
+  /**
+   * Record which chunk of a long interview each quote comes from
+   * Quotes are validated against the whole conversation, so they can come from any chunk;
+   * chunkId, firstTurn and lastTurn point back to it. Quotes from short responses are unchanged.
+   * @param {Object} quotes - Quotes organized by theme
+   * @param {Array} responses - Cleaned responses
+   * @returns {Object} Quotes organized by theme with chunk provenance where found
+   */
+  addChunkProvenance(quotes, responses) {
+    const byId = new Map(responses.map(r => [r.participantId, r]));
+    const withProvenance = {};
+    for (const [themeId, themeQuotes] of Object.entries(quotes)) {
+      withProvenance[themeId] = themeQuotes.map(quote => {
+        const response = byId.get(quote.participantId);
+        const chunk = response && findQuoteChunk(response, quote.quote);
+        if (!chunk) {
+          return quote;
+        }
+        return { ...quote, chunkId: chunk.id, firstTurn: chunk.firstTurn, lastTurn: chunk.lastTurn };
+      });
+    }
+    return withProvenance;
+  }
+
+  /**
+   * Translate quotes taken from translated responses
+   * The quote itself stays verbatim in the participant's language (it was validated against
+   * the original); the translation is added next to it. Quotes keep no translation if it fails.
+   * @param {Object} quotes - Quotes organized by theme
+   * @param {Array} responses - Cleaned responses, translated ones carrying language and translation
+   * @returns {Promise<Object>} Quotes organized by theme with language and translation where needed
+   */
+  async addQuoteTranslations(quotes, responses) {
+    const translated = new Map(responses.filter(r => r.translation).map(r => [r.participantId, r]));
+    const texts = [];
+    for (const [themeId, themeQuotes] of Object.entries(quotes)) {
+      themeQuotes.forEach((quote, index) => {
+        const response = translated.get(quote.participantId);
+        if (response && quote.quote) {
+          texts.push({ id: `${themeId}:${index}`, text: quote.quote, language: response.language.code, target: response.translation.language });
+        }
+      });
+    }
+    if (texts.length === 0) {
+      return quotes;
+    }
+
+    if (!this.translator) {
+      this.translator = new TranslatorAgent();
+    }
+    const translationResult = await this.translator.invoke({ texts, targetLanguage: texts[0].target });
+    if (translationResult.error) {
+      console.warn(`[QUOTE EXTRACTOR] Quote translation failed: ${translationResult.error}`);
+      return quotes;
+    }
+
+    const languages = new Map(texts.map(item => [item.id, item.language]));
+    const withTranslations = {};
+    for (const [themeId, themeQuotes] of Object.entries(quotes)) {
+      withTranslations[themeId] = themeQuotes.map((quote, index) => {
+        const id = `${themeId}:${index}`;
+        if (!languages.has(id)) {
+          return quote;
+        }
+        return {
+          ...quote,
+          language: languages.get(id),
+          ...(translationResult.translations[id] && { translation: translationResult.translations[id] })
+        };
+      });
+    }
+    return withTranslations;
+  }
+
+  /**
+   * Build the quote extraction prompt, or the retry prompt when input.previousErrors is set
+   * Used by extractQuotes and by dry runs, which count the tokens without calling the LLM.
+   * @param {Object} input - Input data for quote extraction
+   * @returns {{prompt?: string, promptType?: string, error?: string}} Prompt text and template name, or error
+   */
+  buildPrompt(input) {
+    // Load prompt template if needed
+    if (!this.prompt) {
+      const promptResult = loadPrompt('quote-extraction');
+      if (promptResult.error) {
+        return { error: `Prompt loading failed: ${promptResult.error}` };
+      }
+      this.prompt = promptResult.template;
+    }
+
+    // Determine which prompt to use based on whether this is a retry
+    const promptType = input.previousErrors && input.previousErrors.length > 0 
+      ? 'quote-extraction-retry' 
+      : 'quote-extraction';
+    
+    // Load appropriate prompt if this is a retry
+    if (promptType === 'quote-extraction-retry') {
+      const retryPromptResult = loadPrompt('quote-extraction-retry');
+      if (retryPromptResult.error) {
+        console.warn('[QUOTE EXTRACTOR] Failed to load retry prompt, using standard prompt');
+      } else {
+        this.prompt = retryPromptResult.template;
+      }
+    }
+    
+    // Format prompt with input data
+    return { prompt: formatPrompt(this.prompt, input), promptType };
+  }
+
   /**
    * Extract quotes using LLM
    * @param {Object} input - Input data for quote extraction
@@ -136,44 +309,25 @@ export class QuoteExtractorAgent {
    */
   async extractQuotes(input) {
     try {
-      // Determine which prompt to use based on whether this is a retry
-      const promptType = input.previousErrors && input.previousErrors.length > 0 
-        ? 'quote-extraction-retry' 
-        : 'quote-extraction';
-      
-      // Load appropriate prompt if this is a retry
-      if (promptType === 'quote-extraction-retry') {
-        const retryPromptResult = loadPrompt('quote-extraction-retry');
-        if (retryPromptResult.error) {
-          console.warn('[QUOTE EXTRACTOR] Failed to load retry prompt, using standard prompt');
-        } else {
-          this.prompt = retryPromptResult.template;
-        }
+      const promptResult = this.buildPrompt(input);
+      if (promptResult.error) {
+        return { error: promptResult.error };
       }
-      
-      // Format prompt with input data
-      const formattedPrompt = formatPrompt(this.prompt, input);
+      const { prompt: formattedPrompt, promptType } = promptResult;
       
       console.log(`[QUOTE EXTRACTOR] Calling LLM for quote extraction (${promptType})...`);
       const startTime = Date.now();
       
-      // Call LLM API
-      const llmResponse = await this.llm.invoke(formattedPrompt);
+      // Call LLM API for quotes under every theme ID
+      const llmResult = await invokeStructured(this.llm, formattedPrompt, buildOutputSchema(input.themes));
+      if (llmResult.error) {
+        return { error: llmResult.invalidOutput ? `Quote parsing failed: ${llmResult.error}` : llmResult.error };
+      }
       
       const duration = Date.now() - startTime;
       console.log(`[QUOTE EXTRACTOR] LLM call completed in ${duration}ms`);
       
-      // Extract content from LangChain response
-      const responseContent = llmResponse.content || llmResponse;
-      
-      // Parse the response
-      const parseResult = this.parseQuoteResponse(responseContent);
-      
-      if (parseResult.error) {
-        return { error: `Quote parsing failed: ${parseResult.error}` };
-      }
-      
-      return { quotes: parseResult.quotes };
+      return this.processQuotes(llmResult.data);
       
     } catch (error) {
       return { error: `LLM quote extraction failed: ${error.message}` };
@@ -357,75 +511,30 @@ export class QuoteExtractorAgent {
   }
 
   /**
-   * Parse LLM quote extraction response
-   * @param {string} llmResponse - Raw LLM response
-   * @returns {Object} Parsed quotes organized by theme
+   * Clean quotes that already match the quote extraction schema
+   * @param {Object} output - Quotes by theme ID from the LLM
+   * @returns {Object} Quotes organized by theme, without empty ones
    */
-  parseQuoteResponse(llmResponse) {
-    try {
-      // Clean and parse LLM response (handle markdown code blocks)
-      let cleanedResponse = llmResponse;
-      if (typeof llmResponse === 'string') {
-        // Remove markdown code blocks if present
-        cleanedResponse = llmResponse
-          .replace(/```json\s*/g, '')
-          .replace(/```\s*/g, '')
-          .trim();
-      }
-      
-      // Try to parse as JSON
-      let parsed;
-      if (typeof cleanedResponse === 'string') {
-        parsed = JSON.parse(cleanedResponse);
-      } else {
-        parsed = cleanedResponse;
-      }
-
-      // Validate the structure
-      if (!parsed || typeof parsed !== 'object') {
-        return { error: 'LLM response is not a valid object' };
-      }
-
-      // Process each theme's quotes
-      const processedQuotes = {};
-      for (const [themeId, quotes] of Object.entries(parsed)) {
-        if (!Array.isArray(quotes)) {
-          console.warn(`Theme ${themeId} quotes is not an array, skipping`);
-          processedQuotes[themeId] = [];
-          continue;
+  processQuotes(output) {
+    const processedQuotes = {};
+    for (const [themeId, quotes] of Object.entries(output)) {
+      processedQuotes[themeId] = quotes.filter(quote => {
+        if (quote.quote.trim() === '') {
+          console.warn('Quote missing or empty text, skipping');
+          return false;
         }
-
-        // Validate and clean each quote
-        const validQuotes = quotes.filter(quote => {
-          if (!quote || typeof quote !== 'object') {
-            console.warn('Invalid quote object, skipping');
-            return false;
-          }
-          
-          if (!quote.quote || typeof quote.quote !== 'string' || quote.quote.trim() === '') {
-            console.warn('Quote missing or empty text, skipping');
-            return false;
-          }
-          
-          if (!quote.participantId || typeof quote.participantId !== 'string') {
-            console.warn('Quote missing participantId, skipping');
-            return false;
-          }
-          
-          return true;
-        }).map(quote => ({
-          quote: quote.quote.trim(),
-          participantId: quote.participantId.trim()
-        }));
-
-        processedQuotes[themeId] = validQuotes;
-      }
-
-      return { quotes: processedQuotes };
-
-    } catch (error) {
-      return { error: `Failed to parse quote response: ${error.message}` };
+        if (quote.participantId.trim() === '') {
+          console.warn('Quote missing participantId, skipping');
+          return false;
+        }
+        return true;
+      }).map(quote => ({
+        quote: quote.quote.trim(),
+        participantId: quote.participantId.trim()
+      }));
     }
+
+    return { quotes: processedQuotes };
   }
 
   /**
@@ -501,32 +610,4 @@ export class QuoteExtractorAgent {
     }
     return counts;
   }
-
-  /**
-   * Extract user responses from conversation format
-   * @param {string} conversationText - Full conversation text
-   * @returns {string} User responses only
-   */
-  extractUserResponse(conversationText) {
-    if (!conversationText || typeof conversationText !== 'string') {
-      return '';
-    }
-
-    // Split by assistant: and user: markers and extract user parts
-    const parts = conversationText.split(/(?:assistant:|user:)/i);
-    const userParts = [];
-    
-    // Find parts that come after 'user:' markers
-    for (let i = 0; i < parts.length; i++) {
-      const beforeThis = conversationText.substring(0, 
-        conversationText.indexOf(parts[i])
-      ).toLowerCase();
-      
-      if (beforeThis.includes('user:') && !beforeThis.endsWith('assistant:')) {
-        userParts.push(parts[i].trim());
-      }
-    }
-    
-    return userParts.filter(part => part.length > 0).join(' ');
-  }
 }
@@ -5,8 +5,8 @@
  * Receives pre-identified research question from the theme generation stage.
  */
 
-import { loadPrompt, formatPrompt } from '../prompts/summarization.js';
-import { initializeLLM } from '../../utils/config/llm-config.js';
+import { loadPrompt, formatPrompt, OUTPUT_SCHEMA } from '../prompts/summarization.js';
+import { initializeLLM, invokeStructured } from '../../utils/config/llm-config.js';
 
 /**
  * Summarizer Agent class
@@ -32,39 +32,26 @@ export class SummarizerAgent {
 
       // Initialize LLM if needed
       if (!this.llm) {
-        const llmResult = await initializeLLM({ maxTokens: 4000 });
+        const llmResult = await initializeLLM({ agent: 'summarizer', maxTokens: 4000 });
         if (llmResult.error) {
           return { error: `LLM initialization failed: ${llmResult.error}` };
         }
         this.llm = llmResult.llm;
       }
 
-      // Load prompt template if needed
-      if (!this.prompt) {
-        const promptResult = loadPrompt('summarization');
-        if (promptResult.error) {
-          return { error: `Prompt loading failed: ${promptResult.error}` };
-        }
-        this.prompt = promptResult.prompt;
-      }
-
       // Format prompt with input data
-      const formattedPrompt = formatPrompt(this.prompt, input);
+      const promptResult = this.buildPrompt(input);
+      if (promptResult.error) {
+        return { error: promptResult.error };
+      }
 
       // Call LLM to generate summary
-      const llmResponse = await this.llm.invoke(formattedPrompt);
-      if (!llmResponse) {
-        return { error: 'LLM returned empty response' };
+      const llmResult = await invokeStructured(this.llm, promptResult.prompt, OUTPUT_SCHEMA);
+      if (llmResult.error) {
+        return { error: llmResult.invalidOutput ? `Response parsing failed: ${llmResult.error}` : llmResult.error };
       }
-
-      // Extract content from LangChain response
-      const responseContent = llmResponse.content || llmResponse;
       
-      // Parse the LLM response
-      const parsedResult = this.parseSummaryResponse(responseContent);
-      if (parsedResult.error) {
-        return { error: `Response parsing failed: ${parsedResult.error}` };
-      }
+      const parsedResult = this.processSummary(llmResult.data);
 
       return {
         summary: parsedResult.summary
@@ -75,6 +62,25 @@ export class SummarizerAgent {
     }
   }
 
+  /**
+   * Build the summarization prompt
+   * Used by invoke and by dry runs, which count the tokens without calling the LLM.
+   * @param {Object} input - Same input as invoke
+   * @returns {{prompt?: string, error?: string}} Prompt text or error
+   */
+  buildPrompt(input) {
+    // Load prompt template if needed
+    if (!this.prompt) {
+      const promptResult = loadPrompt('summarization');
+      if (promptResult.error) {
+        return { error: `Prompt loading failed: ${promptResult.error}` };
+      }
+      this.prompt = promptResult.prompt;
+    }
+
+    return { prompt: formatPrompt(this.prompt, input) };
+  }
+
   /**
    * Validate summarization input
    * @param {Object} input - Input to validate
@@ -128,66 +134,17 @@ export class SummarizerAgent {
   }
 
   /**
-   * Parse LLM summarization response
-   * @param {string} llmResponse - Raw LLM response
-   * @returns {Object} Parsed summary object or error
+   * Trim a summary that already matches the summary schema
+   * @param {Object} output - Summary from the LLM
+   * @returns {Object} Summary with headline, summary and key insights
    */
-  parseSummaryResponse(llmResponse) {
-    try {
-      // Try to find JSON in the response
-      let jsonMatch = llmResponse.match(/\{[\s\S]*\}/);
-      
-      if (!jsonMatch) {
-        // Look for JSON markers
-        const jsonStart = llmResponse.indexOf('{');
-        const jsonEnd = llmResponse.lastIndexOf('}');
-        
-        if (jsonStart !== -1 && jsonEnd !== -1) {
-          jsonMatch = [llmResponse.substring(jsonStart, jsonEnd + 1)];
-        }
-      }
-
-      if (!jsonMatch) {
-        return { error: 'No JSON found in LLM response' };
+  processSummary(output) {
+    return {
+      summary: {
+        headline: output.headline.trim(),
+        summary: output.summary.trim(),
+        keyInsights: output.keyInsights.map(insight => insight.trim())
       }
-
-      let summaryData;
-      try {
-        summaryData = JSON.parse(jsonMatch[0]);
-      } catch (parseError) {
-        return { error: `JSON parsing failed: ${parseError.message}` };
-      }
-
-      // Validate required fields
-      if (!summaryData.headline || typeof summaryData.headline !== 'string') {
-        return { error: 'Response must include a valid headline string' };
-      }
-
-      if (!summaryData.summary || typeof summaryData.summary !== 'string') {
-        return { error: 'Response must include a valid summary string' };
-      }
-
-      if (!Array.isArray(summaryData.keyInsights) || summaryData.keyInsights.length === 0) {
-        return { error: 'Response must include a non-empty keyInsights array' };
-      }
-
-      // Validate keyInsights are strings
-      for (const insight of summaryData.keyInsights) {
-        if (typeof insight !== 'string') {
-          return { error: 'All keyInsights must be strings' };
-        }
-      }
-
-      return {
-        summary: {
-          headline: summaryData.headline.trim(),
-          summary: summaryData.summary.trim(),
-          keyInsights: summaryData.keyInsights.map(insight => insight.trim())
-        }
-      };
-
-    } catch (error) {
-      return { error: `Response parsing failed: ${error.message}` };
-    }
+    };
   }
 }
@@ -8,8 +8,10 @@
  * Focuses only on user responses, ignoring assistant questions.
  */
 
-import { loadPrompt, formatPrompt } from '../prompts/theme-generation.js';
-import { initializeLLM, createMessages, invokeLLM, parseLLMResponse } from '../../utils/config/llm-config.js';
+import { loadPrompt, formatPrompt, formatQuestionContext, OUTPUT_SCHEMA } from '../prompts/theme-generation.js';
+import { initializeLLM, createMessages, invokeStructured } from '../../utils/config/llm-config.js';
+import { getResponseAnalysisText } from '../../data/parsers/conversation-parser.js';
+import { ANALYSIS_CONFIG } from '../../utils/config/constants.js';
 
 /**
  * Theme Generator Agent class
@@ -22,7 +24,11 @@ export class ThemeGeneratorAgent {
 
   /**
    * Generate themes and derive research question from responses
+   * When the question wording is known (input.questionText) it is used as the derived question.
    * @param {Object} input - Input data containing questionId, responses, projectBackground
+   * @param {string} [input.questionText] - Wording put to participants (question metadata or discussion guide)
+   * @param {string} [input.analystNotes] - Analyst notes for this question
+   * @param {{min: number, max: number}} [input.themeCount] - Theme-count range (default ANALYSIS_CONFIG.THEMES)
    * @returns {Promise<Object>} Result with derivedQuestion and themes or error
    */
   async invoke(input) {
@@ -35,52 +41,30 @@ export class ThemeGeneratorAgent {
 
       // Initialize LLM if needed
       if (!this.llm) {
-        const llmResult = await initializeLLM();
+        const llmResult = await initializeLLM({ agent: 'theme-generator' });
         if (llmResult.error) {
           return { error: `LLM initialization failed: ${llmResult.error}` };
         }
         this.llm = llmResult.llm;
       }
 
-      // Load prompt template if needed
-      if (!this.prompt) {
-        const promptResult = loadPrompt('theme-generation');
-        if (promptResult.error) {
-          return { error: `Prompt loading failed: ${promptResult.error}` };
-        }
-        this.prompt = promptResult.template;
-      }
-
-      const { questionId, responses, projectBackground } = input;
-      
-      // Extract user responses only from conversation format
-      const userResponses = responses.map(r => this.extractUserResponse(r.cleanResponse)).filter(Boolean);
-      
-      if (userResponses.length === 0) {
-        return { error: 'No valid user responses found in conversations' };
+      // Build the prompt from the participant's turns
+      const promptResult = this.buildMessages(input);
+      if (promptResult.error) {
+        return { error: promptResult.error };
       }
 
-      // Format the prompt with input data
-      const formattedPrompt = formatPrompt(this.prompt, {
-        questionId,
-        responses: userResponses,
-        projectBackground,
-        responseCount: userResponses.length
-      });
-
-      // Create messages for LLM
-      const messages = createMessages(formattedPrompt.systemPrompt, formattedPrompt.userPrompt);
-
-      // Call LLM API
-      const llmResult = await invokeLLM(this.llm, messages);
+      // Call LLM API for output matching the theme generation schema
+      const llmResult = await invokeStructured(this.llm, promptResult.messages, OUTPUT_SCHEMA);
       if (llmResult.error) {
-        return { error: `LLM API call failed: ${llmResult.error}` };
+        return { error: llmResult.invalidOutput ? llmResult.error : `LLM API call failed: ${llmResult.error}` };
       }
       
-      // Parse and validate the response
-      const parsedResult = this.parseLLMResponse(llmResult.content);
-      if (parsedResult.error) {
-        return parsedResult;
+      const parsedResult = this.processOutput(llmResult.data);
+
+      // The known wording beats the model's reconstruction of it
+      if (input.questionText) {
+        return { ...parsedResult, derivedQuestion: input.questionText };
       }
 
       return parsedResult;
@@ -90,6 +74,45 @@ export class ThemeGeneratorAgent {
     }
   }
 
+  /**
+   * Build the messages sent to the LLM for an input
+   * Used by invoke and by dry runs, which count the tokens without calling the LLM.
+   * @param {Object} input - Same input as invoke
+   * @returns {{messages?: Array, error?: string}} LangChain messages or error
+   */
+  buildMessages(input) {
+    // Load prompt template if needed
+    if (!this.prompt) {
+      const promptResult = loadPrompt('theme-generation');
+      if (promptResult.error) {
+        return { error: `Prompt loading failed: ${promptResult.error}` };
+      }
+      this.prompt = promptResult.template;
+    }
+
+    const { questionId, responses, projectBackground, questionText, analystNotes } = input;
+    const themeCount = input.themeCount || { min: ANALYSIS_CONFIG.THEMES.MIN_COUNT, max: ANALYSIS_CONFIG.THEMES.MAX_COUNT };
+    
+    // Keep only the participant's turns of each conversation, translated when available
+    const userResponses = responses.map(r => getResponseAnalysisText(r)).filter(Boolean);
+    
+    if (userResponses.length === 0) {
+      return { error: 'No valid user responses found in conversations' };
+    }
+
+    // Format the prompt with input data
+    const formattedPrompt = formatPrompt(this.prompt, {
+      questionId,
+      questionContext: formatQuestionContext({ questionText, analystNotes }),
+      themeCountRange: themeCount.min === themeCount.max ? `${themeCount.min}` : `${themeCount.min}-${themeCount.max}`,
+      responses: userResponses,
+      projectBackground,
+      responseCount: userResponses.length
+    });
+
+    return { messages: createMessages(formattedPrompt.systemPrompt, formattedPrompt.userPrompt) };
+  }
+
   /**
    * Validate theme generation input
    * @param {Object} input - Input to validate
@@ -120,93 +143,21 @@ export class ThemeGeneratorAgent {
   }
 
   /**
-   * Extract user response from conversation format
-   * @param {string} conversationText - Full conversation text
-   * @returns {string} User response only
-   */
-  extractUserResponse(conversationText) {
-    if (!conversationText) return '';
-    
-    // Split by user: markers and extract user parts
-    const parts = conversationText.split(/user:\s*/);
-    const userParts = parts.slice(1); // Skip first part (before first user:)
-    
-    // Join user responses and clean up
-    return userParts.map(part => {
-      // Remove any subsequent assistant: parts
-      return part.split(/assistant:\s*/)[0].trim();
-    }).filter(Boolean).join(' ');
-  }
-
-  /**
-   * Parse LLM response into structured format
-   * @param {string} llmResponse - Raw LLM response
-   * @returns {Object} Parsed theme generation result
+   * Normalize theme generation output, already checked against OUTPUT_SCHEMA
+   * @param {Object} output - Parsed LLM output
+   * @returns {Object} Derived question and themes, with IDs for themes that had none
    */
-  parseLLMResponse(llmResponse) {
-    try {
-      // Clean and parse LLM response (handle markdown code blocks)
-      let cleanedResponse = llmResponse;
-      if (typeof llmResponse === 'string') {
-        // Remove markdown code blocks if present
-        cleanedResponse = llmResponse
-          .replace(/```json\s*/g, '')
-          .replace(/```\s*/g, '')
-          .trim();
-      }
-      
-      // Try to parse as JSON
-      let parsed;
-      if (typeof cleanedResponse === 'string') {
-        parsed = JSON.parse(cleanedResponse);
-      } else {
-        parsed = cleanedResponse;
-      }
-
-      // Validate required fields
-      if (!parsed.derivedQuestion || typeof parsed.derivedQuestion !== 'string') {
-        return { error: 'LLM response missing derivedQuestion' };
-      }
-
-      if (!parsed.themes || !Array.isArray(parsed.themes)) {
-        return { error: 'LLM response missing themes array' };
-      }
-
-      if (parsed.themes.length === 0) {
-        return { error: 'LLM response contains no themes' };
-      }
-
-      // Validate and enhance each theme
-      const processedThemes = parsed.themes.map((theme, index) => {
-        // Generate ID if not provided
-        if (!theme.id) {
-          theme.id = `theme_${index + 1}_${Date.now()}`;
-        }
-
-        // Validate required theme fields
-        if (!theme.title || typeof theme.title !== 'string') {
-          throw new Error(`Theme ${index + 1} missing title`);
-        }
-
-        if (!theme.description || typeof theme.description !== 'string') {
-          throw new Error(`Theme ${index + 1} missing description`);
-        }
-
-        return {
-          id: theme.id,
-          title: theme.title.trim(),
-          description: theme.description.trim(),
-          estimatedParticipants: theme.estimatedParticipants || 0
-        };
-      });
-
-      return {
-        derivedQuestion: parsed.derivedQuestion.trim(),
-        themes: processedThemes
-      };
-
-    } catch (error) {
-      return { error: `Failed to parse LLM response: ${error.message}` };
-    }
+  processOutput(output) {
+    const themes = output.themes.map((theme, index) => ({
+      id: theme.id || `theme_${index + 1}_${Date.now()}`,
+      title: theme.title.trim(),
+      description: theme.description.trim(),
+      estimatedParticipants: theme.estimatedParticipants || 0
+    }));
+
+    return {
+      derivedQuestion: output.derivedQuestion.trim(),
+      themes
+    };
   }
 }
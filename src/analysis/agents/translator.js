@@ -0,0 +1,161 @@
+/**
+ * LLM: Translate participant answers and quotes
+ *
+ * This agent translates texts into the analysis language in batches.
+ * Callers keep the original text next to each translation; the original stays the
+ * source of truth for quotes and quote validation.
+ */
+
+import { loadPrompt, formatPrompt, buildOutputSchema } from '../prompts/translation.js';
+import { initializeLLM, createMessages, invokeStructured } from '../../utils/config/llm-config.js';
+import { getLanguageName } from '../../data/parsers/language-detector.js';
+import { PROCESSING_CONFIG } from '../../utils/config/constants.js';
+
+/**
+ * Translator Agent class
+ */
+export class TranslatorAgent {
+  constructor() {
+    this.llm = null; // Initialize lazily
+    this.prompt = null; // Will load from prompts/translation.js
+  }
+
+  /**
+   * Translate texts into the target language
+   * A batch that fails is reported and its texts are left untranslated.
+   * @param {Object} input - Input data
+   * @param {Array<{id: string, text: string, language: string}>} input.texts - Texts with unique IDs and ISO 639-1 source language
+   * @param {string} [input.targetLanguage] - ISO 639-1 code to translate into (default PROCESSING_CONFIG.LANGUAGE.TRANSLATION.TARGET_LANGUAGE)
+   * @param {number} [input.batchSize] - Texts per LLM call (default PROCESSING_CONFIG.LANGUAGE.TRANSLATION.BATCH_SIZE)
+   * @returns {Promise<{translations?: Object<string, string>, failedBatches?: Array<string>, error?: string}>} Translations by ID or error
+   */
+  async invoke(input) {
+    try {
+      // Validate input
+      const validation = this.validateInput(input);
+      if (validation.error) {
+        return { error: validation.error };
+      }
+
+      const targetLanguage = input.targetLanguage || PROCESSING_CONFIG.LANGUAGE.TRANSLATION.TARGET_LANGUAGE;
+      const batchSize = input.batchSize || PROCESSING_CONFIG.LANGUAGE.TRANSLATION.BATCH_SIZE;
+      if (input.texts.length === 0) {
+        return { translations: {}, failedBatches: [] };
+      }
+
+      // Initialize LLM if needed
+      if (!this.llm) {
+        const llmResult = await initializeLLM({ agent: 'translator', maxTokens: 4000 });
+        if (llmResult.error) {
+          return { error: `LLM initialization failed: ${llmResult.error}` };
+        }
+        this.llm = llmResult.llm;
+      }
+
+      const translations = {};
+      const failedBatches = [];
+
+      for (let start = 0; start < input.texts.length; start += batchSize) {
+        const batch = input.texts.slice(start, start + batchSize);
+        const batchResult = await this.translateBatch(batch, targetLanguage);
+
+        if (batchResult.error) {
+          console.warn(`[TRANSLATOR] Batch ${start / batchSize + 1} failed: ${batchResult.error}`);
+          failedBatches.push(batchResult.error);
+          continue;
+        }
+        Object.assign(translations, batchResult.translations);
+      }
+
+      return { translations, failedBatches };
+
+    } catch (error) {
+      return { error: `Translation failed: ${error.message}` };
+    }
+  }
+
+  /**
+   * Translate one batch with a single LLM call
+   * Batch-local IDs (t1, t2, ...) keep participant IDs and long keys out of the prompt.
+   * @param {Array<{id: string, text: string, language: string}>} batch - Texts to translate
+   * @param {string} targetLanguage - ISO 639-1 code to translate into
+   * @returns {Promise<{translations?: Object<string, string>, error?: string}>} Translations by original ID or error
+   */
+  async translateBatch(batch, targetLanguage) {
+    const promptResult = this.buildBatchMessages(batch, targetLanguage);
+    if (promptResult.error) {
+      return { error: promptResult.error };
+    }
+
+    const llmResult = await invokeStructured(this.llm, promptResult.messages, buildOutputSchema(batch.length));
+    if (llmResult.error) {
+      return { error: llmResult.invalidOutput ? llmResult.error : `LLM API call failed: ${llmResult.error}` };
+    }
+
+    return { translations: this.mapTranslations(llmResult.data, batch) };
+  }
+
+  /**
+   * Build the messages of one translation batch
+   * @param {Array<{id: string, text: string, language: string}>} batch - Texts to translate
+   * @param {string} targetLanguage - ISO 639-1 code to translate into
+   * @returns {{messages?: Array, error?: string}} LangChain messages or error
+   */
+  buildBatchMessages(batch, targetLanguage) {
+    // Load prompt template if needed
+    if (!this.prompt) {
+      const promptResult = loadPrompt('translation');
+      if (promptResult.error) {
+        return { error: `Prompt loading failed: ${promptResult.error}` };
+      }
+      this.prompt = promptResult.template;
+    }
+
+    const formattedPrompt = formatPrompt(this.prompt, {
+      targetLanguage: getLanguageName(targetLanguage),
+      texts: batch.map((item, index) => ({
+        id: `t${index + 1}`,
+        text: item.text,
+        language: getLanguageName(item.language)
+      }))
+    });
+
+    return { messages: createMessages(formattedPrompt.systemPrompt, formattedPrompt.userPrompt) };
+  }
+
+  /**
+   * Map batch-local IDs in the LLM output back to the caller's IDs
+   * @param {Object} output - Parsed LLM output ({t1: "...", ...})
+   * @param {Array<{id: string}>} batch - Texts in prompt order
+   * @returns {Object<string, string>} Non-empty translations by caller ID
+   */
+  mapTranslations(output, batch) {
+    const translations = {};
+    batch.forEach((item, index) => {
+      const translated = output?.[`t${index + 1}`];
+      if (typeof translated === 'string' && translated.trim()) {
+        translations[item.id] = translated.trim();
+      }
+    });
+    return translations;
+  }
+
+  /**
+   * Validate translation input
+   * @param {Object} input - Input to validate
+   * @returns {Object} Validation result with error if invalid
+   */
+  validateInput(input) {
+    if (!input || !Array.isArray(input.texts)) {
+      return { error: 'texts array is required' };
+    }
+
+    for (const item of input.texts) {
+      if (!item.id || typeof item.text !== 'string') {
+        return { error: 'Each text must have id and text' };
+      }
+    }
+
+    return { valid: true };
+  }
+}
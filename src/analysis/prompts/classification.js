@@ -33,7 +33,8 @@ function getClassificationPrompt(options = {}) {
     
     INSTRUCTIONS:
     - Classify each participant response to exactly ONE theme from the available themes
-    - Focus ONLY on user responses (ignore 'assistant:' parts in conversations)
+    - Focus ONLY on participant turns (ignore 'interviewer:' turns in conversations)
+    - An ID like "4434#2" is one part of a long interview; classify that part on its own and keep the ID exactly as given
     - Use the derived research question context to guide your classifications
     - If a response doesn't fit any theme perfectly, assign to the closest/best match
     - Provide a confidence score (0.0-1.0) for each classification
@@ -44,7 +45,7 @@ function getClassificationPrompt(options = {}) {
     - Research Question: {derivedQuestion}
     - Available Themes: {themes}
     - Total Responses to Classify: {responseCount}
-    - Project Background: {projectBackground}
+    - Project Background: {projectBackground}{analystNotes}
     
     CLASSIFICATION QUALITY REQUIREMENTS:
     - Every response must be classified (no skipped responses)
@@ -112,11 +113,14 @@ export function formatPrompt(template, data) {
     data.themes = themesDisplay;
   }
   
+  // Analyst notes are optional; without them the line is left out
+  data.analystNotes = data.analystNotes ? `\n    - Analyst Notes: ${data.analystNotes}` : '';
+  
   // Format responses with clear participant identification
   if (data.responses) {
     const responsesDisplay = data.responses.map((response, index) => 
       `[${index + 1}] Participant ID: ${response.participantId}
-Conversation: ${response.cleanResponse}`
+Conversation: ${response.conversation || response.cleanResponse}`
     ).join('\n\n---\n\n');
     data.responses = responsesDisplay;
   }
@@ -257,3 +261,43 @@ export function validatePromptOutput(llmOutput, originalResponses, themes) {
     return { error: `Failed to parse classification output: ${error.message}` };
   }
 }
+
+/**
+ * Output schema of one classification batch (see llm-structured.js)
+ * Theme and participant IDs are limited to the batch's own, and the batch size is checked. The
+ * classifications are wrapped in an object because providers enforce object schemas only; the
+ * bare array the prompt asks for is accepted too.
+ * @param {Array} themes - Available themes
+ * @param {Array} responses - Responses of the batch
+ * @returns {Object} Output schema
+ */
+export function buildOutputSchema(themes, responses) {
+  return {
+    name: 'classification',
+    description: 'The theme of each participant response',
+    schema: {
+      type: 'object',
+      properties: {
+        classifications: {
+          type: 'array',
+          minItems: responses.length,
+          maxItems: responses.length,
+          items: {
+            type: 'object',
+            properties: {
+              participantId: { type: 'string', enum: [...new Set(responses.map(r => r.participantId))] },
+              questionId: { type: 'string' },
+              themeId: { type: 'string', enum: themes.map(t => t.id) },
+              theme: { type: 'string' },
+              confidence: { type: 'number', minimum: 0, maximum: 1 },
+              reasoning: { type: 'string' }
+            },
+            required: ['participantId', 'themeId', 'theme', 'confidence']
+          }
+        }
+      },
+      required: ['classifications']
+    },
+    normalize: output => (Array.isArray(output) ? { classifications: output } : output)
+  };
+}
@@ -5,6 +5,9 @@
  * Receives themes and classifications from previous pipeline stages.
  */
 
+import { getResponseParticipantText, getParticipantText } from '../../data/parsers/conversation-parser.js';
+import { chunkResponse } from '../../data/parsers/conversation-chunker.js';
+
 /**
  * Load quote extraction prompt template
  * @param {string} promptType - Type of prompt to load
@@ -32,12 +35,20 @@ export function loadPrompt(promptType, options = {}) {
 export function formatPrompt(promptTemplate, input) {
   const { themes, classifications, responses, derivedQuestion, projectBackground, previousErrors } = input;
   
-  // Extract user responses for context
-  const userResponseSamples = responses.slice(0, 5).map(r => {
-    const userText = extractUserTextFromConversation(r.cleanResponse);
-    // Show more context but cap at reasonable length for LLM
-    const displayText = userText.length > 300 ? userText.substring(0, 300) + "..." : userText;
-    return `Participant ${r.participantId}: "${displayText}"`;
+  // Extract user responses for context; long interviews show an excerpt of every chunk
+  const userResponseSamples = responses.slice(0, 5).flatMap(r => {
+    const chunks = chunkResponse(r);
+    if (chunks.length > 1) {
+      return chunks.map(chunk =>
+        `Participant ${r.participantId} (part ${chunk.chunk.index} of ${chunk.chunk.total}): "${truncate(getParticipantText(chunk.turns))}"`
+      );
+    }
+    const userText = getResponseParticipantText(r);
+    // Translations help the LLM read the answer; quotes must still come from the original
+    const translation = r.translation?.text
+      ? ` (translation: "${truncate(r.translation.text)}")`
+      : '';
+    return [`Participant ${r.participantId}: "${truncate(userText)}"${translation}`];
   }).join('\n');
 
   // Format themes for prompt
@@ -81,13 +92,15 @@ function getQuoteExtractionPrompt(options = {}) {
     This is critical for thematic analysis accuracy - quotes must be word-for-word from user responses.
     
     CRITICAL RULES:
-    - Extract quotes ONLY from 'user:' portions of conversations (ignore 'assistant:' parts)
+    - Extract quotes ONLY from the participant's turns of conversations (ignore interviewer turns)
     - Quotes must be VERBATIM - exact word-for-word matches from the source text
     - AIM FOR 3 QUOTES PER THEME - this is the target, provide fewer only if insufficient quality quotes exist
     - Maximum 1 quote per participant per theme (to ensure diversity of voices)
     - Quotes should be substantial (typically >10 words, but prioritize completeness and clarity over length)
     - Include complete sentences or complete thoughts - avoid truncating mid-sentence
     - Return exact participant ID for each quote
+    - Quote in the language the participant used, even when a translation is shown - never translate a quote
+    - Long interviews are shown in parts; quote from any part and return the participant ID without the part
     - If no good quotes exist for a theme, return empty array for that theme
     
     QUOTE QUALITY STANDARDS:
@@ -166,7 +179,7 @@ function getQuoteExtractionRetryPrompt(options = {}) {
     {previousErrors}
     
     CRITICAL RULES (REINFORCED):
-    - Extract quotes ONLY from 'user:' portions of conversations (ignore 'assistant:' parts)
+    - Extract quotes ONLY from the participant's turns of conversations (ignore interviewer turns)
     - Quotes must be VERBATIM - exact word-for-word matches from the source text
     - Do NOT paraphrase, summarize, or modify quotes in any way
     - Do NOT combine text from different parts of the conversation
@@ -174,6 +187,8 @@ function getQuoteExtractionRetryPrompt(options = {}) {
     - Maximum 1 quote per participant per theme (to ensure diversity of voices)
     - Quotes should be substantial (typically >10 words, but prioritize accuracy over length)
     - Return exact participant ID for each quote
+    - Quote in the language the participant used, even when a translation is shown - never translate a quote
+    - Long interviews are shown in parts; quote from any part and return the participant ID without the part
     
     ACCURACY VERIFICATION:
     - Before including any quote, verify it exists exactly in the user response
@@ -219,30 +234,39 @@ function getQuoteExtractionRetryPrompt(options = {}) {
 }
 
 /**
- * Extract user text from conversation format
- * @param {string} conversationText - Full conversation text
- * @returns {string} User responses only
+ * Cap sample text at a length the prompt can carry
+ * @param {string} text - Participant text
+ * @returns {string} Text of at most 300 characters plus an ellipsis
  */
-function extractUserTextFromConversation(conversationText) {
-  if (!conversationText || typeof conversationText !== 'string') {
-    return '';
-  }
+function truncate(text) {
+  // Show more context but cap at reasonable length for LLM
+  return text.length > 300 ? text.substring(0, 300) + "..." : text;
+}
 
-  // Split by assistant: and user: markers
-  const parts = conversationText.split(/(?:assistant:|user:)/i);
-  
-  // Find parts that come after 'user:' markers
-  const userParts = [];
-  for (let i = 0; i < parts.length; i++) {
-    // Check if this part comes after a 'user:' marker
-    const beforeThis = conversationText.substring(0, 
-      conversationText.indexOf(parts[i])
-    ).toLowerCase();
-    
-    if (beforeThis.includes('user:') && !beforeThis.endsWith('assistant:')) {
-      userParts.push(parts[i].trim());
+/**
+ * Output schema of quote extraction (see llm-structured.js): a quote list for every theme ID
+ * @param {Array} themes - Themes quotes are extracted for
+ * @returns {Object} Output schema
+ */
+export function buildOutputSchema(themes) {
+  const quotes = {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        quote: { type: 'string' },
+        participantId: { type: 'string' }
+      },
+      required: ['quote', 'participantId']
     }
-  }
-  
-  return userParts.filter(part => part.length > 0).join(' ');
-}
\ No newline at end of file
+  };
+  return {
+    name: 'quote_extraction',
+    description: 'Verbatim participant quotes supporting each theme, by theme ID',
+    schema: {
+      type: 'object',
+      properties: Object.fromEntries(themes.map(theme => [theme.id, quotes])),
+      required: themes.map(theme => theme.id)
+    }
+  };
+}
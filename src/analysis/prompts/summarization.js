@@ -212,3 +212,20 @@ export function validatePromptOutput(llmOutput) {
   // This validation will be added for production robustness
   throw new Error('Prompt output validation not implemented yet - Phase 3 feature');
 }
+
+/**
+ * Output schema of the summary (see llm-structured.js)
+ */
+export const OUTPUT_SCHEMA = {
+  name: 'summary',
+  description: 'Headline, summary and key insights of the analysis',
+  schema: {
+    type: 'object',
+    properties: {
+      headline: { type: 'string', minLength: 1 },
+      summary: { type: 'string', minLength: 1 },
+      keyInsights: { type: 'array', minItems: 1, items: { type: 'string' } }
+    },
+    required: ['headline', 'summary', 'keyInsights']
+  }
+};
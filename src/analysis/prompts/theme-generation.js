@@ -41,18 +41,18 @@ function getThemeGenerationPrompt(options = {}) {
     what question participants were answering.
     
     2. THEME GENERATION:
-    Then generate 3-5 themes that answer that derived question.
+    Then generate {themeCountRange} themes that answer that derived question.
     
     INSTRUCTIONS:
     - Focus ONLY on user responses, ignore assistant questions/prompts
-    - Raw responses contain 'assistant:' and 'user:' - analyze only user parts
+    - Responses contain only the participant's turns - interviewer prompts have been removed
     - Look for patterns in what users are actually discussing
     - Generate themes that directly answer the derived research question
     - Each theme should be specific and actionable, not generic
     - Estimate participant count for each theme based on response patterns
     
     INPUT FORMAT:
-    - questionId: {questionId}
+    - questionId: {questionId}{questionContext}
     - responses: {responses}
     - projectBackground: {projectBackground}
     
@@ -109,6 +109,24 @@ export function formatPrompt(template, data) {
   };
 }
 
+/**
+ * Describe what is known about a question for the {questionContext} placeholder
+ * @param {Object} question - Question details
+ * @param {string} [question.questionText] - Wording put to participants
+ * @param {string} [question.analystNotes] - Analyst notes for this question
+ * @returns {string} Extra input lines, or an empty string when nothing is known
+ */
+export function formatQuestionContext({ questionText, analystNotes } = {}) {
+  let context = '';
+  if (questionText) {
+    context += `\n    - questionAsked: ${questionText} (this is the question participants answered - use it word for word as derivedQuestion)`;
+  }
+  if (analystNotes) {
+    context += `\n    - analystNotes: ${analystNotes} (follow these when choosing and naming themes)`;
+  }
+  return context;
+}
+
 /**
  * Get retry prompt for failed theme generation
  * @param {Array} previousErrors - Errors from previous attempt
@@ -148,3 +166,33 @@ export function validatePromptOutput(llmOutput) {
   
   throw new Error('Not implemented yet');
 }
+
+/**
+ * Output schema of theme generation (see llm-structured.js)
+ * Theme IDs are optional; the agent numbers themes without one.
+ */
+export const OUTPUT_SCHEMA = {
+  name: 'theme_generation',
+  description: 'The research question the participants were answering and the themes that answer it',
+  schema: {
+    type: 'object',
+    properties: {
+      derivedQuestion: { type: 'string', minLength: 1 },
+      themes: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            title: { type: 'string', minLength: 1 },
+            description: { type: 'string', minLength: 1 },
+            estimatedParticipants: { type: 'number', minimum: 0 }
+          },
+          required: ['title', 'description']
+        }
+      }
+    },
+    required: ['derivedQuestion', 'themes']
+  }
+};
@@ -0,0 +1,92 @@
+/**
+ * Translation prompt templates
+ *
+ * This module contains the prompt used to translate participant answers and quotes
+ * into the analysis language before themes are generated.
+ */
+
+/**
+ * Load translation prompt template
+ * @param {string} promptType - Type of prompt to load
+ * @param {Object} options - Additional prompt options
+ * @returns {Object} Prompt template
+ */
+export function loadPrompt(promptType, options = {}) {
+  if (promptType === 'translation') {
+    return { template: getTranslationPrompt(options) };
+  }
+
+  return { error: `Unknown prompt type: ${promptType}` };
+}
+
+/**
+ * Get the translation prompt template
+ * @param {Object} options - Prompt customization options
+ * @returns {string} Translation prompt template
+ */
+function getTranslationPrompt(options = {}) {
+  return `
+    TRANSLATION TASK:
+
+    Translate each research participant's text into {targetLanguage}.
+
+    RULES:
+    - Translate faithfully; keep the participant's tone, hedging and informal wording
+    - Do not summarise, correct or explain the text
+    - Keep product, brand and company names as they are
+    - Keep placeholders such as [NAME_1] or [EMAIL_2] exactly as they are
+    - Return every ID exactly once
+
+    TEXTS:
+    {texts}
+
+    OUTPUT FORMAT:
+    Respond with a JSON object mapping each ID to its translation:
+
+    {
+      "t1": "translated text",
+      "t2": "translated text"
+    }
+  `;
+}
+
+/**
+ * Format translation prompt with the texts of one batch
+ * @param {string} template - Prompt template string
+ * @param {Object} data - Prompt data
+ * @param {string} data.targetLanguage - Name of the language to translate into
+ * @param {Array<{id: string, text: string, language: string}>} data.texts - Texts with batch IDs and source language names
+ * @returns {{systemPrompt: string, userPrompt: string}} Formatted prompts with system and user messages
+ */
+export function formatPrompt(template, data) {
+  const texts = data.texts
+    .map(item => `[${item.id}] (${item.language}) ${item.text}`)
+    .join('\n');
+
+  const userPrompt = template
+    .replace('{targetLanguage}', data.targetLanguage)
+    .replace('{texts}', texts);
+
+  return {
+    systemPrompt: 'You are a professional translator for qualitative research. You translate participant answers accurately without adding or removing meaning.',
+    userPrompt
+  };
+}
+
+/**
+ * Output schema of one translation batch (see llm-structured.js): a translation for every batch ID
+ * @param {number} count - Texts in the batch (IDs t1 to tN)
+ * @returns {Object} Output schema
+ */
+export function buildOutputSchema(count) {
+  const ids = Array.from({ length: count }, (_, index) => `t${index + 1}`);
+  return {
+    name: 'translation',
+    description: 'The translation of each text, by batch ID',
+    schema: {
+      type: 'object',
+      properties: Object.fromEntries(ids.map(id => [id, { type: 'string' }])),
+      required: ids
+    }
+  };
+}
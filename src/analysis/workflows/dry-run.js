@@ -0,0 +1,400 @@
+/**
+ * Pre-flight dry run: estimate LLM calls, tokens, cost and duration without calling the LLM
+ *
+ * This module builds every prompt a run would send with the agents' own prompt code: translation
+ * batches, theme generation, classifier batches as split by processInBatches, quote extraction
+ * and summarization. Prompt tokens are counted from those prompts. Later stages depend on
+ * earlier answers, so their prompts use placeholders: themes at the middle of the theme-count
+ * range, classifications spread evenly over them and translations as long as the original.
+ * Completion sizes and durations are heuristics (LLM_CONFIG.DRY_RUN); the duration runs the
+ * questions under the same question and request caps as the run's scheduler (llm-scheduler.js). Retries, fallbacks and
+ * quote translation are not counted, so a real run can cost more than the estimate.
+ */
+
+import { ThemeGeneratorAgent } from '../agents/theme-generator.js';
+import { ClassifierAgent } from '../agents/classifier.js';
+import { QuoteExtractorAgent } from '../agents/quote-extractor.js';
+import { SummarizerAgent } from '../agents/summarizer.js';
+import { TranslatorAgent } from '../agents/translator.js';
+import { splitNewResponses, restorePreviousThemes, restorePreviousClassifications } from './incremental.js';
+import { getResponseParticipantText } from '../../data/parsers/conversation-parser.js';
+import { resolveProviderConfig } from '../../utils/config/llm-providers.js';
+import { resolveCassetteConfig, CASSETTE_MODES } from '../../utils/config/llm-cassette.js';
+import { estimateTokens, loadPriceTable, resolveModelPrice } from '../../utils/config/llm-usage.js';
+import { createLLMScheduler } from '../../utils/config/llm-scheduler.js';
+import { ANALYSIS_CONFIG, LLM_CONFIG, PROCESSING_CONFIG } from '../../utils/config/constants.js';
+
+/**
+ * Stages in run order, named after the agents as in the usage ledger
+ */
+export const DRY_RUN_STAGES = ['translator', 'theme-generator', 'classifier', 'quote-extractor', 'summarizer'];
+
+const PLACEHOLDER_DESCRIPTION = 'Placeholder theme of typical length; the real title and description come from theme generation.';
+const TOKENS_PER_PRICE_UNIT = 1000000;
+
+/**
+ * Estimate the LLM usage of analysing cleaned data
+ * @param {Object} data - Cleaned (and redacted) data, as passed to the thematic analysis
+ * @param {Object} [options] - Estimate options
+ * @param {{targetLanguage: string, texts: Array<{id: string, text: string, language: string}>}} [options.translation] - Texts the run would translate
+ * @param {Object<string, Object>} [options.previousAnalyses] - Previous analyses by question ID (incremental runs)
+ * @param {string} [options.pricesPath] - LLM_PRICES JSON file
+ * @param {number|string} [options.budgetUsd] - Budget to compare the estimate against
+ * @param {Object} [options.concurrency] - maxConcurrentQuestions, maxConcurrentCalls and tokensPerMinute, as for createLLMScheduler
+ * @param {Object} [env] - Environment variables (default process.env)
+ * @returns {Promise<{data?: Object, error?: string}>} Estimate with totals, byStage, byQuestion, durations, concurrency and notes, or error
+ */
+export async function estimateRun(data, options = {}, env = process.env) {
+  try {
+    const pricesResult = await loadPriceTable(options.pricesPath || env.LLM_PRICES);
+    if (pricesResult.error) {
+      return { error: pricesResult.error };
+    }
+
+    const schedulerResult = createLLMScheduler(options.concurrency, env);
+    if (schedulerResult.error) {
+      return { error: schedulerResult.error };
+    }
+    const { maxQuestions, maxConcurrentCalls, tokensPerMinute } = schedulerResult.data;
+
+    const notes = [];
+    const target = describeTargetModel(env);
+    if (target.error) {
+      notes.push(`Cost not estimated: ${target.error}`);
+    }
+    const price = target.error ? null : resolveModelPrice(pricesResult.data, target.provider, target.model);
+    if (!target.error && !price) {
+      notes.push(`Cost not estimated: no price for model "${target.model}" (add it to a LLM_PRICES file)`);
+    }
+
+    const translation = planTranslation(options.translation);
+    if (translation.error) {
+      return { error: translation.error };
+    }
+    const responsesByQuestion = applyPlaceholderTranslations(data.responsesByQuestion, options.translation);
+
+    const previousAnalyses = options.previousAnalyses || {};
+    const byQuestion = {};
+    const calls = [...translation.calls];
+    for (const question of data.questions) {
+      const questionPlan = planQuestion(question, {
+        responses: responsesByQuestion[question.questionId] || [],
+        projectBackground: data.projectBackground,
+        stats: data.questionStats?.[question.questionId],
+        previousAnalysis: previousAnalyses[question.questionId]
+      });
+      if (questionPlan.error) {
+        return { error: `Question ${question.questionId}: ${questionPlan.error}` };
+      }
+      calls.push(...questionPlan.calls.map(call => ({ ...call, questionId: question.questionId })));
+      byQuestion[question.questionId] = {
+        ...sumCalls(questionPlan.calls, price),
+        responses: questionPlan.responses,
+        classificationBatches: questionPlan.classificationBatches,
+        ...(questionPlan.skipped && { skipped: questionPlan.skipped })
+      };
+    }
+
+    const byStage = Object.fromEntries(DRY_RUN_STAGES.map(stage => [stage, sumCalls(calls.filter(call => call.stage === stage), price)]));
+    const totals = sumCalls(calls, price);
+
+    // Translation runs first; questions then run maxQuestions at a time, their calls one after the
+    // other, sharing maxConcurrentCalls request slots. A token cap sets a floor on the time.
+    const questionCalls = Object.keys(byQuestion).map(questionId => calls.filter(call => call.questionId === questionId));
+    const questionsSeconds = simulateQuestionsSeconds(questionCalls, { maxQuestions, maxConcurrentCalls });
+    const tokenFloorSeconds = tokensPerMinute ? (totals.promptTokens + totals.completionTokens) / tokensPerMinute * 60 : 0;
+    const estimatedDurationSeconds = Math.round(Math.max(callSeconds(translation.calls) + questionsSeconds, tokenFloorSeconds));
+
+    notes.push('Completion tokens and duration are heuristics (LLM_CONFIG.DRY_RUN); retries and quote translation are not counted');
+
+    const budgetUsd = options.budgetUsd ?? env.LLM_BUDGET_USD;
+    const budget = budgetUsd === undefined || budgetUsd === null || budgetUsd === ''
+      ? null
+      : { limitUsd: Number(budgetUsd), exceeded: totals.costUsd !== null && totals.costUsd > Number(budgetUsd) };
+
+    return {
+      data: {
+        generatedAt: new Date().toISOString(),
+        provider: target.provider || null,
+        model: target.model || null,
+        currency: 'USD',
+        price,
+        totals,
+        byStage,
+        byQuestion,
+        estimatedDurationSeconds,
+        concurrency: { maxQuestions, maxConcurrentCalls, tokensPerMinute },
+        budget,
+        notes
+      }
+    };
+
+  } catch (error) {
+    return { error: `Dry run failed: ${error.message}` };
+  }
+}
+
+/**
+ * Provider and model a run would use, without needing its API key
+ * @param {Object} env - Environment variables
+ * @returns {{provider?: string, model?: string|null, error?: string}} Target model or error
+ */
+function describeTargetModel(env) {
+  const cassetteResult = resolveCassetteConfig({}, env);
+  if (cassetteResult.error) {
+    return { error: cassetteResult.error };
+  }
+  if (cassetteResult.data?.mode === CASSETTE_MODES.REPLAY) {
+    return { provider: 'replay', model: null };
+  }
+
+  const resolved = resolveProviderConfig({ apiKey: 'dry-run' }, env);
+  if (resolved.error) {
+    return { error: resolved.error };
+  }
+  return { provider: resolved.config.provider, model: resolved.config.modelName };
+}
+
+/**
+ * Translation calls, one per batch of PROCESSING_CONFIG.LANGUAGE.TRANSLATION.BATCH_SIZE texts
+ * @param {{targetLanguage: string, texts: Array}} [translation] - Texts the run would translate
+ * @returns {{calls?: Array, error?: string}} Planned calls or error
+ */
+function planTranslation(translation) {
+  if (!translation || translation.texts.length === 0) {
+    return { calls: [] };
+  }
+
+  const { BASE, PER_TEXT } = LLM_CONFIG.DRY_RUN.COMPLETION_TOKENS.TRANSLATION;
+  const batchSize = PROCESSING_CONFIG.LANGUAGE.TRANSLATION.BATCH_SIZE;
+  const translator = new TranslatorAgent();
+  const calls = [];
+  for (let start = 0; start < translation.texts.length; start += batchSize) {
+    const batch = translation.texts.slice(start, start + batchSize);
+    const promptResult = translator.buildBatchMessages(batch, translation.targetLanguage);
+    if (promptResult.error) {
+      return { error: promptResult.error };
+    }
+    const sourceTokens = batch.reduce((sum, item) => sum + estimateTokens(item.text), 0);
+    calls.push({
+      stage: 'translator',
+      promptTokens: estimateTokens(promptResult.messages),
+      completionTokens: BASE + PER_TEXT * batch.length + sourceTokens
+    });
+  }
+  return { calls };
+}
+
+/**
+ * Give responses that would be translated a translation as long as the original
+ * @param {Object<string, Array>} responsesByQuestion - Responses by question ID
+ * @param {{targetLanguage: string, texts: Array<{id: string}>}} [translation] - Texts the run would translate
+ * @returns {Object<string, Array>} Responses by question ID
+ */
+function applyPlaceholderTranslations(responsesByQuestion, translation) {
+  if (!translation || translation.texts.length === 0) {
+    return responsesByQuestion;
+  }
+  const translatedIds = new Set(translation.texts.map(item => item.id));
+  return Object.fromEntries(Object.entries(responsesByQuestion).map(([questionId, responses]) => [
+    questionId,
+    responses.map(response => translatedIds.has(`${response.questionId}:${response.participantId}`)
+      ? { ...response, translation: { language: translation.targetLanguage, text: getResponseParticipantText(response) } }
+      : response)
+  ]));
+}
+
+/**
+ * Calls of one question's workflow, mirroring the orchestrator and the workflow nodes
+ * @param {Object} question - Question metadata
+ * @param {Object} context - responses, projectBackground, stats and previousAnalysis
+ * @returns {{calls?: Array, responses?: number, classificationBatches?: Array<number>, skipped?: string, error?: string}} Planned calls or error
+ */
+function planQuestion(question, { responses, projectBackground, stats, previousAnalysis }) {
+  const { COMPLETION_TOKENS } = LLM_CONFIG.DRY_RUN;
+  const plan = { calls: [], responses: responses.length, classificationBatches: [] };
+  if (responses.length === 0) {
+    return { ...plan, skipped: 'no responses' };
+  }
+
+  // Incremental runs keep the previous themes and classify only new participants
+  const update = previousAnalysis ? splitNewResponses(previousAnalysis, responses) : null;
+  if (update && update.newResponses.length === 0) {
+    return { ...plan, skipped: 'no new participants since the previous run' };
+  }
+
+  let themes;
+  let derivedQuestion;
+  if (previousAnalysis) {
+    themes = restorePreviousThemes(previousAnalysis);
+    derivedQuestion = previousAnalysis.derivedQuestion;
+  } else {
+    const themeCount = question.themeCount || { min: ANALYSIS_CONFIG.THEMES.MIN_COUNT, max: ANALYSIS_CONFIG.THEMES.MAX_COUNT };
+    const promptResult = new ThemeGeneratorAgent().buildMessages({
+      questionId: question.questionId,
+      questionText: question.questionText,
+      analystNotes: question.analystNotes,
+      themeCount,
+      responses,
+      projectBackground
+    });
+    if (promptResult.error) {
+      return { error: promptResult.error };
+    }
+    themes = placeholderThemes(themeCount);
+    derivedQuestion = question.questionText || question.questionId;
+    plan.calls.push({
+      stage: 'theme-generator',
+      promptTokens: estimateTokens(promptResult.messages),
+      completionTokens: COMPLETION_TOKENS.THEME_GENERATION.BASE + COMPLETION_TOKENS.THEME_GENERATION.PER_THEME * themes.length
+    });
+  }
+
+  // Classifier batches as classifyResponses sends them
+  const classifier = new ClassifierAgent();
+  const prepared = classifier.prepareUnits({ responses: update ? update.newResponses : responses, analystNotes: question.analystNotes });
+  if (prepared.error) {
+    return { error: prepared.error };
+  }
+  for (const batch of classifier.planBatches(prepared.units)) {
+    const promptResult = classifier.buildBatchMessages(themes, batch, derivedQuestion, projectBackground);
+    if (promptResult.error) {
+      return { error: promptResult.error };
+    }
+    plan.classificationBatches.push(batch.length);
+    plan.calls.push({
+      stage: 'classifier',
+      promptTokens: estimateTokens(promptResult.messages),
+      completionTokens: COMPLETION_TOKENS.CLASSIFICATION.BASE + COMPLETION_TOKENS.CLASSIFICATION.PER_RESPONSE * batch.length
+    });
+  }
+
+  const respondents = new Set(responses.map(response => response.participantId));
+  const classifications = [
+    ...(previousAnalysis ? restorePreviousClassifications(previousAnalysis, themes).filter(c => respondents.has(c.participantId)) : []),
+    ...placeholderClassifications(prepared.toClassify, themes)
+  ];
+
+  const quoteExtractor = new QuoteExtractorAgent();
+  const quoteInput = { themes, classifications, responses, derivedQuestion, projectBackground };
+  const quotePrompt = quoteExtractor.buildPrompt({ ...quoteInput, responses: quoteExtractor.selectPromptResponses(quoteInput).promptResponses });
+  if (quotePrompt.error) {
+    return { error: quotePrompt.error };
+  }
+  plan.calls.push({
+    stage: 'quote-extractor',
+    promptTokens: estimateTokens(quotePrompt.prompt),
+    completionTokens: COMPLETION_TOKENS.QUOTE_EXTRACTION.BASE + COMPLETION_TOKENS.QUOTE_EXTRACTION.PER_THEME * themes.length
+  });
+
+  const summaryPrompt = new SummarizerAgent().buildPrompt({
+    derivedQuestion,
+    themes,
+    classifications,
+    stats: stats || { totalResponses: responses.length },
+    projectBackground
+  });
+  if (summaryPrompt.error) {
+    return { error: summaryPrompt.error };
+  }
+  plan.calls.push({
+    stage: 'summarizer',
+    promptTokens: estimateTokens(summaryPrompt.prompt),
+    completionTokens: COMPLETION_TOKENS.SUMMARIZATION.BASE
+  });
+
+  return plan;
+}
+
+/**
+ * Themes standing in for the theme generator's answer, at the middle of the theme-count range
+ * @param {{min: number, max: number}} themeCount - Theme-count range
+ * @returns {Array<Object>} Placeholder themes
+ */
+function placeholderThemes(themeCount) {
+  const count = Math.round((themeCount.min + themeCount.max) / 2);
+  return Array.from({ length: count }, (_, index) => ({
+    id: `theme_${index + 1}`,
+    title: `Theme ${index + 1}`,
+    description: PLACEHOLDER_DESCRIPTION
+  }));
+}
+
+/**
+ * Classifications standing in for the classifier's answer, spread evenly over the themes
+ * @param {Array} responses - Classified responses
+ * @param {Array<Object>} themes - Themes
+ * @returns {Array<Object>} Placeholder classifications
+ */
+function placeholderClassifications(responses, themes) {
+  return responses.map((response, index) => {
+    const theme = themes[index % themes.length];
+    return { participantId: response.participantId, questionId: response.questionId, themeId: theme.id, theme: theme.title, confidence: 0.8 };
+  });
+}
+
+/**
+ * Total calls, tokens and cost of planned calls
+ * @param {Array} calls - Planned calls
+ * @param {{input: number, output: number}|null} price - USD per million tokens, null when unknown
+ * @returns {{calls: number, promptTokens: number, completionTokens: number, costUsd: number|null}} Totals
+ */
+function sumCalls(calls, price) {
+  const promptTokens = calls.reduce((sum, call) => sum + call.promptTokens, 0);
+  const completionTokens = calls.reduce((sum, call) => sum + call.completionTokens, 0);
+  const costUsd = price
+    ? (promptTokens * price.input + completionTokens * price.output) / TOKENS_PER_PRICE_UNIT
+    : null;
+  return { calls: calls.length, promptTokens, completionTokens, costUsd };
+}
+
+/**
+ * Seconds to make calls one after the other
+ * @param {Array} calls - Planned calls
+ * @returns {number} Seconds
+ */
+function callSeconds(calls) {
+  const { SECONDS_PER_CALL, OUTPUT_TOKENS_PER_SECOND } = LLM_CONFIG.DRY_RUN;
+  return calls.reduce((sum, call) => sum + SECONDS_PER_CALL + call.completionTokens / OUTPUT_TOKENS_PER_SECOND, 0);
+}
+
+/**
+ * Seconds to run questions under the scheduler's caps
+ * Questions start in order as question slots free up; each makes its calls one after the other,
+ * and a call waits for a request slot, first come first served.
+ * @param {Array<Array>} questionCalls - Planned calls of each question
+ * @param {{maxQuestions: number, maxConcurrentCalls: number}} limits - Scheduler caps
+ * @returns {number} Seconds until the last question finishes
+ */
+function simulateQuestionsSeconds(questionCalls, { maxQuestions, maxConcurrentCalls }) {
+  const queued = questionCalls.filter(list => list.length > 0).map(list => [...list]);
+  const waiting = [];
+  const inFlight = [];
+  let activeQuestions = 0;
+  let now = 0;
+
+  const startQuestions = () => {
+    while (activeQuestions < maxQuestions && queued.length > 0) {
+      activeQuestions++;
+      waiting.push(queued.shift());
+    }
+  };
+
+  startQuestions();
+  while (waiting.length > 0 || inFlight.length > 0) {
+    while (inFlight.length < maxConcurrentCalls && waiting.length > 0) {
+      const remaining = waiting.shift();
+      inFlight.push({ remaining, endsAt: now + callSeconds([remaining.shift()]) });
+    }
+    inFlight.sort((a, b) => a.endsAt - b.endsAt);
+    const finished = inFlight.shift();
+    now = finished.endsAt;
+    if (finished.remaining.length > 0) {
+      waiting.push(finished.remaining);
+    } else {
+      activeQuestions--;
+      startQuestions();
+    }
+  }
+  return now;
+}
@@ -0,0 +1,136 @@
+/**
+ * Incremental analysis support
+ *
+ * Fieldwork that runs over several weeks should not regenerate themes for every new batch.
+ * An incremental run loads the results JSON of a previous run, keeps each question's themes
+ * and participant classifications, and classifies only participants that were not analysed
+ * yet. Quotes, counts and summaries are then refreshed over the merged classifications.
+ * New responses that fit the existing themes poorly are flagged as a possible missing theme.
+ */
+
+import { readTextFile } from '../../utils/helpers/file-utils.js';
+import { ANALYSIS_CONFIG } from '../../utils/config/constants.js';
+
+/**
+ * Load the question analyses of a previous run
+ * Reads the results JSON written by generateMainResults (questionAnalyses and partialResults).
+ * @param {string} filePath - Path to the previous results JSON
+ * @returns {Promise<{data?: {sourcePath: string, generatedAt: string|null, analyses: Object<string, Object>}, error?: string}>} Analyses by question ID or error
+ */
+export async function loadPreviousResults(filePath) {
+  const fileResult = await readTextFile(filePath);
+  if (fileResult.error) {
+    return { error: `Failed to read previous results: ${fileResult.error}` };
+  }
+
+  let report;
+  try {
+    report = JSON.parse(fileResult.content);
+  } catch (error) {
+    return { error: `Previous results are not valid JSON: ${error.message}` };
+  }
+
+  const questionAnalyses = [...(report.questionAnalyses || []), ...(report.partialResults || [])];
+  if (questionAnalyses.length === 0) {
+    return { error: 'Previous results contain no question analyses (expected a thematic_analysis_results.json file)' };
+  }
+
+  const analyses = {};
+  for (const analysis of questionAnalyses) {
+    if (!analysis.questionId || !Array.isArray(analysis.themes) || analysis.themes.length === 0 || !analysis.classifications) {
+      return { error: `Previous analysis ${analysis.questionId || '(no questionId)'} has no themes or classifications` };
+    }
+    analyses[analysis.questionId] = analysis;
+  }
+
+  return { data: { sourcePath: filePath, generatedAt: report.timestamp || null, analyses } };
+}
+
+/**
+ * Split a question's responses into participants analysed before and new participants
+ * @param {Object} previousAnalysis - Question analysis from the previous run
+ * @param {Array<Object>} responses - Cleaned responses for the question
+ * @returns {{newResponses: Array<Object>, previousParticipants: number, missingFromInput: Array<string>}} New responses, previous participant count and previous participants absent from the input
+ */
+export function splitNewResponses(previousAnalysis, responses) {
+  const analysed = new Set(Object.keys(previousAnalysis.classifications));
+  const present = new Set(responses.map(response => response.participantId));
+
+  return {
+    newResponses: responses.filter(response => !analysed.has(response.participantId)),
+    previousParticipants: analysed.size,
+    missingFromInput: [...analysed].filter(participantId => !present.has(participantId))
+  };
+}
+
+/**
+ * Themes of a previous analysis, without the quotes and counts of the previous run
+ * @param {Object} previousAnalysis - Question analysis from the previous run
+ * @returns {Array<Object>} Themes to classify new participants against
+ */
+export function restorePreviousThemes(previousAnalysis) {
+  return previousAnalysis.themes.map(theme => {
+    const restored = { ...theme };
+    delete restored.supportingQuotes;
+    delete restored.participantCount;
+    return restored;
+  });
+}
+
+/**
+ * Turn the previous participant -> theme mapping back into classifications
+ * The previous results keep only the theme title, so confidence is unknown.
+ * @param {Object} previousAnalysis - Question analysis from the previous run
+ * @param {Array<Object>} themes - Restored themes
+ * @returns {Array<Object>} Classifications marked with carriedOver: true
+ */
+export function restorePreviousClassifications(previousAnalysis, themes) {
+  const idsByTitle = new Map(themes.map(theme => [theme.title, theme.id]));
+  return Object.entries(previousAnalysis.classifications).map(([participantId, theme]) => ({
+    participantId,
+    themeId: idsByTitle.get(theme) || null,
+    theme,
+    confidence: null,
+    carriedOver: true
+  }));
+}
+
+/**
+ * Summarize an incremental update and check whether new responses fit the existing themes
+ * New classifications below ANALYSIS_CONFIG.CLASSIFICATION.MIN_CONFIDENCE, or to a theme that is
+ * not in the theme list, count as poor fits. Responses flagged as low effort or near duplicates
+ * are not counted. When the share of poor fits reaches ANALYSIS_CONFIG.INCREMENTAL.MISSING_THEME_SHARE
+ * (and at least MIN_POOR_FITS responses), the question is flagged as possibly missing a theme.
+ * @param {Object} params - Update details
+ * @param {Array<Object>} params.newClassifications - Classifications of the new participants
+ * @param {Array<Object>} params.themes - Existing themes
+ * @param {number} params.newParticipants - New participants with a response
+ * @param {number} params.previousParticipants - Participants classified in the previous run
+ * @param {Array<string>} params.missingFromInput - Previous participants absent from the input
+ * @returns {Object} {previousParticipants, newParticipants, totalParticipants, missingFromInput, poorFits, poorFitShare, possibleMissingTheme}
+ */
+export function assessIncrementalUpdate({ newClassifications, themes, newParticipants, previousParticipants, missingFromInput }) {
+  const { MIN_CONFIDENCE } = ANALYSIS_CONFIG.CLASSIFICATION;
+  const { MISSING_THEME_SHARE, MIN_POOR_FITS } = ANALYSIS_CONFIG.INCREMENTAL;
+  const themeIds = new Set(themes.map(theme => theme.id));
+
+  const assessed = newClassifications.filter(classification => !classification.qualityFlag);
+  const poorFits = assessed
+    .filter(classification => !themeIds.has(classification.themeId) || (typeof classification.confidence === 'number' && classification.confidence < MIN_CONFIDENCE))
+    .map(classification => ({
+      participantId: classification.participantId,
+      theme: classification.theme,
+      confidence: classification.confidence
+    }));
+  const poorFitShare = assessed.length > 0 ? Math.round((poorFits.length / assessed.length) * 1000) / 1000 : 0;
+
+  return {
+    previousParticipants,
+    newParticipants,
+    totalParticipants: previousParticipants + newParticipants,
+    missingFromInput,
+    poorFits,
+    poorFitShare,
+    possibleMissingTheme: poorFits.length >= MIN_POOR_FITS && poorFitShare >= MISSING_THEME_SHARE
+  };
+}
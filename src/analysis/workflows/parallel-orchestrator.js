@@ -7,14 +7,19 @@
 
 import { QuestionAnalysisWorkflow } from './question-analyzer.js';
 import { logOperation } from '../../utils/config/llm-config.js';
+import { runWithUsageLabels, getUsageContext } from '../../utils/config/llm-usage.js';
+import { getLLMScheduler, LLMScheduler } from '../../utils/config/llm-scheduler.js';
+import { PROCESSING_CONFIG } from '../../utils/config/constants.js';
 import { analyzeMultiQuestionErrors } from '../../utils/validation/error-analyzer.js';
+import { splitNewResponses, assessIncrementalUpdate } from './incremental.js';
 
 /**
  * Parallel Orchestrator class for managing concurrent question analysis
  */
 export class ParallelOrchestrator {
   constructor() {
-    this.maxConcurrentQuestions = 6; // Based on architecture: 6 questions in parallel
+    const { MAX_QUESTIONS, ENABLE_PARALLEL } = PROCESSING_CONFIG.CONCURRENCY;
+    this.maxConcurrentQuestions = ENABLE_PARALLEL ? MAX_QUESTIONS : 1;
     logOperation('parallel-orchestrator-initialized', { 
       maxConcurrentQuestions: this.maxConcurrentQuestions 
     });
@@ -23,9 +28,11 @@ export class ParallelOrchestrator {
   /**
    * Run parallel thematic analysis for all questions
    * @param {Object} cleanedData - Cleaned and parsed data from response parser
+   * @param {Object} [options] - Analysis options
+   * @param {Object<string, Object>} [options.previousAnalyses] - Question analyses of a previous run by question ID (incremental runs)
    * @returns {Promise<Array|{error: string}>} Array of analysis results for all questions or error
    */
-  async parallelThematicAnalysis(cleanedData) {
+  async parallelThematicAnalysis(cleanedData, options = {}) {
     try {
       // Validate input data
       const validationResult = this.validateInput(cleanedData);
@@ -33,25 +40,31 @@ export class ParallelOrchestrator {
         return { error: `Input validation failed: ${validationResult.error}` };
       }
 
-      const { questions, responsesByQuestion, projectBackground, questionStats } = cleanedData;
+      const { questions, responsesByQuestion, projectBackground, questionStats, participantAttributes = {} } = cleanedData;
+      const previousAnalyses = options.previousAnalyses || {};
+      
+      // The run's scheduler also caps LLM requests across questions; without one, only questions are capped
+      const scheduler = getLLMScheduler() || new LLMScheduler({ maxQuestions: this.maxConcurrentQuestions });
       
       logOperation('parallel-analysis-start', { 
         totalQuestions: questions.length,
-        maxConcurrent: this.maxConcurrentQuestions
+        maxConcurrent: scheduler.maxQuestions
       });
 
-      // Create parallel analysis promises for each question
-      const analysisPromises = questions.map((question, index) => 
-        this.runQuestionAnalysisWorkflow({
+      // Queue every question; the scheduler starts up to maxQuestions at a time
+      const analysisPromises = questions.map((question, index) => {
+        const responses = responsesByQuestion[question.questionId] || [];
+        return scheduler.runQuestion(() => this.runQuestionAnalysisWorkflow({
           question,
-          responses: responsesByQuestion[question.questionId] || [],
+          responses,
           projectBackground,
+          participantAttributes: this.selectParticipantAttributes(participantAttributes, responses),
           stats: questionStats[question.questionId],
+          previousAnalysis: previousAnalyses[question.questionId],
           questionIndex: index + 1
-        })
-      );
+        }));
+      });
       
-      // Execute all questions concurrently (6 questions in parallel)
       const results = await Promise.all(analysisPromises);
       
       // Enhanced failure handling with aggregation and error analysis
@@ -96,7 +109,7 @@ export class ParallelOrchestrator {
    * @returns {Promise<Object>} Analysis result for the question or error object
    */
   async runQuestionAnalysisWorkflow(questionData) {
-    const { question, responses, projectBackground, stats, questionIndex } = questionData;
+    const { question, responses, projectBackground, participantAttributes = {}, stats, previousAnalysis, questionIndex } = questionData;
     
     const questionStart = Date.now();
     logOperation('question-analysis-start', { 
@@ -120,6 +133,27 @@ export class ParallelOrchestrator {
         };
       }
 
+      // Incremental run without new participants: the previous analysis still holds
+      if (previousAnalysis) {
+        const update = splitNewResponses(previousAnalysis, responses);
+        if (update.newResponses.length === 0) {
+          logOperation('question-analysis-reused', {
+            questionId: question.questionId,
+            previousParticipants: update.previousParticipants
+          });
+          return {
+            ...previousAnalysis,
+            incremental: assessIncrementalUpdate({
+              newClassifications: [],
+              themes: previousAnalysis.themes,
+              newParticipants: 0,
+              previousParticipants: update.previousParticipants,
+              missingFromInput: update.missingFromInput
+            })
+          };
+        }
+      }
+
       // Initialize workflow (each question gets its own instance for state isolation)
       const workflow = new QuestionAnalysisWorkflow();
       
@@ -128,17 +162,28 @@ export class ParallelOrchestrator {
         question,
         responses,
         projectBackground,
+        participantAttributes,
         stats,
         themes: null,
         derivedQuestion: null,
         themeValidation: null,
         classifications: null,
         quotes: null,
-        summary: null
+        summary: null,
+        previousAnalysis
       };
       
-      // Run the complete workflow
-      const finalState = await workflow.runAnalysis(initialState);
+      // Run the complete workflow, charging its LLM calls to this question
+      const finalState = await runWithUsageLabels({ questionId: question.questionId }, () => workflow.runAnalysis(initialState));
+      
+      // A question cut short by the LLM budget keeps the themes and classifications it has
+      if (finalState.error && finalState.partialState?.themes && getUsageContext()?.ledger?.isBudgetExceeded()) {
+        logOperation('question-analysis-stopped-at-budget', {
+          questionId: question.questionId,
+          error: finalState.error
+        });
+        return this.transformToAnalysisResult({ ...finalState.partialState, stoppedAtBudget: true });
+      }
       
       // Handle workflow errors
       if (finalState.error) {
@@ -180,6 +225,23 @@ export class ParallelOrchestrator {
     }
   }
 
+  /**
+   * Select the attributes of participants who answered a question
+   * @param {Object} participantAttributes - Attributes by participant ID for the whole dataset
+   * @param {Array} responses - Cleaned responses for one question
+   * @returns {Object} Attributes by participant ID for this question's participants
+   */
+  selectParticipantAttributes(participantAttributes, responses) {
+    const selected = {};
+    for (const response of responses) {
+      const attributes = participantAttributes[response.participantId];
+      if (attributes && Object.keys(attributes).length > 0) {
+        selected[response.participantId] = attributes;
+      }
+    }
+    return selected;
+  }
+
   /**
    * Transform workflow state to analysis result format
    * @param {Object} finalState - Final workflow state
@@ -195,7 +257,9 @@ export class ParallelOrchestrator {
       quotes,
       summary,
       stats,
-      responses
+      responses,
+      participantAttributes,
+      incremental
     } = finalState;
     
     // Create themes with supporting quotes
@@ -225,18 +289,36 @@ export class ParallelOrchestrator {
       participantClassifications = classifications;
     }
     
-    // Calculate participant count from responses or classifications
-    const participantCount = responses ? responses.length : Object.keys(participantClassifications).length;
+    // Show each participant's attributes (segment, region...) next to their classification
+    const hasAttributes = participantAttributes && Object.keys(participantAttributes).length > 0;
+    const classificationDetails = hasAttributes
+      ? Object.entries(participantClassifications).map(([participantId, theme]) => ({
+        participantId,
+        theme,
+        attributes: participantAttributes[participantId] || {}
+      }))
+      : undefined;
+    
+    // Calculate participant count from responses or classifications (incremental runs also count carried-over participants)
+    const participantCount = incremental
+      ? incremental.totalParticipants
+      : responses ? responses.length : Object.keys(participantClassifications).length;
     
     // Create analysis result matching expected format
     const analysisResult = {
       questionId: question?.questionId,
       derivedQuestion: derivedQuestion,
+      // Column header and analyst notes when question metadata renamed or described the question
+      ...(question?.headerText && question.headerText !== question.questionId && { headerText: question.headerText }),
+      ...(question?.analystNotes && { analystNotes: question.analystNotes }),
       participantCount: participantCount,
       headline: summary?.headline || `Analysis of ${question?.questionId}`,
-      summary: summary?.summary || 'Analysis completed successfully',
+      summary: summary?.summary || (finalState.stoppedAtBudget ? 'Analysis stopped at the LLM budget' : 'Analysis completed successfully'),
       themes: themesWithQuotes,
       classifications: participantClassifications,
+      classificationDetails,
+      ...(incremental && { incremental }),
+      ...(finalState.stoppedAtBudget && { stoppedAtBudget: true }),
       // Include additional metadata for debugging/validation
       metadata: {
         themeValidation: themeValidation,
@@ -8,16 +8,18 @@
 import { StateGraph, END, START } from '@langchain/langgraph';
 import { Annotation } from '@langchain/langgraph';
 import { logOperation } from '../../utils/config/llm-config.js';
+import { getUsageContext } from '../../utils/config/llm-usage.js';
 import { ThemeGeneratorAgent } from '../agents/theme-generator.js';
 import { ClassifierAgent } from '../agents/classifier.js';
 import { QuoteExtractorAgent } from '../agents/quote-extractor.js';
 import { SummarizerAgent } from '../agents/summarizer.js';
 import { ThemeValidator } from '../../utils/validation/theme-validator.js';
+import { splitNewResponses, restorePreviousThemes, restorePreviousClassifications, assessIncrementalUpdate } from './incremental.js';
 
 /**
  * Question Analysis State structure
  * @typedef {Object} QuestionAnalysisState
- * @property {Object} question - Question object with questionId and headerText
+ * @property {Object} question - Question object with questionId and headerText, and questionText, analystNotes and themeCount when known
  * @property {Array} responses - Array of participant responses
  * @property {string} projectBackground - Project context
  * @property {Object} stats - Question statistics
@@ -27,6 +29,9 @@ import { ThemeValidator } from '../../utils/validation/theme-validator.js';
  * @property {Array|null} classifications - Response classifications
  * @property {Object|null} quotes - Extracted quotes by theme
  * @property {Object|null} summary - Generated summary
+ * @property {Object} [previousAnalysis] - Question analysis of a previous run; its themes are kept and only new participants are classified
+ * @property {Object} [incremental] - Incremental update report (see assessIncrementalUpdate)
+ * @property {boolean} [stoppedAtBudget] - The LLM budget stopped the workflow before its last stage
  */
 
 /**
@@ -53,13 +58,16 @@ export class QuestionAnalysisWorkflow {
         question: Annotation(),
         responses: Annotation(),
         projectBackground: Annotation(),
+        participantAttributes: Annotation(),
         stats: Annotation(),
         themes: Annotation(),
         derivedQuestion: Annotation(),
         themeValidation: Annotation(),
         classifications: Annotation(),
         quotes: Annotation(),
-        summary: Annotation()
+        summary: Annotation(),
+        previousAnalysis: Annotation(),
+        incremental: Annotation()
       });
 
       // Create state graph with proper annotation
@@ -67,14 +75,17 @@ export class QuestionAnalysisWorkflow {
 
       // Add nodes for each workflow stage
       this.graph.addNode("generateThemes", this.generateThemes.bind(this));
+      this.graph.addNode("reuseThemes", this.reuseThemes.bind(this));
       this.graph.addNode("validateThemes", this.validateThemes.bind(this));
       this.graph.addNode("classifyResponses", this.classifyResponses.bind(this));
       this.graph.addNode("extractQuotes", this.extractQuotes.bind(this));
       this.graph.addNode("generateSummary", this.generateSummary.bind(this));
 
       // Define the workflow edges (state transitions)
-      this.graph.addEdge(START, "generateThemes");
+      // Incremental runs keep the themes of the previous run
+      this.graph.addConditionalEdges(START, state => (state.previousAnalysis ? "reuseThemes" : "generateThemes"), ["generateThemes", "reuseThemes"]);
       this.graph.addEdge("generateThemes", "validateThemes");
+      this.graph.addEdge("reuseThemes", "classifyResponses");
       this.graph.addEdge("validateThemes", "classifyResponses");
       this.graph.addEdge("classifyResponses", "extractQuotes");
       this.graph.addEdge("extractQuotes", "generateSummary");
@@ -84,7 +95,7 @@ export class QuestionAnalysisWorkflow {
       this.compiledGraph = this.graph.compile();
       
       logOperation('workflow-initialized', { 
-        nodes: ['generateThemes', 'validateThemes', 'classifyResponses', 'extractQuotes', 'generateSummary'],
+        nodes: ['generateThemes', 'reuseThemes', 'validateThemes', 'classifyResponses', 'extractQuotes', 'generateSummary'],
         status: 'ready'
       });
       
@@ -99,6 +110,7 @@ export class QuestionAnalysisWorkflow {
    * @returns {Promise<Object>} Final analysis state or error
    */
   async runAnalysis(initialState) {
+    let finalState = initialState;
     try {
       logOperation('workflow-started', { 
         questionId: initialState.question?.questionId,
@@ -110,10 +122,18 @@ export class QuestionAnalysisWorkflow {
         return { error: 'Invalid initial state: missing question or responses' };
       }
 
-      // Run the compiled graph with initial state
-      const finalState = await this.compiledGraph.invoke(initialState);
+      // Run the compiled graph stage by stage, stopping after the stage that reached the LLM budget
+      // so the run keeps the themes and classifications made so far
+      let stoppedAtBudget = false;
+      for await (const state of await this.compiledGraph.stream(initialState, { streamMode: 'values' })) {
+        finalState = state;
+        if (getUsageContext()?.ledger?.isBudgetExceeded()) {
+          stoppedAtBudget = true;
+          break;
+        }
+      }
       
-      logOperation('workflow-completed', { 
+      logOperation(stoppedAtBudget ? 'workflow-stopped-at-budget' : 'workflow-completed', { 
         questionId: finalState.question?.questionId,
         hasThemes: !!finalState.themes,
         hasThemeValidation: !!finalState.themeValidation,
@@ -127,8 +147,9 @@ export class QuestionAnalysisWorkflow {
       const result = {
         ...finalState,
         questionId: finalState.question?.questionId,
-        participantCount: finalState.responses?.length || 0,
-        derivedQuestion: finalState.derivedQuestion
+        participantCount: finalState.incremental?.totalParticipants ?? (finalState.responses?.length || 0),
+        derivedQuestion: finalState.derivedQuestion,
+        ...(stoppedAtBudget && { stoppedAtBudget })
       };
 
       return result;
@@ -136,7 +157,8 @@ export class QuestionAnalysisWorkflow {
     } catch (error) {
       const errorMsg = `Workflow execution failed: ${error.message}`;
       logOperation('workflow-error', { error: errorMsg });
-      return { error: errorMsg };
+      // The stages that completed, for a run stopped by its LLM budget
+      return { error: errorMsg, partialState: finalState };
     }
   }
 
@@ -161,6 +183,9 @@ export class QuestionAnalysisWorkflow {
       // Invoke agent with state data
       const result = await this.themeGeneratorAgent.invoke({
         questionId: state.question.questionId,
+        questionText: state.question.questionText,
+        analystNotes: state.question.analystNotes,
+        themeCount: state.question.themeCount,
         responses: state.responses,
         projectBackground: state.projectBackground
       });
@@ -206,6 +231,27 @@ export class QuestionAnalysisWorkflow {
     }
   }
 
+  /**
+   * Reuse the themes of a previous run (Node 1, incremental runs)
+   * Themes were validated in the previous run, so theme validation is skipped.
+   * @param {QuestionAnalysisState} state - Current state with previousAnalysis
+   * @returns {Promise<QuestionAnalysisState>} Updated state with themes, derivedQuestion and the previous theme validation
+   */
+  async reuseThemes(state) {
+    const themes = restorePreviousThemes(state.previousAnalysis);
+    logOperation('node-reuseThemes', {
+      questionId: state.question.questionId,
+      themeCount: themes.length
+    });
+
+    return {
+      ...state,
+      themes,
+      derivedQuestion: state.previousAnalysis.derivedQuestion,
+      themeValidation: state.previousAnalysis.metadata?.themeValidation || null
+    };
+  }
+
   /**
    * Validate themes using objective rule-based validation (Node 2)
    * @param {QuestionAnalysisState} state - Current state
@@ -220,7 +266,9 @@ export class QuestionAnalysisWorkflow {
     try {
       // Initialize theme validator
       if (!this.themeValidator) {
-        this.themeValidator = new ThemeValidator();
+        // A theme-count range from the question metadata replaces the default optimum
+        const themeCount = state.question.themeCount;
+        this.themeValidator = new ThemeValidator(themeCount ? { minThemes: themeCount.min, maxThemes: themeCount.max } : {});
         logOperation('node-validateThemes-validator-initialized', {});
       }
 
@@ -280,13 +328,20 @@ export class QuestionAnalysisWorkflow {
         logOperation('node-classifyResponses-agent-initialized', {});
       }
 
+      // Incremental runs classify only participants the previous run did not see
+      const update = state.previousAnalysis ? splitNewResponses(state.previousAnalysis, state.responses) : null;
+      const responses = update ? update.newResponses : state.responses;
+
       // Invoke agent with state data
-      const result = await this.classifierAgent.invoke({
-        derivedQuestion: state.derivedQuestion,
-        themes: state.themes,
-        responses: state.responses,
-        projectBackground: state.projectBackground
-      });
+      const result = responses.length > 0
+        ? await this.classifierAgent.invoke({
+          derivedQuestion: state.derivedQuestion,
+          themes: state.themes,
+          responses,
+          projectBackground: state.projectBackground,
+          analystNotes: state.question.analystNotes
+        })
+        : { classifications: [] };
 
       // Handle errors from agent
       if (result.error) {
@@ -317,6 +372,29 @@ export class QuestionAnalysisWorkflow {
         warnings: result.warnings || []
       });
 
+      if (update) {
+        const incremental = assessIncrementalUpdate({
+          newClassifications: result.classifications,
+          themes: state.themes,
+          newParticipants: responses.length,
+          previousParticipants: update.previousParticipants,
+          missingFromInput: update.missingFromInput
+        });
+        logOperation('node-classifyResponses-incremental', {
+          previousParticipants: incremental.previousParticipants,
+          newParticipants: incremental.newParticipants,
+          poorFitShare: incremental.poorFitShare,
+          possibleMissingTheme: incremental.possibleMissingTheme
+        });
+
+        return {
+          ...state,
+          classifications: [...restorePreviousClassifications(state.previousAnalysis, state.themes), ...result.classifications],
+          classificationQualityMetrics: result.qualityMetrics,
+          incremental
+        };
+      }
+
       return {
         ...state,
         classifications: result.classifications,
@@ -381,10 +459,16 @@ export class QuestionAnalysisWorkflow {
         this.quoteExtractorAgent = new QuoteExtractorAgent();
       }
 
+      // Previous participants missing from an incremental run's input have no text to quote
+      const respondents = new Set(state.responses.map(response => response.participantId));
+      const classifications = state.incremental
+        ? state.classifications.filter(classification => respondents.has(classification.participantId))
+        : state.classifications;
+
       // Prepare input for quote extraction
       const extractionInput = {
         themes: state.themes,
-        classifications: state.classifications,
+        classifications,
         responses: state.responses,
         derivedQuestion: state.derivedQuestion,
         projectBackground: state.projectBackground
@@ -0,0 +1,235 @@
+/**
+ * Column mapping for tabular inputs
+ *
+ * Real survey exports mix timestamp, email, segment and rating columns in with the
+ * open-ended questions. A column mapping assigns each header a role so only real
+ * questions reach the analysis:
+ *
+ *   {
+ *     "idColumn": "Respondent ID",
+ *     "questionColumns": ["/^q\\d+_/i"],
+ *     "ignoreColumns": ["Timestamp", "Email"],
+ *     "metadataColumns": ["Segment", "/rating/i"]
+ *   }
+ *
+ * Patterns are header names (case-insensitive, trimmed) or regular expressions, written
+ * as RegExp objects or "/source/flags" strings so mappings can live in JSON files.
+ * Without `questionColumns`, every column that is not the ID, ignored or metadata is a question.
+ */
+
+import { readTextFile } from '../../utils/helpers/file-utils.js';
+
+const MAPPING_KEYS = ['idColumn', 'questionColumns', 'ignoreColumns', 'metadataColumns'];
+
+// Marks mappings built by normalizeColumnMapping; a symbol, so no raw or JSON mapping can carry it
+const NORMALIZED = Symbol('normalizedColumnMapping');
+
+/**
+ * Load and validate a column mapping from a JSON file
+ * @param {string} filePath - Path to the JSON mapping file
+ * @returns {Promise<{data?: Object, error?: string}>} Normalized mapping or error
+ */
+export async function loadColumnMapping(filePath) {
+  const fileResult = await readTextFile(filePath);
+  if (fileResult.error) {
+    return { error: `Failed to read column mapping: ${fileResult.error}` };
+  }
+
+  let mapping;
+  try {
+    mapping = JSON.parse(fileResult.content);
+  } catch (error) {
+    return { error: `Column mapping is not valid JSON: ${error.message}` };
+  }
+
+  return normalizeColumnMapping(mapping);
+}
+
+/**
+ * Validate the shape of a column mapping and compile its patterns
+ * @param {Object} mapping - Raw mapping (see module docs)
+ * @returns {{data?: Object, error?: string}} Normalized mapping with compiled matchers or error
+ */
+export function normalizeColumnMapping(mapping) {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return { error: 'Column mapping must be an object' };
+  }
+
+  // Already normalized mappings pass through unchanged
+  if (mapping[NORMALIZED] === true) {
+    return { data: mapping };
+  }
+
+  const unknownKeys = Object.keys(mapping).filter(key => !MAPPING_KEYS.includes(key));
+  if (unknownKeys.length > 0) {
+    return { error: `Unknown column mapping keys: ${unknownKeys.join(', ')} (expected ${MAPPING_KEYS.join(', ')})` };
+  }
+
+  const normalized = { idColumn: null, questionColumns: null, ignoreColumns: [], metadataColumns: [] };
+  Object.defineProperty(normalized, NORMALIZED, { value: true });
+
+  if (mapping.idColumn !== undefined) {
+    const matcherResult = compilePattern(mapping.idColumn, 'idColumn');
+    if (matcherResult.error) return matcherResult;
+    normalized.idColumn = matcherResult.data;
+  }
+
+  for (const key of ['questionColumns', 'ignoreColumns', 'metadataColumns']) {
+    if (mapping[key] === undefined) continue;
+
+    const patterns = Array.isArray(mapping[key]) ? mapping[key] : [mapping[key]];
+    const matchers = [];
+    for (const pattern of patterns) {
+      const matcherResult = compilePattern(pattern, key);
+      if (matcherResult.error) return matcherResult;
+      matchers.push(matcherResult.data);
+    }
+    normalized[key] = matchers;
+  }
+
+  return { data: normalized };
+}
+
+/**
+ * Resolve a column mapping against a header row
+ * Fails when the ID column cannot be found unambiguously, when a column is claimed by
+ * more than one role, or when no question columns remain.
+ * @param {Array<string>} headers - Header row (index = column index)
+ * @param {Object|null} mapping - Raw or normalized mapping; null keeps the default layout (ID in column A)
+ * @returns {{data?: {idColumnIndex: number, questionColumns: Array, metadataColumns: Array, ignoredColumns: Array}, warnings?: Array<string>, error?: string}} Column roles or error
+ */
+export function resolveColumnMapping(headers, mapping = null) {
+  let normalized = null;
+  if (mapping) {
+    const normalizeResult = normalizeColumnMapping(mapping);
+    if (normalizeResult.error) return normalizeResult;
+    normalized = normalizeResult.data;
+  }
+
+  const columns = [];
+  for (let columnIndex = 0; columnIndex < headers.length; columnIndex++) {
+    const headerText = headers[columnIndex];
+    if (headerText && headerText.trim() !== '') {
+      columns.push({ columnIndex, headerText: headerText.trim() });
+    }
+  }
+
+  // Default layout: column A holds the participant ID, everything else is a question
+  if (!normalized) {
+    return {
+      data: {
+        idColumnIndex: 0,
+        questionColumns: columns.filter(column => column.columnIndex !== 0),
+        metadataColumns: [],
+        ignoredColumns: []
+      },
+      warnings: []
+    };
+  }
+
+  const warnings = [];
+
+  // Resolve ID column
+  let idColumnIndex = 0;
+  if (normalized.idColumn) {
+    const idMatches = columns.filter(column => normalized.idColumn.test(column.headerText));
+    if (idMatches.length === 0) {
+      return { error: `ID column ${normalized.idColumn.label} not found in headers: ${formatHeaders(columns)}` };
+    }
+    if (idMatches.length > 1) {
+      return { error: `ID column ${normalized.idColumn.label} matches several headers: ${formatHeaders(idMatches)}` };
+    }
+    idColumnIndex = idMatches[0].columnIndex;
+  }
+
+  // Assign roles, refusing columns claimed by more than one role
+  const roleByColumn = new Map([[idColumnIndex, 'idColumn']]);
+  const roles = { questionColumns: [], metadataColumns: [], ignoredColumns: [] };
+  const roleTargets = [
+    ['ignoreColumns', 'ignoredColumns'],
+    ['metadataColumns', 'metadataColumns'],
+    ['questionColumns', 'questionColumns']
+  ];
+
+  for (const [key, target] of roleTargets) {
+    for (const matcher of normalized[key] || []) {
+      const matches = columns.filter(column => matcher.test(column.headerText));
+      if (matches.length === 0) {
+        warnings.push(`Column mapping ${key} pattern ${matcher.label} matched no headers`);
+      }
+
+      for (const column of matches) {
+        const existingRole = roleByColumn.get(column.columnIndex);
+        if (existingRole === key) continue;
+        if (existingRole) {
+          return { error: `Column "${column.headerText}" is mapped as both ${existingRole} and ${key}` };
+        }
+        roleByColumn.set(column.columnIndex, key);
+        roles[target].push(column);
+      }
+    }
+  }
+
+  // Without explicit question columns, every unassigned column is a question
+  const unassigned = columns.filter(column => !roleByColumn.has(column.columnIndex));
+  if (normalized.questionColumns === null) {
+    roles.questionColumns.push(...unassigned);
+  } else {
+    roles.ignoredColumns.push(...unassigned);
+  }
+
+  if (roles.questionColumns.length === 0) {
+    return { error: `Column mapping leaves no question columns in headers: ${formatHeaders(columns)}` };
+  }
+
+  const byColumnIndex = (a, b) => a.columnIndex - b.columnIndex;
+  return {
+    data: {
+      idColumnIndex,
+      questionColumns: roles.questionColumns.sort(byColumnIndex),
+      metadataColumns: roles.metadataColumns.sort(byColumnIndex),
+      ignoredColumns: roles.ignoredColumns.sort(byColumnIndex)
+    },
+    warnings
+  };
+}
+
+/**
+ * Compile a header pattern into a matcher
+ * @param {string|RegExp} pattern - Header name, RegExp or "/source/flags" string
+ * @param {string} key - Mapping key (for error messages)
+ * @returns {{data?: {test: Function, label: string}, error?: string}} Matcher or error
+ */
+function compilePattern(pattern, key) {
+  if (pattern instanceof RegExp) {
+    // Drop the global flag so repeated test() calls do not depend on lastIndex
+    const regex = new RegExp(pattern.source, pattern.flags.replace('g', ''));
+    return { data: { test: header => regex.test(header), label: String(pattern) } };
+  }
+
+  if (typeof pattern !== 'string' || pattern.trim() === '') {
+    return { error: `Column mapping ${key} entries must be non-empty strings or regular expressions` };
+  }
+
+  const regexMatch = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  if (regexMatch) {
+    try {
+      const regex = new RegExp(regexMatch[1], regexMatch[2].replace('g', ''));
+      return { data: { test: header => regex.test(header), label: pattern } };
+    } catch (error) {
+      return { error: `Invalid regular expression in column mapping ${key}: ${pattern} (${error.message})` };
+    }
+  }
+
+  const name = pattern.trim().toLowerCase();
+  return { data: { test: header => header.toLowerCase() === name, label: `"${pattern.trim()}"` } };
+}
+
+/**
+ * Format headers for error messages
+ * @param {Array<{headerText: string}>} columns - Columns to list
+ * @returns {string} Quoted, comma-separated header names
+ */
+function formatHeaders(columns) {
+  return columns.map(column => `"${column.headerText}"`).join(', ');
+}
@@ -0,0 +1,149 @@
+/**
+ * Delimited text parsing (CSV / TSV)
+ *
+ * This module extracts interview data from CSV and TSV exports of survey tools.
+ * Produces the same ExtractedData structure as the Excel extractor so the rest of
+ * the pipeline is unaware of the input format.
+ * Quoted cells may contain delimiters, escaped quotes ("") and line breaks, which is
+ * how multi-turn conversation cells are exported.
+ */
+
+import { readTextFile, getFileExtension } from '../../utils/helpers/file-utils.js';
+import { buildExtractedData } from './excel-extractor.js';
+
+/**
+ * Delimiters used for each supported extension
+ */
+const DELIMITERS_BY_EXTENSION = {
+  csv: ',',
+  tsv: '\t'
+};
+
+/**
+ * Extract data from a CSV or TSV file with dynamic column detection
+ * @param {string} filePath - Path to the .csv or .tsv file
+ * @param {string} backgroundFilePath - Path to project background text file
+ * @param {Object} options - Extraction options
+ * @param {string} options.delimiter - Override the delimiter inferred from the extension
+ * @param {Object} options.columnMapping - Column roles by header name or regex (see column-mapping.js)
+ * @param {boolean} options.audit - Also return a log of every data row as `rowAudit` (see ExtractedDataBuilder)
+ * @returns {Promise<{data?: Object, warnings?: Array<string>, rowAudit?: Array<Object>, error?: string}>} Extracted data structure or error
+ */
+export async function extractDataFromDelimited(filePath, backgroundFilePath, options = {}) {
+  try {
+    // Read project background from file
+    const backgroundResult = await readTextFile(backgroundFilePath);
+    if (backgroundResult.error) {
+      return { error: `Failed to read background file: ${backgroundResult.error}` };
+    }
+    const projectBackground = backgroundResult.content.trim();
+
+    const delimiter = options.delimiter || DELIMITERS_BY_EXTENSION[getFileExtension(filePath)];
+    if (!delimiter) {
+      return { error: `Cannot infer delimiter for file: ${filePath}` };
+    }
+
+    // Read delimited file
+    const fileResult = await readTextFile(filePath);
+    if (fileResult.error) {
+      return { error: `Failed to read input file: ${fileResult.error}` };
+    }
+
+    const parseResult = parseDelimitedText(fileResult.content, delimiter);
+    if (parseResult.error) {
+      return { error: parseResult.error };
+    }
+
+    // Drop rows with no content, matching ExcelJS eachRow behaviour, but keep record numbers for audits
+    const rawData = [];
+    const rowNumbers = [];
+    parseResult.rows.forEach((row, index) => {
+      const cells = row.map(cell => cell.trim());
+      if (cells.some(cell => cell !== '')) {
+        rawData.push(cells);
+        rowNumbers.push(index + 1);
+      }
+    });
+
+    if (rawData.length === 0) {
+      return { error: 'Input file is empty' };
+    }
+
+    return buildExtractedData([{ rows: rawData, rowNumbers }], projectBackground, {
+      columnMapping: options.columnMapping,
+      audit: options.audit
+    });
+
+  } catch (error) {
+    return { error: `Delimited extraction failed: ${error.message}` };
+  }
+}
+
+/**
+ * Parse delimited text into rows of cells (RFC 4180 quoting rules)
+ * @param {string} text - Raw file content
+ * @param {string} delimiter - Single-character field delimiter
+ * @returns {{rows?: Array<Array<string>>, error?: string}} Parsed rows or error
+ */
+export function parseDelimitedText(text, delimiter = ',') {
+  // Strip UTF-8 byte order mark written by Excel "Save as CSV"
+  const content = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  let quotedRowStart = 0;
+  let lineNumber = 1;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (content[i + 1] === '"') {
+          // Escaped quote inside quoted cell
+          cell += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        if (char === '\n') lineNumber++;
+        cell += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && cell === '') {
+      inQuotes = true;
+      quotedRowStart = lineNumber;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      // Treat \r\n as a single line break
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+      lineNumber++;
+    } else {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) {
+    return { error: `Unterminated quoted cell starting on line ${quotedRowStart}` };
+  }
+
+  // Flush final row when the file does not end with a newline
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Normalise multi-line cells to \n so conversation parsing is platform independent
+  return { rows: rows.map(r => r.map(c => c.replace(/\r\n?/g, '\n'))) };
+}
@@ -0,0 +1,190 @@
+/**
+ * Discussion guide for transcript inputs
+ *
+ * A transcript has no question columns, so the discussion guide tells the extractor which
+ * questions the interviewer works through. Each interviewer turn is matched against the guide;
+ * a match opens that question's section and everything until the next match belongs to it.
+ *
+ * JSON guides list questions with optional IDs and cue phrases:
+ *
+ *   {
+ *     "questions": [
+ *       { "questionId": "vpn_selection", "question": "Which VPN do you use and why did you pick it?",
+ *         "cues": ["which vpn", "why did you pick"] }
+ *     ]
+ *   }
+ *
+ * Plain-text guides have one question per line, optionally prefixed with an ID in brackets
+ * ("[vpn_selection] Which VPN do you use?"); lines starting with # are comments.
+ */
+
+import { readTextFile, getFileExtension } from '../../utils/helpers/file-utils.js';
+import { PROCESSING_CONFIG } from '../../utils/config/constants.js';
+import { SPEAKER_ROLES } from '../parsers/conversation-parser.js';
+
+/**
+ * Words that carry no topic information when matching interviewer turns to guide questions
+ */
+const STOP_WORDS = new Set([
+  'the', 'and', 'you', 'your', 'what', 'which', 'how', 'why', 'when', 'where', 'who', 'did', 'does',
+  'are', 'was', 'were', 'have', 'has', 'had', 'that', 'this', 'these', 'those', 'with', 'for', 'about',
+  'can', 'could', 'would', 'should', 'tell', 'any', 'some', 'there', 'they', 'them', 'their', 'from',
+  'into', 'more', 'most', 'our', 'its', 'been', 'being', 'just', 'also', 'all', 'not', 'but', 'out',
+  'like', 'think', 'thing', 'things', 'kind', 'bit', 'maybe', 'really', 'okay', 'yeah'
+]);
+
+/**
+ * Load and validate a discussion guide from a JSON or plain-text file
+ * @param {string} filePath - Path to the guide (.json, otherwise plain text)
+ * @returns {Promise<{data?: Array<Object>, error?: string}>} Normalized guide questions or error
+ */
+export async function loadDiscussionGuide(filePath) {
+  const fileResult = await readTextFile(filePath);
+  if (fileResult.error) {
+    return { error: `Failed to read discussion guide: ${fileResult.error}` };
+  }
+
+  if (getFileExtension(filePath) === 'json') {
+    try {
+      return normalizeDiscussionGuide(JSON.parse(fileResult.content));
+    } catch (error) {
+      return { error: `Discussion guide is not valid JSON: ${error.message}` };
+    }
+  }
+
+  const questions = fileResult.content
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => {
+      const match = line.match(/^\[([^\]]+)\]\s*(.+)$/);
+      return match ? { questionId: match[1].trim(), question: match[2] } : { question: line };
+    });
+
+  return normalizeDiscussionGuide(questions);
+}
+
+/**
+ * Validate a discussion guide and assign default IDs (q1, q2, ...)
+ * @param {Array<string|Object>|{questions: Array<string|Object>}} guide - Guide questions
+ * @returns {{data?: Array<{questionId: string, question: string, cues: Array<string>, keywords: Set<string>}>, error?: string}} Normalized guide or error
+ */
+export function normalizeDiscussionGuide(guide) {
+  const items = Array.isArray(guide) ? guide : guide?.questions;
+  if (!Array.isArray(items) || items.length === 0) {
+    return { error: 'Discussion guide must list at least one question' };
+  }
+
+  const questions = [];
+  const seenIds = new Set();
+
+  for (const [index, item] of items.entries()) {
+    const entry = typeof item === 'string' ? { question: item } : item;
+    const question = typeof entry?.question === 'string' ? entry.question.trim() : '';
+    if (!question) {
+      return { error: `Discussion guide question ${index + 1} has no question text` };
+    }
+
+    const questionId = String(entry.questionId || `q${index + 1}`).trim();
+    if (seenIds.has(questionId)) {
+      return { error: `Duplicate discussion guide question ID: ${questionId}` };
+    }
+    seenIds.add(questionId);
+
+    const cues = entry.cues === undefined ? [] : entry.cues;
+    if (!Array.isArray(cues) || cues.some(cue => typeof cue !== 'string')) {
+      return { error: `Discussion guide question ${questionId}: cues must be an array of strings` };
+    }
+
+    questions.push({
+      questionId,
+      question,
+      cues: cues.map(cue => cue.trim().toLowerCase()).filter(Boolean),
+      keywords: new Set(extractKeywords(question))
+    });
+  }
+
+  return { data: questions };
+}
+
+/**
+ * Find the guide question an interviewer turn asks
+ * Cue phrases are a certain match; otherwise the score is the share of the question's keywords found in the turn.
+ * @param {string} text - Interviewer turn text
+ * @param {Array<Object>} guide - Normalized guide questions
+ * @returns {{questionId: string|null, score: number}} Best matching question
+ */
+export function matchGuideQuestion(text, guide) {
+  const lowerText = text.toLowerCase();
+  const turnKeywords = new Set(extractKeywords(text));
+  let best = { questionId: null, score: 0 };
+
+  for (const question of guide) {
+    let score;
+    if (question.cues.some(cue => lowerText.includes(cue))) {
+      score = 1;
+    } else if (question.keywords.size === 0) {
+      score = 0;
+    } else {
+      const shared = [...question.keywords].filter(keyword => turnKeywords.has(keyword)).length;
+      score = shared / question.keywords.size;
+    }
+
+    if (score > best.score) {
+      best = { questionId: question.questionId, score };
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Split a transcript into one conversation per guide question
+ * Turns before the first recognised question (introductions, consent) are dropped. A question
+ * the interviewer returns to later keeps collecting turns in its section.
+ * @param {Array<{role: string, text: string}>} turns - Transcript turns with speaker roles
+ * @param {Array<Object>} guide - Normalized guide questions
+ * @param {Object} options - Segmentation options
+ * @param {number} options.threshold - Minimum match score for an interviewer turn to open a section
+ * @returns {Object<string, string>} Section conversation text ("interviewer: ..." / "participant: ..." lines) by question ID
+ */
+export function segmentTranscript(turns, guide, options = {}) {
+  const threshold = options.threshold ?? PROCESSING_CONFIG.TRANSCRIPTS.SECTION_MATCH_THRESHOLD;
+  const sections = {};
+  let current = null;
+
+  for (const turn of turns) {
+    if (turn.role === SPEAKER_ROLES.INTERVIEWER) {
+      const match = matchGuideQuestion(turn.text, guide);
+      if (match.score >= threshold) {
+        current = match.questionId;
+      }
+    }
+
+    if (!current) continue;
+
+    const section = sections[current] || (sections[current] = { lines: [], answered: false });
+    section.lines.push(`${turn.role}: ${turn.text}`);
+    section.answered = section.answered || turn.role === SPEAKER_ROLES.PARTICIPANT;
+  }
+
+  // A question asked but never answered has nothing to analyse
+  return Object.fromEntries(
+    Object.entries(sections)
+      .filter(([, section]) => section.answered)
+      .map(([questionId, section]) => [questionId, section.lines.join('\n')])
+  );
+}
+
+/**
+ * Lower-case topic words of a text, without stop words and very short words
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Keywords
+ */
+function extractKeywords(text) {
+  return text
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}']+/u)
+    .map(word => word.replace(/^'+|'+$/g, ''))
+    .filter(word => word.length >= 3 && !STOP_WORDS.has(word));
+}
@@ -7,17 +7,34 @@
  */
 
 import ExcelJS from 'exceljs';
-import { readTextFile } from '../../utils/helpers/file-utils.js';
+import { readTextFile, getFileStats } from '../../utils/helpers/file-utils.js';
+import { PROCESSING_CONFIG } from '../../utils/config/constants.js';
 import { validateExtractedData } from '../../utils/helpers/validation.js';
+import { resolveColumnMapping } from './column-mapping.js';
+import { detectQuestionTypes } from './question-types.js';
 
 /**
  * Extract data from Excel file with dynamic column detection
+ * By default only the first worksheet is read. Pass `sheet` to pick another one, or
+ * `mergeSheets` to combine several worksheets (e.g. one tab per interview wave) into one dataset.
+ * Workbooks above PROCESSING_CONFIG.FILES.STREAMING_THRESHOLD_MB are streamed (see extractDataFromExcelStream).
  * @param {string} excelFilePath - Path to the Excel file
  * @param {string} backgroundFilePath - Path to project background text file
- * @returns {Promise<{data?: Object, error?: string}>} Extracted data structure or error
+ * @param {Object} options - Extraction options
+ * @param {string|number} options.sheet - Worksheet name or 1-based position to extract
+ * @param {boolean|'all'|Array<string|number>} options.mergeSheets - Merge all worksheets (true/'all') or the listed ones
+ * @param {Object} options.columnMapping - Column roles by header name or regex (see column-mapping.js)
+ * @param {boolean|'auto'} options.streaming - Force (true) or disable (false) streaming; 'auto' decides by file size
+ * @param {Function} options.onProgress - Streaming progress callback ({worksheet, rowsRead, responses, done})
+ * @param {boolean} options.audit - Also return a log of every data row as `rowAudit` (see ExtractedDataBuilder)
+ * @returns {Promise<{data?: Object, warnings?: Array<string>, rowAudit?: Array<Object>, error?: string}>} Extracted data structure or error
  */
-export async function extractDataFromExcel(excelFilePath, backgroundFilePath) {
+export async function extractDataFromExcel(excelFilePath, backgroundFilePath, options = {}) {
   try {
+    if (await shouldStreamWorkbook(excelFilePath, options.streaming)) {
+      return await extractDataFromExcelStream(excelFilePath, backgroundFilePath, options);
+    }
+    
     // Read project background from file
     const backgroundResult = await readTextFile(backgroundFilePath);
     if (backgroundResult.error) {
@@ -29,56 +46,458 @@ export async function extractDataFromExcel(excelFilePath, backgroundFilePath) {
     const workbook = new ExcelJS.Workbook();
     await workbook.xlsx.readFile(excelFilePath);
     
-    // Get first worksheet
-    const worksheet = workbook.getWorksheet(1);
-    if (!worksheet) {
-      return { error: 'No worksheet found in Excel file' };
+    // Resolve which worksheets to read
+    const selection = selectWorksheets(workbook, options);
+    if (selection.error) {
+      return { error: selection.error };
+    }
+    
+    const sources = [];
+    const warnings = [];
+    for (const worksheet of selection.worksheets) {
+      const source = worksheetToSource(worksheet);
+      if (source.rows.length === 0) {
+        warnings.push(`Worksheet "${worksheet.name}" is empty and was skipped`);
+        continue;
+      }
+      sources.push(source);
+    }
+    
+    if (sources.length === 0) {
+      return { error: 'Excel file is empty' };
+    }
+    
+    const result = buildExtractedData(sources, projectBackground, { columnMapping: options.columnMapping, audit: options.audit });
+    if (result.error) {
+      return result;
+    }
+    
+    return { ...result, warnings: [...warnings, ...result.warnings] };
+    
+  } catch (error) {
+    return { error: `Excel extraction failed: ${error.message}` };
+  }
+}
+
+/**
+ * Extract data from an Excel file with ExcelJS's streaming reader
+ * Rows are mapped to responses as they are read, so memory grows with the number of
+ * responses rather than with the size of the workbook. Selected worksheets are read in
+ * the order they are stored in the file.
+ * @param {string} excelFilePath - Path to the Excel file
+ * @param {string} backgroundFilePath - Path to project background text file
+ * @param {Object} options - Extraction options (sheet, mergeSheets, columnMapping, onProgress, audit; see extractDataFromExcel)
+ * @returns {Promise<{data?: Object, warnings?: Array<string>, rowAudit?: Array<Object>, error?: string}>} Extracted data structure or error
+ */
+export async function extractDataFromExcelStream(excelFilePath, backgroundFilePath, options = {}) {
+  try {
+    // Read project background from file
+    const backgroundResult = await readTextFile(backgroundFilePath);
+    if (backgroundResult.error) {
+      return { error: `Failed to read background file: ${backgroundResult.error}` };
     }
+    const projectBackground = backgroundResult.content.trim();
+    
+    const { onProgress } = options;
+    const progressInterval = PROCESSING_CONFIG.FILES.STREAMING_PROGRESS_ROWS;
+    const builder = new ExtractedDataBuilder(projectBackground, { columnMapping: options.columnMapping, audit: options.audit });
+    const warnings = [];
+    let selectedNames = null;
+    let sourcesRead = 0;
+    let rowsRead = 0;
+    
+    const workbookReader = new ExcelJS.stream.xlsx.WorkbookReader(excelFilePath, {
+      worksheets: 'emit',
+      sharedStrings: 'cache',
+      hyperlinks: 'ignore',
+      styles: 'ignore',
+      entries: 'ignore'
+    });
     
-    // Convert worksheet to array of arrays
-    const rawData = [];
-    worksheet.eachRow((row, rowNumber) => {
-      const rowData = [];
-      row.eachCell((cell, colNumber) => {
-        // Handle different cell value types
-        let cellValue = '';
-        if (cell.value !== null && cell.value !== undefined) {
-          if (typeof cell.value === 'object') {
-            // Handle different object types
-            if (cell.value.text) {
-              // Rich text object
-              cellValue = cell.value.text;
-            } else if (cell.value.richText) {
-              // Rich text array
-              cellValue = cell.value.richText.map(rt => rt.text).join('');
-            } else if (cell.value.formula) {
-              // Formula object
-              cellValue = cell.value.result || '';
-            } else {
-              // Try to extract meaningful content or use raw text
-              cellValue = cell.text || JSON.stringify(cell.value);
-            }
-          } else {
-            cellValue = String(cell.value);
+    for await (const worksheetReader of workbookReader) {
+      // The workbook part (sheet names and order) is read before the first worksheet
+      if (!selectedNames) {
+        const selection = selectWorksheets({ worksheets: workbookReader.model?.sheets || [] }, options);
+        if (selection.error) {
+          return { error: selection.error };
+        }
+        selectedNames = new Set(selection.worksheets.map(worksheet => worksheet.name));
+      }
+      
+      const selected = selectedNames.has(worksheetReader.name);
+      let headerRead = false;
+      
+      for await (const row of worksheetReader) {
+        // Unselected worksheets are still read through to reach the next part of the file
+        if (!selected) continue;
+        
+        const cells = rowToCells(row);
+        if (!headerRead) {
+          const sourceResult = builder.addSource(cells, worksheetReader.name);
+          if (sourceResult.error) {
+            return sourceResult;
           }
+          headerRead = true;
+          continue;
         }
-        rowData[colNumber - 1] = cellValue.trim();
-      });
-      rawData.push(rowData);
-    });
+        
+        builder.addRow(cells, row.number);
+        rowsRead++;
+        if (onProgress && rowsRead % progressInterval === 0) {
+          onProgress({ worksheet: worksheetReader.name, rowsRead, responses: builder.participantResponses.length, done: false });
+        }
+      }
+      
+      if (!selected) continue;
+      if (headerRead) {
+        sourcesRead++;
+      } else {
+        warnings.push(`Worksheet "${worksheetReader.name}" is empty and was skipped`);
+      }
+    }
     
-    if (rawData.length === 0) {
+    if (!selectedNames) {
+      return { error: 'No worksheet found in Excel file' };
+    }
+    if (sourcesRead === 0) {
       return { error: 'Excel file is empty' };
     }
     
-    // Extract headers from first row
-    const headers = rawData[0];
+    if (onProgress) {
+      onProgress({ worksheet: null, rowsRead, responses: builder.participantResponses.length, done: true });
+    }
+    
+    const result = builder.build();
+    if (result.error) {
+      return result;
+    }
+    
+    return { ...result, warnings: [...warnings, ...result.warnings] };
+    
+  } catch (error) {
+    return { error: `Excel streaming extraction failed: ${error.message}` };
+  }
+}
+
+/**
+ * Decide whether a workbook should be streamed
+ * @param {string} excelFilePath - Path to the Excel file
+ * @param {boolean|'auto'|undefined} streaming - Explicit choice, or 'auto'/undefined to decide by file size
+ * @returns {Promise<boolean>} True to use the streaming reader
+ */
+async function shouldStreamWorkbook(excelFilePath, streaming) {
+  if (streaming !== undefined && streaming !== 'auto') {
+    return Boolean(streaming);
+  }
+  
+  try {
+    const stats = await getFileStats(excelFilePath);
+    return stats.size >= PROCESSING_CONFIG.FILES.STREAMING_THRESHOLD_MB * 1024 * 1024;
+  } catch {
+    // Missing files are reported by the regular reader
+    return false;
+  }
+}
+
+/**
+ * List the worksheets in an Excel file
+ * @param {string} excelFilePath - Path to the Excel file
+ * @returns {Promise<{sheets?: Array<{position: number, name: string, rowCount: number, columnCount: number, state: string}>, error?: string}>} Worksheet summaries or error
+ */
+export async function listExcelSheets(excelFilePath) {
+  try {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(excelFilePath);
+    
+    const sheets = workbook.worksheets.map((worksheet, index) => ({
+      position: index + 1,
+      name: worksheet.name,
+      rowCount: worksheet.actualRowCount,
+      columnCount: worksheet.actualColumnCount,
+      state: worksheet.state
+    }));
+    
+    return { sheets };
+    
+  } catch (error) {
+    return { error: `Failed to list worksheets: ${error.message}` };
+  }
+}
+
+/**
+ * Resolve the worksheets requested by extraction options
+ * @param {ExcelJS.Workbook} workbook - Loaded workbook
+ * @param {Object} options - Extraction options (sheet, mergeSheets)
+ * @returns {{worksheets?: Array<ExcelJS.Worksheet>, error?: string}} Worksheets in extraction order or error
+ */
+export function selectWorksheets(workbook, options = {}) {
+  const allWorksheets = workbook.worksheets;
+  if (allWorksheets.length === 0) {
+    return { error: 'No worksheet found in Excel file' };
+  }
+  
+  const { sheet, mergeSheets } = options;
+  if (sheet !== undefined && mergeSheets) {
+    return { error: 'Options "sheet" and "mergeSheets" cannot be combined' };
+  }
+  
+  if (mergeSheets === true || mergeSheets === 'all') {
+    return { worksheets: allWorksheets };
+  }
+  
+  const references = Array.isArray(mergeSheets) ? mergeSheets : [sheet ?? 1];
+  const worksheets = [];
+  for (const reference of references) {
+    const worksheet = findWorksheet(allWorksheets, reference);
+    if (!worksheet) {
+      const available = allWorksheets.map(ws => `"${ws.name}"`).join(', ');
+      return { error: `Worksheet ${JSON.stringify(reference)} not found (available: ${available})` };
+    }
+    if (!worksheets.includes(worksheet)) {
+      worksheets.push(worksheet);
+    }
+  }
+  
+  return { worksheets };
+}
+
+/**
+ * Find a worksheet by 1-based position or by name (exact match first, then case-insensitive)
+ * @param {Array<ExcelJS.Worksheet>} worksheets - Worksheets in workbook order
+ * @param {string|number} reference - Worksheet name or position
+ * @returns {ExcelJS.Worksheet|undefined} Matching worksheet
+ */
+function findWorksheet(worksheets, reference) {
+  if (typeof reference === 'number') {
+    return worksheets[reference - 1];
+  }
+  
+  const name = String(reference).trim();
+  const byName = worksheets.find(ws => ws.name === name) ||
+    worksheets.find(ws => ws.name.toLowerCase() === name.toLowerCase());
+  
+  // Numeric strings (e.g. from environment variables) fall back to position
+  if (!byName && /^\d+$/.test(name)) {
+    return worksheets[Number(name) - 1];
+  }
+  return byName;
+}
+
+/**
+ * Convert a worksheet to an array of rows of trimmed cell strings
+ * @param {ExcelJS.Worksheet} worksheet - Worksheet to convert
+ * @returns {Array<Array<string>>} Rows, headers first
+ */
+export function worksheetToRows(worksheet) {
+  return worksheetToSource(worksheet).rows;
+}
+
+/**
+ * Convert a worksheet to a named table for buildExtractedData
+ * Blank rows are skipped by ExcelJS, so the worksheet row numbers are kept alongside the cells.
+ * @param {ExcelJS.Worksheet} worksheet - Worksheet to convert
+ * @returns {{name: string, rows: Array<Array<string>>, rowNumbers: Array<number>}} Table with headers first
+ */
+export function worksheetToSource(worksheet) {
+  const rows = [];
+  const rowNumbers = [];
+  worksheet.eachRow((row) => {
+    rows.push(rowToCells(row));
+    rowNumbers.push(row.number);
+  });
+  return { name: worksheet.name, rows, rowNumbers };
+}
+
+/**
+ * Convert a worksheet row (loaded or streamed) to trimmed cell strings
+ * @param {ExcelJS.Row} row - Worksheet row
+ * @returns {Array<string>} Cells by column position
+ */
+function rowToCells(row) {
+  const rowData = [];
+  row.eachCell((cell, colNumber) => {
+    // Handle different cell value types
+    let cellValue = '';
+    if (cell.value !== null && cell.value !== undefined) {
+      if (typeof cell.value === 'object') {
+        // Handle different object types
+        if (cell.value.text) {
+          // Rich text object
+          cellValue = cell.value.text;
+        } else if (cell.value.richText) {
+          // Rich text array
+          cellValue = cell.value.richText.map(rt => rt.text).join('');
+        } else if (cell.value.formula) {
+          // Formula object
+          cellValue = cell.value.result || '';
+        } else {
+          // Try to extract meaningful content or use raw text
+          cellValue = cell.text || JSON.stringify(cell.value);
+        }
+      } else {
+        cellValue = String(cell.value);
+      }
+    }
+    rowData[colNumber - 1] = String(cellValue).trim();
+  });
+  return rowData;
+}
+
+/**
+ * Build the ExtractedData structure from one or more tables
+ * Shared by every tabular extractor so all input formats produce the same shape.
+ * Questions with matching headers are deduplicated across tables; when a table is
+ * named (e.g. a worksheet) every response records it as `sourceSheet`.
+ * The column mapping is validated against each table's headers before its rows are read.
+ * @param {Array<{name?: string, rows: Array<Array<string>>, rowNumbers?: Array<number>}>} sources - Tables of trimmed cell strings, headers first, with optional source row numbers
+ * @param {string} projectBackground - Project background text
+ * @param {Object} options - Build options
+ * @param {Object} options.columnMapping - Column roles by header name or regex (default: ID in column A, rest are questions)
+ * @param {boolean} options.audit - Also return a log of every data row as `rowAudit`
+ * @returns {{data?: Object, warnings?: Array<string>, rowAudit?: Array<Object>, error?: string}} Extracted data or error
+ */
+export function buildExtractedData(sources, projectBackground, options = {}) {
+  const builder = new ExtractedDataBuilder(projectBackground, options);
+  
+  for (const source of sources) {
+    const sourceResult = builder.addSource(source.rows[0], source.name);
+    if (sourceResult.error) {
+      return sourceResult;
+    }
+    source.rows.slice(1).forEach((row, index) => builder.addRow(row, source.rowNumbers?.[index + 1]));
+  }
+  
+  return builder.build();
+}
+
+/**
+ * Incremental builder for the ExtractedData structure
+ * Tables are added one at a time and rows one by one, so streamed inputs are mapped to
+ * responses as they arrive instead of being held in memory as arrays of rows.
+ */
+export class ExtractedDataBuilder {
+  /**
+   * @param {string} projectBackground - Project background text
+   * @param {Object} options - Build options (columnMapping, audit)
+   */
+  constructor(projectBackground, options = {}) {
+    this.projectBackground = projectBackground;
+    this.options = options;
+    this.questionsById = new Map();
+    this.participantResponses = [];
+    this.participantAttributes = {};
+    this.warnings = [];
+    this.seenResponseKeys = new Map();
+    this.columnRoles = { idColumns: new Set(), metadataColumns: new Set(), ignoredColumns: new Set() };
+    this.sourceNames = [];
+    this.currentSource = null;
+    // Input audits need every row, including the ones that produce no response
+    this.rowAudit = options.audit ? [] : null;
+  }
+  
+  /**
+   * Start a new table from its header row
+   * @param {Array<string>} headers - Trimmed header cells
+   * @param {string} [name] - Table name (worksheet), recorded as sourceSheet
+   * @returns {{error?: string}} Error when the column mapping does not fit the headers
+   */
+  addSource(headers, name) {
+    const mappingResult = resolveColumnMapping(headers, this.options.columnMapping);
+    if (mappingResult.error) {
+      return { error: name ? `Worksheet "${name}": ${mappingResult.error}` : mappingResult.error };
+    }
+    const prefix = name ? `Worksheet "${name}": ` : '';
+    this.warnings.push(...mappingResult.warnings.map(warning => `${prefix}${warning}`));
+    
+    const { idColumnIndex, questionColumns, metadataColumns, ignoredColumns } = mappingResult.data;
+    this.columnRoles.idColumns.add(headers[idColumnIndex]);
+    metadataColumns.forEach(column => this.columnRoles.metadataColumns.add(column.headerText));
+    ignoredColumns.forEach(column => this.columnRoles.ignoredColumns.add(column.headerText));
     
-    // Detect questions from column headers (columns 1+ after participant ID)
-    const questions = detectQuestions(headers);
+    const questions = questionColumns.map(column => ({
+      columnIndex: column.columnIndex,
+      questionId: column.headerText,
+      headerText: column.headerText
+    }));
     
-    // Extract participant responses from data rows
-    const participantResponses = extractParticipantResponses(rawData.slice(1), questions);
+    for (const question of questions) {
+      const existing = this.questionsById.get(question.questionId);
+      if (!existing) {
+        this.questionsById.set(question.questionId, name
+          ? { ...question, sourceSheets: [name] }
+          : question);
+      } else if (name && !existing.sourceSheets.includes(name)) {
+        existing.sourceSheets.push(name);
+      }
+    }
+    
+    if (name) {
+      this.sourceNames.push(name);
+    }
+    this.currentSource = { name, idColumnIndex, questions, metadataColumns, lastRowNumber: 1 };
+    return {};
+  }
+  
+  /**
+   * Map one data row of the current table to responses and participant attributes
+   * @param {Array<string>} row - Trimmed cells
+   * @param {number} [rowNumber] - Row number in the source table (defaults to the row after the previous one)
+   * @returns {number} Number of responses found in the row
+   */
+  addRow(row, rowNumber = this.currentSource.lastRowNumber + 1) {
+    const { name, idColumnIndex, questions, metadataColumns } = this.currentSource;
+    
+    if (this.rowAudit) {
+      // Rows skipped by the reader show up as gaps in the row numbers
+      for (let blank = this.currentSource.lastRowNumber + 1; blank < rowNumber; blank++) {
+        this.rowAudit.push({ source: name || null, rowNumber: blank, participantId: null, answeredQuestions: 0, blank: true });
+      }
+      this.rowAudit.push({
+        source: name || null,
+        rowNumber,
+        participantId: row[idColumnIndex] || null,
+        answeredQuestions: questions.filter(question => row[question.columnIndex]).length,
+        blank: false
+      });
+    }
+    this.currentSource.lastRowNumber = rowNumber;
+    
+    // Capture metadata columns (segment, plan tier, region...) per participant
+    const attributeResult = extractParticipantAttributes([row], metadataColumns, idColumnIndex);
+    for (const [participantId, attributes] of Object.entries(attributeResult)) {
+      const existing = this.participantAttributes[participantId] || (this.participantAttributes[participantId] = {});
+      for (const [attributeName, value] of Object.entries(attributes)) {
+        if (existing[attributeName] !== undefined && existing[attributeName] !== value) {
+          this.warnings.push(`Participant ${participantId} has conflicting ${attributeName} values "${existing[attributeName]}" and "${value}" - keeping the first`);
+          continue;
+        }
+        existing[attributeName] = value;
+      }
+    }
+    
+    const responses = extractParticipantResponses([row], questions, idColumnIndex);
+    for (const response of responses) {
+      const key = `${response.participantId}-${response.questionId}`;
+      if (name && this.seenResponseKeys.has(key) && this.seenResponseKeys.get(key) !== name) {
+        this.warnings.push(`Participant ${response.participantId} answered ${response.questionId} in both "${this.seenResponseKeys.get(key)}" and "${name}"`);
+      }
+      this.seenResponseKeys.set(key, name);
+      this.participantResponses.push(name ? { ...response, sourceSheet: name } : response);
+    }
+    
+    return responses.length;
+  }
+  
+  /**
+   * Finish the dataset: question statistics, metadata and validation
+   * With the audit option the result also carries `rowAudit`: one entry per data row
+   * ({source, rowNumber, participantId, answeredQuestions, blank}), in reading order.
+   * @returns {{data?: Object, warnings?: Array<string>, rowAudit?: Array<Object>, error?: string}} Extracted data or error
+   */
+  build() {
+    const participantResponses = this.participantResponses;
+    // Ratings, yes/no and other closed-ended columns are summarized without the LLM workflow
+    const questions = detectQuestionTypes([...this.questionsById.values()], participantResponses);
     
     // Calculate statistics per question
     const questionStats = calculateQuestionStats(participantResponses, questions);
@@ -91,10 +510,28 @@ export async function extractDataFromExcel(excelFilePath, backgroundFilePath) {
       totalResponses: participantResponses.length
     };
     
+    if (this.sourceNames.length > 0) {
+      metadata.sourceSheets = this.sourceNames;
+    }
+    
+    if (this.options.columnMapping) {
+      metadata.columnMapping = {
+        idColumns: [...this.columnRoles.idColumns],
+        metadataColumns: [...this.columnRoles.metadataColumns],
+        ignoredColumns: [...this.columnRoles.ignoredColumns]
+      };
+    }
+    
+    const attributeNames = [...this.columnRoles.metadataColumns];
+    if (attributeNames.length > 0) {
+      metadata.attributeNames = attributeNames;
+    }
+    
     const extractedData = {
-      projectBackground,
+      projectBackground: this.projectBackground,
       questions,
       participantResponses,
+      participantAttributes: this.participantAttributes,
       questionStats,
       metadata
     };
@@ -105,49 +542,45 @@ export async function extractDataFromExcel(excelFilePath, backgroundFilePath) {
       return { error: `Data validation failed: ${validationResult.error}` };
     }
     
-    return { data: extractedData, warnings: validationResult.warnings };
-    
-  } catch (error) {
-    return { error: `Excel extraction failed: ${error.message}` };
+    const result = { data: extractedData, warnings: [...this.warnings, ...(validationResult.warnings || [])] };
+    if (this.rowAudit) {
+      result.rowAudit = this.rowAudit;
+    }
+    return result;
   }
 }
 
 /**
  * Detect questions from Excel column headers
  * @param {Array} headers - Array of column headers
- * @returns {Array<Object>} Question objects with columnIndex, questionId, headerText
+ * @param {Object} columnMapping - Optional column mapping; by default columns 1+ are questions
+ * @returns {Array<Object>} Question objects with columnIndex, questionId, headerText (empty if the mapping is invalid)
  */
-export function detectQuestions(headers) {
-  const questions = [];
-  
-  // Extract questions from columns 1+ (everything after participant ID column)
-  for (let columnIndex = 1; columnIndex < headers.length; columnIndex++) {
-    const headerText = headers[columnIndex];
-    
-    // Check if header exists and is not empty
-    if (headerText && headerText.trim() !== '') {
-      questions.push({
-        columnIndex: columnIndex,
-        questionId: headerText.trim(),
-        headerText: headerText.trim()
-      });
-    }
+export function detectQuestions(headers, columnMapping = null) {
+  const mappingResult = resolveColumnMapping(headers, columnMapping);
+  if (mappingResult.error) {
+    return [];
   }
   
-  return questions;
+  return mappingResult.data.questionColumns.map(column => ({
+    columnIndex: column.columnIndex,
+    questionId: column.headerText,
+    headerText: column.headerText
+  }));
 }
 
 /**
  * Extract participant responses from Excel rows
  * @param {Array} dataRows - Excel data rows
  * @param {Array} questions - Detected questions
+ * @param {number} idColumnIndex - Column holding the participant ID (default column A)
  * @returns {Array<Object>} Participant responses
  */
-export function extractParticipantResponses(dataRows, questions) {
+export function extractParticipantResponses(dataRows, questions, idColumnIndex = 0) {
   const participantResponses = [];
   
   for (const row of dataRows) {
-    const participantId = row[0]; // Column A always contains participant ID
+    const participantId = row[idColumnIndex];
     
     // Check if participant ID exists and is not empty
     if (participantId && participantId.trim() !== '') {
@@ -169,6 +602,36 @@ export function extractParticipantResponses(dataRows, questions) {
   return participantResponses;
 }
 
+/**
+ * Extract per-participant attributes from metadata columns
+ * @param {Array} dataRows - Data rows
+ * @param {Array<{columnIndex: number, headerText: string}>} metadataColumns - Columns mapped as metadata
+ * @param {number} idColumnIndex - Column holding the participant ID
+ * @returns {Object<string, Object<string, string>>} Attributes by participant ID (empty cells omitted)
+ */
+export function extractParticipantAttributes(dataRows, metadataColumns, idColumnIndex = 0) {
+  const participantAttributes = {};
+  if (metadataColumns.length === 0) {
+    return participantAttributes;
+  }
+  
+  for (const row of dataRows) {
+    const participantId = row[idColumnIndex];
+    if (!participantId || participantId.trim() === '') continue;
+    
+    const attributes = participantAttributes[participantId.trim()] || {};
+    for (const column of metadataColumns) {
+      const value = row[column.columnIndex];
+      if (value && value.trim() !== '' && attributes[column.headerText] === undefined) {
+        attributes[column.headerText] = value.trim();
+      }
+    }
+    participantAttributes[participantId.trim()] = attributes;
+  }
+  
+  return participantAttributes;
+}
+
 /**
  * Calculate response statistics per question
  * @param {Array} participantResponses - Array of participant responses
@@ -0,0 +1,252 @@
+/**
+ * Question metadata for tabular and transcript inputs
+ *
+ * Column headers make poor question IDs, and the theme generator otherwise has to guess
+ * what was asked. A question-metadata file, keyed by column header, describes each question:
+ *
+ *   {
+ *     "Q3 - Which VPN do you use today and why?": {
+ *       "id": "vpn_choice",
+ *       "question": "Which VPN do you use today, and why did you choose it?",
+ *       "notes": "Keep free trials apart from price",
+ *       "themeCount": { "min": 3, "max": 6 },
+ *       "skip": false
+ *     },
+ *     "Q4 - Plan tier": { "type": "categorical" },
+ *     "Interviewer notes": { "skip": true }
+ *   }
+ *
+ * Headers are matched case-insensitively after trimming. Every field is optional: `id` replaces
+ * the header as question ID, `question` is the wording put to participants, `notes` are analyst
+ * notes for the agents, `themeCount` is a theme-count range (or one number), `type` overrides the
+ * detected question type (open, numeric or categorical; see question-types.js) and `skip` leaves
+ * the question out of the analysis.
+ */
+
+import { readTextFile } from '../../utils/helpers/file-utils.js';
+import { QUESTION_TYPES } from './question-types.js';
+
+const METADATA_KEYS = ['id', 'question', 'notes', 'themeCount', 'type', 'skip'];
+
+// Marks metadata built by normalizeQuestionMetadata; a symbol, so no header in a raw file can fake it
+const NORMALIZED = Symbol('normalizedQuestionMetadata');
+
+/**
+ * Load and validate question metadata from a JSON file
+ * @param {string} filePath - Path to the JSON metadata file
+ * @returns {Promise<{data?: Object, error?: string}>} Normalized metadata or error
+ */
+export async function loadQuestionMetadata(filePath) {
+  const fileResult = await readTextFile(filePath);
+  if (fileResult.error) {
+    return { error: `Failed to read question metadata: ${fileResult.error}` };
+  }
+
+  let metadata;
+  try {
+    metadata = JSON.parse(fileResult.content);
+  } catch (error) {
+    return { error: `Question metadata is not valid JSON: ${error.message}` };
+  }
+
+  return normalizeQuestionMetadata(metadata);
+}
+
+/**
+ * Validate the shape of question metadata
+ * @param {Object} metadata - Raw metadata keyed by column header (see module docs)
+ * @returns {{data?: {entries: Array<Object>}, error?: string}} Entries with header, id, questionText, analystNotes, themeCount, questionType and skip, or error
+ */
+export function normalizeQuestionMetadata(metadata) {
+  if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+    return { error: 'Question metadata must be an object keyed by column header' };
+  }
+
+  // Already normalized metadata passes through unchanged
+  if (metadata[NORMALIZED] === true) {
+    return { data: metadata };
+  }
+
+  const entries = [];
+  const headers = new Set();
+  const ids = new Set();
+
+  for (const [header, settings] of Object.entries(metadata)) {
+    const label = `Question "${header}"`;
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      return { error: `${label} must map to an object` };
+    }
+
+    const unknownKeys = Object.keys(settings).filter(key => !METADATA_KEYS.includes(key));
+    if (unknownKeys.length > 0) {
+      return { error: `${label} has unknown keys: ${unknownKeys.join(', ')} (expected ${METADATA_KEYS.join(', ')})` };
+    }
+
+    const headerKey = normalizeHeader(header);
+    if (headers.has(headerKey)) {
+      return { error: `${label} is listed more than once` };
+    }
+    headers.add(headerKey);
+
+    for (const key of ['id', 'question', 'notes']) {
+      if (settings[key] !== undefined && (typeof settings[key] !== 'string' || settings[key].trim() === '')) {
+        return { error: `${label} ${key} must be a non-empty string` };
+      }
+    }
+    const questionTypes = Object.values(QUESTION_TYPES);
+    if (settings.type !== undefined && !questionTypes.includes(settings.type)) {
+      return { error: `${label} type must be one of ${questionTypes.join(', ')}` };
+    }
+    if (settings.skip !== undefined && typeof settings.skip !== 'boolean') {
+      return { error: `${label} skip must be true or false` };
+    }
+
+    const id = settings.id?.trim() || null;
+    if (id) {
+      if (ids.has(id)) {
+        return { error: `${label} reuses question ID "${id}"` };
+      }
+      ids.add(id);
+    }
+
+    let themeCount = null;
+    if (settings.themeCount !== undefined) {
+      const rangeResult = normalizeThemeCount(settings.themeCount, label);
+      if (rangeResult.error) return rangeResult;
+      themeCount = rangeResult.data;
+    }
+
+    entries.push({
+      header: header.trim(),
+      id,
+      questionText: settings.question?.trim() || null,
+      analystNotes: settings.notes?.trim() || null,
+      themeCount,
+      questionType: settings.type || null,
+      skip: settings.skip === true
+    });
+  }
+
+  const normalized = { entries };
+  Object.defineProperty(normalized, NORMALIZED, { value: true });
+  return { data: normalized };
+}
+
+/**
+ * Apply question metadata to extracted data
+ * Renames question IDs (in questions, responses and question stats), adds questionText,
+ * analystNotes and themeCount to questions, overrides their detected questionType, and removes
+ * skipped questions with their responses.
+ * @param {Object} extractedData - Extracted data (see ExtractedData)
+ * @param {Object} metadata - Raw or normalized question metadata
+ * @returns {{data?: Object, warnings?: Array<string>, error?: string}} New extracted data or error
+ */
+export function applyQuestionMetadata(extractedData, metadata) {
+  const normalizeResult = normalizeQuestionMetadata(metadata);
+  if (normalizeResult.error) return normalizeResult;
+
+  const byHeader = new Map(normalizeResult.data.entries.map(entry => [normalizeHeader(entry.header), entry]));
+  const warnings = [];
+  const matched = new Set();
+  const idMap = new Map();
+  const skippedQuestions = [];
+  const questions = [];
+
+  for (const question of extractedData.questions) {
+    const entry = byHeader.get(normalizeHeader(question.headerText));
+    if (!entry) {
+      questions.push(question);
+      idMap.set(question.questionId, question.questionId);
+      continue;
+    }
+
+    matched.add(entry);
+    if (entry.skip) {
+      skippedQuestions.push(question.headerText);
+      continue;
+    }
+
+    const configured = { ...question, questionId: entry.id || question.questionId };
+    if (entry.questionText) configured.questionText = entry.questionText;
+    if (entry.analystNotes) configured.analystNotes = entry.analystNotes;
+    if (entry.themeCount) configured.themeCount = entry.themeCount;
+    if (entry.questionType) configured.questionType = entry.questionType;
+    questions.push(configured);
+    idMap.set(question.questionId, configured.questionId);
+  }
+
+  for (const entry of normalizeResult.data.entries) {
+    if (!matched.has(entry)) {
+      warnings.push(`Question metadata for "${entry.header}" matched no question column`);
+    }
+  }
+
+  if (questions.length === 0) {
+    return { error: 'Question metadata skips every question' };
+  }
+
+  const seenIds = new Set();
+  for (const question of questions) {
+    if (seenIds.has(question.questionId)) {
+      return { error: `Question metadata gives two questions the ID "${question.questionId}"` };
+    }
+    seenIds.add(question.questionId);
+  }
+
+  const participantResponses = extractedData.participantResponses
+    .filter(response => idMap.has(response.questionId))
+    .map(response => ({ ...response, questionId: idMap.get(response.questionId) }));
+
+  const questionStats = {};
+  for (const [questionId, stats] of Object.entries(extractedData.questionStats || {})) {
+    if (idMap.has(questionId)) {
+      questionStats[idMap.get(questionId)] = stats;
+    }
+  }
+
+  return {
+    data: {
+      ...extractedData,
+      questions,
+      participantResponses,
+      questionStats,
+      metadata: {
+        ...extractedData.metadata,
+        totalQuestions: questions.length,
+        totalResponses: participantResponses.length,
+        totalParticipants: new Set(participantResponses.map(response => response.participantId)).size,
+        questionMetadata: {
+          configuredQuestions: matched.size,
+          skippedQuestions
+        }
+      }
+    },
+    warnings
+  };
+}
+
+/**
+ * Validate a theme-count range
+ * @param {number|{min: number, max: number}} value - One count or a min/max range
+ * @param {string} label - Question label (for error messages)
+ * @returns {{data?: {min: number, max: number}, error?: string}} Range or error
+ */
+function normalizeThemeCount(value, label) {
+  const range = typeof value === 'number' ? { min: value, max: value } : value;
+  if (!range || typeof range !== 'object' || !Number.isInteger(range.min) || !Number.isInteger(range.max)) {
+    return { error: `${label} themeCount must be a whole number or { "min": n, "max": n }` };
+  }
+  if (range.min < 1 || range.min > range.max) {
+    return { error: `${label} themeCount needs 1 <= min <= max` };
+  }
+  return { data: { min: range.min, max: range.max } };
+}
+
+/**
+ * Normalize a header for matching
+ * @param {string} header - Column header
+ * @returns {string} Trimmed, lower-cased header
+ */
+function normalizeHeader(header) {
+  return String(header).trim().toLowerCase();
+}
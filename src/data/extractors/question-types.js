@@ -0,0 +1,155 @@
+/**
+ * Question type detection
+ *
+ * Not every question column holds open-ended answers. Ratings, yes/no answers and NPS scores
+ * are closed-ended: they need counting, not thematic analysis. Each question is typed from its
+ * answers during extraction:
+ *
+ *   - numeric: (almost) every answer is a number, e.g. 1-5 ratings or 0-10 NPS scores
+ *   - categorical: a few short answers repeated across participants, e.g. Yes/No or Likert labels
+ *   - open: everything else, analysed by the LLM workflow
+ *
+ * Closed-ended questions are split off before response cleaning and summarized by
+ * descriptive-generator.js without any LLM calls.
+ */
+
+import { PROCESSING_CONFIG } from '../../utils/config/constants.js';
+
+export const QUESTION_TYPES = {
+  OPEN: 'open',
+  NUMERIC: 'numeric',
+  CATEGORICAL: 'categorical'
+};
+
+const NUMBER_PATTERN = /^[-+]?(\d+([.,]\d+)?|[.,]\d+)$/;
+// Thousands grouped with commas (1,250 or 1,250,000.5)
+const COMMA_GROUPED_PATTERN = /^[-+]?[1-9]\d{0,2}(,\d{3})+(\.\d+)?$/;
+// Thousands grouped with points, with a decimal comma or at least two groups (1.250,5 or 1.250.000)
+const POINT_GROUPED_PATTERN = /^[-+]?[1-9]\d{0,2}((\.\d{3})+,\d+|(\.\d{3}){2,})$/;
+
+/**
+ * Detect the type of a question from its answers
+ * @param {Array<string>} values - Answers to the question
+ * @returns {string} One of QUESTION_TYPES
+ */
+export function detectQuestionType(values) {
+  const config = PROCESSING_CONFIG.QUESTION_TYPES;
+  const answers = values.map(value => String(value ?? '').trim()).filter(Boolean);
+
+  // Too few answers to tell a closed question from a short open one
+  if (answers.length < config.MIN_RESPONSES) {
+    return QUESTION_TYPES.OPEN;
+  }
+
+  const numbers = answers.filter(answer => parseNumber(answer) !== null).length;
+  if (numbers / answers.length >= config.NUMERIC_MIN_SHARE) {
+    return QUESTION_TYPES.NUMERIC;
+  }
+
+  if (answers.some(answer => answer.length > config.MAX_CATEGORY_LENGTH || answer.includes('\n'))) {
+    return QUESTION_TYPES.OPEN;
+  }
+
+  const categories = new Set(answers.map(normalizeCategory)).size;
+  if (categories <= config.MAX_CATEGORIES && categories / answers.length <= config.MAX_DISTINCT_SHARE) {
+    return QUESTION_TYPES.CATEGORICAL;
+  }
+
+  return QUESTION_TYPES.OPEN;
+}
+
+/**
+ * Type every question from the answers given to it
+ * @param {Array<Object>} questions - Questions (see ExtractedData)
+ * @param {Array<Object>} participantResponses - Responses with questionId and response
+ * @returns {Array<Object>} Copies of the questions with questionType
+ */
+export function detectQuestionTypes(questions, participantResponses) {
+  const answersByQuestion = new Map(questions.map(question => [question.questionId, []]));
+  for (const response of participantResponses) {
+    answersByQuestion.get(response.questionId)?.push(response.response);
+  }
+
+  return questions.map(question => ({
+    ...question,
+    questionType: detectQuestionType(answersByQuestion.get(question.questionId))
+  }));
+}
+
+/**
+ * Check whether a question is closed-ended
+ * Questions without a detected type are treated as open-ended.
+ * @param {Object} question - Question with optional questionType
+ * @returns {boolean} True for numeric and categorical questions
+ */
+export function isClosedQuestion(question) {
+  return question.questionType === QUESTION_TYPES.NUMERIC || question.questionType === QUESTION_TYPES.CATEGORICAL;
+}
+
+/**
+ * Split closed-ended questions off extracted data
+ * The returned data holds the open-ended questions, their responses and question stats only.
+ * Each closed question keeps its fields and gets its answers as responses: [{participantId, value}].
+ * @param {Object} extractedData - Extracted data (see ExtractedData)
+ * @returns {{data: Object, closedQuestions: Array<Object>}} Open-ended data and closed questions with their answers
+ */
+export function separateClosedQuestions(extractedData) {
+  const closedIds = new Set(extractedData.questions.filter(isClosedQuestion).map(question => question.questionId));
+  if (closedIds.size === 0) {
+    return { data: extractedData, closedQuestions: [] };
+  }
+
+  const closedQuestions = extractedData.questions
+    .filter(question => closedIds.has(question.questionId))
+    .map(question => ({
+      ...question,
+      responses: extractedData.participantResponses
+        .filter(response => response.questionId === question.questionId)
+        .map(response => ({ participantId: response.participantId, value: String(response.response).trim() }))
+    }));
+
+  const questionStats = {};
+  for (const [questionId, stats] of Object.entries(extractedData.questionStats || {})) {
+    if (!closedIds.has(questionId)) {
+      questionStats[questionId] = stats;
+    }
+  }
+
+  return {
+    data: {
+      ...extractedData,
+      questions: extractedData.questions.filter(question => !closedIds.has(question.questionId)),
+      participantResponses: extractedData.participantResponses.filter(response => !closedIds.has(response.questionId)),
+      questionStats
+    },
+    closedQuestions
+  };
+}
+
+/**
+ * Parse an answer as a number (decimal point or comma)
+ * A comma followed by exactly three digits after a non-zero integer part groups thousands
+ * ("1,250" is 1250, "1,25" and "0,250" are decimals), as do points before a decimal comma or
+ * repeated (1.250,5 and 1.250.000). A single point stays a decimal point ("1.250" is 1.25).
+ * @param {string} value - Answer text
+ * @returns {number|null} The number, or null when the answer is not a number
+ */
+export function parseNumber(value) {
+  const text = String(value ?? '').trim();
+  if (COMMA_GROUPED_PATTERN.test(text)) {
+    return Number(text.replace(/,/g, ''));
+  }
+  if (POINT_GROUPED_PATTERN.test(text)) {
+    return Number(text.replace(/\./g, '').replace(',', '.'));
+  }
+  return NUMBER_PATTERN.test(text) ? Number(text.replace(',', '.')) : null;
+}
+
+/**
+ * Normalize a categorical answer for counting: trimmed, lower case, single spaces, no trailing punctuation
+ * @param {string} value - Answer text
+ * @returns {string} Normalized category
+ */
+export function normalizeCategory(value) {
+  return String(value ?? '').trim().toLowerCase().replace(/\s+/g, ' ').replace(/[.!?]+$/, '');
+}
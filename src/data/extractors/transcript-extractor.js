@@ -0,0 +1,370 @@
+/**
+ * Transcript folder extraction
+ *
+ * This module extracts interview data from a folder holding one transcript per participant
+ * (.vtt, .srt, .docx or .txt). The file name (without extension) is the participant ID.
+ * Speakers are mapped to interviewer and participant roles, and each transcript is split into
+ * question sections with a discussion guide (see discussion-guide.js).
+ * Produces the same ExtractedData structure as the Excel extractor so the rest of the
+ * pipeline is unaware of the input format.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import JSZip from 'jszip';
+import { readTextFile, listFiles, getFileExtension } from '../../utils/helpers/file-utils.js';
+import { PROCESSING_CONFIG } from '../../utils/config/constants.js';
+import { resolveSpeakerLabels, SPEAKER_ROLES } from '../parsers/conversation-parser.js';
+import { loadDiscussionGuide, normalizeDiscussionGuide, segmentTranscript } from './discussion-guide.js';
+import { buildExtractedData } from './excel-extractor.js';
+
+/**
+ * Extract data from a folder of transcript files
+ * @param {string} folderPath - Folder containing one transcript file per participant
+ * @param {string} backgroundFilePath - Path to project background text file
+ * @param {Object} options - Extraction options
+ * @param {string} options.discussionGuidePath - Discussion guide file (.json or plain text)
+ * @param {Array|Object} options.discussionGuide - Discussion guide given inline instead of a file
+ * @param {Object} options.speakerLabels - Extra speaker names per role ({interviewer, participant})
+ * @param {number} options.sectionMatchThreshold - Minimum score for an interviewer turn to open a question section
+ * @param {boolean} options.audit - Also return a log of every transcript row as `rowAudit` (see ExtractedDataBuilder)
+ * @returns {Promise<{data?: Object, warnings?: Array<string>, rowAudit?: Array<Object>, error?: string}>} Extracted data structure or error
+ */
+export async function extractDataFromTranscripts(folderPath, backgroundFilePath, options = {}) {
+  try {
+    // Read project background from file
+    const backgroundResult = await readTextFile(backgroundFilePath);
+    if (backgroundResult.error) {
+      return { error: `Failed to read background file: ${backgroundResult.error}` };
+    }
+    const projectBackground = backgroundResult.content.trim();
+
+    if (!options.discussionGuide && !options.discussionGuidePath) {
+      return { error: 'A discussion guide is required to split transcripts into question sections' };
+    }
+    const guideResult = options.discussionGuide
+      ? normalizeDiscussionGuide(options.discussionGuide)
+      : await loadDiscussionGuide(options.discussionGuidePath);
+    if (guideResult.error) {
+      return { error: `Invalid discussion guide: ${guideResult.error}` };
+    }
+    const guide = guideResult.data;
+
+    const labelResult = resolveSpeakerLabels(options.speakerLabels);
+    if (labelResult.error) {
+      return { error: `Invalid speaker labels: ${labelResult.error}` };
+    }
+
+    let files;
+    try {
+      files = await listFiles(folderPath, { extensions: PROCESSING_CONFIG.TRANSCRIPTS.SUPPORTED_FORMATS });
+    } catch (error) {
+      return { error: error.message };
+    }
+    if (files.length === 0) {
+      return { error: `No transcript files (${PROCESSING_CONFIG.TRANSCRIPTS.SUPPORTED_FORMATS.map(f => `.${f}`).join(', ')}) found in ${folderPath}` };
+    }
+
+    const warnings = [];
+    const rows = [['participant_id', ...guide.map(question => question.questionId)]];
+    const sourceFiles = {};
+
+    for (const filePath of files) {
+      const fileName = path.basename(filePath);
+      const participantId = path.basename(filePath, path.extname(filePath)).trim();
+
+      if (sourceFiles[participantId]) {
+        warnings.push(`${fileName}: participant ${participantId} was already read from ${sourceFiles[participantId]} - skipping`);
+        continue;
+      }
+
+      const transcriptResult = await readTranscript(filePath);
+      if (transcriptResult.error) {
+        warnings.push(`${fileName}: ${transcriptResult.error} - skipping`);
+        continue;
+      }
+
+      const roleResult = assignSpeakerRoles(transcriptResult.utterances, labelResult.data);
+      warnings.push(...roleResult.warnings.map(warning => `${fileName}: ${warning}`));
+      if (roleResult.error) {
+        warnings.push(`${fileName}: ${roleResult.error} - skipping`);
+        continue;
+      }
+
+      const sections = segmentTranscript(roleResult.turns, guide, { threshold: options.sectionMatchThreshold });
+      if (Object.keys(sections).length === 0) {
+        warnings.push(`${fileName}: no discussion guide question was recognised - skipping`);
+        continue;
+      }
+
+      sourceFiles[participantId] = fileName;
+      rows.push([participantId, ...guide.map(question => sections[question.questionId] || '')]);
+    }
+
+    if (rows.length === 1) {
+      return { error: 'No transcript could be split into discussion guide questions', warnings };
+    }
+
+    const result = buildExtractedData([{ rows }], projectBackground, { audit: options.audit });
+    if (result.error) {
+      return result;
+    }
+
+    // Keep the guide wording and the source file of every response
+    const questionsById = new Map(guide.map(question => [question.questionId, question]));
+    result.data.questions.forEach(question => {
+      question.questionText = questionsById.get(question.questionId).question;
+    });
+    result.data.participantResponses.forEach(response => {
+      response.sourceFile = sourceFiles[response.participantId];
+    });
+    result.data.metadata.transcriptFiles = Object.values(sourceFiles);
+
+    return { ...result, warnings: [...warnings, ...result.warnings] };
+
+  } catch (error) {
+    return { error: `Transcript extraction failed: ${error.message}` };
+  }
+}
+
+/**
+ * Read a transcript file into speaker utterances
+ * @param {string} filePath - Path to a .vtt, .srt, .docx or .txt file
+ * @returns {Promise<{utterances?: Array<{speaker: string|null, text: string}>, error?: string}>} Utterances or error
+ */
+export async function readTranscript(filePath) {
+  const format = getFileExtension(filePath);
+
+  if (!PROCESSING_CONFIG.TRANSCRIPTS.SUPPORTED_FORMATS.includes(format)) {
+    return { error: `Unsupported transcript format: .${format}` };
+  }
+
+  const fileResult = format === 'docx' ? await readDocxText(filePath) : await readTextFile(filePath);
+  if (fileResult.error) {
+    return { error: fileResult.error };
+  }
+
+  // Strip UTF-8 byte order mark
+  const content = fileResult.content.replace(/^\uFEFF/, '');
+  const utterances = format === 'vtt' || format === 'srt' ? parseCaptions(content) : parseSpeakerLines(content);
+  if (utterances.length === 0) {
+    return { error: 'Transcript is empty' };
+  }
+
+  return { utterances };
+}
+
+/**
+ * Parse WebVTT or SubRip captions into utterances
+ * Speakers come from WebVTT voice tags (<v Jane>) or a "Name:" prefix; cues without a speaker
+ * continue the previous speaker. Cue numbers, timings and formatting tags are dropped.
+ * @param {string} content - Caption file content
+ * @returns {Array<{speaker: string|null, text: string}>} Utterances with consecutive cues of a speaker merged
+ */
+export function parseCaptions(content) {
+  const utterances = [];
+
+  for (const block of content.replace(/\r\n?/g, '\n').split(/\n\s*\n/)) {
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    // Header, NOTE, STYLE and REGION blocks have no cue timing
+    if (timingIndex === -1) continue;
+
+    for (const line of lines.slice(timingIndex + 1)) {
+      const voice = line.match(/<v(?:\.[^\s>]*)?\s+([^>]+)>/);
+      const text = stripCaptionTags(line);
+      if (!text) continue;
+
+      if (voice) {
+        appendUtterance(utterances, voice[1].trim(), text);
+      } else {
+        const speakerLine = matchSpeakerLine(text);
+        appendUtterance(utterances, speakerLine?.speaker ?? null, speakerLine ? speakerLine.text : text);
+      }
+    }
+  }
+
+  return utterances.filter(utterance => utterance.text);
+}
+
+/**
+ * Parse "Name: text" transcripts (plain text and Word documents) into utterances
+ * Leading timestamps are ignored; lines without a speaker continue the previous utterance.
+ * @param {string} content - Transcript text
+ * @returns {Array<{speaker: string|null, text: string}>} Utterances
+ */
+export function parseSpeakerLines(content) {
+  const utterances = [];
+
+  for (const rawLine of content.replace(/\r\n?/g, '\n').split('\n')) {
+    const line = rawLine.replace(/^\s*[[(]?\d{1,2}:\d{2}(?::\d{2})?(?:[.,]\d+)?[\])]?\s*[-–]?\s*/, '').trim();
+    if (!line) continue;
+
+    const speakerLine = matchSpeakerLine(line);
+    if (speakerLine) {
+      appendUtterance(utterances, speakerLine.speaker, speakerLine.text);
+    } else {
+      appendUtterance(utterances, null, line);
+    }
+  }
+
+  return utterances.filter(utterance => utterance.text);
+}
+
+/**
+ * Map transcript speakers to interviewer and participant roles
+ * Speakers named in the speaker labels take that role. If no speaker is a known interviewer,
+ * the speaker asking the most questions is taken as the interviewer. Everyone else is a participant.
+ * @param {Array<{speaker: string|null, text: string}>} utterances - Transcript utterances
+ * @param {Object} labels - Resolved speaker labels (see resolveSpeakerLabels)
+ * @returns {{turns?: Array<{role: string, speaker: string, text: string}>, warnings: Array<string>, error?: string}} Turns with roles or error
+ */
+export function assignSpeakerRoles(utterances, labels) {
+  const warnings = [];
+  const speakers = [...new Set(utterances.map(utterance => utterance.speaker).filter(Boolean))];
+  const roles = new Map(speakers.map(speaker => [speaker, labelRole(speaker, labels)]));
+
+  if (speakers.length === 0) {
+    return { warnings, error: 'no speaker names found' };
+  }
+
+  if (![...roles.values()].includes(SPEAKER_ROLES.INTERVIEWER)) {
+    const questionCounts = speakers
+      .filter(speaker => !roles.get(speaker))
+      .map(speaker => ({
+        speaker,
+        questions: utterances.filter(u => u.speaker === speaker).reduce((sum, u) => sum + (u.text.match(/\?/g) || []).length, 0)
+      }))
+      .sort((a, b) => b.questions - a.questions);
+
+    if (questionCounts.length === 0 || questionCounts[0].questions === 0) {
+      return { warnings, error: 'could not tell which speaker is the interviewer (add their name to the interviewer speaker labels)' };
+    }
+
+    roles.set(questionCounts[0].speaker, SPEAKER_ROLES.INTERVIEWER);
+    warnings.push(`no known interviewer name, treating "${questionCounts[0].speaker}" as the interviewer`);
+  }
+
+  speakers.filter(speaker => !roles.get(speaker)).forEach(speaker => roles.set(speaker, SPEAKER_ROLES.PARTICIPANT));
+
+  const participants = speakers.filter(speaker => roles.get(speaker) === SPEAKER_ROLES.PARTICIPANT);
+  if (participants.length === 0) {
+    return { warnings, error: 'no participant speaker found' };
+  }
+  if (participants.length > 1) {
+    warnings.push(`several participant speakers (${participants.join(', ')}) - their turns are combined`);
+  }
+
+  return {
+    turns: utterances
+      .filter(utterance => utterance.speaker)
+      .map(utterance => ({ role: roles.get(utterance.speaker), speaker: utterance.speaker, text: utterance.text })),
+    warnings
+  };
+}
+
+/**
+ * Read the paragraph text of a Word (.docx) document
+ * @param {string} filePath - Path to the .docx file
+ * @returns {Promise<{content?: string, error?: string}>} One line per paragraph or error
+ */
+export async function readDocxText(filePath) {
+  try {
+    const zip = await JSZip.loadAsync(await fs.readFile(filePath));
+    const documentXml = zip.file('word/document.xml');
+    if (!documentXml) {
+      return { error: 'Not a Word document (word/document.xml missing)' };
+    }
+
+    const xml = await documentXml.async('string');
+    // Text runs, tabs and line breaks in document order, one line per paragraph
+    const paragraphs = xml.split(/<\/w:p>/).map(paragraph => decodeXmlEntities(
+      [...paragraph.matchAll(/<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>|<w:(tab|br)\/>/g)]
+        .map(match => match[2] === 'tab' ? '\t' : match[2] === 'br' ? '\n' : match[1])
+        .join('')
+    ));
+
+    return { content: paragraphs.join('\n') };
+
+  } catch (error) {
+    return { error: `Failed to read Word document: ${error.message}` };
+  }
+}
+
+/**
+ * Split a "Name: text" line into speaker and text
+ * @param {string} line - Transcript line
+ * @returns {{speaker: string, text: string}|null} Speaker line or null when the line is plain speech
+ */
+function matchSpeakerLine(line) {
+  const match = line.match(/^([^:]{1,60}?)\s*:\s*(.*)$/);
+  if (!match) return null;
+
+  const speaker = match[1].trim().replace(/^[-–]\s*/, '');
+  const words = speaker.split(/\s+/).length;
+  // Sentence punctuation or a long prefix means the colon is part of the speech
+  if (!speaker || /[.?!,;"]/.test(speaker) || /^\d+$/.test(speaker) || words > PROCESSING_CONFIG.TRANSCRIPTS.MAX_SPEAKER_NAME_WORDS) {
+    return null;
+  }
+
+  return { speaker, text: match[2].trim() };
+}
+
+/**
+ * Add text to the transcript, merging it into the previous utterance when the speaker is unchanged
+ * @param {Array<{speaker: string|null, text: string}>} utterances - Utterances so far
+ * @param {string|null} speaker - Speaker name, null to continue the previous speaker
+ * @param {string} text - Spoken text
+ */
+function appendUtterance(utterances, speaker, text) {
+  const last = utterances[utterances.length - 1];
+  if (last && (speaker === null || speaker === last.speaker)) {
+    last.text = [last.text, text].filter(Boolean).join(' ');
+    return;
+  }
+  utterances.push({ speaker, text });
+}
+
+/**
+ * Role a speaker name is configured for, matching the conversation parser labels
+ * @param {string} speaker - Speaker name from the transcript, e.g. "Jane (Moderator)"
+ * @param {Object} labels - Resolved speaker labels
+ * @returns {string|null} Speaker role or null when the name is not configured
+ */
+function labelRole(speaker, labels) {
+  const normalize = value => value.trim().replace(/\s+/g, ' ').toLowerCase();
+  const hint = speaker.match(/\(([^)]+)\)\s*$/);
+  const candidates = [normalize(speaker), normalize(speaker.replace(/\([^)]*\)\s*$/, '')), hint ? normalize(hint[1]) : null];
+
+  for (const candidate of candidates.filter(Boolean)) {
+    if (labels.interviewer.includes(candidate)) return SPEAKER_ROLES.INTERVIEWER;
+    if (labels.participant.includes(candidate)) return SPEAKER_ROLES.PARTICIPANT;
+  }
+  return null;
+}
+
+/**
+ * Remove caption markup (voice, class and timestamp tags, SRT position codes)
+ * @param {string} line - Caption text line
+ * @returns {string} Plain text
+ */
+function stripCaptionTags(line) {
+  return decodeXmlEntities(line.replace(/<[^>]*>/g, '').replace(/\{\\[^}]*\}/g, '')).replace(/^\s*-\s*/, '').trim();
+}
+
+/**
+ * Decode the XML/HTML entities used by Word and WebVTT
+ * @param {string} text - Encoded text
+ * @returns {string} Decoded text
+ */
+function decodeXmlEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, decimal) => String.fromCodePoint(parseInt(decimal, 10)))
+    .replace(/&amp;/g, '&');
+}
@@ -9,6 +9,20 @@ import {
   validateExtractedData as validateData, 
   isValidParticipantId as validateParticipantId 
 } from '../../utils/helpers/validation.js';
+import { getResponseParticipantText } from '../parsers/conversation-parser.js';
+import { PROCESSING_CONFIG } from '../../utils/config/constants.js';
+
+/**
+ * Quality flags given to cleaned responses
+ */
+export const QUALITY_FLAGS = {
+  OK: 'ok',
+  LOW_EFFORT: 'low_effort',
+  NEAR_DUPLICATE: 'near_duplicate'
+};
+
+// Rounding slack for threshold arithmetic (0.7 * 10 is 7.000000000000001)
+const SIMILARITY_EPSILON = 1e-9;
 
 /**
  * Validate a single participant response
@@ -40,8 +54,8 @@ export function isValidResponse(response) {
     return { error: 'Response content cannot be empty' };
   }
   
-  // Basic length check (minimum 1 character, maximum reasonable limit)
-  if (response.response.length > 50000) {
+  // Long interviews are chunked for analysis; only reject sizes no transcript reaches
+  if (response.response.length > PROCESSING_CONFIG.RESPONSES.REJECT_LENGTH) {
     return { error: 'Response content is too long' };
   }
   
@@ -86,3 +100,210 @@ export function findDuplicateResponses(responses) {
   
   return duplicates;
 }
+
+/**
+ * Normalize answer text for comparison: lower case, no punctuation, single spaces
+ * Apostrophes are dropped so "don't" and "dont" compare equal.
+ * @param {string} text - Answer text
+ * @returns {string} Normalized text
+ */
+export function normalizeResponseText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Check whether an answer carries no real content ("idk", "n/a", a single word)
+ * @param {string} text - Participant answer text
+ * @param {Object} [options] - Detection options
+ * @param {Array<string>} [options.phrases] - Low-effort phrases (default PROCESSING_CONFIG.QUALITY.LOW_EFFORT_PHRASES)
+ * @param {number} [options.maxWords] - Answers with at most this many words are low effort
+ * @returns {{lowEffort: boolean, reason?: string}} Detection result with reason
+ */
+export function isLowEffortResponse(text, options = {}) {
+  const phrases = options.phrases || PROCESSING_CONFIG.QUALITY.LOW_EFFORT_PHRASES;
+  const maxWords = options.maxWords ?? PROCESSING_CONFIG.QUALITY.LOW_EFFORT_MAX_WORDS;
+  const normalized = normalizeResponseText(text);
+
+  if (!normalized) {
+    return { lowEffort: true, reason: 'No words in answer' };
+  }
+  if (phrases.some(phrase => normalizeResponseText(phrase) === normalized)) {
+    return { lowEffort: true, reason: `Non-answer "${normalized}"` };
+  }
+  const wordCount = normalized.split(' ').length;
+  if (wordCount <= maxWords) {
+    return { lowEffort: true, reason: `${wordCount}-word answer` };
+  }
+  return { lowEffort: false };
+}
+
+/**
+ * Find answers to the same question that are copies or near copies of an earlier answer
+ * Similarity is the Jaccard overlap of the answers' word pairs, so reordered sentences and
+ * small edits still match. The first answer in input order is kept as the original.
+ * Answers are only compared with originals sharing one of their rarest word pairs (prefix
+ * filtering): two answers at or above the threshold always share one, so no duplicate is missed
+ * and large questions are not compared pair by pair.
+ * @param {Array<Object>} responses - Cleaned responses (participant text is compared)
+ * @param {Object} [options] - Detection options
+ * @param {number} [options.similarity] - Minimum similarity (default PROCESSING_CONFIG.QUALITY.NEAR_DUPLICATE_SIMILARITY)
+ * @param {number} [options.minWords] - Shorter answers are not compared
+ * @returns {Array<{response: Object, duplicateOf: string, similarity: number}>} Near-duplicate responses
+ */
+export function findNearDuplicateResponses(responses, options = {}) {
+  const threshold = options.similarity ?? PROCESSING_CONFIG.QUALITY.NEAR_DUPLICATE_SIMILARITY;
+  const minWords = options.minWords ?? PROCESSING_CONFIG.QUALITY.NEAR_DUPLICATE_MIN_WORDS;
+
+  // Word pairs of every answer long enough to compare, by question
+  const candidatesByQuestion = new Map();
+  for (const response of responses) {
+    const words = normalizeResponseText(getResponseParticipantText(response)).split(' ').filter(Boolean);
+    if (words.length < minWords) continue;
+    const pairs = new Set(words.slice(1).map((word, index) => `${words[index]} ${word}`));
+    if (!candidatesByQuestion.has(response.questionId)) {
+      candidatesByQuestion.set(response.questionId, []);
+    }
+    candidatesByQuestion.get(response.questionId).push({ response, pairs });
+  }
+
+  const duplicates = [];
+  for (const candidates of candidatesByQuestion.values()) {
+    duplicates.push(...findQuestionDuplicates(candidates, threshold));
+  }
+
+  // Input order, as callers list flags per response
+  const order = new Map(responses.map((response, index) => [response, index]));
+  return duplicates.sort((a, b) => order.get(a.response) - order.get(b.response));
+}
+
+/**
+ * Give every cleaned response a quality flag (ok, low_effort or near_duplicate)
+ * Low effort wins when both apply. Responses are not modified; flags are returned per response.
+ * @param {Array<Object>} responses - Cleaned responses
+ * @param {Object} [options] - Options for isLowEffortResponse and findNearDuplicateResponses
+ * @returns {Array<{flag: string, reason?: string, duplicateOf?: string, similarity?: number}>} Quality per response, in input order
+ */
+export function assessResponseQuality(responses, options = {}) {
+  const duplicates = new Map(findNearDuplicateResponses(responses, options).map(d => [d.response, d]));
+
+  return responses.map(response => {
+    const lowEffort = isLowEffortResponse(getResponseParticipantText(response), options);
+    if (lowEffort.lowEffort) {
+      return { flag: QUALITY_FLAGS.LOW_EFFORT, reason: lowEffort.reason };
+    }
+    const duplicate = duplicates.get(response);
+    if (duplicate) {
+      return {
+        flag: QUALITY_FLAGS.NEAR_DUPLICATE,
+        reason: `${Math.round(duplicate.similarity * 100)}% similar to participant ${duplicate.duplicateOf}`,
+        duplicateOf: duplicate.duplicateOf,
+        similarity: duplicate.similarity
+      };
+    }
+    return { flag: QUALITY_FLAGS.OK };
+  });
+}
+
+/**
+ * Check whether a cleaned response carries a quality flag other than ok
+ * @param {Object} response - Cleaned response
+ * @returns {boolean} True when flagged
+ */
+export function isFlaggedResponse(response) {
+  return Boolean(response?.quality && response.quality.flag !== QUALITY_FLAGS.OK);
+}
+
+/**
+ * Near duplicates among the answers to one question
+ * @param {Array<{response: Object, pairs: Set<string>}>} candidates - Answers in input order with their word pairs
+ * @param {number} threshold - Minimum similarity
+ * @returns {Array<{response: Object, duplicateOf: string, similarity: number}>} Near-duplicate responses
+ */
+function findQuestionDuplicates(candidates, threshold) {
+  // Rarest pairs first: their prefixes are short and rarely shared by chance
+  const frequency = new Map();
+  for (const { pairs } of candidates) {
+    for (const pair of pairs) {
+      frequency.set(pair, (frequency.get(pair) || 0) + 1);
+    }
+  }
+  const byRarity = (a, b) => frequency.get(a) - frequency.get(b) || (a < b ? -1 : a > b ? 1 : 0);
+
+  const originals = [];
+  const originalsByPair = new Map();
+  const duplicates = [];
+
+  for (const { response, pairs } of candidates) {
+    // Without pairs, or at a threshold of 0, prefixes prove nothing: compare with every original
+    const prefix = prefixPairs(pairs, threshold, byRarity);
+    let matches;
+    if (prefix) {
+      const indexes = new Set();
+      for (const pair of prefix) {
+        for (const index of originalsByPair.get(pair) || []) indexes.add(index);
+      }
+      matches = [...indexes].sort((a, b) => a - b).map(index => originals[index]);
+    } else {
+      matches = originals;
+    }
+
+    let best = null;
+    for (const original of matches) {
+      if (original.participantId === response.participantId) continue;
+      // Sets this different in size cannot reach the threshold
+      if (Math.min(pairs.size, original.pairs.size) < threshold * Math.max(pairs.size, original.pairs.size) - SIMILARITY_EPSILON) continue;
+      const similarity = jaccardSimilarity(pairs, original.pairs);
+      if (similarity >= threshold && (!best || similarity > best.similarity)) {
+        best = { duplicateOf: original.participantId, similarity };
+      }
+    }
+
+    if (best) {
+      duplicates.push({ response, duplicateOf: best.duplicateOf, similarity: Math.round(best.similarity * 100) / 100 });
+      continue;
+    }
+
+    const index = originals.push({ participantId: response.participantId, pairs }) - 1;
+    for (const pair of prefix || pairs) {
+      if (!originalsByPair.has(pair)) originalsByPair.set(pair, []);
+      originalsByPair.get(pair).push(index);
+    }
+  }
+
+  return duplicates;
+}
+
+/**
+ * Rarest word pairs of an answer, enough that any answer at the threshold shares one of them
+ * with this answer's own prefix: |pairs| - ceil(threshold * |pairs|) + 1 of them
+ * @param {Set<string>} pairs - Word pairs of the answer
+ * @param {number} threshold - Minimum similarity
+ * @param {Function} byRarity - Comparator putting the rarest pairs first
+ * @returns {Array<string>|null} Prefix pairs, or null when every original must be compared
+ */
+function prefixPairs(pairs, threshold, byRarity) {
+  if (pairs.size === 0 || threshold <= 0) {
+    return null;
+  }
+  const length = pairs.size - Math.ceil(threshold * pairs.size - SIMILARITY_EPSILON) + 1;
+  return [...pairs].sort(byRarity).slice(0, length);
+}
+
+/**
+ * Jaccard similarity of two sets
+ * @param {Set} a - First set
+ * @param {Set} b - Second set
+ * @returns {number} Shared items over all items (0-1)
+ */
+function jaccardSimilarity(a, b) {
+  if (a.size === 0 && b.size === 0) return 1;
+  let shared = 0;
+  for (const item of a) {
+    if (b.has(item)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
@@ -10,6 +10,11 @@
  * @property {number} columnIndex - Excel column index
  * @property {string} questionId - Unique question identifier
  * @property {string} headerText - Original header text from Excel
+ * @property {string[]} [sourceSheets] - Worksheets containing this question (Excel inputs)
+ * @property {string} [questionText] - Wording put to participants (question metadata, or discussion guide for transcript inputs)
+ * @property {string} [analystNotes] - Analyst notes for the agents (question metadata)
+ * @property {{min: number, max: number}} [themeCount] - Theme-count range (question metadata)
+ * @property {'open'|'numeric'|'categorical'} [questionType] - Detected from the answers, or set by question metadata; closed-ended types skip the LLM workflow
  */
 
 /**
@@ -19,6 +24,8 @@
  * @property {string} response - Raw conversation format response
  * @property {string} cleanResponse - Cleaned response text
  * @property {number} responseLength - Length of the response
+ * @property {string} [sourceSheet] - Worksheet the response was read from (Excel inputs)
+ * @property {string} [sourceFile] - Transcript file the response was read from (transcript inputs)
  */
 
 /**
@@ -32,15 +39,25 @@
  * @property {string} projectBackground - Project background information
  * @property {Question[]} questions - Array of detected questions
  * @property {ParticipantResponse[]} participantResponses - All participant responses
+ * @property {Object<string, ParticipantAttributes>} participantAttributes - Metadata column values by participant ID
  * @property {Object<string, QuestionStats>} questionStats - Statistics by question ID
  * @property {DataMetadata} metadata - Overall data metadata
  */
 
+/**
+ * @typedef {Object<string, string>} ParticipantAttributes
+ * Values of the metadata columns (segment, plan tier, region...) for one participant, keyed by header
+ */
+
 /**
  * @typedef {Object} DataMetadata
  * @property {number} totalParticipants - Total unique participants
  * @property {number} totalQuestions - Total number of questions
  * @property {number} totalResponses - Total number of responses
+ * @property {string[]} [sourceSheets] - Worksheets merged into this dataset (Excel inputs)
+ * @property {string[]} [attributeNames] - Metadata columns captured as participant attributes
+ * @property {string[]} [transcriptFiles] - Transcript files read into this dataset (transcript inputs)
+ * @property {{configuredQuestions: number, skippedQuestions: string[]}} [questionMetadata] - Questions described or skipped by question metadata
  */
 
 /**
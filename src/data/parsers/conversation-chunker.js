@@ -0,0 +1,237 @@
+/**
+ * Turn-aware chunking of long conversations
+ *
+ * In-depth interviews can be far longer than one classification prompt should carry.
+ * This module splits long conversations into chunks on turn boundaries, keeping each
+ * interviewer question together with the answers that follow it. A single turn longer
+ * than a chunk is split at sentence ends. Chunks are classified on their own and rolled
+ * back up to one classification per participant, with the chunk results kept as provenance.
+ */
+
+import { formatConversation, getParticipantText, SPEAKER_ROLES } from './conversation-parser.js';
+import { PROCESSING_CONFIG } from '../../utils/config/constants.js';
+
+/**
+ * Split a conversation into chunks of whole turns
+ * @param {Array<Object>} turns - Conversation turns (see parseConversation)
+ * @param {Object} [options] - Chunking options
+ * @param {number} [options.maxChars] - Longest chunk in characters of turn text (default PROCESSING_CONFIG.RESPONSES.MAX_LENGTH)
+ * @returns {Array<Array<Object>>} Turns of each chunk, in conversation order
+ */
+export function chunkConversation(turns, options = {}) {
+  const maxChars = options.maxChars || PROCESSING_CONFIG.RESPONSES.MAX_LENGTH;
+
+  // An exchange is an interviewer turn and the turns up to the next interviewer turn
+  const exchanges = [];
+  for (const turn of turns.flatMap(turn => splitLongTurn(turn, maxChars))) {
+    if (turn.role === SPEAKER_ROLES.INTERVIEWER || exchanges.length === 0) {
+      exchanges.push([]);
+    }
+    exchanges[exchanges.length - 1].push(turn);
+  }
+
+  const chunks = [];
+  let current = [];
+  let currentLength = 0;
+  const add = turn => {
+    if (current.length > 0 && currentLength + turn.text.length > maxChars) {
+      chunks.push(current);
+      current = [];
+      currentLength = 0;
+    }
+    current.push(turn);
+    currentLength += turn.text.length;
+  };
+
+  for (const exchange of exchanges) {
+    const exchangeLength = exchange.reduce((sum, turn) => sum + turn.text.length, 0);
+    // Start a new chunk rather than separate a question from its answer
+    if (current.length > 0 && exchangeLength <= maxChars && currentLength + exchangeLength > maxChars) {
+      chunks.push(current);
+      current = [];
+      currentLength = 0;
+    }
+    exchange.forEach(add);
+  }
+  if (current.length > 0) {
+    chunks.push(current);
+  }
+
+  return chunks;
+}
+
+/**
+ * Split a cleaned response into chunk responses when its conversation is too long
+ * Each chunk is a copy of the response with its own turns, cleanResponse and
+ * chunk: {id, index, total, firstTurn, lastTurn}. The whole-response translation is not
+ * copied onto chunks. Short responses are returned as they are.
+ * @param {Object} response - Cleaned response with participantId and turns
+ * @param {Object} [options] - Chunking options (see chunkConversation)
+ * @returns {Array<Object>} The response itself, or one response per chunk
+ */
+export function chunkResponse(response, options = {}) {
+  const maxChars = options.maxChars || PROCESSING_CONFIG.RESPONSES.MAX_LENGTH;
+  if (!Array.isArray(response.turns) || conversationLength(response.turns) <= maxChars) {
+    return [response];
+  }
+
+  const chunks = chunkConversation(response.turns, { maxChars });
+  if (chunks.length < 2) {
+    return [response];
+  }
+
+  const base = { ...response };
+  delete base.translation;
+  return chunks.map((turns, position) => ({
+    ...base,
+    turns,
+    cleanResponse: formatConversation(turns),
+    chunk: {
+      id: `${response.participantId}#${position + 1}`,
+      index: position + 1,
+      total: chunks.length,
+      firstTurn: turns[0].index,
+      lastTurn: turns[turns.length - 1].index
+    }
+  }));
+}
+
+/**
+ * Split every long response into chunk responses
+ * @param {Array<Object>} responses - Cleaned responses
+ * @param {Object} [options] - Chunking options (see chunkConversation)
+ * @returns {Array<Object>} Responses with long ones replaced by their chunks
+ */
+export function chunkResponses(responses, options = {}) {
+  return responses.flatMap(response => chunkResponse(response, options));
+}
+
+/**
+ * Roll chunk classifications up to one classification per participant
+ * The theme with the highest summed confidence across a participant's chunks wins (ties go to
+ * the theme found first). The participant classification keeps the mean confidence of its
+ * winning chunks, the reasoning of the strongest one, and every chunk result under chunks.
+ * @param {Array<Object>} classifications - Classifications keyed by chunk ID or participant ID
+ * @param {Array<Object>} units - Classified units; chunk units have chunk and sourceParticipantId
+ * @returns {Array<Object>} One classification per participant, in first-seen order
+ */
+export function rollUpChunkClassifications(classifications, units) {
+  const unitsById = new Map(units.map(unit => [unit.participantId, unit]));
+  const byParticipant = new Map();
+
+  for (const classification of classifications) {
+    const unit = unitsById.get(classification.participantId);
+    if (!unit?.chunk) {
+      byParticipant.set(classification.participantId, classification);
+      continue;
+    }
+    const participantId = unit.sourceParticipantId;
+    const group = byParticipant.get(participantId) || { participantId, chunkResults: [] };
+    group.chunkResults.push({ ...classification, chunk: unit.chunk });
+    byParticipant.set(participantId, group);
+  }
+
+  return [...byParticipant.values()].map(entry => {
+    if (!entry.chunkResults) {
+      return entry;
+    }
+
+    const chunkResults = entry.chunkResults.sort((a, b) => a.chunk.index - b.chunk.index);
+    const scores = new Map();
+    chunkResults.forEach(result => {
+      scores.set(result.themeId, (scores.get(result.themeId) || 0) + (result.confidence || 0));
+    });
+    const [themeId] = [...scores.entries()].reduce((best, next) => (next[1] > best[1] ? next : best));
+    const winning = chunkResults.filter(result => result.themeId === themeId);
+    const strongest = winning.reduce((best, next) => ((next.confidence || 0) > (best.confidence || 0) ? next : best));
+    const confidence = winning.reduce((sum, result) => sum + (result.confidence || 0), 0) / winning.length;
+
+    const classification = {
+      ...strongest,
+      participantId: entry.participantId,
+      themeId,
+      confidence: Math.round(confidence * 100) / 100,
+      chunks: chunkResults.map(result => ({
+        chunkId: result.chunk.id,
+        firstTurn: result.chunk.firstTurn,
+        lastTurn: result.chunk.lastTurn,
+        themeId: result.themeId,
+        theme: result.theme,
+        confidence: result.confidence
+      }))
+    };
+    delete classification.chunk;
+    return classification;
+  });
+}
+
+/**
+ * Find the chunk of a long response that contains a quote
+ * @param {Object} response - Cleaned response
+ * @param {string} quote - Quote text
+ * @param {Object} [options] - Chunking options (see chunkConversation)
+ * @returns {Object|null} Chunk metadata, or null for short responses or quotes not found
+ */
+export function findQuoteChunk(response, quote, options = {}) {
+  const chunks = chunkResponse(response, options);
+  if (chunks.length < 2 || typeof quote !== 'string') {
+    return null;
+  }
+  const needle = normalizeForSearch(quote);
+  const match = chunks.find(chunk => normalizeForSearch(getParticipantText(chunk.turns)).includes(needle));
+  return match ? match.chunk : null;
+}
+
+/**
+ * Total characters of turn text in a conversation
+ * @param {Array<Object>} turns - Conversation turns
+ * @returns {number} Character count
+ */
+function conversationLength(turns) {
+  return turns.reduce((sum, turn) => sum + (turn.text || '').length, 0);
+}
+
+/**
+ * Split a turn longer than maxChars into parts ending at sentence ends
+ * @param {Object} turn - Conversation turn
+ * @param {number} maxChars - Longest part
+ * @returns {Array<Object>} The turn itself, or copies with part numbers and shorter text
+ */
+function splitLongTurn(turn, maxChars) {
+  if (!turn.text || turn.text.length <= maxChars) {
+    return [turn];
+  }
+
+  const sentences = turn.text.match(/[^.!?。！？\n]+(?:[.!?。！？]+|\n|$)\s*/g) || [turn.text];
+  const parts = [];
+  let current = '';
+  for (const sentence of sentences) {
+    if (current && current.length + sentence.length > maxChars) {
+      parts.push(current);
+      current = '';
+    }
+    // A single sentence longer than a chunk is cut at the limit
+    for (let start = 0; start < sentence.length; start += maxChars) {
+      const piece = sentence.slice(start, start + maxChars);
+      if (current && current.length + piece.length > maxChars) {
+        parts.push(current);
+        current = '';
+      }
+      current += piece;
+    }
+  }
+  if (current) {
+    parts.push(current);
+  }
+
+  return parts.map((text, index) => ({ ...turn, text: text.trim(), part: index + 1 }));
+}
+
+/**
+ * Normalize text for locating a quote: lower case, no punctuation, single spaces
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+function normalizeForSearch(text) {
+  return text.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, '').replace(/\s+/g, ' ').trim();
+}
@@ -0,0 +1,241 @@
+/**
+ * Conversation transcript parsing
+ *
+ * This module turns a raw response cell into ordered conversation turns with a speaker role.
+ * Speaker labels are configurable so AI-moderated exports (assistant:/user:) and human-moderated
+ * transcripts (Interviewer:/Respondent:, Q:/A:, Moderator:) are read the same way.
+ */
+
+import { PROCESSING_CONFIG } from '../../utils/config/constants.js';
+
+export const SPEAKER_ROLES = {
+  INTERVIEWER: 'interviewer',
+  PARTICIPANT: 'participant',
+  UNKNOWN: 'unknown'
+};
+
+/**
+ * @typedef {Object} ConversationTurn
+ * @property {number} index - Position of the turn in the conversation (0-based)
+ * @property {string} role - 'interviewer', 'participant' or 'unknown' (text before the first label)
+ * @property {string|null} speaker - Speaker label as written in the transcript
+ * @property {string} text - Turn text with continuation lines joined by newlines
+ */
+
+/**
+ * @typedef {Object} SpeakerLabels
+ * @property {Array<string>} interviewer - Labels that start an interviewer turn
+ * @property {Array<string>} participant - Labels that start a participant turn
+ * @property {RegExp} [pattern] - Compiled line-start pattern (set by resolveSpeakerLabels)
+ */
+
+let defaultLabels = null;
+
+/**
+ * Merge custom speaker labels with the configured defaults
+ * A custom label takes its role from the custom configuration even if the defaults assign it elsewhere.
+ * @param {{interviewer?: Array<string>|string, participant?: Array<string>|string}} [customLabels] - Extra labels per role
+ * @returns {{data?: SpeakerLabels, error?: string}} Resolved labels or error
+ */
+export function resolveSpeakerLabels(customLabels = null) {
+  if (customLabels?.pattern instanceof RegExp) {
+    return { data: customLabels };
+  }
+
+  if (!customLabels && defaultLabels) {
+    return { data: defaultLabels };
+  }
+
+  if (customLabels && typeof customLabels !== 'object') {
+    return { error: 'Speaker labels must be an object with interviewer and/or participant lists' };
+  }
+
+  const unknownKeys = Object.keys(customLabels || {}).filter(key => !['interviewer', 'participant'].includes(key));
+  if (unknownKeys.length > 0) {
+    return { error: `Unknown speaker role(s): ${unknownKeys.join(', ')} (expected interviewer, participant)` };
+  }
+
+  const custom = {
+    interviewer: normalizeLabelList(customLabels?.interviewer),
+    participant: normalizeLabelList(customLabels?.participant)
+  };
+
+  const conflicts = custom.interviewer.filter(label => custom.participant.includes(label));
+  if (conflicts.length > 0) {
+    return { error: `Speaker label(s) assigned to both roles: ${conflicts.join(', ')}` };
+  }
+
+  const configured = PROCESSING_CONFIG.RESPONSES.SPEAKER_LABELS;
+  const interviewer = [...new Set([
+    ...custom.interviewer,
+    ...normalizeLabelList(configured.INTERVIEWER).filter(label => !custom.participant.includes(label))
+  ])];
+  const participant = [...new Set([
+    ...custom.participant,
+    ...normalizeLabelList(configured.PARTICIPANT).filter(label => !custom.interviewer.includes(label))
+  ])];
+
+  // Longest labels first so "Participant 2" wins over "Participant"
+  const alternatives = [...interviewer, ...participant]
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp)
+    .join('|');
+
+  const labels = {
+    interviewer,
+    participant,
+    // Label at line start, optionally followed by a name in parentheses, then a colon
+    pattern: new RegExp(`^[ \\t]*(${alternatives})(?:[ \\t]*\\(([^)\\n]*)\\))?[ \\t]*:[ \\t]*`, 'i')
+  };
+
+  if (!customLabels) {
+    defaultLabels = labels;
+  }
+
+  return { data: labels };
+}
+
+/**
+ * Parse a response into ordered conversation turns
+ * Lines that start with a speaker label open a new turn; other lines continue the current turn.
+ * Text without any speaker label is treated as a single participant turn.
+ * @param {string} text - Raw response text
+ * @param {Object} [options] - Parsing options
+ * @param {SpeakerLabels|Object} [options.speakerLabels] - Custom or resolved speaker labels
+ * @returns {{turns: Array<ConversationTurn>, hasSpeakerLabels: boolean}|{error: string}} Parsed conversation or error
+ */
+export function parseConversation(text, options = {}) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    return { turns: [], hasSpeakerLabels: false };
+  }
+
+  const labelResult = resolveSpeakerLabels(options.speakerLabels);
+  if (labelResult.error) {
+    return { error: labelResult.error };
+  }
+  const labels = labelResult.data;
+
+  const turns = [];
+  let current = null;
+
+  for (const line of text.replace(/\r\n?/g, '\n').split('\n')) {
+    const match = line.match(labels.pattern);
+
+    if (match) {
+      current = {
+        index: turns.length,
+        role: roleForLabel(match[1], labels),
+        speaker: match[2] ? `${match[1]} (${match[2].trim()})` : match[1],
+        lines: [line.slice(match[0].length)]
+      };
+      turns.push(current);
+    } else if (current) {
+      current.lines.push(line);
+    } else if (line.trim()) {
+      current = { index: 0, role: SPEAKER_ROLES.UNKNOWN, speaker: null, lines: [line] };
+      turns.push(current);
+    }
+  }
+
+  const hasSpeakerLabels = turns.some(turn => turn.role !== SPEAKER_ROLES.UNKNOWN);
+
+  return {
+    turns: turns
+      .map(({ lines, ...turn }) => ({
+        ...turn,
+        role: hasSpeakerLabels ? turn.role : SPEAKER_ROLES.PARTICIPANT,
+        text: lines.map(line => line.trim()).filter(Boolean).join('\n')
+      })),
+    hasSpeakerLabels
+  };
+}
+
+/**
+ * Get the participant's words from a conversation, joined with spaces
+ * @param {string|Array<ConversationTurn>} conversation - Raw response text or already parsed turns
+ * @param {Object} [options] - Parsing options (see parseConversation)
+ * @returns {string} Participant text only, empty when there is none
+ */
+export function getParticipantText(conversation, options = {}) {
+  const turns = Array.isArray(conversation)
+    ? conversation
+    : parseConversation(conversation, options).turns || [];
+
+  return turns
+    .filter(turn => turn.role === SPEAKER_ROLES.PARTICIPANT && turn.text)
+    .map(turn => turn.text.replace(/\s*\n\s*/g, ' '))
+    .join(' ')
+    .trim();
+}
+
+/**
+ * Get the participant's words from a cleaned response, using its parsed turns when present
+ * @param {Object} response - Cleaned response with cleanResponse and optional turns
+ * @returns {string} Participant text only
+ */
+export function getResponseParticipantText(response) {
+  if (!response) return '';
+  return getParticipantText(Array.isArray(response.turns) ? response.turns : response.cleanResponse);
+}
+
+/**
+ * Get the participant's words in the analysis language
+ * Translated responses give their translation; everything else gives the original words.
+ * Quotes must still be taken from getResponseParticipantText, which is always the original.
+ * @param {Object} response - Cleaned response with optional translation
+ * @returns {string} Participant text for theme generation and classification
+ */
+export function getResponseAnalysisText(response) {
+  if (!response) return '';
+  return response.translation?.text || getResponseParticipantText(response);
+}
+
+/**
+ * Render a conversation with normalized role labels ("interviewer:" / "participant:") for prompts
+ * Turn text is kept verbatim so quotes can still be validated against the source.
+ * @param {string|Array<ConversationTurn>} conversation - Raw response text or already parsed turns
+ * @param {Object} [options] - Parsing options (see parseConversation)
+ * @returns {string} One line per turn
+ */
+export function formatConversation(conversation, options = {}) {
+  const turns = Array.isArray(conversation)
+    ? conversation
+    : parseConversation(conversation, options).turns || [];
+
+  return turns
+    .map(turn => turn.role === SPEAKER_ROLES.UNKNOWN ? turn.text : `${turn.role}: ${turn.text}`)
+    .join('\n');
+}
+
+/**
+ * Map a matched label to its speaker role
+ * @param {string} label - Label as written in the transcript
+ * @param {SpeakerLabels} labels - Resolved labels
+ * @returns {string} Speaker role
+ */
+function roleForLabel(label, labels) {
+  const key = label.toLowerCase().replace(/\s+/g, ' ');
+  return labels.interviewer.includes(key) ? SPEAKER_ROLES.INTERVIEWER : SPEAKER_ROLES.PARTICIPANT;
+}
+
+/**
+ * Normalize a label list: accepts an array or comma-separated string, strips trailing colons
+ * @param {Array<string>|string|undefined} labels - Labels to normalize
+ * @returns {Array<string>} Lower-case labels
+ */
+function normalizeLabelList(labels) {
+  if (!labels) return [];
+  const list = Array.isArray(labels) ? labels : String(labels).split(',');
+  return list
+    .map(label => String(label).trim().replace(/:$/, '').trim().replace(/\s+/g, ' ').toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Escape a string for literal use inside a regular expression
+ * @param {string} value - Raw string
+ * @returns {string} Escaped string
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+}
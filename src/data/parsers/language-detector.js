@@ -0,0 +1,117 @@
+/**
+ * Response language detection
+ *
+ * This module guesses the language of a participant's answer without any LLM call.
+ * Japanese is recognised by its scripts; Latin-script languages by common function words
+ * and letters only used in that language. Answers too short to tell are marked undetermined
+ * ('und') and treated as the study's main language.
+ */
+
+import { PROCESSING_CONFIG } from '../../utils/config/constants.js';
+
+export const UNDETERMINED_LANGUAGE = 'und';
+
+export const LANGUAGE_NAMES = {
+  en: 'English',
+  de: 'German',
+  es: 'Spanish',
+  fr: 'French',
+  ja: 'Japanese',
+  [UNDETERMINED_LANGUAGE]: 'Undetermined'
+};
+
+// Frequent words that are rarely shared between the supported languages ("no" and "me" are
+// left out of Spanish because short English answers start with them)
+const FUNCTION_WORDS = {
+  en: ['the', 'and', 'is', 'it', 'to', 'of', 'that', 'this', 'with', 'for', 'was', 'are', 'my', 'because', 'not', 'but', 'have', 'you', 'they', 'would', 'what', 'which', 'really', 'just', 'about', 'i', 'me'],
+  de: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'ich', 'mit', 'für', 'auf', 'ein', 'eine', 'es', 'zu', 'sehr', 'weil', 'aber', 'auch', 'mein', 'meine', 'wir', 'sie', 'wenn', 'dass', 'habe', 'bei', 'oder', 'nur'],
+  es: ['el', 'la', 'los', 'las', 'y', 'es', 'que', 'de', 'en', 'un', 'una', 'por', 'para', 'con', 'muy', 'porque', 'pero', 'mi', 'lo', 'se', 'nada', 'tengo', 'su', 'más', 'como', 'está', 'yo', 'uso'],
+  fr: ['le', 'la', 'les', 'et', 'est', 'que', 'de', 'des', 'un', 'une', 'pour', 'avec', 'pas', 'je', 'mon', 'ma', 'mes', 'parce', 'mais', 'très', 'ce', 'cest', 'sur', 'nous', 'vous', 'qui', 'du', 'au']
+};
+
+const DISTINCT_LETTERS = {
+  de: /[äöüß]/g,
+  es: /[ñ¿¡]/g,
+  fr: /[àâçèêëîïôœùû]/g
+};
+
+const KANA = /[぀-ヿ]/g;
+const CJK = /[぀-ヿ㐀-鿿ｦ-ﾟ]/g;
+
+/**
+ * Detect the language of a text
+ * @param {string} text - Participant text
+ * @param {Object} [options] - Detection options
+ * @param {number} [options.minWords] - Fewer words than this is undetermined (default PROCESSING_CONFIG.LANGUAGE.MIN_WORDS)
+ * @param {number} [options.minConfidence] - Lower confidence is undetermined (default PROCESSING_CONFIG.LANGUAGE.MIN_CONFIDENCE)
+ * @returns {{code: string, confidence: number}} ISO 639-1 code ('und' when unknown) and a 0-1 confidence
+ */
+export function detectLanguage(text, options = {}) {
+  const minWords = options.minWords ?? PROCESSING_CONFIG.LANGUAGE.MIN_WORDS;
+  const minConfidence = options.minConfidence ?? PROCESSING_CONFIG.LANGUAGE.MIN_CONFIDENCE;
+  const undetermined = { code: UNDETERMINED_LANGUAGE, confidence: 0 };
+
+  if (typeof text !== 'string' || text.trim() === '') {
+    return undetermined;
+  }
+
+  // Japanese does not separate words with spaces, so judge it on characters
+  const letters = text.replace(/[\s\d\p{P}\p{S}]/gu, '');
+  const cjk = (text.match(CJK) || []).length;
+  if (letters.length > 0 && cjk / letters.length >= 0.3 && (text.match(KANA) || []).length > 0) {
+    return { code: 'ja', confidence: round(cjk / letters.length) };
+  }
+
+  const words = text.toLowerCase().replace(/[’']/g, '').match(/\p{L}+/gu) || [];
+  if (words.length < minWords) {
+    return undetermined;
+  }
+
+  const scores = {};
+  for (const [code, list] of Object.entries(FUNCTION_WORDS)) {
+    const vocabulary = new Set(list);
+    scores[code] = words.filter(word => vocabulary.has(word)).length;
+  }
+  for (const [code, pattern] of Object.entries(DISTINCT_LETTERS)) {
+    scores[code] += (text.toLowerCase().match(pattern) || []).length;
+  }
+
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const total = ranked.reduce((sum, [, score]) => sum + score, 0);
+  if (total === 0) {
+    return undetermined;
+  }
+
+  const [code, score] = ranked[0];
+  const confidence = round(score / total);
+  return confidence >= minConfidence ? { code, confidence } : undetermined;
+}
+
+/**
+ * Get the display name of a language code
+ * @param {string} code - ISO 639-1 code
+ * @returns {string} Language name, or the code itself when unknown
+ */
+export function getLanguageName(code) {
+  return LANGUAGE_NAMES[code] || code;
+}
+
+/**
+ * Check whether a response needs translating into the target language
+ * @param {Object} response - Cleaned response with language
+ * @param {string} targetLanguage - ISO 639-1 code of the analysis language
+ * @returns {boolean} True for responses detected in another language
+ */
+export function needsTranslation(response, targetLanguage) {
+  const code = response?.language?.code;
+  return Boolean(code) && code !== UNDETERMINED_LANGUAGE && code !== targetLanguage;
+}
+
+/**
+ * Round to two decimals
+ * @param {number} value - Value to round
+ * @returns {number} Rounded value
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
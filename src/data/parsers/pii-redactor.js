@@ -0,0 +1,334 @@
+/**
+ * PII redaction for cleaned responses
+ *
+ * This module replaces personal data in response text with stable placeholders ([EMAIL_1],
+ * [PHONE_2], [NAME_1], [ORG_1]) before any prompt is built, so the LLM provider never sees it.
+ * The same value gets the same placeholder everywhere in the dataset. The re-identification
+ * map stays on the local machine and can restore originals in internal outputs.
+ *
+ * Emails and phone numbers are found by pattern; dates, IDs, version numbers and amounts
+ * are kept. Names and company names are found from configured terms, speaker names in
+ * transcripts and a few phrasings ("my name is Jane", "I work at Acme"). Configured terms and
+ * speaker names are redacted in every response, ignoring case; a name found by phrasing only in
+ * the response that introduced it, with its exact case, so "Will" does not take "will" with it.
+ * Product and brand names that are the subject of the study are not touched unless listed as terms.
+ */
+
+import { PROCESSING_CONFIG } from '../../utils/config/constants.js';
+
+export const PII_TYPES = {
+  EMAIL: 'EMAIL',
+  PHONE: 'PHONE',
+  NAME: 'NAME',
+  ORG: 'ORG'
+};
+
+const PLACEHOLDER_PATTERN = new RegExp(`\\[(?:${Object.values(PII_TYPES).join('|')})_\\d+\\]`, 'g');
+
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+
+// Candidate phone numbers: digits with optional country code, area code in brackets and
+// space/dot/dash separators. isPhoneNumber then keeps only phone-shaped candidates.
+const PHONE_PATTERN = /(?<![\w+])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d(?:[\s.-]?\d){6,14}(?!\w)/g;
+
+// Without a country code or bracketed area code, a number needs this many digits in 2 to 5 groups
+const MIN_LOCAL_PHONE_DIGITS = 8;
+
+// Dates written with digits only (2023-10-19, 19.10.2023)
+const DATE_PATTERN = /^(?:\d{4}([-./])\d{1,2}\1\d{1,2}|\d{1,2}([-./])\d{1,2}\2\d{4})$/;
+
+const CAPITALIZED_WORDS = "[A-Z][\\w&'-]*(?:\\s+(?:[A-Z][\\w&'-]*|&))*";
+
+const NAME_PATTERNS = [
+  /\b(?:[Mm]y name is|[Mm]y name's|[Cc]all me|I am called|I'm called)\s+([A-Z][a-z'-]+(?:\s+[A-Z][a-z'-]+)?)/g
+];
+
+const ORG_PATTERNS = [
+  new RegExp(`\\b(?:work(?:s|ed|ing)?|employed|job)\\s+(?:at|for)\\s+(${CAPITALIZED_WORDS})`, 'g'),
+  new RegExp(`\\b(${CAPITALIZED_WORDS}\\s+(?:Inc|Ltd|LLC|GmbH|Corp|Corporation|plc|AG))\\b\\.?`, 'g')
+];
+
+/**
+ * Placeholder assignments for one dataset
+ * Serializes to a plain {placeholder: {type, value}} object for the local map file.
+ */
+export class RedactionMap {
+  constructor(entries = {}) {
+    this.entries = {};
+    this.byValue = new Map();
+    this.counters = {};
+
+    for (const [placeholder, entry] of Object.entries(entries)) {
+      this.entries[placeholder] = entry;
+      this.byValue.set(`${entry.type}:${normalizeValue(entry.type, entry.value)}`, placeholder);
+      const number = Number(placeholder.match(/_(\d+)\]$/)?.[1] || 0);
+      this.counters[entry.type] = Math.max(this.counters[entry.type] || 0, number);
+    }
+  }
+
+  /**
+   * Get the placeholder for a value, creating one the first time the value is seen
+   * @param {string} type - PII type (PII_TYPES)
+   * @param {string} value - Original text
+   * @returns {string} Placeholder such as [NAME_1]
+   */
+  placeholderFor(type, value) {
+    const key = `${type}:${normalizeValue(type, value)}`;
+    if (!this.byValue.has(key)) {
+      this.counters[type] = (this.counters[type] || 0) + 1;
+      const placeholder = `[${type}_${this.counters[type]}]`;
+      this.byValue.set(key, placeholder);
+      this.entries[placeholder] = { type, value };
+    }
+    return this.byValue.get(key);
+  }
+
+  /**
+   * Replace placeholders in a text with the original values
+   * @param {string} text - Redacted text
+   * @returns {string} Text with originals restored (unknown placeholders are left as they are)
+   */
+  restore(text) {
+    return text.replace(PLACEHOLDER_PATTERN, placeholder => this.entries[placeholder]?.value ?? placeholder);
+  }
+
+  /**
+   * Count placeholders by PII type
+   * @returns {Object<string, number>} Distinct values per type
+   */
+  countByType() {
+    const counts = {};
+    Object.values(this.entries).forEach(entry => {
+      counts[entry.type] = (counts[entry.type] || 0) + 1;
+    });
+    return counts;
+  }
+
+  get size() {
+    return Object.keys(this.entries).length;
+  }
+
+  toJSON() {
+    return this.entries;
+  }
+}
+
+/**
+ * Redact PII from a text
+ * @param {string} text - Text to redact
+ * @param {RedactionMap} redactionMap - Placeholder assignments, extended with new values
+ * @param {Object} [options] - Redaction options
+ * @param {{NAME?: Array<string>, ORG?: Array<string>}} [options.terms] - Names and organisations to always redact, in any case
+ * @param {{NAME?: Array<string>, ORG?: Array<string>}} [options.responseTerms] - Names and organisations found by phrasing
+ *   elsewhere in the same response, redacted with their exact case
+ * @returns {string} Redacted text
+ */
+export function redactText(text, redactionMap, options = {}) {
+  if (typeof text !== 'string' || text === '') {
+    return text;
+  }
+
+  let redacted = text
+    .replace(EMAIL_PATTERN, email => redactionMap.placeholderFor(PII_TYPES.EMAIL, email))
+    .replace(PHONE_PATTERN, match => (isPhoneNumber(match) ? redactionMap.placeholderFor(PII_TYPES.PHONE, match) : match));
+
+  // Values found by phrasing are redacted throughout this text, with their exact case;
+  // redactCleanedData passes the ones found elsewhere in the same response as responseTerms
+  const phrased = findPhrasedTerms(redacted);
+  for (const type of [PII_TYPES.NAME, PII_TYPES.ORG]) {
+    redacted = replaceTerms(redacted, type, options.terms?.[type] || [], 'gi', redactionMap);
+    redacted = replaceTerms(redacted, type, [...(options.responseTerms?.[type] || []), ...phrased[type]], 'g', redactionMap);
+  }
+
+  return redacted;
+}
+
+/**
+ * Redact PII from every cleaned response before analysis
+ * Response text and conversation turns are redacted; everything else is copied unchanged.
+ * @param {Object} cleanedData - Output of parseAndCleanResponses
+ * @param {Object} [options] - Redaction options
+ * @param {{NAME?: Array<string>, ORG?: Array<string>}} [options.terms] - Names and organisations to always redact (default PROCESSING_CONFIG.PII.TERMS)
+ * @param {RedactionMap} [options.redactionMap] - Existing map to extend (keeps placeholders stable across runs)
+ * @returns {{data?: Object, redactionMap?: RedactionMap, redactedResponses?: number, error?: string}} Redacted data and map or error
+ */
+export function redactCleanedData(cleanedData, options = {}) {
+  try {
+    if (!cleanedData || !cleanedData.responsesByQuestion) {
+      return { error: 'Invalid cleaned data: missing responsesByQuestion' };
+    }
+
+    const redactionMap = options.redactionMap || new RedactionMap();
+    const configuredTerms = options.terms || PROCESSING_CONFIG.PII.TERMS;
+    const allResponses = Object.values(cleanedData.responsesByQuestion).flat();
+
+    // Names in speaker labels ("Moderator (Jane)") are redacted wherever they are mentioned
+    const speakerNames = allResponses
+      .flatMap(response => response.turns || [])
+      .map(turn => turn.speaker?.match(/\(([^)]+)\)/)?.[1])
+      .filter(Boolean);
+    const terms = {
+      NAME: [...(configuredTerms?.NAME || []), ...speakerNames],
+      ORG: configuredTerms?.ORG || []
+    };
+
+    let redactedResponses = 0;
+    const responsesByQuestion = {};
+    for (const [questionId, responses] of Object.entries(cleanedData.responsesByQuestion)) {
+      responsesByQuestion[questionId] = responses.map(response => {
+        // A name introduced in one turn ("My name is Jane") is redacted in the other turns of the response
+        const phrased = [response.cleanResponse, ...(response.turns || []).map(turn => turn.text)]
+          .filter(text => typeof text === 'string')
+          .map(findPhrasedTerms);
+        const options = {
+          terms,
+          responseTerms: {
+            NAME: phrased.flatMap(found => found.NAME),
+            ORG: phrased.flatMap(found => found.ORG)
+          }
+        };
+        const cleanResponse = redactText(response.cleanResponse, redactionMap, options);
+        // responseLength keeps describing the participant's original answer
+        const redacted = { ...response, cleanResponse };
+        if (Array.isArray(response.turns)) {
+          redacted.turns = response.turns.map(turn => ({
+            ...turn,
+            speaker: turn.speaker ? redactText(turn.speaker, redactionMap, options) : turn.speaker,
+            text: redactText(turn.text, redactionMap, options)
+          }));
+        }
+        if (cleanResponse !== response.cleanResponse) {
+          redactedResponses++;
+        }
+        return redacted;
+      });
+    }
+
+    return {
+      data: {
+        ...cleanedData,
+        responsesByQuestion,
+        metadata: {
+          ...cleanedData.metadata,
+          piiRedaction: { redactedResponses, placeholders: redactionMap.countByType() }
+        }
+      },
+      redactionMap,
+      redactedResponses
+    };
+
+  } catch (error) {
+    return { error: `PII redaction failed: ${error.message}` };
+  }
+}
+
+/**
+ * Restore original values in analysis results or any other JSON-like value
+ * @param {*} value - Value containing redacted strings
+ * @param {RedactionMap} redactionMap - Placeholder assignments
+ * @returns {*} Copy of the value with placeholders replaced by the originals
+ */
+export function restoreRedactedValues(value, redactionMap) {
+  if (typeof value === 'string') {
+    return redactionMap.restore(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => restoreRedactedValues(item, redactionMap));
+  }
+  if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, restoreRedactedValues(item, redactionMap)]));
+  }
+  return value;
+}
+
+/**
+ * Replace whole-word occurrences of terms with their placeholders
+ * @param {string} text - Text to redact
+ * @param {string} type - PII type of the terms
+ * @param {Array<string>} values - Terms to replace
+ * @param {string} flags - RegExp flags ('gi' to ignore case)
+ * @param {RedactionMap} redactionMap - Placeholder assignments
+ * @returns {string} Redacted text
+ */
+function replaceTerms(text, type, values, flags, redactionMap) {
+  // Longest first so "Jane Smith" is replaced before "Jane"
+  const sorted = [...new Set(values.map(value => value.trim()).filter(Boolean))].sort((a, b) => b.length - a.length);
+  let redacted = text;
+  for (const value of sorted) {
+    const pattern = new RegExp(`(?<![\\w[])${escapeRegExp(value)}(?![\\w\\]])`, flags);
+    redacted = redacted.replace(pattern, match => redactionMap.placeholderFor(type, match));
+  }
+  return redacted;
+}
+
+/**
+ * Whether a PHONE_PATTERN candidate is shaped like a phone number rather than a date, an ID,
+ * a version number or a large amount
+ * @param {string} candidate - Matched text
+ * @returns {boolean} True for international numbers, bracketed area codes and grouped local numbers
+ */
+function isPhoneNumber(candidate) {
+  if (DATE_PATTERN.test(candidate)) {
+    return false;
+  }
+  if (candidate.startsWith('+') || candidate.includes('(')) {
+    return true;
+  }
+
+  // Local numbers: grouped with one kind of separator (020-7946-0958, 555 123 4567)
+  const separators = new Set(candidate.match(/[\s.-]+/g) || []);
+  const groups = candidate.split(/[\s.-]+/);
+  const digits = groups.join('');
+  if (separators.size !== 1 || groups.length > 5 || digits.length < MIN_LOCAL_PHONE_DIGITS) {
+    return false;
+  }
+  if (groups.some(group => group.length < 2 || group.length > 6)) {
+    return false;
+  }
+  // Thousands grouping (100 000 000) is an amount
+  return !(groups[0].length <= 3 && groups.slice(1).every(group => group.length === 3));
+}
+
+/**
+ * Names and organisations a text introduces by phrasing ("my name is Jane", "I work at Acme")
+ * @param {string} text - Text to search
+ * @returns {{NAME: Array<string>, ORG: Array<string>}} Values found
+ */
+function findPhrasedTerms(text) {
+  return {
+    NAME: findMatches(text, NAME_PATTERNS),
+    ORG: findMatches(text, ORG_PATTERNS)
+  };
+}
+
+/**
+ * Collect the captured values of patterns in a text
+ * @param {string} text - Text to search
+ * @param {Array<RegExp>} patterns - Global patterns with one capture group
+ * @returns {Array<string>} Captured values
+ */
+function findMatches(text, patterns) {
+  return patterns.flatMap(pattern => [...text.matchAll(pattern)].map(match => match[1]));
+}
+
+/**
+ * Normalize a value so different spellings of the same PII share a placeholder
+ * @param {string} type - PII type
+ * @param {string} value - Original text
+ * @returns {string} Comparison key
+ */
+function normalizeValue(type, value) {
+  if (type === PII_TYPES.PHONE) {
+    return value.replace(/\D/g, '');
+  }
+  return value.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Escape a string for literal use inside a regular expression
+ * @param {string} value - Raw string
+ * @returns {string} Escaped string
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+}
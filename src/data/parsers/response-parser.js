@@ -5,25 +5,35 @@
  * Preserves raw conversation format while validating and grouping responses.
  */
 
-import { isValidResponse } from '../extractors/validator.js';
+import { isValidResponse, assessResponseQuality, QUALITY_FLAGS } from '../extractors/validator.js';
+import { parseConversation, resolveSpeakerLabels, getParticipantText } from './conversation-parser.js';
+import { detectLanguage } from './language-detector.js';
 
 /**
  * Parse and clean responses from extracted data
  * @param {Object} extractedData - Data from excel-extractor
- * @returns {{data?: Object, error?: string}} Cleaned and structured response data or error
+ * @param {Object} [options] - Parsing options
+ * @param {Object} [options.speakerLabels] - Extra speaker labels per role ({interviewer, participant})
+ * @returns {{data?: Object, warnings?: Array<string>, rejectedResponses?: Array<{response: Object, reason: string}>, error?: string}} Cleaned and structured response data, with every rejected response and why, or error
  */
-export function parseAndCleanResponses(extractedData) {
+export function parseAndCleanResponses(extractedData, options = {}) {
   try {
     if (!extractedData || !extractedData.participantResponses) {
       return { error: 'Invalid extracted data: missing participantResponses' };
     }
 
+    // Resolve speaker labels once for all responses
+    const labelResult = resolveSpeakerLabels(options.speakerLabels);
+    if (labelResult.error) {
+      return { error: `Invalid speaker labels: ${labelResult.error}` };
+    }
+
     const cleanedResponses = [];
     const rejectedResponses = [];
 
     // Clean each response while preserving conversation format
     for (const response of extractedData.participantResponses) {
-      const cleanResult = cleanSingleResponse(response);
+      const cleanResult = cleanSingleResponse(response, { speakerLabels: labelResult.data });
       
       if (cleanResult.error) {
         rejectedResponses.push({
@@ -35,6 +45,21 @@ export function parseAndCleanResponses(extractedData) {
       }
     }
 
+    // Flag low-effort and near-duplicate answers so agents can exclude or down-weight them
+    const qualityResults = assessResponseQuality(cleanedResponses);
+    cleanedResponses.forEach((response, index) => {
+      response.quality = qualityResults[index];
+    });
+    const flaggedResponses = cleanedResponses
+      .filter(response => response.quality.flag !== QUALITY_FLAGS.OK)
+      .map(response => ({ participantId: response.participantId, questionId: response.questionId, ...response.quality }));
+
+    // Count detected languages so mixed-language studies are visible before analysis
+    const languages = {};
+    cleanedResponses.forEach(response => {
+      languages[response.language.code] = (languages[response.language.code] || 0) + 1;
+    });
+
     // Group responses by question for parallel processing
     const responsesByQuestion = groupResponsesByQuestion(cleanedResponses);
 
@@ -45,18 +70,23 @@ export function parseAndCleanResponses(extractedData) {
       projectBackground: extractedData.projectBackground,
       questions: extractedData.questions,
       responsesByQuestion,
+      participantAttributes: extractedData.participantAttributes || {},
       questionStats: extractedData.questionStats,
       responseStatistics,
+      flaggedResponses,
       metadata: {
         ...extractedData.metadata,
         cleanedResponses: cleanedResponses.length,
-        rejectedResponses: rejectedResponses.length
+        rejectedResponses: rejectedResponses.length,
+        flaggedResponses: flaggedResponses.length,
+        languages
       }
     };
 
     return { 
       data: result,
-      warnings: rejectedResponses.length > 0 ? [`Rejected ${rejectedResponses.length} invalid responses`] : undefined
+      warnings: rejectedResponses.length > 0 ? [`Rejected ${rejectedResponses.length} invalid responses`] : undefined,
+      rejectedResponses
     };
 
   } catch (error) {
@@ -67,9 +97,11 @@ export function parseAndCleanResponses(extractedData) {
 /**
  * Clean a single response while preserving conversation format
  * @param {Object} response - Raw response object
+ * @param {Object} [options] - Parsing options
+ * @param {Object} [options.speakerLabels] - Speaker labels passed to the conversation parser
  * @returns {{data?: Object, error?: string}} Cleaned response object or error
  */
-export function cleanSingleResponse(response) {
+export function cleanSingleResponse(response, options = {}) {
   // Validate response using existing validator
   const validationResult = isValidResponse(response);
   if (validationResult.error) {
@@ -79,16 +111,29 @@ export function cleanSingleResponse(response) {
   // Clean the response while preserving conversation format
   const cleanResponse = response.response.trim();
   
-  // Basic conversation format check (should contain assistant: or user: markers)
-  const hasConversationFormat = cleanResponse.includes('assistant:') || cleanResponse.includes('user:');
+  // Split into speaker turns; agents read participant text from these
+  const conversation = parseConversation(cleanResponse, options);
+  if (conversation.error) {
+    return { error: conversation.error };
+  }
   
   const cleanedResponse = {
     participantId: response.participantId.trim(),
     questionId: response.questionId.trim(),
     cleanResponse: cleanResponse, // Raw conversation preserved
     responseLength: cleanResponse.length,
-    hasConversationFormat: hasConversationFormat
+    hasConversationFormat: conversation.hasSpeakerLabels,
+    turns: conversation.turns,
+    language: detectLanguage(getParticipantText(conversation.turns))
   };
+  
+  // Keep provenance for responses merged from several worksheets or transcript files
+  if (response.sourceSheet) {
+    cleanedResponse.sourceSheet = response.sourceSheet;
+  }
+  if (response.sourceFile) {
+    cleanedResponse.sourceFile = response.sourceFile;
+  }
 
   return { data: cleanedResponse };
 }
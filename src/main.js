@@ -5,19 +5,40 @@
  * Orchestrates the complete flow from data extraction to output generation.
  */
 
-import { extractDataFromExcel } from './data/extractors/excel-extractor.js';
+import { extractDataFromExcel, listExcelSheets } from './data/extractors/excel-extractor.js';
+import { extractDataFromDelimited } from './data/extractors/csv-extractor.js';
+import { extractDataFromTranscripts } from './data/extractors/transcript-extractor.js';
+import { loadColumnMapping, normalizeColumnMapping } from './data/extractors/column-mapping.js';
+import { loadQuestionMetadata, normalizeQuestionMetadata, applyQuestionMetadata } from './data/extractors/question-metadata.js';
+import { separateClosedQuestions } from './data/extractors/question-types.js';
 import { parseAndCleanResponses } from './data/parsers/response-parser.js';
+import { redactCleanedData, restoreRedactedValues } from './data/parsers/pii-redactor.js';
+import { needsTranslation, getLanguageName } from './data/parsers/language-detector.js';
+import { getResponseParticipantText } from './data/parsers/conversation-parser.js';
+import { TranslatorAgent } from './analysis/agents/translator.js';
 import { QuestionAnalysisWorkflow } from './analysis/workflows/question-analyzer.js';
 import { ParallelOrchestrator } from './analysis/workflows/parallel-orchestrator.js';
+import { loadPreviousResults } from './analysis/workflows/incremental.js';
+import { estimateRun } from './analysis/workflows/dry-run.js';
 import { generateMainResults } from './outputs/generators/json-generator.js';
 import { generateClassificationFiles } from './outputs/generators/excel-generator.js';
 import { generateExecutiveSummary } from './outputs/generators/summary-generator.js';
 import { generateThematicAnalysis } from './outputs/generators/analysis-generator.js';
+import { generateSegmentComparison } from './outputs/generators/segment-generator.js';
+import { buildDescriptiveSummaries } from './outputs/generators/descriptive-generator.js';
+import { resolveOutcomeScores, buildThemeDrivers } from './outputs/generators/driver-generator.js';
+import { QUESTION_TYPES } from './data/extractors/question-types.js';
+import { buildInputAudit, generateInputAudit } from './outputs/generators/audit-generator.js';
 import { analyzeAndReportErrors } from './utils/validation/error-analyzer.js';
 import { initializeLLM, logOperation } from './utils/config/llm-config.js';
-import { validateConfig } from './utils/config/constants.js';
-import { ensureDirectoryExists } from './utils/helpers/file-utils.js';
+import { clearLLMCache } from './utils/config/llm-cache.js';
+import { createUsageLedger, runWithLLMUsage } from './utils/config/llm-usage.js';
+import { createLLMScheduler, runWithLLMScheduler } from './utils/config/llm-scheduler.js';
+import { validateConfig, PROCESSING_CONFIG } from './utils/config/constants.js';
+import { ensureDirectoryExists, getFileExtension } from './utils/helpers/file-utils.js';
 import { createProductionMonitor } from './utils/monitoring/production-monitor.js';
+import fs from 'fs/promises';
+import path from 'path';
 import dotenv from 'dotenv';
 
 // Load environment variables
@@ -28,19 +49,27 @@ dotenv.config();
  */
 export class ThematicAnalysisPipeline {
   constructor(options = {}) {
+    // Options come first so an unset variable (undefined) does not override a default below
     this.options = {
+      ...options,
       inputExcelPath: options.inputExcelPath || 'inputs/data.xlsx',
       backgroundPath: options.backgroundPath || 'inputs/project_background.txt',
       outputDir: options.outputDir || 'outputs',
       enableLangSmith: options.enableLangSmith === true,
       enableProductionMonitoring: options.enableProductionMonitoring !== false,
-      ...options
+      redactPII: options.redactPII ?? PROCESSING_CONFIG.PII.ENABLED,
+      piiOutputMode: options.piiOutputMode || PROCESSING_CONFIG.PII.OUTPUT_MODE,
+      piiMapPath: options.piiMapPath || PROCESSING_CONFIG.PII.MAP_PATH,
+      translate: options.translate ?? PROCESSING_CONFIG.LANGUAGE.TRANSLATION.ENABLED
     };
     
     this.llm = null;
     this.langSmith = null;
     this.startTime = null;
     this.monitor = null;
+    this.translator = null;
+    this.llmUsage = null;
+    this.llmScheduler = null;
     
     // Initialize production monitoring if enabled
     if (this.options.enableProductionMonitoring) {
@@ -53,9 +82,57 @@ export class ThematicAnalysisPipeline {
 
   /**
    * Run the complete thematic analysis pipeline
+   * LLM calls are recorded in the run's usage ledger (tokens and cost per question and stage),
+   * which stops further calls once the budget (budgetUsd option or LLM_BUDGET_USD) would be exceeded.
+   * A scheduler shared by all questions and stages caps concurrent questions, LLM requests in flight
+   * and tokens per minute (maxConcurrentQuestions, maxConcurrentLLMCalls and llmTokensPerMinute options).
    * @returns {Promise<Object|{error: string}>} Analysis results and output file paths or error
    */
   async run() {
+    const usageResult = await createUsageLedger({
+      budgetUsd: this.options.budgetUsd,
+      pricesPath: this.options.llmPricesPath,
+      onCall: call => this.monitor?.recordLLMCall(call.agent, call.duration, call.success, {
+        questionId: call.questionId,
+        model: call.model,
+        cached: call.cached,
+        promptTokens: call.promptTokens,
+        completionTokens: call.completionTokens,
+        costUsd: call.costUsd
+      }),
+      onRetry: retry => this.monitor?.recordLLMRetry(retry.agent, {
+        questionId: retry.questionId,
+        model: retry.model,
+        attempt: retry.attempt,
+        kind: retry.kind,
+        status: retry.status,
+        delayMs: retry.delayMs,
+        error: retry.error
+      })
+    });
+    if (usageResult.error) {
+      return { error: `Initialization failed: ${usageResult.error}` };
+    }
+    this.llmUsage = usageResult.data;
+    
+    const schedulerResult = createLLMScheduler({
+      maxConcurrentQuestions: this.options.maxConcurrentQuestions,
+      maxConcurrentCalls: this.options.maxConcurrentLLMCalls,
+      tokensPerMinute: this.options.llmTokensPerMinute
+    });
+    if (schedulerResult.error) {
+      return { error: `Initialization failed: ${schedulerResult.error}` };
+    }
+    this.llmScheduler = schedulerResult.data;
+    
+    return runWithLLMUsage(this.llmUsage, () => runWithLLMScheduler(this.llmScheduler, () => this.runPipeline()));
+  }
+
+  /**
+   * Pipeline phases of run(), inside the run's usage ledger
+   * @returns {Promise<Object|{error: string}>} Analysis results and output file paths or error
+   */
+  async runPipeline() {
     try {
       console.log('🚀 Starting Thematic Analysis Pipeline...');
       this.startTime = new Date();
@@ -63,7 +140,7 @@ export class ThematicAnalysisPipeline {
       // Start production monitoring
       if (this.monitor) {
         this.monitor.startPhase('PIPELINE_EXECUTION', {
-          inputPath: this.options.inputExcelPath,
+          inputPath: this.options.transcriptsDir || this.options.inputExcelPath,
           outputDir: this.options.outputDir
         });
       }
@@ -101,32 +178,55 @@ export class ThematicAnalysisPipeline {
         return { error: `Data extraction failed: ${cleanedData.error}` };
       }
       
+      // Phase 2.5: Redact PII so no prompt carries it; the re-identification map stays local
+      const redaction = await this.redactPersonalData(cleanedData);
+      if (redaction.error) {
+        if (this.monitor) {
+          this.monitor.recordError('PII_REDACTION_FAILURE', redaction.error);
+          await this.monitor.generateReport(`${this.options.outputDir}/monitoring_report_failed.json`);
+        }
+        return { error: `PII redaction failed: ${redaction.error}` };
+      }
+      
+      // Phase 2.6: Translate answers given in other languages (optional)
+      const translation = await this.translateResponses(redaction.data);
+      if (translation.error) {
+        if (this.monitor) {
+          this.monitor.recordError('TRANSLATION_FAILURE', translation.error);
+          await this.monitor.generateReport(`${this.options.outputDir}/monitoring_report_failed.json`);
+        }
+        return { error: `Translation failed: ${translation.error}` };
+      }
+      
       // Phase 3: Thematic analysis with enhanced error handling
       if (this.monitor) this.monitor.startPhase('THEMATIC_ANALYSIS');
-      const analysisResults = await this.runThematicAnalysisEnhanced(cleanedData);
+      const redactedResults = await this.runThematicAnalysisEnhanced(translation.data);
       if (this.monitor) {
-        const successfulAnalyses = analysisResults.analyses ? analysisResults.analyses.filter(a => !a.error).length : 0;
+        const successfulAnalyses = redactedResults.analyses ? redactedResults.analyses.filter(a => !a.error).length : 0;
         this.monitor.endPhase('THEMATIC_ANALYSIS', { 
-          success: !analysisResults.error,
+          success: !redactedResults.error,
           successfulQuestions: successfulAnalyses,
-          totalQuestions: analysisResults.analyses?.length || 0
+          totalQuestions: redactedResults.analyses?.length || 0
         });
       }
       
-      if (analysisResults.error) {
+      if (redactedResults.error) {
         if (this.monitor) {
-          this.monitor.recordError('ANALYSIS_FAILURE', analysisResults.error);
+          this.monitor.recordError('ANALYSIS_FAILURE', redactedResults.error);
           await this.monitor.generateReport(`${this.options.outputDir}/monitoring_report_failed.json`);
         }
-        return { error: `Analysis failed: ${analysisResults.error}` };
+        return { error: `Analysis failed: ${redactedResults.error}` };
       }
       
+      // Internal outputs get the original values back; shareable outputs keep the placeholders
+      const { analysisResults, outputData } = this.prepareOutputData(redactedResults, translation.data, redaction);
+      
       // Phase 3.5: Quality assurance and error analysis
-      const qualityAssurance = this.performQualityAssurance(analysisResults, cleanedData);
+      const qualityAssurance = this.performQualityAssurance(analysisResults, outputData);
       
       // Phase 4: Generate outputs with enhanced multi-question support
       if (this.monitor) this.monitor.startPhase('OUTPUT_GENERATION');
-      const outputFiles = await this.generateOutputsEnhanced(analysisResults, cleanedData, qualityAssurance);
+      const outputFiles = await this.generateOutputsEnhanced(analysisResults, outputData, qualityAssurance);
       if (this.monitor) {
         this.monitor.endPhase('OUTPUT_GENERATION', { 
           success: !outputFiles.error,
@@ -211,6 +311,7 @@ export class ThematicAnalysisPipeline {
       
       // Initialize LLM
       const llmResult = await initializeLLM({
+        agent: 'pipeline',
         temperature: 0.3,
         maxTokens: 4000
       });
@@ -240,31 +341,39 @@ export class ThematicAnalysisPipeline {
     console.log('📊 Extracting and parsing data...');
     
     try {
-      // Phase 1: Extract data from Excel
-      console.log('- Extracting data from Excel file...');
-      const extractionResult = await extractDataFromExcel(
-        this.options.inputExcelPath,
-        this.options.backgroundPath
-      );
-      
+      // Phase 1: Extract data using the extractor for the input format
+      const extractionResult = await this.extractData();
       if (extractionResult.error) {
-        return { error: `Excel extraction failed: ${extractionResult.error}` };
+        return { error: extractionResult.error };
       }
       
-      const extractedData = extractionResult.data;
-      console.log(`- Found ${extractedData.questions.length} questions`);
-      console.log(`- Found ${extractedData.participantResponses.length} total responses`);
-      console.log(`- Found ${extractedData.metadata.totalParticipants} unique participants`);
+      // Closed-ended questions bypass cleaning and the LLM workflow; they are summarized at output time
+      const { data: extractedData, closedQuestions } = separateClosedQuestions(extractionResult.data);
+      if (closedQuestions.length > 0) {
+        console.log(`- ${closedQuestions.length} closed-ended questions will be summarized without the LLM: ${closedQuestions.map(q => `${q.questionId} (${q.questionType})`).join(', ')}`);
+      }
+      if (extractedData.questions.length === 0) {
+        return { error: 'No open-ended questions to analyse - every question column is numeric or categorical' };
+      }
       
       // Phase 2: Parse and clean responses
       console.log('- Parsing and cleaning responses...');
-      const parsingResult = parseAndCleanResponses(extractedData);
+      const parsingResult = parseAndCleanResponses(extractedData, { speakerLabels: this.options.speakerLabels });
       
       if (parsingResult.error) {
         return { error: `Response parsing failed: ${parsingResult.error}` };
       }
       
-      const cleanedData = parsingResult.data;
+      const cleanedData = { ...parsingResult.data, closedQuestions };
+      if (cleanedData.flaggedResponses.length > 0) {
+        console.log(`- Flagged ${cleanedData.flaggedResponses.length} low-effort or near-duplicate responses`);
+      }
+      const languages = Object.entries(cleanedData.metadata.languages)
+        .sort((a, b) => b[1] - a[1])
+        .map(([code, count]) => `${getLanguageName(code)} ${count}`);
+      if (languages.length > 1) {
+        console.log(`- Languages detected: ${languages.join(', ')}`);
+      }
       
       console.log('✅ Data extraction and parsing completed');
       logOperation('data-extracted', { 
@@ -280,6 +389,401 @@ export class ThematicAnalysisPipeline {
     }
   }
 
+  /**
+   * Replace PII in the cleaned data with placeholders before any prompt is built
+   * The re-identification map is written to piiMapPath (PROCESSING_CONFIG.PII.MAP_PATH), outside the
+   * output directory so sharing the outputs does not share the original values.
+   * @param {Object} cleanedData - Cleaned and structured data
+   * @returns {Promise<{data?: Object, redactionMap?: RedactionMap, mapPath?: string, error?: string}>} Redacted data and map, or the data unchanged when redaction is off
+   */
+  async redactPersonalData(cleanedData) {
+    if (!this.options.redactPII) {
+      return { data: cleanedData, redactionMap: null };
+    }
+    
+    console.log('🔒 Redacting personal data...');
+    
+    try {
+      const redactionResult = redactCleanedData(cleanedData, { terms: this.options.piiTerms });
+      if (redactionResult.error) {
+        return { error: redactionResult.error };
+      }
+      
+      const mapPath = path.resolve(this.options.piiMapPath);
+      const outputDir = path.resolve(this.options.outputDir);
+      if (mapPath.startsWith(`${outputDir}${path.sep}`)) {
+        console.warn(`⚠️  The re-identification map ${mapPath} is inside the output directory; do not share that folder`);
+      }
+      const dirResult = await ensureDirectoryExists(path.dirname(mapPath));
+      if (dirResult.error) {
+        return { error: dirResult.error };
+      }
+      await fs.writeFile(mapPath, JSON.stringify(redactionResult.redactionMap, null, 2), 'utf8');
+      
+      const counts = Object.entries(redactionResult.redactionMap.countByType())
+        .map(([type, count]) => `${count} ${type.toLowerCase()}`)
+        .join(', ');
+      console.log(`- Redacted ${redactionResult.redactedResponses} responses${counts ? ` (${counts})` : ''}`);
+      console.log(`- Re-identification map written to ${mapPath} (keep it local)`);
+      logOperation('pii-redacted', {
+        redactedResponses: redactionResult.redactedResponses,
+        placeholders: redactionResult.redactionMap.size
+      });
+      
+      return { data: redactionResult.data, redactionMap: redactionResult.redactionMap, mapPath };
+      
+    } catch (error) {
+      return { error: `PII redaction failed: ${error.message}` };
+    }
+  }
+
+  /**
+   * Choose the data written to outputs for the PII output mode
+   * 'restore' puts the original values back for internal use; 'redacted' keeps the placeholders.
+   * @param {Object} analysisResults - Results of the analysis run on redacted data
+   * @param {Object} analysedData - Redacted (and possibly translated) data the analysis ran on
+   * @param {{redactionMap: RedactionMap|null}} redaction - Result of redactPersonalData
+   * @returns {{analysisResults: Object, outputData: Object}} Results and data for output generation
+   */
+  prepareOutputData(analysisResults, analysedData, redaction) {
+    if (!redaction.redactionMap || this.options.piiOutputMode !== 'restore') {
+      return { analysisResults, outputData: analysedData };
+    }
+    
+    console.log('- Restoring redacted values in outputs (internal use only)');
+    return {
+      analysisResults: restoreRedactedValues(analysisResults, redaction.redactionMap),
+      outputData: restoreRedactedValues(analysedData, redaction.redactionMap)
+    };
+  }
+
+  /**
+   * Translate answers that are not in the analysis language
+   * Runs after PII redaction so translation prompts carry no personal data. Each translated
+   * response keeps its original turns and gets translation: {language, text} next to them.
+   * When the translator fails, or stops at the LLM budget, the run goes on: responses left
+   * without a translation are marked untranslated: true and analysed in their own language.
+   * @param {Object} data - Redacted cleaned data
+   * @returns {Promise<{data?: Object, translatedResponses?: number, error?: string}>} Data with translations, unchanged when translation is off
+   */
+  async translateResponses(data) {
+    if (!this.options.translate) {
+      return { data, translatedResponses: 0 };
+    }
+    
+    const targetLanguage = this.options.targetLanguage || PROCESSING_CONFIG.LANGUAGE.TRANSLATION.TARGET_LANGUAGE;
+    console.log(`🌐 Translating responses into ${getLanguageName(targetLanguage)}...`);
+    
+    try {
+      const texts = this.collectTranslationTexts(data, targetLanguage);
+      
+      if (texts.length === 0) {
+        console.log('- No responses to translate');
+        return { data, translatedResponses: 0 };
+      }
+      
+      if (!this.translator) {
+        this.translator = new TranslatorAgent();
+      }
+      const translationResult = await this.translator.invoke({ texts, targetLanguage });
+      if (translationResult.error) {
+        console.warn(`  ⚠️  Translation failed, continuing untranslated: ${translationResult.error}`);
+        if (this.monitor) this.monitor.recordWarning('TRANSLATION_FAILURE', translationResult.error);
+      }
+      
+      const translations = translationResult.translations || {};
+      const requestedIds = new Set(texts.map(item => item.id));
+      const responsesByQuestion = {};
+      for (const [questionId, responses] of Object.entries(data.responsesByQuestion)) {
+        responsesByQuestion[questionId] = responses.map(response => {
+          const id = `${response.questionId}:${response.participantId}`;
+          if (translations[id]) {
+            return { ...response, translation: { language: targetLanguage, text: translations[id] } };
+          }
+          return requestedIds.has(id) ? { ...response, untranslated: true } : response;
+        });
+      }
+      
+      const translatedResponses = Object.keys(translations).length;
+      const untranslatedResponses = texts.length - translatedResponses;
+      console.log(`- Translated ${translatedResponses}/${texts.length} responses`);
+      if (untranslatedResponses > 0) {
+        console.warn(`  ⚠️  ${untranslatedResponses} responses are analysed untranslated`);
+      }
+      logOperation('responses-translated', { targetLanguage, translatedResponses, requested: texts.length, ...(translationResult.error && { error: translationResult.error }) });
+      
+      return {
+        data: {
+          ...data,
+          responsesByQuestion,
+          metadata: {
+            ...data.metadata,
+            translation: { targetLanguage, translatedResponses, untranslatedResponses, ...(translationResult.error && { error: translationResult.error }) }
+          }
+        },
+        translatedResponses
+      };
+      
+    } catch (error) {
+      return { error: `Translation failed: ${error.message}` };
+    }
+  }
+
+  /**
+   * Participant texts that are not in the analysis language, keyed "questionId:participantId"
+   * @param {Object} data - Redacted cleaned data
+   * @param {string} targetLanguage - ISO 639-1 code of the analysis language
+   * @returns {Array<{id: string, text: string, language: string}>} Texts to translate
+   */
+  collectTranslationTexts(data, targetLanguage) {
+    return Object.values(data.responsesByQuestion)
+      .flat()
+      .filter(response => needsTranslation(response, targetLanguage))
+      .map(response => ({
+        id: `${response.questionId}:${response.participantId}`,
+        text: getResponseParticipantText(response),
+        language: response.language.code
+      }))
+      .filter(item => item.text);
+  }
+
+  /**
+   * Read the input with the extractor for its format and log what was found
+   * @param {Object} [extraOptions] - Options passed on to the extractor (e.g. audit)
+   * @returns {Promise<{data?: Object, warnings?: Array<string>, rowAudit?: Array<Object>, error?: string}>} Extraction result or error
+   */
+  async extractData(extraOptions = {}) {
+    try {
+      const extension = getFileExtension(this.options.inputExcelPath);
+      if (!this.options.transcriptsDir && !PROCESSING_CONFIG.FILES.SUPPORTED_FORMATS.includes(extension)) {
+        return { error: `Unsupported input format: .${extension} (supported: ${PROCESSING_CONFIG.FILES.SUPPORTED_FORMATS.join(', ')})` };
+      }
+      
+      // Validate the column mapping before reading any rows
+      let columnMapping = null;
+      if (this.options.columnMapping || this.options.columnMappingPath) {
+        const mappingResult = this.options.columnMapping
+          ? normalizeColumnMapping(this.options.columnMapping)
+          : await loadColumnMapping(this.options.columnMappingPath);
+        if (mappingResult.error) {
+          return { error: `Invalid column mapping: ${mappingResult.error}` };
+        }
+        columnMapping = mappingResult.data;
+      }
+      
+      let questionMetadata = null;
+      if (this.options.questionMetadata || this.options.questionMetadataPath) {
+        const metadataResult = this.options.questionMetadata
+          ? normalizeQuestionMetadata(this.options.questionMetadata)
+          : await loadQuestionMetadata(this.options.questionMetadataPath);
+        if (metadataResult.error) {
+          return { error: `Invalid question metadata: ${metadataResult.error}` };
+        }
+        questionMetadata = metadataResult.data;
+      }
+      
+      const isDelimited = extension === 'csv' || extension === 'tsv';
+      const sourceLabel = this.options.transcriptsDir ? 'Transcript' : isDelimited ? extension.toUpperCase() : 'Excel';
+      console.log(`- Extracting data from ${sourceLabel} ${this.options.transcriptsDir ? 'folder' : 'file'}...`);
+      let extractionResult;
+      if (this.options.transcriptsDir) {
+        extractionResult = await extractDataFromTranscripts(this.options.transcriptsDir, this.options.backgroundPath, {
+          discussionGuidePath: this.options.discussionGuidePath,
+          discussionGuide: this.options.discussionGuide,
+          speakerLabels: this.options.speakerLabels,
+          ...extraOptions
+        });
+      } else if (isDelimited) {
+        extractionResult = await extractDataFromDelimited(this.options.inputExcelPath, this.options.backgroundPath, { columnMapping, ...extraOptions });
+      } else {
+        extractionResult = await extractDataFromExcel(this.options.inputExcelPath, this.options.backgroundPath, {
+          sheet: this.options.sheet,
+          mergeSheets: this.options.mergeSheets,
+          columnMapping,
+          streaming: this.options.streaming,
+          // Large workbooks are streamed; report rows read so far to the monitor
+          onProgress: progress => {
+            if (this.monitor) this.monitor.recordProgress('DATA_EXTRACTION', progress);
+          },
+          ...extraOptions
+        });
+      }
+      
+      if (extractionResult.error) {
+        for (const warning of extractionResult.warnings || []) {
+          console.warn(`⚠️  ${warning}`);
+        }
+        return { error: `${sourceLabel} extraction failed: ${extractionResult.error}` };
+      }
+      
+      // Rename, describe and skip questions before anything is counted or parsed
+      if (questionMetadata) {
+        const metadataResult = applyQuestionMetadata(extractionResult.data, questionMetadata);
+        if (metadataResult.error) {
+          return { error: `Invalid question metadata: ${metadataResult.error}` };
+        }
+        extractionResult = {
+          ...extractionResult,
+          data: metadataResult.data,
+          warnings: [...(extractionResult.warnings || []), ...metadataResult.warnings]
+        };
+      }
+      
+      const extractedData = extractionResult.data;
+      console.log(`- Found ${extractedData.questions.length} questions`);
+      console.log(`- Found ${extractedData.participantResponses.length} total responses`);
+      console.log(`- Found ${extractedData.metadata.totalParticipants} unique participants`);
+      if (extractedData.metadata.sourceSheets?.length > 1) {
+        console.log(`- Merged worksheets: ${extractedData.metadata.sourceSheets.join(', ')}`);
+      }
+      if (extractedData.metadata.transcriptFiles) {
+        console.log(`- Read ${extractedData.metadata.transcriptFiles.length} transcript files`);
+      }
+      if (extractedData.metadata.columnMapping) {
+        const { metadataColumns, ignoredColumns } = extractedData.metadata.columnMapping;
+        console.log(`- Column mapping: ${metadataColumns.length} metadata, ${ignoredColumns.length} ignored columns`);
+      }
+      if (extractedData.metadata.questionMetadata) {
+        const { configuredQuestions, skippedQuestions } = extractedData.metadata.questionMetadata;
+        console.log(`- Question metadata: ${configuredQuestions} questions configured, ${skippedQuestions.length} skipped`);
+      }
+      for (const warning of extractionResult.warnings || []) {
+        console.warn(`⚠️  ${warning}`);
+      }
+      
+      return extractionResult;
+      
+    } catch (error) {
+      return { error: `Data extraction failed: ${error.message}` };
+    }
+  }
+
+  /**
+   * Audit the input without calling the LLM: extraction and parsing only
+   * Writes a JSON and a Markdown report of data-quality problems to the output directory.
+   * @returns {Promise<{auditData?: Object, filePath?: string, markdownPath?: string, error?: string}>} Audit and report paths or error
+   */
+  async runAudit() {
+    console.log('🔎 Auditing input data...');
+    
+    try {
+      const extractionResult = await this.extractData({ audit: true });
+      if (extractionResult.error) {
+        return { error: extractionResult.error };
+      }
+      
+      console.log('- Parsing and cleaning responses...');
+      const parsingResult = parseAndCleanResponses(extractionResult.data, { speakerLabels: this.options.speakerLabels });
+      if (parsingResult.error) {
+        return { error: `Response parsing failed: ${parsingResult.error}` };
+      }
+      
+      const auditResult = buildInputAudit(extractionResult, parsingResult, {
+        input: this.options.transcriptsDir || this.options.inputExcelPath
+      });
+      if (auditResult.error) {
+        return { error: auditResult.error };
+      }
+      
+      const reportResult = await generateInputAudit(auditResult.data, { outputDir: this.options.outputDir });
+      if (reportResult.error) {
+        return { error: reportResult.error };
+      }
+      
+      const { summary } = auditResult.data;
+      console.log(`- ${summary.responsesAccepted}/${summary.responsesExtracted} responses accepted, ${summary.responsesRejected} rejected`);
+      console.log(`- ${summary.emptyRows} empty rows, ${summary.rowsWithoutId} rows without participant ID, ${summary.duplicateParticipantIds} participant IDs on several rows`);
+      console.log(`- ${summary.responsesWithoutSpeakerLabels} responses without speaker labels, ${summary.shortAnswers} short and ${summary.overlongAnswers} overlong answers`);
+      console.log(`✅ Input audit written to ${reportResult.markdownPath}`);
+      
+      return { auditData: auditResult.data, ...reportResult };
+      
+    } catch (error) {
+      return { error: `Input audit failed: ${error.message}` };
+    }
+  }
+
+  /**
+   * Estimate the LLM calls, tokens, cost and duration of a run without calling the LLM
+   * Extracts, parses and redacts the data as run() does, builds every prompt the run would send
+   * and prints the estimate per stage; see dry-run.js for what is counted and what is guessed.
+   * @returns {Promise<{data?: Object, error?: string}>} Estimate or error
+   */
+  async dryRun() {
+    console.log('🧮 Estimating LLM usage (dry run, no LLM calls)...');
+    
+    try {
+      const cleanedData = await this.extractAndParseData();
+      if (cleanedData.error) {
+        return { error: `Data extraction failed: ${cleanedData.error}` };
+      }
+      
+      // Prompts are built from redacted text, as in a real run; the map is not written
+      let data = cleanedData;
+      if (this.options.redactPII) {
+        const redactionResult = redactCleanedData(cleanedData, { terms: this.options.piiTerms });
+        if (redactionResult.error) {
+          return { error: `PII redaction failed: ${redactionResult.error}` };
+        }
+        data = redactionResult.data;
+      }
+      
+      let translation = null;
+      if (this.options.translate) {
+        const targetLanguage = this.options.targetLanguage || PROCESSING_CONFIG.LANGUAGE.TRANSLATION.TARGET_LANGUAGE;
+        translation = { targetLanguage, texts: this.collectTranslationTexts(data, targetLanguage) };
+      }
+      
+      let previousAnalyses;
+      if (this.options.previousResultsPath) {
+        const previousResult = await loadPreviousResults(this.options.previousResultsPath);
+        if (previousResult.error) {
+          return { error: previousResult.error };
+        }
+        previousAnalyses = previousResult.data.analyses;
+      }
+      
+      const estimateResult = await estimateRun(data, {
+        translation,
+        previousAnalyses,
+        pricesPath: this.options.llmPricesPath,
+        budgetUsd: this.options.budgetUsd,
+        concurrency: {
+          maxConcurrentQuestions: this.options.maxConcurrentQuestions,
+          maxConcurrentCalls: this.options.maxConcurrentLLMCalls,
+          tokensPerMinute: this.options.llmTokensPerMinute
+        }
+      });
+      if (estimateResult.error) {
+        return { error: estimateResult.error };
+      }
+      
+      const estimate = estimateResult.data;
+      const formatCost = costUsd => (costUsd === null ? 'cost unknown' : `$${costUsd.toFixed(4)}`);
+      console.log(`- Model: ${estimate.provider || 'unknown'}${estimate.model ? ` ${estimate.model}` : ''}`);
+      for (const [stage, stageTotals] of Object.entries(estimate.byStage)) {
+        if (stageTotals.calls === 0) continue;
+        console.log(`  ${stage.padEnd(16)} ${String(stageTotals.calls).padStart(4)} calls  ${String(stageTotals.promptTokens).padStart(9)} prompt + ~${stageTotals.completionTokens} completion tokens  ${formatCost(stageTotals.costUsd)}`);
+      }
+      for (const [questionId, questionTotals] of Object.entries(estimate.byQuestion)) {
+        const batches = questionTotals.classificationBatches.length > 0 ? `, classifier batches of ${questionTotals.classificationBatches.join('/')}` : '';
+        console.log(`  ${questionId}: ${questionTotals.skipped ? `skipped (${questionTotals.skipped})` : `${questionTotals.calls} calls${batches}`}`);
+      }
+      const { totals } = estimate;
+      console.log(`- Total: ${totals.calls} calls, ${totals.promptTokens} prompt + ~${totals.completionTokens} completion tokens, ${formatCost(totals.costUsd)}, ~${Math.ceil(estimate.estimatedDurationSeconds / 60)} min (${estimate.concurrency.maxQuestions} questions / ${estimate.concurrency.maxConcurrentCalls} requests at a time)`);
+      if (estimate.budget?.exceeded) {
+        console.warn(`  ⚠️  The estimate is over the budget of $${estimate.budget.limitUsd}; the run would stop early`);
+      }
+      estimate.notes.forEach(note => console.log(`  ℹ️  ${note}`));
+      console.log('✅ Dry run completed - no LLM calls were made');
+      
+      return { data: estimate };
+      
+    } catch (error) {
+      return { error: `Dry run failed: ${error.message}` };
+    }
+  }
+
   /**
    * Run enhanced parallel thematic analysis with comprehensive error handling
    * @param {Object} cleanedData - Cleaned and parsed data
@@ -292,10 +796,21 @@ export class ThematicAnalysisPipeline {
       // Initialize parallel orchestrator
       const parallelOrchestrator = new ParallelOrchestrator();
       
+      // Incremental run: keep the themes of a previous run and classify only new participants
+      let previousAnalyses;
+      if (this.options.previousResultsPath) {
+        const previousResult = await loadPreviousResults(this.options.previousResultsPath);
+        if (previousResult.error) {
+          return { error: previousResult.error };
+        }
+        previousAnalyses = previousResult.data.analyses;
+        console.log(`- Incremental run on ${previousResult.data.sourcePath} (${Object.keys(previousAnalyses).length} previously analysed questions)`);
+      }
+      
       console.log(`- Analyzing ${cleanedData.questions.length} questions in parallel...`);
       
       // Run all questions concurrently (Phase 4 parallel processing)
-      const analysisResults = await parallelOrchestrator.parallelThematicAnalysis(cleanedData);
+      const analysisResults = await parallelOrchestrator.parallelThematicAnalysis(cleanedData, { previousAnalyses });
       
       // Enhanced error handling - accept partial results
       if (analysisResults.error) {
@@ -307,11 +822,17 @@ export class ThematicAnalysisPipeline {
         return { error: 'Invalid analysis results format from parallel processing' };
       }
       
-      // Check if we have at least some usable results
+      // Check if we have at least some usable results; a run stopped by its budget writes
+      // whatever it has (see finalizePipelineEnhanced)
       const usableResults = analysisResults.filter(result => !result.error);
-      if (usableResults.length === 0) {
+      const stoppedAtBudget = this.llmUsage?.isBudgetExceeded();
+      if (usableResults.length === 0 && !stoppedAtBudget) {
         return { error: 'No usable analysis results - all questions failed' };
       }
+      if (stoppedAtBudget) {
+        const stopped = analysisResults.filter(result => result.stoppedAtBudget).length;
+        console.warn(`🛑 ${this.llmUsage.budgetError()}; ${stopped} questions stopped part-way, writing the work completed so far`);
+      }
       
       // Log about any failures
       const failedResults = analysisResults.filter(result => result.error);
@@ -326,6 +847,12 @@ export class ThematicAnalysisPipeline {
         console.log(`  Question ${index + 1}: "${result.derivedQuestion}"`);
         console.log(`    - Themes: ${result.themes ? result.themes.length : 0}`);
         console.log(`    - Participants: ${result.participantCount || 0}`);
+        if (result.stoppedAtBudget) {
+          console.log('    - Stopped at the LLM budget before its last stage');
+        }
+        if (result.incremental) {
+          this.reportIncrementalUpdate(result.incremental);
+        }
       });
       
       logOperation('analysis-completed', { 
@@ -343,6 +870,20 @@ export class ThematicAnalysisPipeline {
     }
   }
 
+  /**
+   * Log what an incremental run changed for a question and warn when themes may no longer fit
+   * @param {Object} incremental - Incremental update report (see assessIncrementalUpdate)
+   */
+  reportIncrementalUpdate(incremental) {
+    console.log(`    - Incremental: ${incremental.newParticipants} new, ${incremental.previousParticipants} from the previous run`);
+    if (incremental.possibleMissingTheme) {
+      console.warn(`    ⚠️  ${incremental.poorFits.length} new responses (${Math.round(incremental.poorFitShare * 100)}%) fit the existing themes poorly - a theme may be missing; consider a full re-run`);
+    }
+    if (incremental.missingFromInput.length > 0) {
+      console.warn(`    ⚠️  ${incremental.missingFromInput.length} previously analysed participants are not in the input - kept from the previous run`);
+    }
+  }
+
   /**
    * Generate all output files with enhanced multi-question support
    * @param {Array} analysisResults - Analysis results (may include errors)
@@ -361,11 +902,17 @@ export class ThematicAnalysisPipeline {
         totalFiles: 0
       };
       
+      // Summarize closed-ended questions with descriptive statistics (no LLM calls)
+      const descriptiveSummaries = buildDescriptiveSummaries(cleanedData.closedQuestions);
+      const themeDrivers = this.analyzeThemeDrivers(analysisResults, cleanedData);
+      
       // Generate user-facing thematic analysis (PRIMARY OUTPUT)
       console.log('- Generating user-facing thematic analysis...');
       const thematicAnalysis = await generateThematicAnalysis(analysisResults, {
         outputDirectory: this.options.outputDir,
-        projectTitle: "VPN Selection Preferences Study"
+        projectTitle: "VPN Selection Preferences Study",
+        descriptiveSummaries,
+        themeDrivers
       });
       
       if (thematicAnalysis.error) {
@@ -389,7 +936,13 @@ export class ThematicAnalysisPipeline {
         startTime: this.startTime,
         inputExcelPath: this.options.inputExcelPath,
         backgroundPath: this.options.backgroundPath,
-        qualityAssurance
+        attributeNames: cleanedData.metadata?.attributeNames,
+        flaggedResponses: cleanedData.flaggedResponses,
+        descriptiveSummaries,
+        themeDrivers,
+        qualityAssurance,
+        llmUsage: this.llmUsage?.summarize(),
+        llmScheduling: this.llmScheduler?.summarize()
       });
       
       if (finalReport.error) {
@@ -401,12 +954,30 @@ export class ThematicAnalysisPipeline {
       outputFiles.technicalResults = technicalFileName;
       outputFiles.totalFiles++;
       
+      // Generate segment comparison when participants have attributes
+      console.log('- Generating segment comparison...');
+      const segmentResult = await generateSegmentComparison(analysisResults, cleanedData, {
+        outputDir: this.options.outputDir
+      });
+      const segmentComparison = segmentResult.comparisonData;
+      
+      if (segmentResult.error) {
+        console.warn('  ⚠️  Failed to generate segment comparison');
+        console.warn(`  Error: ${segmentResult.error}`);
+      } else if (segmentResult.skipped) {
+        console.log(`  ℹ️ Skipped: ${segmentResult.reason}`);
+      } else {
+        console.log(`  ✅ Generated: ${segmentResult.fileName}`);
+        outputFiles.segmentComparison = segmentResult.fileName;
+        outputFiles.totalFiles++;
+      }
+      
       // Generate classification Excel files with enhanced error handling
       console.log('- Generating classification Excel files with partial failure support...');
       const classificationFiles = await generateClassificationFiles(
         analysisResults,
         cleanedData,
-        { outputDir: this.options.outputDir }
+        { outputDir: this.options.outputDir, segmentComparison }
       );
       
       if (classificationFiles.error) {
@@ -426,7 +997,10 @@ export class ThematicAnalysisPipeline {
       
       const summaryResult = await generateExecutiveSummary(analysisResults, finalReport, {
         outputPath: `${this.options.outputDir}/${summaryFileName}`,
-        qualityAssurance
+        qualityAssurance,
+        segmentComparison,
+        descriptiveSummaries,
+        themeDrivers
       });
       
       if (summaryResult.error) {
@@ -612,6 +1186,45 @@ export class ThematicAnalysisPipeline {
     }
   }
 
+  /**
+   * Relate each question's themes to a numeric outcome column (driver analysis)
+   * The column is the driverColumn option, or the only numeric closed-ended question when there is one.
+   * @param {Array} analysisResults - Analysis results (may include errors)
+   * @param {Object} cleanedData - Cleaned data with closedQuestions and participantAttributes
+   * @returns {Object|null} Driver data (see buildThemeDrivers), or null when there is no outcome column
+   */
+  analyzeThemeDrivers(analysisResults, cleanedData) {
+    const numericQuestions = (cleanedData.closedQuestions || []).filter(question => question.questionType === QUESTION_TYPES.NUMERIC);
+    const column = this.options.driverColumn || (numericQuestions.length === 1 ? numericQuestions[0].questionId : null);
+    if (!column) {
+      return null;
+    }
+    
+    console.log(`- Analyzing theme drivers of ${column}...`);
+    const scoresResult = resolveOutcomeScores(cleanedData, column);
+    if (scoresResult.error) {
+      console.warn(`  ⚠️  Skipped driver analysis: ${scoresResult.error}`);
+      return null;
+    }
+    
+    const driverResult = buildThemeDrivers(analysisResults, scoresResult.data);
+    if (driverResult.error) {
+      console.warn(`  ⚠️  Failed to analyze theme drivers: ${driverResult.error}`);
+      return null;
+    }
+    
+    const significant = driverResult.data.questions.reduce((sum, question) => sum + question.themes.filter(theme => theme.test.significant).length, 0);
+    console.log(`  ✅ ${driverResult.data.questions.length} questions analyzed, ${significant} significant drivers`);
+    logOperation('theme-drivers-analyzed', {
+      outcome: driverResult.data.outcome,
+      questions: driverResult.data.questions.length,
+      skipped: driverResult.data.skipped.length,
+      significantDrivers: significant
+    });
+    
+    return driverResult.data;
+  }
+
   /**
    * Perform quality assurance checks on analysis results
    * @param {Array} analysisResults - Analysis results (may include errors)
@@ -926,9 +1539,14 @@ export class ThematicAnalysisPipeline {
         outputFiles: outputFiles,
         qualityAssurance: qualityAssurance,
         qualityMetrics: this.calculateQualityMetrics(analysisResults),
+        llmUsage: this.llmUsage?.summarize(),
         pipelineVersion: '4.2.0-enhanced'
       };
       
+      if (summary.llmUsage?.budget.exceeded) {
+        summary.status = 'stopped_at_budget';
+      }
+      
       // Enhanced logging
       console.log('\n📋 Enhanced Pipeline Summary:');
       console.log(`  ⏱️  Duration: ${summary.duration}`);
@@ -939,6 +1557,29 @@ export class ThematicAnalysisPipeline {
       console.log(`  📁 Output files: ${outputFiles.totalFiles} files generated`);
       console.log(`  🎯 Quality: ${qualityAssurance.overallQuality.level} (${qualityAssurance.overallQuality.score}%)`);
       
+      if (summary.llmUsage) {
+        const { totals, budget, unpricedModels } = summary.llmUsage;
+        console.log(`  💵 LLM usage: ${totals.totalTokens} tokens in ${totals.calls} calls, $${totals.costUsd.toFixed(4)}${budget.limitUsd ? ` of $${budget.limitUsd} budget` : ''}`);
+        if (unpricedModels.length > 0) {
+          console.log(`  ⚠️  No price for ${unpricedModels.join(', ')} - add it to LLM_PRICES for cost reporting`);
+        }
+      }
+      
+      if (this.llmScheduler) {
+        const scheduling = this.llmScheduler.summarize();
+        const queued = Object.values(scheduling.byStage).reduce((sum, stage) => sum + stage.queuedCalls, 0);
+        if (queued > 0) {
+          console.log(`  ⏳ LLM queue: ${queued} calls waited for a slot (peak ${scheduling.peakConcurrentCalls} of ${scheduling.limits.maxConcurrentCalls} in flight)`);
+        }
+      }
+      
+      if (summary.status === 'stopped_at_budget') {
+        console.log(`  🛑 ${this.llmUsage.budgetError()}; outputs cover the work completed before the cap`);
+        if (this.monitor) {
+          this.monitor.recordWarning('LLM_BUDGET_EXCEEDED', this.llmUsage.budgetError(), summary.llmUsage.budget);
+        }
+      }
+      
       if (summary.statistics.questionsFailed > 0) {
         console.log(`  ⚠️  Failed questions: ${summary.statistics.questionsFailed}`);
       }
@@ -962,17 +1603,160 @@ export class ThematicAnalysisPipeline {
 
 }
 
+/**
+ * Parse INPUT_MERGE_SHEETS: "all" merges every worksheet, otherwise a comma-separated list of names
+ * @param {string|undefined} value - Environment variable value
+ * @returns {boolean|Array<string>|undefined} mergeSheets option
+ */
+function parseMergeSheetsEnv(value) {
+  if (!value || value.trim() === '') return undefined;
+  if (value.trim().toLowerCase() === 'all') return true;
+  return value.split(',').map(name => name.trim()).filter(Boolean);
+}
+
+/**
+ * Parse INPUT_STREAMING: "true"/"false" force the choice, anything else streams by file size
+ * @param {string|undefined} value - Environment variable value
+ * @returns {boolean|string} streaming option
+ */
+function parseStreamingEnv(value) {
+  const normalized = value?.trim().toLowerCase();
+  if (normalized === 'true') return true;
+  if (normalized === 'false') return false;
+  return 'auto';
+}
+
+/**
+ * Parse INTERVIEWER_LABELS / PARTICIPANT_LABELS: comma-separated speaker labels added to the defaults
+ * @param {string|undefined} interviewer - Interviewer labels
+ * @param {string|undefined} participant - Participant labels
+ * @returns {Object|undefined} speakerLabels option
+ */
+function parseSpeakerLabelsEnv(interviewer, participant) {
+  if (!interviewer?.trim() && !participant?.trim()) return undefined;
+  return { interviewer: interviewer || '', participant: participant || '' };
+}
+
+/**
+ * Parse an on/off variable such as REDACT_PII or TRANSLATE_RESPONSES: "true"/"false" force the
+ * setting, anything else keeps the configured default
+ * @param {string|undefined} value - Environment variable value
+ * @returns {boolean|undefined} Option value
+ */
+function parseBooleanEnv(value) {
+  const normalized = value?.trim().toLowerCase();
+  if (normalized === 'false') return false;
+  if (normalized === 'true') return true;
+  return undefined;
+}
+
+/**
+ * Parse PII_NAMES / PII_ORGS: comma-separated names and organisations to always redact
+ * @param {string|undefined} names - Person names
+ * @param {string|undefined} orgs - Organisation names
+ * @returns {Object|undefined} piiTerms option
+ */
+function parsePIITermsEnv(names, orgs) {
+  if (!names?.trim() && !orgs?.trim()) return undefined;
+  const split = value => (value || '').split(',').map(term => term.trim()).filter(Boolean);
+  return {
+    NAME: [...PROCESSING_CONFIG.PII.TERMS.NAME, ...split(names)],
+    ORG: [...PROCESSING_CONFIG.PII.TERMS.ORG, ...split(orgs)]
+  };
+}
+
+/**
+ * Pipeline options for a CLI run, read from environment variables
+ * Unset variables give undefined options, which keep the configured defaults.
+ * @param {Object} env - Environment variables
+ * @param {{auditOnly?: boolean, dryRun?: boolean}} [mode] - Command-line mode
+ * @returns {Object} ThematicAnalysisPipeline options
+ */
+export function getPipelineOptionsFromEnv(env, { auditOnly = false, dryRun = false } = {}) {
+  return {
+    inputExcelPath: env.INPUT_EXCEL || 'inputs/data.xlsx',
+    backgroundPath: env.PROJECT_BACKGROUND || 'inputs/project_background.txt',
+    outputDir: env.OUTPUT_DIR || 'outputs',
+    enableLangSmith: env.LANGSMITH_ENABLED === 'true',
+    sheet: env.INPUT_SHEET,
+    columnMappingPath: env.COLUMN_MAPPING,
+    questionMetadataPath: env.QUESTION_METADATA,
+    driverColumn: env.DRIVER_COLUMN,
+    previousResultsPath: env.PREVIOUS_RESULTS,
+    budgetUsd: env.LLM_BUDGET_USD,
+    llmPricesPath: env.LLM_PRICES,
+    transcriptsDir: env.INPUT_TRANSCRIPTS,
+    discussionGuidePath: env.DISCUSSION_GUIDE,
+    mergeSheets: parseMergeSheetsEnv(env.INPUT_MERGE_SHEETS),
+    streaming: parseStreamingEnv(env.INPUT_STREAMING),
+    speakerLabels: parseSpeakerLabelsEnv(env.INTERVIEWER_LABELS, env.PARTICIPANT_LABELS),
+    redactPII: parseBooleanEnv(env.REDACT_PII),
+    piiOutputMode: env.PII_OUTPUT_MODE,
+    piiMapPath: env.PII_MAP_PATH,
+    piiTerms: parsePIITermsEnv(env.PII_NAMES, env.PII_ORGS),
+    translate: parseBooleanEnv(env.TRANSLATE_RESPONSES),
+    targetLanguage: env.TRANSLATION_TARGET,
+    enableProductionMonitoring: !auditOnly && !dryRun
+  };
+}
+
 /**
  * Main execution function for CLI usage
  */
 export async function main() {
   try {
-    const pipeline = new ThematicAnalysisPipeline({
-      inputExcelPath: process.env.INPUT_EXCEL || 'inputs/data.xlsx',
-      backgroundPath: process.env.PROJECT_BACKGROUND || 'inputs/project_background.txt',
-      outputDir: process.env.OUTPUT_DIR || 'outputs',
-      enableLangSmith: process.env.LANGSMITH_ENABLED === 'true'
-    });
+    const inputExcelPath = process.env.INPUT_EXCEL || 'inputs/data.xlsx';
+    
+    // List worksheets and exit: node src/main.js --list-sheets
+    if (process.argv.includes('--list-sheets')) {
+      const listResult = await listExcelSheets(inputExcelPath);
+      if (listResult.error) {
+        console.error('\n💥 Could not list worksheets:', listResult.error);
+        process.exit(1);
+      }
+      console.log(`📑 Worksheets in ${inputExcelPath}:`);
+      for (const sheet of listResult.sheets) {
+        console.log(`  ${sheet.position}. ${sheet.name} (${sheet.rowCount} rows, ${sheet.columnCount} columns${sheet.state !== 'visible' ? `, ${sheet.state}` : ''})`);
+      }
+      return listResult;
+    }
+    
+    // Empty the LLM response cache and exit: node src/main.js --clear-llm-cache[=expired]
+    const clearCacheArg = process.argv.find(arg => arg === '--clear-llm-cache' || arg.startsWith('--clear-llm-cache='));
+    if (clearCacheArg) {
+      const clearResult = await clearLLMCache({ expiredOnly: clearCacheArg.endsWith('=expired') });
+      if (clearResult.error) {
+        console.error('\n💥 Could not clear the LLM cache:', clearResult.error);
+        process.exit(1);
+      }
+      console.log(`🧹 Removed ${clearResult.data.removed} cached LLM responses (${clearResult.data.kept} kept)`);
+      return clearResult;
+    }
+    
+    const auditOnly = process.argv.includes('--audit');
+    const dryRun = process.argv.includes('--dry-run');
+    
+    const pipeline = new ThematicAnalysisPipeline(getPipelineOptionsFromEnv(process.env, { auditOnly, dryRun }));
+    
+    // Check the input without any LLM calls: node src/main.js --audit
+    if (auditOnly) {
+      const auditResult = await pipeline.runAudit();
+      if (auditResult.error) {
+        console.error('\n💥 Input audit failed:', auditResult.error);
+        process.exit(1);
+      }
+      return auditResult;
+    }
+    
+    // Estimate calls, tokens and cost without any LLM calls: node src/main.js --dry-run
+    if (dryRun) {
+      const estimateResult = await pipeline.dryRun();
+      if (estimateResult.error) {
+        console.error('\n💥 Dry run failed:', estimateResult.error);
+        process.exit(1);
+      }
+      return estimateResult;
+    }
     
     const results = await pipeline.run();
     
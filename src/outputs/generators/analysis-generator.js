@@ -12,7 +12,7 @@ import fs from 'fs/promises';
 /**
  * Generate user-friendly thematic analysis JSON
  * @param {Array} analysisResults - Results from parallel orchestrator
- * @param {Object} options - Generation options
+ * @param {Object} options - Generation options (outputDirectory, projectTitle, descriptiveSummaries, themeDrivers)
  * @returns {Object} - {error?: string, filePath?: string, analysisData?: Object}
  */
 export async function generateThematicAnalysis(analysisResults, options = {}) {
@@ -53,6 +53,14 @@ export async function generateThematicAnalysis(analysisResults, options = {}) {
       }
     }
 
+    // Closed-ended questions are summarized with descriptive statistics, not themes
+    if (options.descriptiveSummaries?.length > 0) {
+      analysisData.closedQuestions = options.descriptiveSummaries;
+    }
+    if (options.themeDrivers) {
+      analysisData.themeDrivers = options.themeDrivers;
+    }
+
     // Add metadata
     analysisData.metadata = generateMetadata(analysisResults, successfulAnalyses);
 
@@ -109,6 +117,9 @@ async function formatQuestionAnalysis(result) {
       headline: result.headline || "Analysis completed",
       summary: result.summary || "Analysis summary not available"
     };
+    if (result.analystNotes) {
+      questionAnalysis.analystNotes = result.analystNotes;
+    }
 
     // Format themes with participant counts and percentages
     questionAnalysis.themes = [];
@@ -204,9 +215,11 @@ function selectBestQuotes(quotes, maxQuotes = 3) {
     .slice(0, maxQuotes);
 
   // Format for user consumption
+  // Quotes stay in the participant's language; translated ones carry the translation
   return sortedQuotes.map(q => ({
     text: q.quote.trim(),
-    participantId: q.participantId || "Unknown"
+    participantId: q.participantId || "Unknown",
+    ...(q.translation && { language: q.language, translation: q.translation })
   }));
 }
 
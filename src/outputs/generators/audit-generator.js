@@ -0,0 +1,294 @@
+/**
+ * Input data-quality audit
+ *
+ * This module checks an export after extraction and parsing, before any LLM call is made.
+ * Reports empty rows, rows without a participant ID, participant IDs on several rows,
+ * responses without speaker labels, very short or overlong answers, per-question fill
+ * rates and the reason every rejected response was dropped.
+ * Emits the audit as JSON and as a Markdown report.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { ensureDirectoryExists } from '../../utils/helpers/file-utils.js';
+import { getResponseParticipantText } from '../../data/parsers/conversation-parser.js';
+import { PROCESSING_CONFIG, OUTPUT_CONFIG } from '../../utils/config/constants.js';
+import { logOperation } from '../../utils/config/llm-config.js';
+
+/**
+ * Build the input audit from extraction and parsing results
+ * @param {Object} extractionResult - Extractor result run with the audit option ({data, warnings, rowAudit})
+ * @param {Object} parsingResult - parseAndCleanResponses result ({data, warnings, rejectedResponses})
+ * @param {Object} options - Audit options
+ * @param {string} options.input - Input file or folder, recorded in the report
+ * @param {number} options.minLength - Shortest acceptable participant answer (default PROCESSING_CONFIG.RESPONSES.MIN_LENGTH)
+ * @param {number} options.maxLength - Longest acceptable response (default PROCESSING_CONFIG.RESPONSES.MAX_LENGTH)
+ * @returns {{data?: Object, error?: string}} Audit data or error
+ */
+export function buildInputAudit(extractionResult, parsingResult, options = {}) {
+  const extractedData = extractionResult?.data;
+  const cleanedData = parsingResult?.data;
+  if (!extractedData || !cleanedData) {
+    return { error: 'Input audit needs both extraction and parsing results' };
+  }
+
+  const minLength = options.minLength ?? PROCESSING_CONFIG.RESPONSES.MIN_LENGTH;
+  const maxLength = options.maxLength ?? PROCESSING_CONFIG.RESPONSES.MAX_LENGTH;
+  const rows = extractionResult.rowAudit || [];
+  const cleanedResponses = Object.values(cleanedData.responsesByQuestion || {}).flat();
+  const rejected = parsingResult.rejectedResponses || [];
+
+  const emptyRows = rows
+    .filter(row => row.answeredQuestions === 0)
+    .map(row => ({
+      source: row.source,
+      rowNumber: row.rowNumber,
+      participantId: row.participantId,
+      reason: row.blank ? 'Blank row' : row.participantId ? 'No answers' : 'No participant ID and no answers'
+    }));
+
+  // Answers on a row without an ID never become responses
+  const rowsWithoutId = rows
+    .filter(row => !row.blank && !row.participantId && row.answeredQuestions > 0)
+    .map(row => ({ source: row.source, rowNumber: row.rowNumber, answeredQuestions: row.answeredQuestions }));
+
+  const rowsByParticipant = new Map();
+  for (const row of rows) {
+    if (!row.participantId) continue;
+    if (!rowsByParticipant.has(row.participantId)) {
+      rowsByParticipant.set(row.participantId, []);
+    }
+    rowsByParticipant.get(row.participantId).push({ source: row.source, rowNumber: row.rowNumber });
+  }
+  const duplicateParticipantIds = [...rowsByParticipant.entries()]
+    .filter(([, participantRows]) => participantRows.length > 1)
+    .map(([participantId, participantRows]) => ({ participantId, rows: participantRows }));
+
+  const withoutSpeakerLabels = cleanedResponses
+    .filter(response => !response.hasConversationFormat)
+    .map(response => ({ participantId: response.participantId, questionId: response.questionId, source: responseSource(response) }));
+
+  const shortAnswers = [];
+  const overlongAnswers = [];
+  for (const response of cleanedResponses) {
+    // Short is judged on the participant's words, long on everything sent to the model
+    const participantText = getResponseParticipantText(response);
+    if (participantText.length < minLength) {
+      shortAnswers.push({
+        participantId: response.participantId,
+        questionId: response.questionId,
+        source: responseSource(response),
+        participantTextLength: participantText.length,
+        participantText
+      });
+    }
+    if (response.responseLength > maxLength) {
+      overlongAnswers.push({
+        participantId: response.participantId,
+        questionId: response.questionId,
+        source: responseSource(response),
+        responseLength: response.responseLength
+      });
+    }
+  }
+
+  const rejectedResponses = rejected.map(({ response, reason }) => ({
+    participantId: response?.participantId ?? null,
+    questionId: response?.questionId ?? null,
+    source: response ? responseSource(response) : null,
+    reason
+  }));
+
+  // Participants with a row but no answers still count against the fill rate
+  const participantIds = new Set([
+    ...rowsByParticipant.keys(),
+    ...extractedData.participantResponses.map(response => response.participantId)
+  ]);
+  const questionFillRates = extractedData.questions.map(question => {
+    const answered = (cleanedData.responsesByQuestion?.[question.questionId] || []).length;
+    return {
+      questionId: question.questionId,
+      answered,
+      rejected: rejectedResponses.filter(response => response.questionId === question.questionId).length,
+      participants: participantIds.size,
+      fillRate: participantIds.size > 0 ? Math.round((answered / participantIds.size) * 1000) / 1000 : 0
+    };
+  });
+
+  return {
+    data: {
+      generatedAt: new Date().toISOString(),
+      input: options.input || null,
+      thresholds: { minLength, maxLength },
+      summary: {
+        rowsRead: rows.filter(row => !row.blank).length,
+        participants: participantIds.size,
+        questions: extractedData.questions.length,
+        responsesExtracted: extractedData.participantResponses.length,
+        responsesAccepted: cleanedResponses.length,
+        responsesRejected: rejectedResponses.length,
+        emptyRows: emptyRows.length,
+        rowsWithoutId: rowsWithoutId.length,
+        duplicateParticipantIds: duplicateParticipantIds.length,
+        responsesWithoutSpeakerLabels: withoutSpeakerLabels.length,
+        shortAnswers: shortAnswers.length,
+        overlongAnswers: overlongAnswers.length
+      },
+      warnings: [...(extractionResult.warnings || []), ...(parsingResult.warnings || [])],
+      questionFillRates,
+      emptyRows,
+      rowsWithoutId,
+      duplicateParticipantIds,
+      responsesWithoutSpeakerLabels: withoutSpeakerLabels,
+      shortAnswers,
+      overlongAnswers,
+      rejectedResponses
+    }
+  };
+}
+
+/**
+ * Write the input audit as JSON and Markdown files
+ * @param {Object} auditData - Output of buildInputAudit
+ * @param {Object} options - Generation options (outputDir)
+ * @returns {Promise<{filePath?: string, markdownPath?: string, error?: string}>} Generated files or error
+ */
+export async function generateInputAudit(auditData, options = {}) {
+  try {
+    const outputDir = options.outputDir || 'outputs';
+    const dirResult = await ensureDirectoryExists(outputDir);
+    if (dirResult.error) {
+      return { error: `Failed to create output directory: ${dirResult.error}` };
+    }
+
+    const now = new Date();
+    const timestamp = now.toISOString().replace(/[:.]/g, '-').split('T')[0];
+    const timeStr = now.toTimeString().slice(0, 5).replace(':', '');
+    const baseName = `${timestamp}_${timeStr}_input_audit`;
+    const filePath = path.join(outputDir, `${baseName}.json`);
+    const markdownPath = path.join(outputDir, `${baseName}.md`);
+
+    await fs.writeFile(filePath, JSON.stringify(auditData, null, OUTPUT_CONFIG.FORMAT.JSON_INDENT), 'utf8');
+    await fs.writeFile(markdownPath, createInputAuditMarkdown(auditData), 'utf8');
+
+    logOperation('input-audit-generated', { filePath, markdownPath, ...auditData.summary });
+
+    return { filePath, markdownPath };
+
+  } catch (error) {
+    return { error: `Failed to generate input audit: ${error.message}` };
+  }
+}
+
+/**
+ * Create the Markdown input audit report
+ * Long sections are cut to OUTPUT_CONFIG.CONTENT.AUDIT_MARKDOWN_ROW_LIMIT rows; the JSON report has every row.
+ * @param {Object} auditData - Output of buildInputAudit
+ * @returns {string} Markdown report
+ */
+export function createInputAuditMarkdown(auditData) {
+  const { summary, thresholds } = auditData;
+  let markdown = '# Input Data Audit\n\n';
+  if (auditData.input) {
+    markdown += `**Input:** ${auditData.input}  \n`;
+  }
+  markdown += `**Generated:** ${auditData.generatedAt}\n\n`;
+
+  markdown += '## Summary\n\n';
+  markdown += '| Check | Count |\n|---|---:|\n';
+  markdown += `| Rows read | ${summary.rowsRead} |\n`;
+  markdown += `| Participants | ${summary.participants} |\n`;
+  markdown += `| Questions | ${summary.questions} |\n`;
+  markdown += `| Responses extracted | ${summary.responsesExtracted} |\n`;
+  markdown += `| Responses accepted | ${summary.responsesAccepted} |\n`;
+  markdown += `| Responses rejected | ${summary.responsesRejected} |\n`;
+  markdown += `| Empty rows | ${summary.emptyRows} |\n`;
+  markdown += `| Rows without participant ID | ${summary.rowsWithoutId} |\n`;
+  markdown += `| Participant IDs on several rows | ${summary.duplicateParticipantIds} |\n`;
+  markdown += `| Responses without speaker labels | ${summary.responsesWithoutSpeakerLabels} |\n`;
+  markdown += `| Answers under ${thresholds.minLength} characters | ${summary.shortAnswers} |\n`;
+  markdown += `| Responses over ${thresholds.maxLength} characters (chunked for analysis) | ${summary.overlongAnswers} |\n\n`;
+
+  if (auditData.warnings.length > 0) {
+    markdown += '## Extraction Warnings\n\n';
+    markdown += auditData.warnings.map(warning => `- ${warning}`).join('\n') + '\n\n';
+  }
+
+  markdown += '## Question Fill Rates\n\n';
+  markdown += '| Question | Answered | Rejected | Fill rate |\n|---|---:|---:|---:|\n';
+  auditData.questionFillRates.forEach(question => {
+    markdown += `| ${question.questionId} | ${question.answered}/${question.participants} | ${question.rejected} | ${Math.round(question.fillRate * 100)}% |\n`;
+  });
+  markdown += '\n';
+
+  markdown += createTableSection('Rejected Responses', ['Participant', 'Question', 'Source', 'Reason'],
+    auditData.rejectedResponses.map(r => [r.participantId, r.questionId, r.source, r.reason]));
+  markdown += createTableSection('Empty Rows', ['Source', 'Row', 'Participant', 'Reason'],
+    auditData.emptyRows.map(r => [r.source, r.rowNumber, r.participantId, r.reason]));
+  markdown += createTableSection('Rows Without Participant ID', ['Source', 'Row', 'Answered questions'],
+    auditData.rowsWithoutId.map(r => [r.source, r.rowNumber, r.answeredQuestions]));
+  markdown += createTableSection('Participant IDs on Several Rows', ['Participant', 'Rows'],
+    auditData.duplicateParticipantIds.map(d => [d.participantId, d.rows.map(formatRowReference).join(', ')]));
+  markdown += createTableSection('Responses Without Speaker Labels', ['Participant', 'Question', 'Source'],
+    auditData.responsesWithoutSpeakerLabels.map(r => [r.participantId, r.questionId, r.source]));
+  markdown += createTableSection('Short Answers', ['Participant', 'Question', 'Participant text'],
+    auditData.shortAnswers.map(r => [r.participantId, r.questionId, r.participantText ? `"${r.participantText}"` : '_(none)_']));
+  markdown += createTableSection('Overlong Responses', ['Participant', 'Question', 'Characters'],
+    auditData.overlongAnswers.map(r => [r.participantId, r.questionId, r.responseLength]));
+
+  return markdown.trimEnd() + '\n';
+}
+
+/**
+ * Render one audit section as a Markdown table, cut to the configured row limit
+ * @param {string} title - Section title
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Array>} rows - Cell values
+ * @returns {string} Markdown section (empty when there are no rows)
+ */
+function createTableSection(title, headers, rows) {
+  if (rows.length === 0) {
+    return '';
+  }
+
+  const limit = OUTPUT_CONFIG.CONTENT.AUDIT_MARKDOWN_ROW_LIMIT;
+  let markdown = `## ${title} (${rows.length})\n\n`;
+  markdown += `| ${headers.join(' | ')} |\n|${headers.map(() => '---').join('|')}|\n`;
+  rows.slice(0, limit).forEach(cells => {
+    markdown += `| ${cells.map(formatCell).join(' | ')} |\n`;
+  });
+  if (rows.length > limit) {
+    markdown += `\n_${rows.length - limit} more in the JSON report._\n`;
+  }
+  return markdown + '\n';
+}
+
+/**
+ * Format a table cell, escaping pipes and line breaks
+ * @param {*} value - Cell value
+ * @returns {string} Cell text
+ */
+function formatCell(value) {
+  if (value === null || value === undefined || value === '') {
+    return '-';
+  }
+  return String(value).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+}
+
+/**
+ * Format a row location as "Sheet row N" or "row N"
+ * @param {{source: string|null, rowNumber: number}} row - Row location
+ * @returns {string} Row reference
+ */
+function formatRowReference(row) {
+  return row.source ? `${row.source} row ${row.rowNumber}` : `row ${row.rowNumber}`;
+}
+
+/**
+ * Worksheet or transcript file a response came from
+ * @param {Object} response - Raw or cleaned response
+ * @returns {string|null} Source name
+ */
+function responseSource(response) {
+  return response.sourceSheet || response.sourceFile || null;
+}
@@ -0,0 +1,197 @@
+/**
+ * Closed-ended question summaries
+ *
+ * This module summarizes numeric and categorical questions (ratings, yes/no answers, NPS scores)
+ * with descriptive statistics instead of thematic analysis, so they cost no LLM calls.
+ * Numeric questions get a mean, median, spread and value distribution; categorical questions
+ * get category counts and their top categories. Emits the summaries for the JSON results and
+ * as a Markdown section.
+ */
+
+import { describeNumbers } from '../../utils/helpers/statistics.js';
+import { QUESTION_TYPES, parseNumber, normalizeCategory } from '../../data/extractors/question-types.js';
+import { PROCESSING_CONFIG } from '../../utils/config/constants.js';
+
+const NPS_PATTERN = /\bnps\b|recommend/i;
+
+/**
+ * Summarize closed-ended questions
+ * @param {Array<Object>} closedQuestions - Closed questions with responses: [{participantId, value}] (see separateClosedQuestions)
+ * @param {Object} [options] - Summary options
+ * @param {number} [options.topCategories] - Categories listed as top categories (default PROCESSING_CONFIG.QUESTION_TYPES.TOP_CATEGORIES)
+ * @returns {Array<Object>} One summary per question, in question order
+ */
+export function buildDescriptiveSummaries(closedQuestions, options = {}) {
+  const topCategories = options.topCategories || PROCESSING_CONFIG.QUESTION_TYPES.TOP_CATEGORIES;
+
+  return (closedQuestions || []).map(question => {
+    const summary = {
+      questionId: question.questionId,
+      headerText: question.headerText,
+      questionType: question.questionType,
+      responseCount: question.responses.length
+    };
+    if (question.questionText) summary.questionText = question.questionText;
+    if (question.analystNotes) summary.analystNotes = question.analystNotes;
+
+    const values = question.responses.map(response => response.value);
+    return question.questionType === QUESTION_TYPES.NUMERIC
+      ? { ...summary, ...summarizeNumeric(values, question) }
+      : { ...summary, ...summarizeCategorical(values, topCategories) };
+  });
+}
+
+/**
+ * Summarize numeric answers: statistics, value distribution and, for 0-10 recommendation scores, NPS
+ * @param {Array<string>} values - Answers
+ * @param {Object} question - Question (header and wording are checked for NPS questions)
+ * @returns {Object} statistics, invalidResponses, distribution and optional netPromoterScore
+ */
+function summarizeNumeric(values, question) {
+  const numbers = values.map(parseNumber).filter(number => number !== null);
+  const described = describeNumbers(numbers);
+  const result = {
+    invalidResponses: values.length - numbers.length,
+    statistics: described.error ? null : Object.fromEntries(
+      Object.entries(described).map(([key, value]) => [key, round(value)])
+    )
+  };
+
+  // Value counts only make sense for scales, not for free numbers like ages or prices
+  const counts = countBy(numbers, number => number);
+  if (counts.size <= PROCESSING_CONFIG.QUESTION_TYPES.MAX_CATEGORIES) {
+    result.distribution = [...counts.entries()]
+      .sort((a, b) => a[0] - b[0])
+      .map(([value, count]) => ({ value, count, share: roundShare(count / numbers.length) }));
+  }
+
+  const isScoreScale = numbers.length > 0 && numbers.every(number => Number.isInteger(number) && number >= 0 && number <= 10);
+  if (isScoreScale && NPS_PATTERN.test(`${question.headerText} ${question.questionText || ''}`)) {
+    const promoters = numbers.filter(number => number >= 9).length;
+    const detractors = numbers.filter(number => number <= 6).length;
+    result.netPromoterScore = {
+      score: Math.round(((promoters - detractors) / numbers.length) * 100),
+      promoters,
+      passives: numbers.length - promoters - detractors,
+      detractors
+    };
+  }
+
+  return result;
+}
+
+/**
+ * Summarize categorical answers: category counts, most common first
+ * Answers differing only in case, spacing or trailing punctuation count as one category,
+ * labelled with the first spelling seen.
+ * @param {Array<string>} values - Answers
+ * @param {number} topCategories - Categories to list as top categories
+ * @returns {Object} distribution and topCategories
+ */
+function summarizeCategorical(values, topCategories) {
+  const labels = new Map();
+  values.forEach(value => {
+    const key = normalizeCategory(value);
+    if (!labels.has(key)) labels.set(key, value);
+  });
+
+  const distribution = [...countBy(values, normalizeCategory).entries()]
+    .map(([key, count]) => ({ value: labels.get(key), count, share: roundShare(count / values.length) }))
+    .sort((a, b) => b.count - a.count);
+
+  return {
+    distribution,
+    topCategories: distribution.slice(0, topCategories).map(category => category.value)
+  };
+}
+
+/**
+ * Create the "Closed-Ended Questions" Markdown section for the executive summary
+ * @param {Array<Object>} summaries - Output of buildDescriptiveSummaries
+ * @returns {string} Markdown section (empty when there are no closed-ended questions)
+ */
+export function createDescriptiveMarkdown(summaries) {
+  if (!Array.isArray(summaries) || summaries.length === 0) {
+    return '';
+  }
+
+  let markdown = '## Closed-Ended Questions\n\n';
+  markdown += 'Ratings, scores and fixed-choice answers are summarized with descriptive statistics rather than thematic analysis.\n\n';
+
+  summaries.forEach(summary => {
+    markdown += `### ${summary.questionText || summary.questionId}\n\n`;
+    if (summary.analystNotes) {
+      markdown += `*Analyst notes: ${summary.analystNotes}*\n\n`;
+    }
+
+    if (summary.questionType === QUESTION_TYPES.NUMERIC) {
+      const stats = summary.statistics;
+      if (stats) {
+        markdown += `**n = ${stats.count}** · mean ${stats.mean} (SD ${stats.standardDeviation}) · median ${stats.median} · range ${stats.min}–${stats.max}\n\n`;
+      }
+      if (summary.netPromoterScore) {
+        const nps = summary.netPromoterScore;
+        markdown += `**NPS: ${nps.score}** (${nps.promoters} promoters, ${nps.passives} passives, ${nps.detractors} detractors)\n\n`;
+      }
+      if (summary.invalidResponses > 0) {
+        markdown += `_${summary.invalidResponses} non-numeric answers were left out._\n\n`;
+      }
+    } else {
+      const top = summary.distribution.slice(0, summary.topCategories.length)
+        .map(category => `${category.value} (${formatShare(category.share)})`);
+      markdown += `**n = ${summary.responseCount}** · top answers: ${top.join(', ')}\n\n`;
+    }
+
+    if (summary.distribution) {
+      markdown += '| Answer | Count | Share |\n|---|---:|---:|\n';
+      summary.distribution.forEach(entry => {
+        markdown += `| ${entry.value} | ${entry.count} | ${formatShare(entry.share)} |\n`;
+      });
+      markdown += '\n';
+    }
+  });
+
+  return markdown.trimEnd();
+}
+
+/**
+ * Count values by key, in first-seen order
+ * @param {Array} values - Values to count
+ * @param {Function} keyOf - Key of a value
+ * @returns {Map} Count per key
+ */
+function countBy(values, keyOf) {
+  const counts = new Map();
+  values.forEach(value => {
+    const key = keyOf(value);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  return counts;
+}
+
+/**
+ * Round to two decimals
+ * @param {number} value - Number to round
+ * @returns {number} Rounded number
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Round a share to one decimal percentage point
+ * @param {number} share - Share between 0 and 1
+ * @returns {number} Rounded share
+ */
+function roundShare(share) {
+  return Math.round(share * 1000) / 1000;
+}
+
+/**
+ * Format a share as a percentage string
+ * @param {number} share - Share between 0 and 1
+ * @returns {string} Percentage (e.g. "42.5%")
+ */
+function formatShare(share) {
+  return `${(share * 100).toFixed(1)}%`;
+}
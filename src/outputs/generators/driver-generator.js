@@ -0,0 +1,308 @@
+/**
+ * Theme driver analysis
+ *
+ * This module relates each question's themes to a numeric outcome such as satisfaction or NPS.
+ * Participant theme assignments are joined with the outcome column, and every theme's mean
+ * score is compared with the participants in the question's other themes: Welch's t-test for
+ * significance and Cohen's d as effect size, with a one-way ANOVA across all themes per question.
+ * Emits the drivers for the JSON results and as a Markdown section.
+ */
+
+import { welchTTest, oneWayAnova, cohensD } from '../../utils/helpers/statistics.js';
+import { parseNumber, QUESTION_TYPES } from '../../data/extractors/question-types.js';
+import { ANALYSIS_CONFIG } from '../../utils/config/constants.js';
+
+/**
+ * Find the outcome scores for a numeric column
+ * The column is a numeric closed-ended question (by question ID or header) or a participant
+ * attribute (metadata column) whose values are numbers.
+ * @param {Object} cleanedData - Cleaned data with closedQuestions and participantAttributes
+ * @param {string} column - Question ID, column header or attribute name
+ * @returns {{data?: {outcome: string, source: string, scores: Object<string, number>}, error?: string}} Scores by participant ID or error
+ */
+export function resolveOutcomeScores(cleanedData, column) {
+  const key = String(column || '').trim().toLowerCase();
+  if (!key) {
+    return { error: 'No outcome column given' };
+  }
+
+  const question = (cleanedData?.closedQuestions || []).find(closed =>
+    closed.questionId.toLowerCase() === key || String(closed.headerText).trim().toLowerCase() === key
+  );
+  if (question) {
+    if (question.questionType !== QUESTION_TYPES.NUMERIC) {
+      return { error: `Outcome column "${column}" is ${question.questionType}, not numeric` };
+    }
+    return { data: { outcome: question.questionId, source: 'question', scores: collectScores(question.responses.map(response => [response.participantId, response.value])) } };
+  }
+
+  const pairs = [];
+  let attributeName = null;
+  for (const [participantId, attributes] of Object.entries(cleanedData?.participantAttributes || {})) {
+    const name = Object.keys(attributes).find(attribute => attribute.trim().toLowerCase() === key);
+    if (name !== undefined) {
+      attributeName = attributeName || name;
+      pairs.push([participantId, attributes[name]]);
+    }
+  }
+  if (attributeName) {
+    const scores = collectScores(pairs);
+    if (Object.keys(scores).length === 0) {
+      return { error: `Outcome column "${column}" has no numeric values` };
+    }
+    return { data: { outcome: attributeName, source: 'attribute', scores } };
+  }
+
+  return { error: `Outcome column "${column}" is not a numeric question or participant attribute` };
+}
+
+/**
+ * Compare the outcome score of each theme with the rest of the question's participants
+ * @param {Array} analyses - Question analyses with classifications {participantId: themeTitle}
+ * @param {{outcome: string, scores: Object<string, number>}} outcomeScores - Output of resolveOutcomeScores
+ * @param {Object} [options] - significanceLevel, minThemeSize, minScoredParticipants
+ * @returns {{data?: Object, error?: string}} Driver data ({outcome, significanceLevel, minThemeSize, questions, skipped}) or error
+ */
+export function buildThemeDrivers(analyses, outcomeScores, options = {}) {
+  if (!Array.isArray(analyses)) {
+    return { error: 'Analyses must be an array' };
+  }
+
+  const settings = {
+    significanceLevel: options.significanceLevel ?? ANALYSIS_CONFIG.DRIVERS.SIGNIFICANCE_LEVEL,
+    minThemeSize: options.minThemeSize ?? ANALYSIS_CONFIG.DRIVERS.MIN_THEME_SIZE,
+    minScoredParticipants: options.minScoredParticipants ?? ANALYSIS_CONFIG.DRIVERS.MIN_SCORED_PARTICIPANTS
+  };
+
+  const questions = [];
+  const skipped = [];
+
+  for (const analysis of analyses) {
+    if (analysis.error || !analysis.classifications || Object.keys(analysis.classifications).length === 0) {
+      continue;
+    }
+
+    const result = analyzeQuestionDrivers(analysis, outcomeScores.scores, settings);
+    if (result.skipped) {
+      skipped.push({ questionId: analysis.questionId, reason: result.reason });
+    } else {
+      questions.push(result);
+    }
+  }
+
+  return {
+    data: {
+      outcome: outcomeScores.outcome,
+      significanceLevel: settings.significanceLevel,
+      minThemeSize: settings.minThemeSize,
+      questions,
+      skipped
+    }
+  };
+}
+
+/**
+ * Compare outcome scores across the themes of one question
+ * @param {Object} analysis - Question analysis
+ * @param {Object<string, number>} scores - Outcome score by participant ID
+ * @param {Object} settings - Resolved driver settings
+ * @returns {Object} Question drivers or {skipped: true, reason}
+ */
+function analyzeQuestionDrivers(analysis, scores, settings) {
+  const scoresByTheme = new Map((analysis.themes || []).map(theme => [theme.title, []]));
+  let unscored = 0;
+  for (const [participantId, theme] of Object.entries(analysis.classifications)) {
+    if (scores[participantId] === undefined) {
+      unscored++;
+      continue;
+    }
+    if (!scoresByTheme.has(theme)) scoresByTheme.set(theme, []);
+    scoresByTheme.get(theme).push(scores[participantId]);
+  }
+
+  const scored = [...scoresByTheme.values()].reduce((sum, values) => sum + values.length, 0);
+  if (scored < settings.minScoredParticipants) {
+    return { skipped: true, reason: `Only ${scored} classified participants have a score (fewer than ${settings.minScoredParticipants})` };
+  }
+
+  const allScores = [...scoresByTheme.values()].flat();
+  const themes = [...scoresByTheme.entries()]
+    .filter(([, values]) => values.length > 0)
+    .map(([theme, values]) => {
+      const others = [...scoresByTheme.entries()].filter(([other]) => other !== theme).flatMap(([, otherValues]) => otherValues);
+      const driver = {
+        theme,
+        participants: values.length,
+        meanScore: round(mean(values)),
+        otherMeanScore: others.length > 0 ? round(mean(others)) : null,
+        difference: others.length > 0 ? round(mean(values) - mean(others)) : null
+      };
+
+      if (values.length < settings.minThemeSize) {
+        return { ...driver, effectSize: null, effectLabel: null, test: { method: 'none', reason: `Fewer than ${settings.minThemeSize} scored participants`, significant: false } };
+      }
+
+      const effectSize = cohensD(values, others);
+      const test = welchTTest(values, others);
+      return {
+        ...driver,
+        effectSize: effectSize === null ? null : round(effectSize),
+        effectLabel: effectSize === null ? null : labelEffectSize(effectSize),
+        test: test.error
+          ? { method: 'none', reason: test.error, significant: false }
+          : {
+            method: 'welch-t',
+            statistic: round(test.statistic),
+            degreesOfFreedom: round(test.degreesOfFreedom),
+            pValue: roundPValue(test.pValue),
+            significant: test.pValue < settings.significanceLevel
+          }
+      };
+    })
+    // Strongest positive drivers first, strongest negative last
+    .sort((a, b) => (b.difference ?? 0) - (a.difference ?? 0));
+
+  const anova = oneWayAnova([...scoresByTheme.values()].filter(values => values.length >= settings.minThemeSize));
+  return {
+    questionId: analysis.questionId,
+    derivedQuestion: analysis.derivedQuestion,
+    scoredParticipants: scored,
+    participantsWithoutScore: unscored,
+    meanScore: round(mean(allScores)),
+    overallTest: anova.error
+      ? { method: 'none', reason: anova.error, significant: false }
+      : {
+        method: 'anova',
+        statistic: round(anova.statistic),
+        degreesOfFreedom: anova.degreesOfFreedom,
+        pValue: roundPValue(anova.pValue),
+        significant: anova.pValue < settings.significanceLevel
+      },
+    themes
+  };
+}
+
+/**
+ * Create the "Theme Drivers" Markdown section for the executive summary
+ * @param {Object} driverData - Output of buildThemeDrivers
+ * @returns {string} Markdown section (empty when no question could be analysed)
+ */
+export function createThemeDriversMarkdown(driverData) {
+  if (!driverData || !driverData.questions || driverData.questions.length === 0) {
+    return '';
+  }
+
+  const alpha = driverData.significanceLevel;
+  let markdown = '## Theme Drivers\n\n';
+  markdown += `Mean **${driverData.outcome}** of participants in each theme, compared with participants in the question's other themes `;
+  markdown += `(Welch's t-test; Cohen's d as effect size). Drivers marked **\\*** are significant at p < ${alpha}. `;
+  markdown += `Themes with fewer than ${driverData.minThemeSize} scored participants are not tested.\n\n`;
+
+  const significant = driverData.questions.flatMap(question =>
+    question.themes.filter(theme => theme.test.significant).map(theme => ({ question, theme }))
+  );
+  if (significant.length > 0) {
+    markdown += '**Notable drivers:**\n\n';
+    significant.forEach(({ question, theme }) => {
+      const direction = theme.difference > 0 ? 'higher' : 'lower';
+      markdown += `- *${question.derivedQuestion || question.questionId}*: "${theme.theme}" goes with ${direction} ${driverData.outcome} (${theme.meanScore} vs ${theme.otherMeanScore}, d = ${theme.effectSize}, p = ${theme.test.pValue})\n`;
+    });
+    markdown += '\n';
+  } else {
+    markdown += '_No theme is associated with a significantly higher or lower score._\n\n';
+  }
+
+  driverData.questions.forEach(question => {
+    markdown += `### ${question.derivedQuestion || question.questionId}\n\n`;
+    markdown += `${question.scoredParticipants} scored participants, mean ${question.meanScore}. Overall: ${formatOverallTest(question.overallTest)}\n\n`;
+    markdown += `| Theme | n | Mean ${driverData.outcome} | Others | Difference | Cohen's d | p-value |\n`;
+    markdown += '|---|---:|---:|---:|---:|---:|---:|\n';
+    question.themes.forEach(theme => {
+      const marker = theme.test.significant ? ' **\\***' : '';
+      markdown += `| ${theme.theme} | ${theme.participants} | ${theme.meanScore} | ${theme.otherMeanScore ?? 'N/A'} | ${formatDifference(theme.difference)} | ${theme.effectSize ?? 'N/A'} | ${theme.test.pValue ?? 'N/A'}${marker} |\n`;
+    });
+    markdown += '\n';
+  });
+
+  return markdown.trimEnd();
+}
+
+/**
+ * Collect numeric scores by participant, skipping answers that are not numbers
+ * @param {Array<[string, string]>} pairs - [participantId, value] pairs
+ * @returns {Object<string, number>} Score by participant ID
+ */
+function collectScores(pairs) {
+  const scores = {};
+  for (const [participantId, value] of pairs) {
+    const score = parseNumber(value);
+    if (score !== null) {
+      scores[participantId] = score;
+    }
+  }
+  return scores;
+}
+
+/**
+ * Describe the size of an effect
+ * @param {number} effectSize - Cohen's d
+ * @returns {string} 'negligible', 'small', 'medium' or 'large'
+ */
+function labelEffectSize(effectSize) {
+  const { SMALL, MEDIUM, LARGE } = ANALYSIS_CONFIG.DRIVERS.EFFECT_SIZES;
+  const size = Math.abs(effectSize);
+  if (size >= LARGE) return 'large';
+  if (size >= MEDIUM) return 'medium';
+  if (size >= SMALL) return 'small';
+  return 'negligible';
+}
+
+/**
+ * Format the per-question ANOVA as a one-line summary
+ * @param {Object} test - Test result
+ * @returns {string} Summary text
+ */
+function formatOverallTest(test) {
+  if (test.method === 'none') {
+    return 'not testable';
+  }
+  const [between, within] = test.degreesOfFreedom;
+  return `ANOVA, F(${between}, ${within}) = ${test.statistic}, p = ${test.pValue}${test.significant ? ' — significant' : ''}`;
+}
+
+/**
+ * Format a score difference with its sign
+ * @param {number|null} difference - Difference of means
+ * @returns {string} Signed difference (e.g. "+1.2") or N/A
+ */
+function formatDifference(difference) {
+  if (difference === null) return 'N/A';
+  return difference > 0 ? `+${difference}` : `${difference}`;
+}
+
+/**
+ * Mean of a list of numbers
+ * @param {Array<number>} values - Numbers
+ * @returns {number} Mean
+ */
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Round to two decimals
+ * @param {number} value - Number to round
+ * @returns {number} Rounded number
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Round a p-value for display while keeping very small values visible
+ * @param {number} pValue - Raw p-value
+ * @returns {number} Rounded p-value
+ */
+function roundPValue(pValue) {
+  return pValue < 0.0001 ? Number(pValue.toExponential(2)) : Math.round(pValue * 10000) / 10000;
+}
@@ -9,6 +9,9 @@ import ExcelJS from 'exceljs';
 import fs from 'fs/promises';
 import path from 'path';
 import { ensureDirectoryExists } from '../../utils/helpers/file-utils.js';
+import { addSegmentComparisonSheet } from './segment-generator.js';
+import { getResponseParticipantText } from '../../data/parsers/conversation-parser.js';
+import { isFlaggedResponse } from '../../data/extractors/validator.js';
 
 /**
  * Generate classification Excel files for all questions with enhanced multi-question support
@@ -64,7 +67,9 @@ export async function generateClassificationFiles(analyses, originalData, option
         continue;
       }
       
-      const result = await generateSingleClassificationFileEnhanced(analysis, originalData, outputDir);
+      const segmentComparisons = (options.segmentComparison?.comparisons || [])
+        .filter(comparison => comparison.questionId === analysis.questionId);
+      const result = await generateSingleClassificationFileEnhanced(analysis, originalData, outputDir, segmentComparisons);
       if (result.error) {
         skippedQuestions.push({
           questionId: analysis.questionId,
@@ -105,20 +110,26 @@ export async function generateClassificationFiles(analyses, originalData, option
  * @param {Object} analysis - Single question analysis result
  * @param {Object} originalData - Original response data
  * @param {string} outputDir - Output directory path
+ * @param {Array} segmentComparisons - Segment comparisons for this question (adds a sheet when present)
  * @returns {Promise<string|{error: string}>} Generated file path or error
  */
-async function generateSingleClassificationFile(analysis, originalData, outputDir) {
+async function generateSingleClassificationFile(analysis, originalData, outputDir, segmentComparisons = []) {
   const fileName = `${analysis.questionId}_classifications.xlsx`;
   const filePath = path.join(outputDir, fileName);
   
   try {
+    const attributeNames = getAttributeNames(originalData);
     const classificationData = {
       questionId: analysis.questionId,
       derivedQuestion: analysis.derivedQuestion || 'Research Question',
-      headers: ['ParticipantID', 'Response', 'AssignedTheme', 'Confidence', 'ResponseLength'],
-      rows: prepareClassificationRows(analysis, originalData),
+      headerText: analysis.headerText,
+      analystNotes: analysis.analystNotes,
+      headers: ['ParticipantID', 'Response', 'AssignedTheme', 'Confidence', 'ResponseLength', ...attributeNames],
+      rows: prepareClassificationRows(analysis, originalData, attributeNames),
       summary: generateClassificationSummary(analysis),
-      themes: analysis.themes || []
+      themes: analysis.themes || [],
+      segmentComparisons,
+      flaggedRows: prepareFlaggedRows(analysis, originalData)
     };
     
     // Create Excel file
@@ -139,9 +150,10 @@ async function generateSingleClassificationFile(analysis, originalData, outputDi
  * Prepare classification data rows for Excel
  * @param {Object} analysis - Question analysis result
  * @param {Object} originalData - Original response data
+ * @param {Array<string>} attributeNames - Participant attribute columns appended to each row
  * @returns {Array} Array of data rows
  */
-function prepareClassificationRows(analysis, originalData) {
+function prepareClassificationRows(analysis, originalData, attributeNames = []) {
   const rows = [];
   
   try {
@@ -151,6 +163,8 @@ function prepareClassificationRows(analysis, originalData) {
     }
     
     const questionResponses = originalData.responsesByQuestion[analysis.questionId] || [];
+    const participantAttributes = originalData.participantAttributes || {};
+    const attributeValues = participantId => attributeNames.map(name => participantAttributes[participantId]?.[name] ?? '');
     
     // Handle both object format {participantId: theme} and array format
     const classifications = typeof analysis.classifications === 'object' 
@@ -162,14 +176,15 @@ function prepareClassificationRows(analysis, originalData) {
       
       if (originalResponse) {
         // Extract user response only from conversation format
-        const userResponse = extractUserResponseFromConversation(originalResponse.cleanResponse);
+        const userResponse = extractUserResponseFromConversation(originalResponse);
         
         rows.push([
           participantId,
           userResponse,
           themeName,
           getConfidenceScore(analysis, participantId, themeName),
-          userResponse.length
+          userResponse.length,
+          ...attributeValues(participantId)
         ]);
       } else {
         // Include classification even if original response not found (for debugging)
@@ -178,7 +193,8 @@ function prepareClassificationRows(analysis, originalData) {
           '[Response not found in original data]',
           themeName,
           'N/A',
-          0
+          0,
+          ...attributeValues(participantId)
         ]);
       }
     });
@@ -193,6 +209,30 @@ function prepareClassificationRows(analysis, originalData) {
   }
 }
 
+/**
+ * Prepare rows for responses flagged as low effort or near duplicates
+ * @param {Object} analysis - Question analysis result
+ * @param {Object} originalData - Cleaned data with quality flags on each response
+ * @returns {Array} Rows of [ParticipantID, Response, QualityFlag, Reason, AssignedTheme]
+ */
+function prepareFlaggedRows(analysis, originalData) {
+  const questionResponses = originalData.responsesByQuestion?.[analysis.questionId] || [];
+  const classifications = analysis.classifications && !Array.isArray(analysis.classifications)
+    ? analysis.classifications
+    : {};
+  
+  return questionResponses
+    .filter(response => isFlaggedResponse(response))
+    .map(response => [
+      response.participantId,
+      extractUserResponseFromConversation(response),
+      response.quality.flag,
+      response.quality.reason || '',
+      classifications[response.participantId] || 'Not classified'
+    ])
+    .sort((a, b) => a[0].localeCompare(b[0]));
+}
+
 /**
  * Generate classification summary statistics
  * @param {Object} analysis - Question analysis result
@@ -286,6 +326,15 @@ async function writeExcelFile(filePath, classificationData) {
     const themesSheet = workbook.addWorksheet('Themes Overview');
     await createThemesSheet(themesSheet, classificationData);
     
+    // Add segment comparison worksheet when participant attributes allow it
+    addSegmentComparisonSheet(workbook, classificationData.segmentComparisons);
+    
+    // List low-effort and near-duplicate responses when there are any
+    if (classificationData.flaggedRows?.length > 0) {
+      const flaggedSheet = workbook.addWorksheet('Flagged Responses');
+      createFlaggedResponsesSheet(flaggedSheet, classificationData.flaggedRows);
+    }
+    
     // Save workbook to file
     await workbook.xlsx.writeFile(filePath);
     
@@ -356,9 +405,15 @@ async function createClassificationSheet(worksheet, classificationData) {
   worksheet.getColumn(3).width = 25; // AssignedTheme
   worksheet.getColumn(4).width = 12; // Confidence
   worksheet.getColumn(5).width = 15; // ResponseLength
+  for (let column = 6; column <= classificationData.headers.length; column++) {
+    worksheet.getColumn(column).width = 18; // Participant attributes
+  }
   
   // Add auto filter
-  worksheet.autoFilter = `A4:E${worksheet.rowCount}`;
+  worksheet.autoFilter = {
+    from: { row: 4, column: 1 },
+    to: { row: worksheet.rowCount, column: classificationData.headers.length }
+  };
 }
 
 /**
@@ -395,6 +450,18 @@ async function createSummarySheet(worksheet, classificationData) {
     worksheet.addRow([displayMetric, value]);
   });
   
+  // Question metadata section, when the question was renamed or annotated
+  if (classificationData.headerText || classificationData.analystNotes) {
+    worksheet.addRow(['']);
+    worksheet.addRow(['Question Details']).font = { bold: true, size: 12 };
+    if (classificationData.headerText) {
+      worksheet.addRow(['Column Header', classificationData.headerText]);
+    }
+    if (classificationData.analystNotes) {
+      worksheet.addRow(['Analyst Notes', classificationData.analystNotes]);
+    }
+  }
+  
   // Format summary sheet
   formatSummaryWorksheet(worksheet);
 }
@@ -428,7 +495,7 @@ async function createThemesSheet(worksheet, classificationData) {
   // Add theme data
   classificationData.themes.forEach(theme => {
     const quotesText = theme.supportingQuotes 
-      ? theme.supportingQuotes.map(q => `"${q.quote}" (${q.participantId})`).join('\n')
+      ? theme.supportingQuotes.map(q => `"${q.quote}" (${q.participantId})${q.translation ? `\n  Translation: "${q.translation}"` : ''}`).join('\n')
       : 'No quotes available';
     
     const row = worksheet.addRow([
@@ -451,6 +518,27 @@ async function createThemesSheet(worksheet, classificationData) {
   worksheet.getColumn(4).width = 50; // Supporting Quotes
 }
 
+/**
+ * Create the flagged responses worksheet
+ * @param {Object} worksheet - ExcelJS worksheet object
+ * @param {Array} flaggedRows - Rows from prepareFlaggedRows
+ */
+function createFlaggedResponsesSheet(worksheet, flaggedRows) {
+  const headerRow = worksheet.addRow(['ParticipantID', 'Response', 'QualityFlag', 'Reason', 'AssignedTheme']);
+  headerRow.font = { bold: true };
+  
+  flaggedRows.forEach(row => {
+    const dataRow = worksheet.addRow(row);
+    dataRow.getCell(2).alignment = { wrapText: true, vertical: 'top' };
+  });
+  
+  worksheet.getColumn(1).width = 12; // ParticipantID
+  worksheet.getColumn(2).width = 60; // Response
+  worksheet.getColumn(3).width = 16; // QualityFlag
+  worksheet.getColumn(4).width = 35; // Reason
+  worksheet.getColumn(5).width = 25; // AssignedTheme
+}
+
 /**
  * Format summary worksheet
  * @param {Object} worksheet - ExcelJS worksheet object
@@ -477,40 +565,34 @@ function formatSummaryWorksheet(worksheet) {
   worksheet.getColumn(2).width = 15;
 }
 
+/**
+ * Get participant attribute names (metadata columns) present in the data
+ * @param {Object} originalData - Cleaned data with participantAttributes
+ * @returns {Array<string>} Attribute names in column order
+ */
+function getAttributeNames(originalData) {
+  if (originalData.metadata?.attributeNames) {
+    return originalData.metadata.attributeNames;
+  }
+  
+  const names = new Set();
+  Object.values(originalData.participantAttributes || {}).forEach(attributes => {
+    Object.keys(attributes).forEach(name => names.add(name));
+  });
+  return [...names];
+}
+
 /**
  * Extract user response from conversation format
- * @param {string} conversationText - Full conversation text
+ * @param {Object} response - Cleaned response with parsed turns
  * @returns {string} User response only
  */
-function extractUserResponseFromConversation(conversationText) {
-  try {
-    if (!conversationText || typeof conversationText !== 'string') {
-      return '[Invalid conversation format]';
-    }
-    
-    // Split by conversation markers and extract user parts
-    const parts = conversationText.split(/(?:assistant:|user:)/i);
-    const userResponses = [];
-    
-    // Check each part to see if it follows a 'user:' marker
-    for (let i = 0; i < parts.length; i++) {
-      const part = parts[i];
-      if (i > 0) {
-        // Check the previous delimiter to see if this is a user response
-        const beforePart = conversationText.substring(0, conversationText.indexOf(part));
-        if (beforePart.toLowerCase().includes('user:')) {
-          userResponses.push(part.trim());
-        }
-      }
-    }
-    
-    // Join all user responses
-    const userResponse = userResponses.join(' ').trim();
-    return userResponse || '[No user response found]';
-    
-  } catch (error) {
-    return `[Error extracting response: ${error.message}]`;
+function extractUserResponseFromConversation(response) {
+  if (!response || typeof response.cleanResponse !== 'string') {
+    return '[Invalid conversation format]';
   }
+  
+  return getResponseParticipantText(response) || '[No user response found]';
 }
 
 /**
@@ -644,12 +726,13 @@ function validateDataForExcelEnhanced(analyses, originalData) {
  * @param {Object} analysis - Single question analysis result
  * @param {Object} originalData - Original response data
  * @param {string} outputDir - Output directory path
+ * @param {Array} segmentComparisons - Segment comparisons for this question
  * @returns {Promise<Object>} Generation result with metadata
  */
-async function generateSingleClassificationFileEnhanced(analysis, originalData, outputDir) {
+async function generateSingleClassificationFileEnhanced(analysis, originalData, outputDir, segmentComparisons = []) {
   try {
     // Call the existing generation function
-    const result = await generateSingleClassificationFile(analysis, originalData, outputDir);
+    const result = await generateSingleClassificationFile(analysis, originalData, outputDir, segmentComparisons);
     
     if (result.error) {
       return { error: result.error };
@@ -11,6 +11,7 @@ import path from 'path';
 import { ensureDirectoryExists } from '../../utils/helpers/file-utils.js';
 import { analyzeMultiQuestionErrors } from '../../utils/validation/error-analyzer.js';
 import { logOperation } from '../../utils/config/llm-config.js';
+import { PROCESSING_CONFIG } from '../../utils/config/constants.js';
 
 /**
  * Generate main results JSON file with enhanced multi-question support
@@ -52,7 +53,12 @@ export async function generateMainResults(analyses, options = {}) {
       timestamp: new Date().toISOString(),
       metadata: generateComprehensiveMetadata(analyses, options),
       qualityAssurance: generateQualityMetrics(successfulAnalyses, failedAnalyses, partialFailures),
+      flaggedResponses: options.flaggedResponses ? summarizeFlaggedResponses(options.flaggedResponses) : undefined,
       questionAnalyses: successfulAnalyses,
+      closedQuestions: options.descriptiveSummaries?.length > 0 ? options.descriptiveSummaries : undefined,
+      themeDrivers: options.themeDrivers || undefined,
+      llmUsage: options.llmUsage || undefined,
+      llmScheduling: options.llmScheduling || undefined,
       partialResults: partialFailures.length > 0 ? partialFailures : undefined,
       errors: failedAnalyses.length > 0 ? {
         summary: `${failedAnalyses.length} questions failed completely`,
@@ -317,17 +323,39 @@ function generateComprehensiveMetadata(analyses, options = {}) {
     generationTimestamp: new Date().toISOString(),
     dataSource: {
       inputFile: options.inputExcelPath || 'inputs/data.xlsx',
-      backgroundFile: options.backgroundPath || 'inputs/project_background.txt'
+      backgroundFile: options.backgroundPath || 'inputs/project_background.txt',
+      participantAttributes: options.attributeNames || []
     },
     pipeline: {
       mode: 'parallel',
-      maxConcurrentQuestions: 6,
+      maxConcurrentQuestions: options.llmScheduling?.limits.maxConcurrentQuestions ?? PROCESSING_CONFIG.CONCURRENCY.MAX_QUESTIONS,
       errorHandling: 'enhanced_v4_2',
       validationEnabled: true
     }
   };
 }
 
+/**
+ * Summarize responses flagged as low effort or near duplicates
+ * @param {Array} flaggedResponses - Flagged responses from response parsing
+ * @returns {Object} Counts by flag and question, and the flagged responses
+ */
+function summarizeFlaggedResponses(flaggedResponses) {
+  const byFlag = {};
+  const byQuestion = {};
+  flaggedResponses.forEach(response => {
+    byFlag[response.flag] = (byFlag[response.flag] || 0) + 1;
+    byQuestion[response.questionId] = (byQuestion[response.questionId] || 0) + 1;
+  });
+  
+  return {
+    total: flaggedResponses.length,
+    byFlag,
+    byQuestion,
+    responses: flaggedResponses
+  };
+}
+
 /**
  * Generate quality metrics for the analysis
  * @param {Array} successfulAnalyses - Successful analyses
@@ -0,0 +1,382 @@
+/**
+ * Segment comparison output
+ *
+ * This module compares theme prevalence across participant segments (plan tier, region, persona...).
+ * Builds theme x segment cross-tabs from each question's classifications and flags differences
+ * with a chi-square test, or Fisher's exact test for sparse 2 x 2 tables.
+ * Emits the comparison as JSON, as an Excel sheet and as a Markdown section.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { ensureDirectoryExists } from '../../utils/helpers/file-utils.js';
+import { chiSquareTest, fisherExactTest } from '../../utils/helpers/statistics.js';
+import { ANALYSIS_CONFIG } from '../../utils/config/constants.js';
+import { logOperation } from '../../utils/config/llm-config.js';
+
+/**
+ * Generate segment comparison JSON file
+ * @param {Array} analyses - Array of completed question analyses (may include errors)
+ * @param {Object} cleanedData - Cleaned data with participantAttributes
+ * @param {Object} options - Generation options (outputDir, significanceLevel, minSegmentSize)
+ * @returns {Promise<{filePath?: string, fileName?: string, comparisonData?: Object, skipped?: boolean, reason?: string, error?: string}>} Generated file or skip reason or error
+ */
+export async function generateSegmentComparison(analyses, cleanedData, options = {}) {
+  try {
+    const participantAttributes = cleanedData?.participantAttributes || {};
+    if (Object.keys(participantAttributes).length === 0) {
+      return { skipped: true, reason: 'No participant attributes available' };
+    }
+
+    const buildResult = buildSegmentComparisons(analyses, participantAttributes, options);
+    if (buildResult.error) {
+      return { error: buildResult.error };
+    }
+
+    const comparisonData = buildResult.data;
+    if (comparisonData.comparisons.length === 0) {
+      return { skipped: true, reason: 'No attribute has at least two segments large enough to compare', comparisonData };
+    }
+
+    const outputDir = options.outputDir || 'outputs';
+    const dirResult = await ensureDirectoryExists(outputDir);
+    if (dirResult.error) {
+      return { error: `Failed to create output directory: ${dirResult.error}` };
+    }
+
+    const now = new Date();
+    const timestamp = now.toISOString().replace(/[:.]/g, '-').split('T')[0];
+    const timeStr = now.toTimeString().slice(0, 5).replace(':', '');
+    const fileName = `${timestamp}_${timeStr}_segment_comparison.json`;
+    const filePath = path.join(outputDir, fileName);
+
+    await fs.writeFile(filePath, JSON.stringify(comparisonData, null, 2), 'utf8');
+
+    logOperation('segment-comparison-generated', {
+      filePath,
+      comparisons: comparisonData.comparisons.length,
+      significantComparisons: comparisonData.comparisons.filter(c => c.overallTest?.significant).length
+    });
+
+    return { filePath, fileName, comparisonData };
+
+  } catch (error) {
+    return { error: `Failed to generate segment comparison: ${error.message}` };
+  }
+}
+
+/**
+ * Build theme x segment cross-tabs with significance tests for every question and attribute
+ * @param {Array} analyses - Question analyses with classifications {participantId: themeTitle}
+ * @param {Object<string, Object<string, string>>} participantAttributes - Attributes by participant ID
+ * @param {Object} options - significanceLevel, minSegmentSize, minExpectedCount, maxSegments
+ * @returns {{data?: Object, error?: string}} Comparison data or error
+ */
+export function buildSegmentComparisons(analyses, participantAttributes, options = {}) {
+  if (!Array.isArray(analyses)) {
+    return { error: 'Analyses must be an array' };
+  }
+
+  const settings = {
+    significanceLevel: options.significanceLevel ?? ANALYSIS_CONFIG.SEGMENTS.SIGNIFICANCE_LEVEL,
+    minSegmentSize: options.minSegmentSize ?? ANALYSIS_CONFIG.SEGMENTS.MIN_SEGMENT_SIZE,
+    minExpectedCount: options.minExpectedCount ?? ANALYSIS_CONFIG.SEGMENTS.MIN_EXPECTED_COUNT,
+    maxSegments: options.maxSegments ?? ANALYSIS_CONFIG.SEGMENTS.MAX_SEGMENTS
+  };
+
+  const attributeNames = [...new Set(
+    Object.values(participantAttributes).flatMap(attributes => Object.keys(attributes))
+  )];
+
+  const comparisons = [];
+  const skipped = [];
+
+  for (const analysis of analyses) {
+    if (analysis.error || !analysis.classifications || Object.keys(analysis.classifications).length === 0) {
+      continue;
+    }
+
+    for (const attribute of attributeNames) {
+      const result = compareThemesBySegment(analysis, attribute, participantAttributes, settings);
+      if (result.skipped) {
+        skipped.push({ questionId: analysis.questionId, attribute, reason: result.reason });
+      } else {
+        comparisons.push(result);
+      }
+    }
+  }
+
+  return {
+    data: {
+      generatedAt: new Date().toISOString(),
+      significanceLevel: settings.significanceLevel,
+      minSegmentSize: settings.minSegmentSize,
+      attributes: attributeNames,
+      comparisons,
+      skipped
+    }
+  };
+}
+
+/**
+ * Compare theme prevalence across the segments of one attribute for one question
+ * @param {Object} analysis - Question analysis
+ * @param {string} attribute - Attribute name (e.g. "Plan")
+ * @param {Object} participantAttributes - Attributes by participant ID
+ * @param {Object} settings - Resolved comparison settings
+ * @returns {Object} Comparison or {skipped: true, reason}
+ */
+function compareThemesBySegment(analysis, attribute, participantAttributes, settings) {
+  // Group classified participants by segment value
+  const participantsBySegment = new Map();
+  let unassigned = 0;
+  for (const [participantId, theme] of Object.entries(analysis.classifications)) {
+    const segment = participantAttributes[participantId]?.[attribute];
+    if (segment === undefined || segment === '') {
+      unassigned++;
+      continue;
+    }
+    if (!participantsBySegment.has(segment)) {
+      participantsBySegment.set(segment, []);
+    }
+    participantsBySegment.get(segment).push(theme);
+  }
+
+  if (participantsBySegment.size > settings.maxSegments) {
+    return { skipped: true, reason: `${participantsBySegment.size} distinct values (more than ${settings.maxSegments})` };
+  }
+
+  const excludedSegments = [];
+  const segments = [];
+  for (const [name, themes] of [...participantsBySegment.entries()].sort(([a], [b]) => a.localeCompare(b))) {
+    if (themes.length < settings.minSegmentSize) {
+      excludedSegments.push({ name, participants: themes.length });
+    } else {
+      segments.push({ name, participants: themes.length, themes });
+    }
+  }
+
+  if (segments.length < 2) {
+    return { skipped: true, reason: `Fewer than two segments with at least ${settings.minSegmentSize} participants` };
+  }
+
+  // Theme order follows the analysis, with any extra labels (e.g. "Other") appended
+  const themeTitles = (analysis.themes || []).map(theme => theme.title);
+  segments.forEach(segment => segment.themes.forEach(theme => {
+    if (!themeTitles.includes(theme)) themeTitles.push(theme);
+  }));
+
+  const countTable = themeTitles.map(theme => segments.map(segment => segment.themes.filter(t => t === theme).length));
+
+  const crossTab = themeTitles.map((theme, row) => {
+    const counts = {};
+    const shares = {};
+    segments.forEach((segment, column) => {
+      counts[segment.name] = countTable[row][column];
+      shares[segment.name] = roundShare(countTable[row][column] / segment.participants);
+    });
+
+    // Theme present vs absent in each segment
+    const themeTable = [
+      countTable[row],
+      segments.map((segment, column) => segment.participants - countTable[row][column])
+    ];
+
+    return {
+      theme,
+      counts,
+      shares,
+      test: runIndependenceTest(themeTable, settings)
+    };
+  });
+
+  return {
+    questionId: analysis.questionId,
+    derivedQuestion: analysis.derivedQuestion,
+    attribute,
+    segments: segments.map(({ name, participants }) => ({ name, participants })),
+    excludedSegments,
+    participantsWithoutAttribute: unassigned,
+    overallTest: runIndependenceTest(countTable, settings),
+    crossTab
+  };
+}
+
+/**
+ * Test independence of a contingency table, choosing Fisher's exact test for sparse 2 x 2 tables
+ * @param {Array<Array<number>>} table - Observed counts
+ * @param {Object} settings - Resolved comparison settings
+ * @returns {Object} {method, pValue, significant, statistic?, degreesOfFreedom?, lowExpectedCounts?} or {method: 'none', reason}
+ */
+function runIndependenceTest(table, settings) {
+  const chiSquare = chiSquareTest(table);
+  if (chiSquare.error) {
+    return { method: 'none', reason: chiSquare.error, significant: false };
+  }
+
+  const isTwoByTwo = table.length === 2 && table[0].length === 2;
+  if (isTwoByTwo && chiSquare.minExpected < settings.minExpectedCount) {
+    const fisher = fisherExactTest(table);
+    return {
+      method: 'fisher-exact',
+      pValue: roundPValue(fisher.pValue),
+      significant: fisher.pValue < settings.significanceLevel
+    };
+  }
+
+  return {
+    method: 'chi-square',
+    statistic: Math.round(chiSquare.statistic * 1000) / 1000,
+    degreesOfFreedom: chiSquare.degreesOfFreedom,
+    pValue: roundPValue(chiSquare.pValue),
+    significant: chiSquare.pValue < settings.significanceLevel,
+    // Chi-square approximation is unreliable when expected counts are small
+    lowExpectedCounts: chiSquare.minExpected < settings.minExpectedCount
+  };
+}
+
+/**
+ * Add a "Segment Comparison" worksheet for one question's comparisons
+ * @param {ExcelJS.Workbook} workbook - Workbook to add the sheet to
+ * @param {Array} comparisons - Comparisons for a single question
+ * @returns {ExcelJS.Worksheet|null} Created worksheet or null when there is nothing to show
+ */
+export function addSegmentComparisonSheet(workbook, comparisons) {
+  if (!comparisons || comparisons.length === 0) {
+    return null;
+  }
+
+  const worksheet = workbook.addWorksheet('Segment Comparison');
+  worksheet.addRow([`Segment Comparison: ${comparisons[0].questionId}`]).font = { bold: true, size: 12 };
+  worksheet.addRow(['Shares are the percentage of each segment classified to the theme. * marks p < significance level.']);
+
+  let maxColumns = 0;
+  for (const comparison of comparisons) {
+    worksheet.addRow(['']);
+    worksheet.addRow([`By ${comparison.attribute}`, formatTestSummary(comparison.overallTest)]).font = { bold: true };
+
+    const headers = ['Theme', ...comparison.segments.map(s => `${s.name} (n=${s.participants})`), 'Test', 'p-value', 'Significant'];
+    maxColumns = Math.max(maxColumns, headers.length);
+    const headerRow = worksheet.addRow(headers);
+    headerRow.eachCell(cell => {
+      cell.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+      cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF4472C4' } };
+      cell.alignment = { horizontal: 'center', vertical: 'middle', wrapText: true };
+    });
+
+    for (const row of comparison.crossTab) {
+      const dataRow = worksheet.addRow([
+        row.theme,
+        ...comparison.segments.map(s => `${formatShare(row.shares[s.name])} (${row.counts[s.name]})`),
+        row.test.method,
+        row.test.pValue ?? 'N/A',
+        row.test.significant ? 'Yes *' : 'No'
+      ]);
+      if (row.test.significant) {
+        dataRow.getCell(headers.length).font = { bold: true, color: { argb: 'FFC00000' } };
+      }
+    }
+
+    if (comparison.excludedSegments.length > 0) {
+      const excluded = comparison.excludedSegments.map(s => `${s.name} (n=${s.participants})`).join(', ');
+      worksheet.addRow([`Excluded (too small): ${excluded}`]);
+    }
+  }
+
+  worksheet.getColumn(1).width = 30;
+  for (let column = 2; column <= maxColumns; column++) {
+    worksheet.getColumn(column).width = 16;
+  }
+
+  return worksheet;
+}
+
+/**
+ * Create the "Segment Comparison" Markdown section for the executive summary
+ * Lists every question/attribute pair with a theme x segment share table.
+ * @param {Object} comparisonData - Output of buildSegmentComparisons
+ * @returns {string} Markdown section (empty when there are no comparisons)
+ */
+export function createSegmentComparisonMarkdown(comparisonData) {
+  if (!comparisonData || !comparisonData.comparisons || comparisonData.comparisons.length === 0) {
+    return '';
+  }
+
+  const alpha = comparisonData.significanceLevel;
+  let markdown = '## Segment Comparison\n\n';
+  markdown += `Theme share by participant segment. Differences marked **\\*** are significant at p < ${alpha} `;
+  markdown += `(chi-square test, or Fisher's exact test for small 2 x 2 tables). `;
+  markdown += `Segments with fewer than ${comparisonData.minSegmentSize} participants are excluded.\n\n`;
+
+  const significant = comparisonData.comparisons.filter(c => c.crossTab.some(row => row.test.significant));
+  if (significant.length > 0) {
+    markdown += '**Notable differences:**\n\n';
+    significant.forEach(comparison => {
+      comparison.crossTab.filter(row => row.test.significant).forEach(row => {
+        const ordered = [...comparison.segments].sort((a, b) => row.shares[b.name] - row.shares[a.name]);
+        const highest = ordered[0];
+        const lowest = ordered[ordered.length - 1];
+        markdown += `- *${comparison.derivedQuestion || comparison.questionId}*: "${row.theme}" covers ${formatShare(row.shares[highest.name])} of ${comparison.attribute} = ${highest.name} vs ${formatShare(row.shares[lowest.name])} of ${comparison.attribute} = ${lowest.name} (p = ${row.test.pValue})\n`;
+      });
+    });
+    markdown += '\n';
+  } else {
+    markdown += '_No statistically significant differences between segments were found._\n\n';
+  }
+
+  comparisonData.comparisons.forEach(comparison => {
+    markdown += `### ${comparison.derivedQuestion || comparison.questionId} — by ${comparison.attribute}\n\n`;
+    markdown += `Overall: ${formatTestSummary(comparison.overallTest)}\n\n`;
+    markdown += `| Theme | ${comparison.segments.map(s => `${s.name} (n=${s.participants})`).join(' | ')} | p-value |\n`;
+    markdown += `|---|${comparison.segments.map(() => '---:').join('|')}|---:|\n`;
+    comparison.crossTab.forEach(row => {
+      const shares = comparison.segments.map(s => formatShare(row.shares[s.name])).join(' | ');
+      const marker = row.test.significant ? ' **\\***' : '';
+      markdown += `| ${row.theme} | ${shares} | ${row.test.pValue ?? 'N/A'}${marker} |\n`;
+    });
+    markdown += '\n';
+  });
+
+  return markdown.trimEnd();
+}
+
+/**
+ * Format a test result as a one-line summary
+ * @param {Object} test - Test result
+ * @returns {string} Summary text
+ */
+function formatTestSummary(test) {
+  if (!test || test.method === 'none') {
+    return 'not testable';
+  }
+  const statistic = test.method === 'chi-square' ? `χ²(${test.degreesOfFreedom}) = ${test.statistic}, ` : '';
+  const caveat = test.lowExpectedCounts ? ' (small expected counts, interpret with caution)' : '';
+  return `${test.method}, ${statistic}p = ${test.pValue}${test.significant ? ' — significant' : ''}${caveat}`;
+}
+
+/**
+ * Round a share to one decimal percentage point
+ * @param {number} share - Share between 0 and 1
+ * @returns {number} Rounded share
+ */
+function roundShare(share) {
+  return Math.round(share * 1000) / 1000;
+}
+
+/**
+ * Format a share as a percentage string
+ * @param {number} share - Share between 0 and 1
+ * @returns {string} Percentage (e.g. "42.5%")
+ */
+function formatShare(share) {
+  return `${(share * 100).toFixed(1)}%`;
+}
+
+/**
+ * Round a p-value for display while keeping very small values visible
+ * @param {number} pValue - Raw p-value
+ * @returns {number} Rounded p-value
+ */
+function roundPValue(pValue) {
+  return pValue < 0.0001 ? Number(pValue.toExponential(2)) : Math.round(pValue * 10000) / 10000;
+}
@@ -8,6 +8,9 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { ensureDirectoryExists } from '../../utils/helpers/file-utils.js';
+import { createSegmentComparisonMarkdown } from './segment-generator.js';
+import { createDescriptiveMarkdown } from './descriptive-generator.js';
+import { createThemeDriversMarkdown } from './driver-generator.js';
 
 /**
  * Generate executive summary markdown file with enhanced multi-question support
@@ -88,7 +91,10 @@ function createMarkdownContent(analyses, finalReport, options = {}) {
       createHeader(finalReport),
       createExecutiveOverview(analyses, finalReport),
       createKeyFindings(analyses),
+      createDescriptiveMarkdown(options.descriptiveSummaries),
       createCrossCuttingInsights(analyses),
+      createSegmentComparisonMarkdown(options.segmentComparison),
+      createThemeDriversMarkdown(options.themeDrivers),
       createStrategicRecommendations(analyses),
       createMethodologyNote(finalReport),
       createAppendix(analyses, finalReport)
@@ -191,6 +197,15 @@ function createKeyFindings(analyses) {
     const summary = analysis.summary || 'Analysis completed with theme identification and participant classification.';
     
     findingsMarkdown += `### ${index + 1}. ${questionTitle}\n\n`;
+    if (analysis.analystNotes) {
+      findingsMarkdown += `*Analyst notes: ${analysis.analystNotes}*\n\n`;
+    }
+    if (analysis.incremental?.possibleMissingTheme) {
+      findingsMarkdown += `> ⚠️ ${analysis.incremental.poorFits.length} of the ${analysis.incremental.newParticipants} newly added participants fit the existing themes poorly. A theme may be missing; consider re-running the full analysis.\n\n`;
+    }
+    if (analysis.stoppedAtBudget) {
+      findingsMarkdown += '> 🛑 The LLM budget stopped this question before its analysis finished. Themes and classifications cover the work completed before the cap.\n\n';
+    }
     findingsMarkdown += `**${headline}**\n\n`;
     findingsMarkdown += `${summary}\n\n`;
     
@@ -210,7 +225,11 @@ function createKeyFindings(analyses) {
         // Add representative quote if available
         if (theme.supportingQuotes && theme.supportingQuotes.length > 0) {
           const quote = theme.supportingQuotes[0];
-          findingsMarkdown += `   > "${quote.quote}" *(Participant ${quote.participantId})*\n\n`;
+          findingsMarkdown += `   > "${quote.quote}" *(Participant ${quote.participantId})*\n`;
+          if (quote.translation) {
+            findingsMarkdown += `   > *Translation: "${quote.translation}"*\n`;
+          }
+          findingsMarkdown += '\n';
         }
       });
     }
@@ -28,7 +28,8 @@ export const ANALYSIS_CONFIG = {
   CLASSIFICATION: {
     MIN_CONFIDENCE: 0.5,
     BATCH_SIZE: 50,
-    RETRY_ATTEMPTS: 3
+    RETRY_ATTEMPTS: 3,
+    MAX_BATCH_CHARS: 60000 // Conversation characters per classification call; longer inputs are split into more batches
   },
   
   // Validation settings
@@ -36,6 +37,29 @@ export const ANALYSIS_CONFIG = {
     QUOTE_RETRY_ATTEMPTS: 3,
     THEME_QUALITY_THRESHOLD: 0.7,
     HALLUCINATION_CHECK: true
+  },
+  
+  // Segment comparison settings
+  SEGMENTS: {
+    SIGNIFICANCE_LEVEL: 0.05,
+    MIN_SEGMENT_SIZE: 5, // Segments with fewer participants are excluded from tests
+    MIN_EXPECTED_COUNT: 5, // Below this, 2x2 tables use Fisher's exact test
+    MAX_SEGMENTS: 12 // Attributes with more distinct values are treated as identifiers, not segments
+  },
+  
+  // Theme driver analysis against a numeric outcome column (see driver-generator.js)
+  DRIVERS: {
+    SIGNIFICANCE_LEVEL: 0.05,
+    MIN_THEME_SIZE: 3, // Themes with fewer scored participants are listed but not tested
+    MIN_SCORED_PARTICIPANTS: 10, // Questions with fewer classified participants that have a score are skipped
+    // Cohen's d at which an effect counts as small, medium or large
+    EFFECT_SIZES: { SMALL: 0.2, MEDIUM: 0.5, LARGE: 0.8 }
+  },
+  
+  // Incremental runs against a previous results file (see incremental.js)
+  INCREMENTAL: {
+    MISSING_THEME_SHARE: 0.25, // Share of new responses fitting no theme well at which a missing theme is flagged
+    MIN_POOR_FITS: 3 // Fewer poorly fitting new responses are never flagged
   }
 };
 
@@ -45,24 +69,91 @@ export const ANALYSIS_CONFIG = {
 export const PROCESSING_CONFIG = {
   // Parallel processing
   CONCURRENCY: {
+    // Run-wide limits (see llm-scheduler.js); LLM_MAX_CONCURRENT_QUESTIONS, LLM_MAX_CONCURRENT_CALLS
+    // and LLM_TOKENS_PER_MINUTE override
     MAX_QUESTIONS: 6,
-    ENABLE_PARALLEL: true,
+    ENABLE_PARALLEL: true, // false analyses one question at a time
+    MAX_LLM_CALLS: 8, // LLM requests in flight across all questions and stages
+    TOKENS_PER_MINUTE: null, // Prompt plus completion tokens per minute; null for no cap (set to the provider tier)
     TIMEOUT_MS: 300000 // 5 minutes per question
   },
   
   // File processing
   FILES: {
     MAX_FILE_SIZE_MB: 50,
-    SUPPORTED_FORMATS: ['xlsx', 'xls'],
-    ENCODING: 'utf8'
+    SUPPORTED_FORMATS: ['xlsx', 'xls', 'csv', 'tsv'],
+    ENCODING: 'utf8',
+    STREAMING_THRESHOLD_MB: 10, // Workbooks at least this large are streamed row by row
+    STREAMING_PROGRESS_ROWS: 1000 // Report streaming progress every N data rows
   },
   
   // Response processing
   RESPONSES: {
     MIN_LENGTH: 5,
-    MAX_LENGTH: 5000,
-    CONVERSATION_MARKERS: ['assistant:', 'user:'],
+    MAX_LENGTH: 5000, // Longer conversations are split into turn-aligned chunks (see conversation-chunker.js)
+    REJECT_LENGTH: 1000000, // Longer responses are rejected as malformed rather than chunked
+    // Speaker labels that start a conversation turn (matched case-insensitively before a colon)
+    SPEAKER_LABELS: {
+      INTERVIEWER: ['assistant', 'interviewer', 'moderator', 'q'],
+      PARTICIPANT: ['user', 'respondent', 'participant', 'a']
+    },
     PRESERVE_FORMATTING: true
+  },
+  
+  // Response quality flags (see validator.js)
+  QUALITY: {
+    // Answers that say nothing, compared after lower-casing and removing punctuation
+    LOW_EFFORT_PHRASES: [
+      'idk', 'i dont know', 'dont know', 'dunno', 'no idea', 'not sure', 'n a', 'na', 'none',
+      'nothing', 'no comment', 'nope', 'whatever', 'same', 'same as above', 'see above', 'pass', 'skip'
+    ],
+    LOW_EFFORT_MAX_WORDS: 1, // Participant answers this short are low effort
+    NEAR_DUPLICATE_SIMILARITY: 0.8, // Word-pair overlap (Jaccard) at which two answers to a question count as copies
+    NEAR_DUPLICATE_MIN_WORDS: 8, // Shorter answers ("No", "Not that I can think of") are alike by nature and are not compared
+    CLASSIFICATION_HANDLING: 'downweight', // 'downweight' | 'exclude' | 'keep' flagged responses when classifying
+    QUOTE_HANDLING: 'exclude', // 'downweight' | 'exclude' | 'keep' flagged responses when extracting quotes
+    DOWNWEIGHT_FACTOR: 0.5 // Classification confidence multiplier for flagged responses
+  },
+
+  // Response language detection and translation (see language-detector.js and agents/translator.js)
+  LANGUAGE: {
+    MIN_WORDS: 3, // Shorter answers are undetermined and analysed as they are
+    MIN_CONFIDENCE: 0.5, // Share of language cues the top language must have
+    TRANSLATION: {
+      ENABLED: false,
+      TARGET_LANGUAGE: 'en', // Themes and classifications are based on text in this language
+      BATCH_SIZE: 20 // Texts translated per LLM call
+    }
+  },
+
+  // PII redaction before prompts are sent (see pii-redactor.js)
+  PII: {
+    ENABLED: true,
+    OUTPUT_MODE: 'redacted', // 'redacted' keeps placeholders in outputs (shareable) | 'restore' puts originals back (internal)
+    // Names and organisations to always redact, in addition to emails, phone numbers and detected names
+    TERMS: {
+      NAME: [],
+      ORG: []
+    },
+    // Re-identification map (PII_MAP_PATH overrides); kept out of the output directory, which may be shared
+    MAP_PATH: '.private/pii_redaction_map.json'
+  },
+  
+  // Transcript folder ingestion
+  TRANSCRIPTS: {
+    SUPPORTED_FORMATS: ['vtt', 'srt', 'docx', 'txt'],
+    SECTION_MATCH_THRESHOLD: 0.5, // Share of a guide question's keywords an interviewer turn must contain to open its section
+    MAX_SPEAKER_NAME_WORDS: 4 // "Name: text" prefixes with more words are treated as speech, not a speaker
+  },
+
+  // Closed-ended column detection (see question-types.js); closed columns skip the LLM workflow
+  QUESTION_TYPES: {
+    MIN_RESPONSES: 5, // Columns with fewer answers are treated as open-ended
+    NUMERIC_MIN_SHARE: 0.95, // Share of answers that must be numbers for a numeric column
+    MAX_CATEGORIES: 12, // Most distinct answers a categorical column can have
+    MAX_CATEGORY_LENGTH: 40, // Longest answer in a categorical column, in characters
+    MAX_DISTINCT_SHARE: 0.5, // Distinct answers per answer above which a short-answer column is open-ended
+    TOP_CATEGORIES: 3 // Categories named in summaries
   }
 };
 
@@ -78,12 +169,96 @@ export const LLM_CONFIG = {
     TOP_P: 1.0
   },
   
-  // API settings
+  // Provider backends (see llm-providers.js); LLM_PROVIDER selects one, LLM_MODEL overrides the model
+  DEFAULT_PROVIDER: 'openai',
+  PROVIDERS: {
+    OPENAI: {
+      DEFAULT_MODEL: 'gpt-4o-mini',
+      REQUIRED_ENV: ['OPENAI_API_KEY']
+    },
+    AZURE: {
+      // The model is the deployment name (AZURE_OPENAI_API_DEPLOYMENT_NAME)
+      API_VERSION: '2024-10-21',
+      REQUIRED_ENV: ['AZURE_OPENAI_API_KEY', 'AZURE_OPENAI_API_DEPLOYMENT_NAME']
+    },
+    ANTHROPIC: {
+      DEFAULT_MODEL: 'claude-3-5-haiku-latest',
+      MAX_OUTPUT_TOKENS: 8192, // Larger maxTokens requests are capped to this
+      REQUIRED_ENV: ['ANTHROPIC_API_KEY']
+    },
+    LOCAL: {
+      // OpenAI-compatible server such as Ollama or llama.cpp; no API key needed
+      DEFAULT_MODEL: 'llama3.1',
+      BASE_URL: 'http://localhost:11434/v1',
+      REQUIRED_ENV: []
+    },
+    MOCK: {
+      // Scripted responses for offline tests (setMockResponses or MOCK_LLM_RESPONSES)
+      REQUIRED_ENV: []
+    }
+  },
+  
+  // On-disk response cache (see llm-cache.js); LLM_CACHE, LLM_CACHE_DIR and LLM_CACHE_TTL_HOURS override
+  CACHE: {
+    MODE: 'off', // off | on | refresh (ignore entries, write new ones) | only (never call the model)
+    DIR: '.cache/llm',
+    TTL_HOURS: 168 // Older entries count as misses; 0 keeps entries forever
+  },
+  
+  // Model prices in USD per million tokens (see llm-usage.js). Models match by longest prefix,
+  // so dated versions share their family's price. List prices; check the provider's pricing page
+  // and add or override entries (e.g. Azure deployment names) in a LLM_PRICES JSON file.
+  PRICING: {
+    'gpt-4o-mini': { INPUT_PER_MTOK: 0.15, OUTPUT_PER_MTOK: 0.60 },
+    'gpt-4o': { INPUT_PER_MTOK: 2.50, OUTPUT_PER_MTOK: 10.00 },
+    'gpt-4.1-nano': { INPUT_PER_MTOK: 0.10, OUTPUT_PER_MTOK: 0.40 },
+    'gpt-4.1-mini': { INPUT_PER_MTOK: 0.40, OUTPUT_PER_MTOK: 1.60 },
+    'gpt-4.1': { INPUT_PER_MTOK: 2.00, OUTPUT_PER_MTOK: 8.00 },
+    'gpt-4-turbo': { INPUT_PER_MTOK: 10.00, OUTPUT_PER_MTOK: 30.00 },
+    'gpt-4': { INPUT_PER_MTOK: 30.00, OUTPUT_PER_MTOK: 60.00 },
+    'claude-3-5-haiku': { INPUT_PER_MTOK: 0.80, OUTPUT_PER_MTOK: 4.00 },
+    'claude-3-5-sonnet': { INPUT_PER_MTOK: 3.00, OUTPUT_PER_MTOK: 15.00 },
+    'claude-3-7-sonnet': { INPUT_PER_MTOK: 3.00, OUTPUT_PER_MTOK: 15.00 },
+    'claude-sonnet-4': { INPUT_PER_MTOK: 3.00, OUTPUT_PER_MTOK: 15.00 },
+    'claude-opus-4': { INPUT_PER_MTOK: 15.00, OUTPUT_PER_MTOK: 75.00 }
+  },
+  
+  // Cost tracking; LLM_BUDGET_USD caps the spend of one run (null = no cap)
+  USAGE: {
+    BUDGET_USD: null,
+    CHARS_PER_TOKEN: 4, // Token estimate when the provider reports no usage
+    FREE_PROVIDERS: ['local', 'mock', 'replay']
+  },
+
+  // Pre-flight estimates (see dry-run.js). Prompts are built exactly; completions are guessed
+  // from these per-stage sizes and durations from a per-call latency plus generation speed.
+  DRY_RUN: {
+    COMPLETION_TOKENS: {
+      THEME_GENERATION: { BASE: 100, PER_THEME: 80 },
+      CLASSIFICATION: { BASE: 20, PER_RESPONSE: 60 },
+      QUOTE_EXTRACTION: { BASE: 50, PER_THEME: 250 },
+      SUMMARIZATION: { BASE: 400 },
+      TRANSLATION: { BASE: 20, PER_TEXT: 10 } // Plus the tokens of the source texts
+    },
+    SECONDS_PER_CALL: 2,
+    OUTPUT_TOKENS_PER_SECOND: 50
+  },
+  
+  // Agent output schemas (see llm-structured.js); LLM_STRUCTURED_OUTPUT overrides the mode
+  STRUCTURED_OUTPUT: {
+    MODE: 'auto', // auto: enforced by OpenAI, Azure and Anthropic; native: local endpoints too; prompt: validated only
+    REPAIR_ATTEMPTS: 1, // Retries of a reply that is not valid JSON or misses the schema, with its problems listed
+    MAX_REPAIR_PROBLEMS: 10 // Problems listed in a repair prompt
+  },
+  
+  // API settings (see llm-retry.js); LLM_TIMEOUT_MS, LLM_RETRY_ATTEMPTS and LLM_MAX_RETRY_AFTER_MS override
   API: {
-    TIMEOUT_MS: 60000,
-    RETRY_ATTEMPTS: 3,
-    RETRY_DELAY_MS: 1000,
-    RATE_LIMIT_DELAY_MS: 100
+    TIMEOUT_MS: 180000, // Per attempt; a large classification batch can generate for minutes
+    RETRY_ATTEMPTS: 3, // Retries after the first attempt, for rate limits, 5xx, timeouts and network errors
+    RETRY_DELAY_MS: 1000, // Backoff base: about 1s, 2s, 4s with jitter
+    MAX_RETRY_DELAY_MS: 60000, // Longest backoff wait; Retry-After is honoured as sent
+    MAX_RETRY_AFTER_MS: 600000, // A longer Retry-After fails the call at once
+    RATE_LIMIT_DELAY_MS: 500 // Random spread added to Retry-After so parallel questions do not retry together
   },
   
   // Prompt settings
@@ -120,7 +295,8 @@ export const OUTPUT_CONFIG = {
     INCLUDE_METADATA: true,
     INCLUDE_STATISTICS: true,
     INCLUDE_VALIDATION_INFO: true,
-    GENERATE_BACKUPS: true
+    GENERATE_BACKUPS: true,
+    AUDIT_MARKDOWN_ROW_LIMIT: 25 // Rows listed per input audit section in Markdown; the JSON report lists all
   }
 };
 
@@ -308,6 +484,10 @@ export function validateConfig() {
     errors.push('CONCURRENCY.MAX_QUESTIONS must be at least 1');
   }
   
+  if (PROCESSING_CONFIG.CONCURRENCY.MAX_LLM_CALLS < 1) {
+    errors.push('CONCURRENCY.MAX_LLM_CALLS must be at least 1');
+  }
+  
   if (PROCESSING_CONFIG.CONCURRENCY.TIMEOUT_MS < 1000) {
     warnings.push('CONCURRENCY.TIMEOUT_MS is very low (< 1 second)');
   }
@@ -349,8 +529,48 @@ export function validateConfig() {
   
   // Environment variable checks (if available)
   if (typeof process !== 'undefined' && process.env) {
-    if (!process.env.OPENAI_API_KEY) {
-      errors.push('OPENAI_API_KEY environment variable is required');
+    const provider = (process.env.LLM_PROVIDER || LLM_CONFIG.DEFAULT_PROVIDER).trim().toLowerCase();
+    const providerConfig = LLM_CONFIG.PROVIDERS[provider.toUpperCase()];
+    // Replaying a cassette sends nothing to the provider, so its keys are not needed
+    const replaying = process.env.LLM_CASSETTE && (process.env.LLM_CASSETTE_MODE || 'replay').trim().toLowerCase() === 'replay';
+    if (!providerConfig) {
+      errors.push(`LLM_PROVIDER must be one of: ${Object.keys(LLM_CONFIG.PROVIDERS).map(name => name.toLowerCase()).join(', ')} (got "${provider}")`);
+    } else if (!replaying) {
+      providerConfig.REQUIRED_ENV
+        .filter(name => !process.env[name])
+        .forEach(name => errors.push(`${name} environment variable is required`));
+    }
+    
+    if (process.env.LLM_BUDGET_USD && !(Number(process.env.LLM_BUDGET_USD) > 0)) {
+      errors.push(`LLM_BUDGET_USD must be a positive amount in US dollars (got "${process.env.LLM_BUDGET_USD}")`);
+    }
+    
+    if (process.env.LLM_RETRY_ATTEMPTS && !/^\d+$/.test(process.env.LLM_RETRY_ATTEMPTS.trim())) {
+      errors.push(`LLM_RETRY_ATTEMPTS must be a whole number of retries (got "${process.env.LLM_RETRY_ATTEMPTS}")`);
+    }
+    
+    if (process.env.LLM_TIMEOUT_MS && !(Number(process.env.LLM_TIMEOUT_MS) > 0)) {
+      errors.push(`LLM_TIMEOUT_MS must be a positive number of milliseconds (got "${process.env.LLM_TIMEOUT_MS}")`);
+    }
+    
+    if (process.env.LLM_MAX_RETRY_AFTER_MS && !(Number(process.env.LLM_MAX_RETRY_AFTER_MS) >= 0)) {
+      errors.push(`LLM_MAX_RETRY_AFTER_MS must be a number of milliseconds (got "${process.env.LLM_MAX_RETRY_AFTER_MS}")`);
+    }
+    
+    for (const variable of ['LLM_MAX_CONCURRENT_QUESTIONS', 'LLM_MAX_CONCURRENT_CALLS', 'LLM_TOKENS_PER_MINUTE']) {
+      if (process.env[variable] && !/^[1-9]\d*$/.test(process.env[variable].trim())) {
+        errors.push(`${variable} must be a whole number of at least 1 (got "${process.env[variable]}")`);
+      }
+    }
+    
+    const structuredModes = ['auto', 'native', 'prompt'];
+    if (process.env.LLM_STRUCTURED_OUTPUT && !structuredModes.includes(process.env.LLM_STRUCTURED_OUTPUT.trim().toLowerCase())) {
+      errors.push(`LLM_STRUCTURED_OUTPUT must be one of: ${structuredModes.join(', ')} (got "${process.env.LLM_STRUCTURED_OUTPUT}")`);
+    }
+    
+    const cacheModes = ['off', 'on', 'refresh', 'only'];
+    if (process.env.LLM_CACHE && !cacheModes.includes(process.env.LLM_CACHE.trim().toLowerCase())) {
+      errors.push(`LLM_CACHE must be one of: ${cacheModes.join(', ')} (got "${process.env.LLM_CACHE}")`);
     }
     
     if (process.env.LLM_TEMPERATURE) {
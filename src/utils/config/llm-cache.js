@@ -0,0 +1,237 @@
+/**
+ * On-disk LLM response cache
+ *
+ * This module keeps LLM responses on disk so re-running a study, or a step of it, does not pay
+ * for the same prompts again. Entries are keyed by the SHA-256 of the model, the temperature,
+ * the prompt text and any call options (such as a response format or forced tool), and stored
+ * one JSON file per key under LLM_CACHE_DIR. LLM_CACHE selects
+ * the mode: "off" (default), "on", "refresh" (ignore entries but write new ones) or "only"
+ * (answer from the cache and fail on a miss, without calling the model). Entries older than
+ * LLM_CACHE_TTL_HOURS count as misses.
+ * A prompt sent again by the same model instance is a retry of a rejected response, so it goes
+ * to the model instead of returning the same cached answer.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { promptToText } from './llm-prompt.js';
+import { LLM_CONFIG } from './constants.js';
+
+export const CACHE_MODES = {
+  OFF: 'off',
+  ON: 'on',
+  REFRESH: 'refresh',
+  ONLY: 'only'
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Hit and miss counters of the process (see getLLMCacheStats)
+const stats = { hits: 0, misses: 0, expired: 0, writes: 0 };
+
+// Keys each model instance has already asked for, to recognise retries
+const askedKeys = new WeakMap();
+
+/**
+ * Resolve cache settings from options or LLM_CACHE / LLM_CACHE_DIR / LLM_CACHE_TTL_HOURS
+ * @param {Object} [options] - cacheMode, cacheDir and cacheTtlHours
+ * @param {Object} [env] - Environment variables (default process.env)
+ * @returns {{data?: {mode: string, dir: string, ttlHours: number}, error?: string}} Cache settings or error
+ */
+export function resolveCacheConfig(options = {}, env = process.env) {
+  const mode = String(options.cacheMode || env.LLM_CACHE || LLM_CONFIG.CACHE.MODE).trim().toLowerCase();
+  if (!Object.values(CACHE_MODES).includes(mode)) {
+    return { error: `LLM_CACHE must be one of: ${Object.values(CACHE_MODES).join(', ')} (got "${mode}")` };
+  }
+
+  const ttlHours = Number(options.cacheTtlHours ?? env.LLM_CACHE_TTL_HOURS ?? LLM_CONFIG.CACHE.TTL_HOURS);
+  if (!Number.isFinite(ttlHours) || ttlHours < 0) {
+    return { error: `LLM_CACHE_TTL_HOURS must be a number of hours, 0 for no expiry (got "${options.cacheTtlHours ?? env.LLM_CACHE_TTL_HOURS}")` };
+  }
+
+  return { data: { mode, dir: options.cacheDir || env.LLM_CACHE_DIR || LLM_CONFIG.CACHE.DIR, ttlHours } };
+}
+
+/**
+ * Model name and temperature of a chat model, looking through cassette wrappers
+ * @param {Object} llm - LangChain chat model
+ * @returns {{model: string, temperature: number|null}} Model description
+ */
+export function describeModel(llm) {
+  let model = llm;
+  while (model?.llm) {
+    model = model.llm;
+  }
+  return {
+    model: model?.model || model?.modelName || model?.azureOpenAIApiDeploymentName || model?.constructor?.name || 'unknown',
+    temperature: model?.temperature ?? null
+  };
+}
+
+/**
+ * Cache key of a prompt: the SHA-256 of the model, temperature, prompt text and call options
+ * @param {Object} llm - LangChain chat model
+ * @param {string|Array} messages - Prompt string or LangChain messages
+ * @param {Object} [callOptions] - Options passed to llm.invoke (response_format, tools, ...)
+ * @returns {string} 64 hex characters
+ */
+export function createCacheKey(llm, messages, callOptions) {
+  const { model, temperature } = describeModel(llm);
+  return crypto.createHash('sha256')
+    .update(JSON.stringify({ model, temperature, prompt: promptToText(messages), ...(callOptions && { callOptions }) }))
+    .digest('hex');
+}
+
+/**
+ * Read a cached response
+ * Missing, unreadable and expired entries are misses, as is every lookup in refresh mode and
+ * a retry (a key the model instance already asked for), except in cache-only mode.
+ * @param {Object} llm - Model instance asking
+ * @param {string} key - Cache key (createCacheKey)
+ * @param {Object} settings - Output of resolveCacheConfig
+ * @returns {Promise<Object|null>} Cache entry ({content, model, temperature, createdAt}) or null
+ */
+export async function readCachedResponse(llm, key, settings) {
+  if (!askedKeys.has(llm)) askedKeys.set(llm, new Set());
+  const asked = askedKeys.get(llm);
+  const isRetry = asked.has(key) && settings.mode !== CACHE_MODES.ONLY;
+  asked.add(key);
+
+  if (settings.mode === CACHE_MODES.REFRESH || isRetry) {
+    stats.misses++;
+    return null;
+  }
+
+  let entry;
+  try {
+    entry = JSON.parse(await fs.readFile(entryPath(settings.dir, key), 'utf8'));
+  } catch {
+    stats.misses++;
+    return null;
+  }
+
+  if (isExpired(entry, settings.ttlHours)) {
+    stats.expired++;
+    stats.misses++;
+    return null;
+  }
+
+  stats.hits++;
+  return entry;
+}
+
+/**
+ * Store a response
+ * @param {Object} llm - Model that produced the response
+ * @param {string} key - Cache key (createCacheKey)
+ * @param {string} content - Response text
+ * @param {Object} settings - Output of resolveCacheConfig
+ * @returns {Promise<{success?: boolean, error?: string}>} Write result
+ */
+export async function writeCachedResponse(llm, key, content, settings) {
+  try {
+    const filePath = entryPath(settings.dir, key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const entry = { key, ...describeModel(llm), createdAt: new Date().toISOString(), content };
+    await fs.writeFile(filePath, JSON.stringify(entry, null, 2));
+    stats.writes++;
+    return { success: true };
+  } catch (error) {
+    return { error: `Failed to write LLM cache entry ${key}: ${error.message}` };
+  }
+}
+
+/**
+ * Remove cache entries
+ * Without filters every entry is removed; with them, only the matching ones.
+ * @param {Object} [options] - dir (default from resolveCacheConfig), expiredOnly (entries past
+ *   the TTL), olderThanHours and model
+ * @returns {Promise<{data?: {removed: number, kept: number}, error?: string}>} Counts or error
+ */
+export async function clearLLMCache(options = {}) {
+  const settingsResult = resolveCacheConfig(options.dir ? { cacheDir: options.dir } : {});
+  if (settingsResult.error) {
+    return { error: settingsResult.error };
+  }
+  const { dir, ttlHours } = settingsResult.data;
+  const maxAgeHours = options.expiredOnly ? ttlHours : options.olderThanHours;
+  if (options.expiredOnly && !ttlHours) {
+    return { data: { removed: 0, kept: (await listEntryFiles(dir)).length } };
+  }
+
+  let removed = 0;
+  let kept = 0;
+  try {
+    for (const filePath of await listEntryFiles(dir)) {
+      if (maxAgeHours !== undefined || options.model) {
+        const entry = JSON.parse(await fs.readFile(filePath, 'utf8').catch(() => '{}'));
+        const matches = (maxAgeHours === undefined || isExpired(entry, maxAgeHours))
+          && (!options.model || entry.model === options.model);
+        if (!matches) {
+          kept++;
+          continue;
+        }
+      }
+      await fs.rm(filePath, { force: true });
+      removed++;
+    }
+  } catch (error) {
+    return { error: `Failed to clear LLM cache ${dir}: ${error.message}` };
+  }
+  return { data: { removed, kept } };
+}
+
+/**
+ * Cache counters since the process started (or the last reset)
+ * @returns {{hits: number, misses: number, expired: number, writes: number}} Counters
+ */
+export function getLLMCacheStats() {
+  return { ...stats };
+}
+
+/**
+ * Reset the cache counters
+ */
+export function resetLLMCacheStats() {
+  for (const name of Object.keys(stats)) {
+    stats[name] = 0;
+  }
+}
+
+/**
+ * Path of a cache entry, sharded by the first two characters of its key
+ * @param {string} dir - Cache directory
+ * @param {string} key - Cache key
+ * @returns {string} Entry file path
+ */
+function entryPath(dir, key) {
+  return path.join(dir, key.slice(0, 2), `${key}.json`);
+}
+
+/**
+ * Whether an entry is older than a number of hours (0 never expires)
+ * @param {Object} entry - Cache entry
+ * @param {number} hours - Maximum age
+ * @returns {boolean} True when expired
+ */
+function isExpired(entry, hours) {
+  if (!hours) return false;
+  const createdAt = Date.parse(entry.createdAt);
+  return !Number.isFinite(createdAt) || Date.now() - createdAt > hours * HOUR_MS;
+}
+
+/**
+ * Entry files of a cache directory (none when it does not exist)
+ * @param {string} dir - Cache directory
+ * @returns {Promise<string[]>} Entry file paths
+ */
+async function listEntryFiles(dir) {
+  const shards = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+  const files = [];
+  for (const shard of shards.filter(entry => entry.isDirectory())) {
+    const names = await fs.readdir(path.join(dir, shard.name));
+    files.push(...names.filter(name => name.endsWith('.json')).map(name => path.join(dir, shard.name, name)));
+  }
+  return files;
+}
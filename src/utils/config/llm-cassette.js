@@ -0,0 +1,157 @@
+/**
+ * LLM record/replay cassettes
+ *
+ * This module records the prompts and responses of a real run to a JSON cassette and replays
+ * them later without network access or API keys. Set LLM_CASSETTE to the cassette path and
+ * LLM_CASSETTE_MODE to "record" or "replay" (the default). Responses are matched by agent and
+ * prompt fingerprint (see llm-prompt.js), so a replay only works while prompts stay the same;
+ * a changed prompt fails with the agent and fingerprint that has no recording.
+ * Identical prompts (retries) replay their recorded responses in order, with the token usage
+ * reported when they were recorded.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { AIMessage } from '@langchain/core/messages';
+import { fingerprintPrompt, promptToText } from './llm-prompt.js';
+
+export const CASSETTE_MODES = {
+  RECORD: 'record',
+  REPLAY: 'replay'
+};
+
+const CASSETTE_VERSION = 1;
+const PROMPT_PREVIEW_LENGTH = 200;
+
+// Open cassettes by mode and path, shared by every agent of the process
+const cassettes = new Map();
+
+/**
+ * Resolve cassette settings from options or LLM_CASSETTE / LLM_CASSETTE_MODE
+ * @param {Object} [options] - cassette (path) and cassetteMode
+ * @param {Object} [env] - Environment variables (default process.env)
+ * @returns {{data?: {path: string, mode: string}|null, error?: string}} Cassette settings (null when not used) or error
+ */
+export function resolveCassetteConfig(options = {}, env = process.env) {
+  const cassettePath = options.cassette || env.LLM_CASSETTE;
+  if (!cassettePath) {
+    return { data: null };
+  }
+
+  const mode = String(options.cassetteMode || env.LLM_CASSETTE_MODE || CASSETTE_MODES.REPLAY).trim().toLowerCase();
+  if (!Object.values(CASSETTE_MODES).includes(mode)) {
+    return { error: `LLM_CASSETTE_MODE must be one of: ${Object.values(CASSETTE_MODES).join(', ')} (got "${mode}")` };
+  }
+  return { data: { path: cassettePath, mode } };
+}
+
+/**
+ * Chat model that records another model's exchanges, or replays them from a cassette
+ */
+export class CassetteChatModel {
+  /**
+   * @param {Object} options - llm (model to record; not needed to replay), agent, cassettePath and mode
+   */
+  constructor({ llm = null, agent, cassettePath, mode }) {
+    this.llm = llm;
+    this.agent = agent || 'default';
+    this.cassettePath = cassettePath;
+    this.mode = mode;
+  }
+
+  /**
+   * Replay the recorded response, or call the wrapped model and record its response
+   * @param {string|Array} input - Prompt string or LangChain messages
+   * @param {Object} [options] - Call options passed to the wrapped model
+   * @returns {Promise<Object>} Model response
+   * @throws {Error} When a replayed prompt has no recording
+   */
+  async invoke(input, options) {
+    const cassette = await openCassette(this.cassettePath, this.mode);
+    const fingerprint = fingerprintPrompt(input);
+    const key = `${this.agent}:${fingerprint}`;
+
+    if (this.mode === CASSETTE_MODES.REPLAY) {
+      const recordings = cassette.recordings.get(key);
+      if (!recordings) {
+        throw new Error(`Cassette ${this.cassettePath} has no recorded response for agent "${this.agent}" and prompt fingerprint ${fingerprint}`);
+      }
+      const played = cassette.played.get(key) || 0;
+      cassette.played.set(key, played + 1);
+      const recording = recordings[Math.min(played, recordings.length - 1)];
+      return new AIMessage({ content: recording.response, ...(recording.usage ? { usage_metadata: recording.usage } : {}) });
+    }
+
+    const response = await this.llm.invoke(input, options);
+    const interaction = {
+      agent: this.agent,
+      fingerprint,
+      promptPreview: promptToText(input).slice(0, PROMPT_PREVIEW_LENGTH),
+      response: response.content,
+      usage: response.usage_metadata
+    };
+    cassette.interactions.push(interaction);
+    await saveCassette(this.cassettePath, cassette);
+    return response;
+  }
+}
+
+/**
+ * Open a cassette once per process
+ * Recording starts an empty cassette; replaying reads the file and indexes its interactions.
+ * @param {string} cassettePath - Cassette file path
+ * @param {string} mode - CASSETTE_MODES value
+ * @returns {Promise<Object>} Open cassette
+ * @throws {Error} When a cassette to replay cannot be read
+ */
+async function openCassette(cassettePath, mode) {
+  const key = `${mode}:${cassettePath}`;
+  if (!cassettes.has(key)) {
+    cassettes.set(key, readCassette(cassettePath, mode));
+  }
+  return cassettes.get(key);
+}
+
+/**
+ * Read or start a cassette
+ * @param {string} cassettePath - Cassette file path
+ * @param {string} mode - CASSETTE_MODES value
+ * @returns {Promise<Object>} {interactions, recordings, played, saving}
+ */
+async function readCassette(cassettePath, mode) {
+  const cassette = { interactions: [], recordings: new Map(), played: new Map(), saving: Promise.resolve() };
+  if (mode === CASSETTE_MODES.RECORD) {
+    return cassette;
+  }
+
+  let content;
+  try {
+    content = JSON.parse(await fs.readFile(cassettePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read cassette ${cassettePath}: ${error.message}`);
+  }
+
+  cassette.interactions = content.interactions || [];
+  for (const interaction of cassette.interactions) {
+    const key = `${interaction.agent}:${interaction.fingerprint}`;
+    if (!cassette.recordings.has(key)) cassette.recordings.set(key, []);
+    cassette.recordings.get(key).push(interaction);
+  }
+  return cassette;
+}
+
+/**
+ * Write a recording cassette, one write at a time
+ * @param {string} cassettePath - Cassette file path
+ * @param {Object} cassette - Open cassette
+ * @returns {Promise<void>}
+ */
+function saveCassette(cassettePath, cassette) {
+  // A failed write should not block later ones
+  cassette.saving = cassette.saving.catch(() => {}).then(async () => {
+    await fs.mkdir(path.dirname(cassettePath), { recursive: true });
+    const content = { version: CASSETTE_VERSION, recordedAt: new Date().toISOString(), interactions: cassette.interactions };
+    await fs.writeFile(cassettePath, JSON.stringify(content, null, 2));
+  });
+  return cassette.saving;
+}
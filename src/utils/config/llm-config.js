@@ -6,46 +6,67 @@
  */
 
 import dotenv from 'dotenv';
-import { ChatOpenAI } from '@langchain/openai';
 import { HumanMessage, SystemMessage } from '@langchain/core/messages';
 import { LLM_CONFIG, LOGGING_CONFIG } from './constants.js';
+import { resolveProviderConfig, createChatModel } from './llm-providers.js';
+import { resolveCassetteConfig, CassetteChatModel, CASSETTE_MODES } from './llm-cassette.js';
+import { resolveCacheConfig, createCacheKey, readCachedResponse, writeCachedResponse, describeModel, CACHE_MODES } from './llm-cache.js';
+import { getUsageContext, extractTokenUsage, estimateTokens } from './llm-usage.js';
+import { resolveRetryConfig, callWithRetry } from './llm-retry.js';
+import { getLLMScheduler } from './llm-scheduler.js';
+import { resolveStructuredOutputConfig, getStructuredCallOptions, readResponseContent, parseStructuredOutput, buildRepairMessages } from './llm-structured.js';
 
 // Load environment variables from .env file
 dotenv.config();
 
+// Settings of each model created by initializeLLM, used to label and price its calls
+const modelConfigs = new WeakMap();
+
 /**
  * Initialize LLM instance with configuration
- * @param {Object} options - LLM configuration options
+ * The provider (OpenAI, Azure OpenAI, Anthropic, a local endpoint or mock) comes from options.provider
+ * or LLM_PROVIDER; see llm-providers.js. With a cassette (LLM_CASSETTE) the model's exchanges are
+ * recorded, or replayed without calling the provider; see llm-cassette.js.
+ * @param {Object} options - LLM configuration options (provider, agent, modelName, temperature, maxTokens, apiKey, baseURL, cassette, cassetteMode)
  * @returns {Object} Configured LLM instance
  */
 export async function initializeLLM(options = {}) {
-  // Simple configuration for MVP with GPT-4.1-nano
-  const config = {
-    modelName: options.modelName || 'gpt-4o-mini', // GPT-4.1-nano equivalent
-    temperature: parseFloat(options.temperature || '0.3'),
-    maxTokens: parseInt(options.maxTokens || '2000'),
-    openAIApiKey: options.apiKey || process.env.OPENAI_API_KEY,
-  };
+  const cassetteResult = resolveCassetteConfig(options);
+  if (cassetteResult.error) {
+    return { error: cassetteResult.error };
+  }
+  const cassette = cassetteResult.data;
+  
+  if (cassette?.mode === CASSETTE_MODES.REPLAY) {
+    const agent = options.agent || 'default';
+    const llm = new CassetteChatModel({ agent, cassettePath: cassette.path, mode: cassette.mode });
+    const config = { provider: 'replay', agent, cassette: cassette.path, modelName: null, temperature: null, maxTokens: null };
+    modelConfigs.set(llm, config);
+    return { llm, config };
+  }
   
-  // Basic validation
-  if (!config.openAIApiKey) {
-    return { error: 'OpenAI API key is required. Set OPENAI_API_KEY environment variable.' };
+  const resolved = resolveProviderConfig(options);
+  if (resolved.error) {
+    return { error: resolved.error };
   }
+  const { config } = resolved;
   
   try {
     console.log('Initializing LLM with config:', {
+      provider: config.provider,
       modelName: config.modelName,
       temperature: config.temperature,
       maxTokens: config.maxTokens
     });
     
-    const llm = new ChatOpenAI({
-      modelName: config.modelName,
-      temperature: config.temperature,
-      maxTokens: config.maxTokens,
-      openAIApiKey: config.openAIApiKey,
-    });
+    const llm = createChatModel(config);
+    if (cassette) {
+      const recorder = new CassetteChatModel({ llm, agent: config.agent, cassettePath: cassette.path, mode: cassette.mode });
+      modelConfigs.set(recorder, config);
+      return { llm: recorder, config: { ...config, cassette: cassette.path } };
+    }
     
+    modelConfigs.set(llm, config);
     return { llm, config };
     
   } catch (error) {
@@ -89,32 +110,169 @@ export function createMessages(systemPrompt, userPrompt) {
 
 /**
  * Simple LLM invocation for MVP
+ * With LLM_CACHE set, responses are served from and saved to the on-disk cache (see llm-cache.js);
+ * a shouldCache check keeps replies the caller rejects out of it.
+ * Inside a pipeline run, calls are recorded in the run's usage ledger and refused once its
+ * budget would be exceeded (see llm-usage.js). Each attempt is timed out, and rate limits, server,
+ * timeout and network errors are retried with backoff (see llm-retry.js). Inside a pipeline run,
+ * each attempt waits for a slot of the run's scheduler (see llm-scheduler.js).
  * @param {Object} llm - LLM instance
- * @param {Array} messages - Messages to send
- * @returns {Promise<Object>} { content, error }
+ * @param {Array|string} messages - Messages (or prompt string) to send
+ * @param {Object} [options] - Settings overriding the environment (cacheMode, cacheDir, cacheTtlHours, retryAttempts, retryDelayMs, timeoutMs,
+ *   maxRetryAfterMs),
+ *   callOptions passed to llm.invoke (e.g. a response format), and shouldCache (content => boolean)
+ * @returns {Promise<Object>} { content, cached, error, errorKind, budgetExceeded }
  */
-export async function invokeLLM(llm, messages) {
+export async function invokeLLM(llm, messages, options = {}) {
+  const cacheResult = resolveCacheConfig(options);
+  if (cacheResult.error) {
+    return { error: cacheResult.error };
+  }
+  const cache = cacheResult.data;
+  const retryResult = resolveRetryConfig(options);
+  if (retryResult.error) {
+    return { error: retryResult.error };
+  }
+  const retry = retryResult.data;
+  
+  const usageContext = getUsageContext();
+  const ledger = usageContext?.ledger;
+  const modelConfig = modelConfigs.get(llm) || {};
+  const call = {
+    agent: modelConfig.agent || 'default',
+    questionId: usageContext?.questionId ?? null,
+    provider: modelConfig.provider || null,
+    model: modelConfig.modelName || describeModel(llm).model
+  };
+  
+  let cacheKey = null;
+  if (cache.mode !== CACHE_MODES.OFF) {
+    cacheKey = createCacheKey(llm, messages, options.callOptions);
+    const cached = await readCachedResponse(llm, cacheKey, cache);
+    if (cached) {
+      console.log(`[LLM] Cache hit ${cacheKey.slice(0, 12)}`);
+      ledger?.record(null, { ...call, success: true, cached: true });
+      return { content: cached.content, cached: true };
+    }
+    if (cache.mode === CACHE_MODES.ONLY) {
+      return { error: `LLM cache miss for key ${cacheKey} (LLM_CACHE=only never calls the model)` };
+    }
+  }
+  
+  let reservation = null;
+  if (ledger) {
+    const reserveResult = ledger.reserve({ ...call, input: messages, maxTokens: modelConfig.maxTokens });
+    if (reserveResult.error) {
+      console.warn(`[LLM] ${reserveResult.error}`);
+      return { error: reserveResult.error, budgetExceeded: true };
+    }
+    reservation = reserveResult.data;
+  }
+  
+  // The scheduler counts the prompt plus the largest completion until the call reports its usage
+  const scheduler = getLLMScheduler();
+  const promptTokens = scheduler ? estimateTokens(messages) : 0;
+  const acquireSlot = scheduler && (async () => {
+    const release = await scheduler.acquire({ agent: call.agent, tokens: promptTokens + (modelConfig.maxTokens || LLM_CONFIG.MODEL.MAX_TOKENS) });
+    return response => {
+      if (!response) return release();
+      const usage = extractTokenUsage(response);
+      release(usage ? usage.promptTokens + usage.completionTokens : promptTokens + estimateTokens(String(readResponseContent(response) || '')));
+    };
+  });
+  
+  const startTime = Date.now();
   try {
-    console.log(`[LLM] Invoking with ${messages.length} messages`);
+    console.log(`[LLM] Invoking with ${Array.isArray(messages) ? messages.length : 1} messages`);
     
-    const startTime = Date.now();
-    const response = await llm.invoke(messages);
+    const attemptResult = await callWithRetry(signal => llm.invoke(messages, { ...options.callOptions, signal }), retry, event => {
+      console.warn(`[LLM] ${event.kind}${event.status ? ` (${event.status})` : ''} on attempt ${event.attempt}, retrying in ${event.delayMs}ms: ${event.error}`);
+      ledger?.recordRetry({ ...call, ...event });
+    }, acquireSlot);
     const duration = Date.now() - startTime;
+    if (attemptResult.error) {
+      const attempts = attemptResult.attempts > 1 ? ` after ${attemptResult.attempts} attempts` : '';
+      console.error(`[LLM] Failed${attempts}:`, attemptResult.error.message);
+      ledger?.record(reservation, { ...call, success: false, duration });
+      return { error: `LLM invocation failed${attempts}: ${attemptResult.error.message}`, errorKind: attemptResult.kind };
+    }
+    const { response } = attemptResult;
+    const content = readResponseContent(response);
     
     console.log(`[LLM] Success in ${duration}ms`);
+    ledger?.record(reservation, {
+      ...call,
+      success: true,
+      duration,
+      usage: extractTokenUsage(response),
+      input: messages,
+      output: content
+    });
     
-    if (response && response.content) {
-      return { content: response.content };
+    if (content) {
+      if (cacheKey && (!options.shouldCache || options.shouldCache(content))) {
+        const writeResult = await writeCachedResponse(llm, cacheKey, content, cache);
+        if (writeResult.error) {
+          console.warn(`[LLM] ${writeResult.error}`);
+        }
+      }
+      return { content, cached: false };
     } else {
       return { error: 'Invalid response format from LLM - missing content' };
     }
     
   } catch (error) {
     console.error(`[LLM] Failed:`, error.message);
+    ledger?.record(reservation, { ...call, success: false, duration: Date.now() - startTime });
     return { error: `LLM invocation failed: ${error.message}` };
   }
 }
 
+/**
+ * Invoke the LLM for an output matching a schema
+ * The provider enforces the schema where it can; the reply is then parsed and validated, and a
+ * reply that is not valid JSON or misses the schema gets a repair retry listing its problems
+ * (see llm-structured.js). Only replies that pass validation are cached.
+ * @param {Object} llm - LLM instance
+ * @param {Array|string} messages - Messages (or prompt string) to send
+ * @param {Object} outputSchema - {name, description, schema, normalize?}
+ * @param {Object} [options] - invokeLLM options, plus structuredOutput (mode) and repairAttempts
+ * @returns {Promise<Object>} { data, cached, repaired } or { error, invalidOutput, budgetExceeded }
+ */
+export async function invokeStructured(llm, messages, outputSchema, options = {}) {
+  const structuredResult = resolveStructuredOutputConfig(options);
+  if (structuredResult.error) {
+    return { error: structuredResult.error };
+  }
+  const { mode, repairAttempts } = structuredResult.data;
+  
+  const provider = modelConfigs.get(llm)?.provider;
+  const callOptions = getStructuredCallOptions(provider, outputSchema, mode);
+  
+  let prompt = messages;
+  for (let repair = 0; ; repair++) {
+    const llmResult = await invokeLLM(llm, prompt, {
+      ...options,
+      ...(callOptions && { callOptions }),
+      shouldCache: content => !parseStructuredOutput(content, outputSchema).error
+    });
+    if (llmResult.error) {
+      return llmResult;
+    }
+    
+    const parsed = parseStructuredOutput(llmResult.content, outputSchema);
+    if (!parsed.error) {
+      return { data: parsed.data, cached: llmResult.cached, repaired: repair > 0 };
+    }
+    if (repair >= repairAttempts) {
+      return { error: repair > 0 ? `${parsed.error} (after ${repair} repair ${repair === 1 ? 'retry' : 'retries'})` : parsed.error, invalidOutput: true };
+    }
+    
+    console.warn(`[LLM] Invalid ${outputSchema.name} output, asking for a repair: ${parsed.error}`);
+    prompt = buildRepairMessages(messages, parsed.problems, outputSchema);
+  }
+}
+
 /**
  * Parse JSON response from LLM with error handling
  * @param {string} response - Raw LLM response
@@ -146,4 +304,4 @@ export function parseLLMResponse(response) {
   }
 }
 
-// MVP Complete - Clean and simple LLM configuration for GPT-4.1-nano
+// MVP Complete - Clean and simple LLM configuration
@@ -0,0 +1,92 @@
+/**
+ * Mock LLM provider
+ *
+ * This module provides a deterministic chat model for running the pipeline without network
+ * access (LLM_PROVIDER=mock). Responses are scripted per agent and prompt fingerprint, either
+ * in code with setMockResponses or in a JSON file named by MOCK_LLM_RESPONSES:
+ *
+ *   {
+ *     "classifier": { "3f9a1c0d2b7e4a65": "[...]", "*": "[...]" },
+ *     "*": { "*": "{}" }
+ *   }
+ *
+ * The agent's own entry wins over "*", and a fingerprint wins over "*". Values are response
+ * text, JSON (sent as its serialization) or, in code, functions (promptText, {agent, fingerprint})
+ * returning either. The fingerprint (llm-prompt.js) is shared with record/replay cassettes (see llm-cassette.js).
+ */
+
+import fs from 'fs/promises';
+import { AIMessage } from '@langchain/core/messages';
+import { promptToText, fingerprintPrompt } from './llm-prompt.js';
+
+const WILDCARD = '*';
+
+// Responses scripted in code; a MOCK_LLM_RESPONSES file is used instead when set
+let scriptedResponses = {};
+
+// Parsed response files by path
+const responseFiles = new Map();
+
+/**
+ * Script mock responses in code (e.g. from tests)
+ * @param {Object} responses - Responses by agent, then by prompt fingerprint or "*"
+ */
+export function setMockResponses(responses) {
+  scriptedResponses = responses || {};
+}
+
+/**
+ * Chat model answering from scripted responses
+ */
+export class MockChatModel {
+  /**
+   * @param {Object} options - agent (name used to look up responses) and responsesPath (optional JSON file)
+   */
+  constructor({ agent, responsesPath } = {}) {
+    this.agent = agent || 'default';
+    this.responsesPath = responsesPath || null;
+    this.calls = [];
+  }
+
+  /**
+   * Answer a prompt with its scripted response
+   * @param {string|Array} input - Prompt string or LangChain messages
+   * @returns {Promise<AIMessage>} Scripted response
+   * @throws {Error} When no response is scripted for the agent and prompt
+   */
+  async invoke(input) {
+    const responses = this.responsesPath ? await loadResponseFile(this.responsesPath) : scriptedResponses;
+    const promptText = promptToText(input);
+    const fingerprint = fingerprintPrompt(input);
+    this.calls.push({ agent: this.agent, fingerprint });
+
+    const response = [responses[this.agent], responses[WILDCARD]]
+      .filter(Boolean)
+      .flatMap(byPrompt => [byPrompt[fingerprint], byPrompt[WILDCARD]])
+      .find(candidate => candidate !== undefined);
+    if (response === undefined) {
+      throw new Error(`No mock response for agent "${this.agent}" and prompt fingerprint ${fingerprint}`);
+    }
+
+    const value = typeof response === 'function' ? await response(promptText, { agent: this.agent, fingerprint }) : response;
+    return new AIMessage(typeof value === 'string' ? value : JSON.stringify(value));
+  }
+}
+
+/**
+ * Read and cache a JSON file of mock responses
+ * @param {string} filePath - Path to the responses file
+ * @returns {Promise<Object>} Responses by agent
+ * @throws {Error} When the file cannot be read or parsed
+ */
+async function loadResponseFile(filePath) {
+  if (!responseFiles.has(filePath)) {
+    const content = await fs.readFile(filePath, 'utf8');
+    try {
+      responseFiles.set(filePath, JSON.parse(content));
+    } catch (error) {
+      throw new Error(`Mock responses file ${filePath} is not valid JSON: ${error.message}`);
+    }
+  }
+  return responseFiles.get(filePath);
+}
@@ -0,0 +1,35 @@
+/**
+ * Prompt text and fingerprints
+ *
+ * This module turns the input of llm.invoke (a prompt string or LangChain messages) into plain
+ * text, and fingerprints it. Mock responses and cassettes look prompts up by fingerprint; the
+ * response cache keys on the text and the usage ledger counts its tokens.
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Turn an LLM input (prompt string or LangChain messages) into plain text
+ * @param {string|Array} input - Input passed to llm.invoke
+ * @returns {string} One "role: content" block per message
+ */
+export function promptToText(input) {
+  if (typeof input === 'string') {
+    return `human: ${input}`;
+  }
+  return (Array.isArray(input) ? input : [input]).map(message => {
+    const role = typeof message._getType === 'function' ? message._getType() : (message.role || 'human');
+    const content = typeof message.content === 'string' ? message.content : JSON.stringify(message.content);
+    return `${role}: ${content}`;
+  }).join('\n\n');
+}
+
+/**
+ * Fingerprint a prompt: the first 16 hex characters of the SHA-256 of its text
+ * The same prompt sent as a string or as a single human message gets the same fingerprint.
+ * @param {string|Array} input - Input passed to llm.invoke
+ * @returns {string} Prompt fingerprint
+ */
+export function fingerprintPrompt(input) {
+  return crypto.createHash('sha256').update(promptToText(input)).digest('hex').slice(0, 16);
+}
@@ -0,0 +1,169 @@
+/**
+ * LLM provider backends
+ *
+ * This module resolves the settings of the configured LLM provider and creates its LangChain
+ * chat model. Supported providers are OpenAI, Azure OpenAI, Anthropic and a local
+ * OpenAI-compatible endpoint (Ollama, llama.cpp, vLLM...), so studies whose data may not be
+ * sent to OpenAI, or that run on air-gapped machines, use the same pipeline. The mock provider
+ * answers from scripted responses for offline tests (see llm-mock.js).
+ * The provider is chosen with LLM_PROVIDER; defaults live in LLM_CONFIG.PROVIDERS.
+ */
+
+import { ChatOpenAI, AzureChatOpenAI } from '@langchain/openai';
+import { ChatAnthropic } from '@langchain/anthropic';
+import { MockChatModel } from './llm-mock.js';
+import { LLM_CONFIG } from './constants.js';
+
+/**
+ * Supported provider names
+ */
+export const LLM_PROVIDERS = {
+  OPENAI: 'openai',
+  AZURE: 'azure',
+  ANTHROPIC: 'anthropic',
+  LOCAL: 'local',
+  MOCK: 'mock'
+};
+
+/**
+ * Resolve the settings of the configured provider
+ * Options win over environment variables, which win over LLM_CONFIG.PROVIDERS defaults.
+ * @param {Object} [options] - provider, agent, modelName, temperature, maxTokens, apiKey, baseURL
+ * @param {Object} [env] - Environment variables (default process.env)
+ * @returns {{config?: Object, error?: string}} Provider settings ({provider, modelName, temperature, maxTokens, apiKey, ...}) or error
+ */
+export function resolveProviderConfig(options = {}, env = process.env) {
+  const provider = String(options.provider || env.LLM_PROVIDER || LLM_CONFIG.DEFAULT_PROVIDER).trim().toLowerCase();
+  const resolver = PROVIDER_RESOLVERS[provider];
+  if (!resolver) {
+    return { error: `Unknown LLM provider "${provider}". Set LLM_PROVIDER to one of: ${Object.values(LLM_PROVIDERS).join(', ')}.` };
+  }
+
+  const common = {
+    provider,
+    agent: options.agent || 'default',
+    temperature: parseFloat(options.temperature || '0.3'),
+    maxTokens: parseInt(options.maxTokens || '2000')
+  };
+  return resolver({ ...options, modelName: options.modelName || env.LLM_MODEL }, env, common);
+}
+
+/**
+ * Create the LangChain chat model for resolved provider settings
+ * Client retries are off: invokeLLM retries with its own backoff (see llm-retry.js).
+ * @param {Object} config - Output of resolveProviderConfig
+ * @returns {Object} LangChain chat model
+ */
+export function createChatModel(config) {
+  switch (config.provider) {
+    case LLM_PROVIDERS.AZURE:
+      return new AzureChatOpenAI({
+        temperature: config.temperature,
+        maxTokens: config.maxTokens,
+        maxRetries: 0,
+        azureOpenAIApiKey: config.apiKey,
+        azureOpenAIApiDeploymentName: config.modelName,
+        azureOpenAIApiVersion: config.apiVersion,
+        ...(config.instanceName ? { azureOpenAIApiInstanceName: config.instanceName } : { azureOpenAIEndpoint: config.endpoint })
+      });
+    case LLM_PROVIDERS.ANTHROPIC:
+      return new ChatAnthropic({
+        model: config.modelName,
+        temperature: config.temperature,
+        maxTokens: config.maxTokens,
+        maxRetries: 0,
+        apiKey: config.apiKey
+      });
+    case LLM_PROVIDERS.LOCAL:
+      return new ChatOpenAI({
+        model: config.modelName,
+        temperature: config.temperature,
+        maxTokens: config.maxTokens,
+        maxRetries: 0,
+        apiKey: config.apiKey,
+        configuration: { baseURL: config.baseURL }
+      });
+    case LLM_PROVIDERS.MOCK:
+      return new MockChatModel({ agent: config.agent, responsesPath: config.responsesPath });
+    default:
+      return new ChatOpenAI({
+        model: config.modelName,
+        temperature: config.temperature,
+        maxTokens: config.maxTokens,
+        maxRetries: 0,
+        apiKey: config.apiKey
+      });
+  }
+}
+
+/**
+ * Per-provider settings resolvers: (options, env, common) -> {config} | {error}
+ */
+const PROVIDER_RESOLVERS = {
+  [LLM_PROVIDERS.OPENAI]: (options, env, common) => {
+    const apiKey = options.apiKey || env.OPENAI_API_KEY;
+    if (!apiKey) {
+      return { error: 'OpenAI API key is required. Set OPENAI_API_KEY environment variable.' };
+    }
+    return { config: { ...common, modelName: options.modelName || LLM_CONFIG.PROVIDERS.OPENAI.DEFAULT_MODEL, apiKey } };
+  },
+
+  [LLM_PROVIDERS.AZURE]: (options, env, common) => {
+    const apiKey = options.apiKey || env.AZURE_OPENAI_API_KEY;
+    const deployment = options.modelName || env.AZURE_OPENAI_API_DEPLOYMENT_NAME;
+    const instanceName = env.AZURE_OPENAI_API_INSTANCE_NAME;
+    const endpoint = options.baseURL || env.AZURE_OPENAI_ENDPOINT;
+    if (!apiKey) {
+      return { error: 'Azure OpenAI API key is required. Set AZURE_OPENAI_API_KEY environment variable.' };
+    }
+    if (!deployment) {
+      return { error: 'Azure OpenAI deployment is required. Set AZURE_OPENAI_API_DEPLOYMENT_NAME environment variable.' };
+    }
+    if (!instanceName && !endpoint) {
+      return { error: 'Azure OpenAI resource is required. Set AZURE_OPENAI_API_INSTANCE_NAME or AZURE_OPENAI_ENDPOINT environment variable.' };
+    }
+    return {
+      config: {
+        ...common,
+        modelName: deployment,
+        apiKey,
+        apiVersion: env.AZURE_OPENAI_API_VERSION || LLM_CONFIG.PROVIDERS.AZURE.API_VERSION,
+        ...(instanceName ? { instanceName } : { endpoint })
+      }
+    };
+  },
+
+  [LLM_PROVIDERS.ANTHROPIC]: (options, env, common) => {
+    const apiKey = options.apiKey || env.ANTHROPIC_API_KEY;
+    if (!apiKey) {
+      return { error: 'Anthropic API key is required. Set ANTHROPIC_API_KEY environment variable.' };
+    }
+    const { DEFAULT_MODEL, MAX_OUTPUT_TOKENS } = LLM_CONFIG.PROVIDERS.ANTHROPIC;
+    return {
+      config: {
+        ...common,
+        modelName: options.modelName || DEFAULT_MODEL,
+        maxTokens: Math.min(common.maxTokens, MAX_OUTPUT_TOKENS),
+        apiKey
+      }
+    };
+  },
+
+  [LLM_PROVIDERS.LOCAL]: (options, env, common) => ({
+    config: {
+      ...common,
+      modelName: options.modelName || LLM_CONFIG.PROVIDERS.LOCAL.DEFAULT_MODEL,
+      baseURL: options.baseURL || env.LOCAL_LLM_BASE_URL || LLM_CONFIG.PROVIDERS.LOCAL.BASE_URL,
+      // The OpenAI client insists on a key; local servers ignore it
+      apiKey: options.apiKey || env.LOCAL_LLM_API_KEY || 'local'
+    }
+  }),
+
+  [LLM_PROVIDERS.MOCK]: (options, env, common) => ({
+    config: {
+      ...common,
+      modelName: 'mock',
+      responsesPath: options.mockResponsesPath || env.MOCK_LLM_RESPONSES || null
+    }
+  })
+};
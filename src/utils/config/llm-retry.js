@@ -0,0 +1,202 @@
+/**
+ * LLM call retries, backoff and timeouts
+ *
+ * This module makes each LLM call survive provider hiccups instead of failing the question.
+ * Every attempt runs under a timeout (LLM_CONFIG.API.TIMEOUT_MS, or LLM_TIMEOUT_MS) enforced with
+ * an AbortController. Failures are sorted into rate limits (429), server errors (5xx),
+ * timeouts, network errors and permanent errors (bad request, authentication, exhausted quota,
+ * unscripted mock prompts...). Only the first four are retried, up to RETRY_ATTEMPTS times (or
+ * LLM_RETRY_ATTEMPTS), with jittered exponential backoff. A Retry-After header from the provider
+ * replaces the backoff and is waited out in full, since retrying earlier only meets another 429;
+ * a Retry-After longer than MAX_RETRY_AFTER_MS fails the call at once. LangChain's own retries
+ * are turned off (see llm-providers.js), so these are the only retries.
+ */
+
+import { LLM_CONFIG } from './constants.js';
+
+export const LLM_ERROR_KINDS = {
+  RATE_LIMIT: 'rate_limit',
+  SERVER: 'server_error',
+  TIMEOUT: 'timeout',
+  NETWORK: 'network',
+  PERMANENT: 'permanent'
+};
+
+// Conflict, returned by OpenAI for lock timeouts, clears on retry like a server error
+const RETRYABLE_STATUSES = [409];
+const TIMEOUT_ERROR_NAMES = ['TimeoutError', 'APIConnectionTimeoutError'];
+const NETWORK_ERROR_NAMES = ['APIConnectionError', 'FetchError'];
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'EPIPE', 'EAI_AGAIN', 'ETIMEDOUT', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT'];
+
+/**
+ * Resolve retry settings from options or LLM_RETRY_ATTEMPTS / LLM_TIMEOUT_MS / LLM_MAX_RETRY_AFTER_MS
+ * @param {Object} [options] - retryAttempts, retryDelayMs, timeoutMs and maxRetryAfterMs
+ * @param {Object} [env] - Environment variables (default process.env)
+ * @returns {{data?: {attempts: number, baseDelayMs: number, maxDelayMs: number, maxRetryAfterMs: number, rateLimitSpreadMs: number, timeoutMs: number}, error?: string}} Retry settings or error
+ */
+export function resolveRetryConfig(options = {}, env = process.env) {
+  const attempts = Number(options.retryAttempts ?? env.LLM_RETRY_ATTEMPTS ?? LLM_CONFIG.API.RETRY_ATTEMPTS);
+  if (!Number.isInteger(attempts) || attempts < 0) {
+    return { error: `LLM_RETRY_ATTEMPTS must be a whole number of retries, 0 for none (got "${options.retryAttempts ?? env.LLM_RETRY_ATTEMPTS}")` };
+  }
+
+  const timeoutMs = Number(options.timeoutMs ?? env.LLM_TIMEOUT_MS ?? LLM_CONFIG.API.TIMEOUT_MS);
+  if (!(timeoutMs > 0)) {
+    return { error: `LLM_TIMEOUT_MS must be a positive number of milliseconds (got "${options.timeoutMs ?? env.LLM_TIMEOUT_MS}")` };
+  }
+
+  const maxRetryAfterMs = Number(options.maxRetryAfterMs ?? env.LLM_MAX_RETRY_AFTER_MS ?? LLM_CONFIG.API.MAX_RETRY_AFTER_MS);
+  if (!(maxRetryAfterMs >= 0)) {
+    return { error: `LLM_MAX_RETRY_AFTER_MS must be a number of milliseconds (got "${options.maxRetryAfterMs ?? env.LLM_MAX_RETRY_AFTER_MS}")` };
+  }
+
+  return {
+    data: {
+      attempts,
+      baseDelayMs: options.retryDelayMs ?? LLM_CONFIG.API.RETRY_DELAY_MS,
+      maxDelayMs: LLM_CONFIG.API.MAX_RETRY_DELAY_MS,
+      maxRetryAfterMs,
+      rateLimitSpreadMs: LLM_CONFIG.API.RATE_LIMIT_DELAY_MS,
+      timeoutMs
+    }
+  };
+}
+
+/**
+ * Sort an LLM error into a kind and say whether it is worth retrying
+ * Reads the HTTP status and headers the OpenAI and Anthropic clients attach to their errors.
+ * @param {Error} error - Error thrown by a chat model
+ * @returns {{kind: string, retryable: boolean, status: number|null, retryAfterMs: number|null}} Classification
+ */
+export function classifyLLMError(error) {
+  const status = Number(error?.status ?? error?.statusCode ?? error?.response?.status) || null;
+  const retryAfterMs = parseRetryAfter(error?.headers || error?.response?.headers);
+  const code = error?.code || error?.cause?.code || error?.error?.code;
+  const classify = (kind, retryable) => ({ kind, retryable, status, retryAfterMs });
+
+  // An exhausted quota is reported as a 429 but does not clear by waiting
+  if (code === 'insufficient_quota' || /insufficient_quota|exceeded your current quota/i.test(error?.message || '')) {
+    return classify(LLM_ERROR_KINDS.PERMANENT, false);
+  }
+  if (status === 429) {
+    return classify(LLM_ERROR_KINDS.RATE_LIMIT, true);
+  }
+  if (status >= 500) {
+    return classify(LLM_ERROR_KINDS.SERVER, true);
+  }
+  if (TIMEOUT_ERROR_NAMES.includes(error?.name) || code === 'LLM_TIMEOUT' || status === 408) {
+    return classify(LLM_ERROR_KINDS.TIMEOUT, true);
+  }
+  if (RETRYABLE_STATUSES.includes(status)) {
+    return classify(LLM_ERROR_KINDS.SERVER, true);
+  }
+  if (!status && (NETWORK_ERROR_NAMES.includes(error?.name) || NETWORK_ERROR_CODES.includes(code))) {
+    return classify(LLM_ERROR_KINDS.NETWORK, true);
+  }
+  return classify(LLM_ERROR_KINDS.PERMANENT, false);
+}
+
+/**
+ * Wait before a retry: the provider's Retry-After in full plus a random spread, otherwise jittered
+ * exponential backoff (between half and all of RETRY_DELAY_MS * 2^(retry-1), capped at
+ * MAX_RETRY_DELAY_MS). callWithRetry does not wait for a Retry-After over MAX_RETRY_AFTER_MS.
+ * @param {number} retry - Retry number, from 1
+ * @param {Object} failure - Output of classifyLLMError
+ * @param {Object} settings - Output of resolveRetryConfig
+ * @param {Function} [random] - Random number source in [0, 1)
+ * @returns {number} Delay in milliseconds
+ */
+export function getRetryDelay(retry, failure, settings, random = Math.random) {
+  if (failure.retryAfterMs !== null) {
+    return Math.round(failure.retryAfterMs + random() * settings.rateLimitSpreadMs);
+  }
+  const backoff = Math.min(settings.maxDelayMs, settings.baseDelayMs * 2 ** (retry - 1));
+  return Math.round(backoff / 2 + random() * backoff / 2);
+}
+
+/**
+ * Make a call with a timeout per attempt and retries for transient failures
+ * @param {Function} attemptFn - (signal) => Promise of the response; signal aborts at the timeout
+ * @param {Object} settings - Output of resolveRetryConfig
+ * @param {Function} [onRetry] - Called before each wait with {attempt, kind, status, delayMs, error}
+ * @param {Function} [acquireSlot] - Waits for a request slot before each attempt (see llm-scheduler.js);
+ *   resolves to a release function, called with the response or with nothing on failure. The
+ *   timeout starts once the slot is taken, and the slot is free during retry waits.
+ * @returns {Promise<{response?: *, error?: Error, kind?: string, attempts: number}>} Response, or the last error and its kind
+ */
+export async function callWithRetry(attemptFn, settings, onRetry = null, acquireSlot = null) {
+  for (let attempt = 1; ; attempt++) {
+    const release = acquireSlot ? await acquireSlot() : null;
+    try {
+      const response = await attemptWithTimeout(attemptFn, settings.timeoutMs);
+      release?.(response);
+      return { response, attempts: attempt };
+    } catch (error) {
+      release?.();
+      const failure = classifyLLMError(error);
+      if (!failure.retryable || attempt > settings.attempts) {
+        return { error, kind: failure.kind, attempts: attempt };
+      }
+      if (failure.retryAfterMs !== null && failure.retryAfterMs > settings.maxRetryAfterMs) {
+        const waitError = new Error(`provider asked to retry after ${Math.ceil(failure.retryAfterMs / 1000)}s, longer than the ${Math.round(settings.maxRetryAfterMs / 1000)}s limit (LLM_MAX_RETRY_AFTER_MS): ${error.message}`);
+        return { error: waitError, kind: failure.kind, attempts: attempt };
+      }
+
+      const delayMs = getRetryDelay(attempt, failure, settings);
+      if (onRetry) {
+        onRetry({ attempt, kind: failure.kind, status: failure.status, delayMs, error: error.message });
+      }
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+  }
+}
+
+/**
+ * Run one attempt, aborting it and rejecting with a timeout error after timeoutMs
+ * The race also covers models that ignore the abort signal.
+ * @param {Function} attemptFn - (signal) => Promise
+ * @param {number} timeoutMs - Timeout in milliseconds
+ * @returns {Promise<*>} Result of attemptFn
+ */
+async function attemptWithTimeout(attemptFn, timeoutMs) {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`LLM call timed out after ${timeoutMs}ms`);
+      error.code = 'LLM_TIMEOUT';
+      controller.abort(error);
+      reject(error);
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([attemptFn(controller.signal), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Milliseconds to wait from Retry-After (seconds or an HTTP date) or OpenAI's retry-after-ms
+ * @param {Object|Headers} [headers] - Response headers (Headers instance or plain object)
+ * @returns {number|null} Delay, or null when the provider gave none
+ */
+function parseRetryAfter(headers) {
+  if (!headers) return null;
+  const read = name => (typeof headers.get === 'function' ? headers.get(name) : headers[name] ?? headers[name.replace(/(^|-)(\w)/g, (match, dash, letter) => dash + letter.toUpperCase())]);
+
+  const milliseconds = Number(read('retry-after-ms'));
+  if (read('retry-after-ms') != null && Number.isFinite(milliseconds) && milliseconds >= 0) {
+    return milliseconds;
+  }
+
+  const value = read('retry-after');
+  if (value == null || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds) && seconds >= 0) {
+    return seconds * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+}
@@ -0,0 +1,249 @@
+/**
+ * Run-wide LLM concurrency and rate limits
+ *
+ * This module keeps a large study from flooding the provider. One scheduler is shared by
+ * every question and agent of a pipeline run, and it sets three limits:
+ * - questions analysed at once (PROCESSING_CONFIG.CONCURRENCY.MAX_QUESTIONS);
+ * - LLM requests in flight across all questions and stages (MAX_LLM_CALLS);
+ * - tokens sent per minute, if TOKENS_PER_MINUTE is set.
+ * Waiting calls are queued per stage (agent) and served round-robin, so a burst of classifier
+ * batches cannot starve theme generation or summaries. A pipeline run makes its calls inside
+ * runWithLLMScheduler, and invokeLLM takes a slot before each attempt (see llm-retry.js).
+ * Without a scheduler, calls go out at once.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { PROCESSING_CONFIG } from './constants.js';
+
+const MINUTE_MS = 60000;
+
+const schedulerContext = new AsyncLocalStorage();
+
+/**
+ * Run a function with a scheduler limiting its LLM calls
+ * @param {LLMScheduler} scheduler - Scheduler of the run
+ * @param {Function} fn - Function to run
+ * @returns {*} Return value of fn
+ */
+export function runWithLLMScheduler(scheduler, fn) {
+  return schedulerContext.run(scheduler, fn);
+}
+
+/**
+ * Scheduler of the current run, if any
+ * @returns {LLMScheduler|null} Scheduler
+ */
+export function getLLMScheduler() {
+  return schedulerContext.getStore() || null;
+}
+
+/**
+ * Create the scheduler of a run from options or LLM_MAX_CONCURRENT_QUESTIONS /
+ * LLM_MAX_CONCURRENT_CALLS / LLM_TOKENS_PER_MINUTE
+ * @param {Object} [options] - maxConcurrentQuestions, maxConcurrentCalls and tokensPerMinute
+ * @param {Object} [env] - Environment variables (default process.env)
+ * @returns {{data?: LLMScheduler, error?: string}} Scheduler or error
+ */
+export function createLLMScheduler(options = {}, env = process.env) {
+  const { CONCURRENCY } = PROCESSING_CONFIG;
+  const limits = [
+    ['maxQuestions', 'LLM_MAX_CONCURRENT_QUESTIONS', options.maxConcurrentQuestions ?? env.LLM_MAX_CONCURRENT_QUESTIONS ?? (CONCURRENCY.ENABLE_PARALLEL ? CONCURRENCY.MAX_QUESTIONS : 1)],
+    ['maxConcurrentCalls', 'LLM_MAX_CONCURRENT_CALLS', options.maxConcurrentCalls ?? env.LLM_MAX_CONCURRENT_CALLS ?? CONCURRENCY.MAX_LLM_CALLS],
+    ['tokensPerMinute', 'LLM_TOKENS_PER_MINUTE', options.tokensPerMinute ?? env.LLM_TOKENS_PER_MINUTE ?? CONCURRENCY.TOKENS_PER_MINUTE]
+  ];
+
+  const settings = {};
+  for (const [name, variable, value] of limits) {
+    if (value === null || value === '') {
+      settings[name] = null;
+      continue;
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+      return { error: `${variable} must be a whole number of at least 1 (got "${value}")` };
+    }
+    settings[name] = number;
+  }
+  if (settings.maxQuestions === null || settings.maxConcurrentCalls === null) {
+    return { error: 'LLM_MAX_CONCURRENT_QUESTIONS and LLM_MAX_CONCURRENT_CALLS cannot be empty' };
+  }
+  return { data: new LLMScheduler(settings) };
+}
+
+/**
+ * Shared question and LLM request limiter of one run
+ */
+export class LLMScheduler {
+  /**
+   * @param {Object} [options] - maxQuestions, maxConcurrentCalls and tokensPerMinute (null for no cap)
+   */
+  constructor({ maxQuestions = PROCESSING_CONFIG.CONCURRENCY.MAX_QUESTIONS, maxConcurrentCalls = PROCESSING_CONFIG.CONCURRENCY.MAX_LLM_CALLS, tokensPerMinute = null } = {}) {
+    this.maxQuestions = maxQuestions;
+    this.maxConcurrentCalls = maxConcurrentCalls;
+    this.tokensPerMinute = tokensPerMinute;
+
+    this.activeQuestions = 0;
+    this.questionQueue = [];
+    this.activeCalls = 0;
+    this.stageQueues = new Map();
+    this.stageTurns = [];
+    this.sentTokens = [];
+    this.tokenTimer = null;
+
+    this.peakQuestions = 0;
+    this.peakCalls = 0;
+    this.byStage = {};
+  }
+
+  /**
+   * Run a question's analysis once fewer than maxQuestions are running
+   * Questions start in the order they were submitted.
+   * @param {Function} fn - Analysis of one question
+   * @returns {Promise<*>} Return value of fn
+   */
+  async runQuestion(fn) {
+    if (this.activeQuestions >= this.maxQuestions) {
+      await new Promise(resolve => this.questionQueue.push(resolve));
+    }
+    this.activeQuestions++;
+    this.peakQuestions = Math.max(this.peakQuestions, this.activeQuestions);
+    try {
+      return await fn();
+    } finally {
+      this.activeQuestions--;
+      const next = this.questionQueue.shift();
+      if (next) next();
+    }
+  }
+
+  /**
+   * Wait for a request slot, and for room in the tokens-per-minute window
+   * @param {Object} call - agent (stage queue) and tokens (estimate: prompt plus maximum completion)
+   * @returns {Promise<Function>} release(usedTokens): frees the slot; usedTokens, when known,
+   *   replaces the estimate in the window
+   */
+  acquire({ agent = 'default', tokens = 0 } = {}) {
+    const stage = this.byStage[agent] || (this.byStage[agent] = { calls: 0, queued: 0, waitMs: 0 });
+    if (!this.stageQueues.has(agent)) {
+      this.stageQueues.set(agent, []);
+    }
+    const queue = this.stageQueues.get(agent);
+
+    return new Promise(resolve => {
+      const waiting = { stage, tokens, queuedAt: Date.now(), started: false, resolve };
+      if (queue.length === 0) {
+        this.stageTurns.push(agent);
+      }
+      queue.push(waiting);
+      this.dispatch();
+      if (!waiting.started) {
+        stage.queued++;
+      }
+    });
+  }
+
+  /**
+   * Start waiting calls while slots and tokens allow, taking stages in turn
+   */
+  dispatch() {
+    while (this.activeCalls < this.maxConcurrentCalls && this.stageTurns.length > 0) {
+      const agent = this.stageTurns[0];
+      const queue = this.stageQueues.get(agent);
+      const waiting = queue[0];
+
+      const waitMs = this.tokenWaitMs(waiting.tokens);
+      if (waitMs > 0) {
+        if (!this.tokenTimer) {
+          this.tokenTimer = setTimeout(() => {
+            this.tokenTimer = null;
+            this.dispatch();
+          }, waitMs);
+        }
+        return;
+      }
+
+      queue.shift();
+      this.stageTurns.shift();
+      if (queue.length > 0) {
+        this.stageTurns.push(agent);
+      }
+      this.start(waiting);
+    }
+  }
+
+  /**
+   * Hand a slot to a waiting call
+   * @param {Object} waiting - Queue entry
+   */
+  start(waiting) {
+    const entry = { time: Date.now(), tokens: waiting.tokens };
+    if (this.tokensPerMinute) {
+      this.sentTokens.push(entry);
+    }
+    this.activeCalls++;
+    this.peakCalls = Math.max(this.peakCalls, this.activeCalls);
+
+    waiting.started = true;
+    waiting.stage.calls++;
+    waiting.stage.waitMs += entry.time - waiting.queuedAt;
+
+    let released = false;
+    waiting.resolve(usedTokens => {
+      if (released) return;
+      released = true;
+      if (Number.isFinite(usedTokens)) {
+        entry.tokens = usedTokens;
+      }
+      this.activeCalls--;
+      this.dispatch();
+    });
+  }
+
+  /**
+   * How long a call must wait for its tokens to fit in the last minute's window
+   * A call larger than the whole limit goes alone, once the window is empty.
+   * @param {number} tokens - Tokens of the call
+   * @returns {number} Milliseconds to wait, 0 when it can go now
+   */
+  tokenWaitMs(tokens) {
+    if (!this.tokensPerMinute) return 0;
+
+    const now = Date.now();
+    this.sentTokens = this.sentTokens.filter(entry => now - entry.time < MINUTE_MS);
+    const used = this.sentTokens.reduce((sum, entry) => sum + entry.tokens, 0);
+    if (used === 0 || used + tokens <= this.tokensPerMinute) {
+      return 0;
+    }
+
+    // Wait until enough of the oldest calls leave the window
+    let freed = 0;
+    for (const entry of this.sentTokens) {
+      freed += entry.tokens;
+      if (used - freed + tokens <= this.tokensPerMinute || used - freed === 0) {
+        return Math.max(1, entry.time + MINUTE_MS - now);
+      }
+    }
+    return MINUTE_MS;
+  }
+
+  /**
+   * Limits of the run and how much calls waited for them
+   * @returns {Object} {limits, peakConcurrentQuestions, peakConcurrentCalls, byStage}
+   */
+  summarize() {
+    return {
+      limits: {
+        maxConcurrentQuestions: this.maxQuestions,
+        maxConcurrentCalls: this.maxConcurrentCalls,
+        tokensPerMinute: this.tokensPerMinute
+      },
+      peakConcurrentQuestions: this.peakQuestions,
+      peakConcurrentCalls: this.peakCalls,
+      byStage: Object.fromEntries(Object.entries(this.byStage).map(([agent, stage]) => [agent, {
+        calls: stage.calls,
+        queuedCalls: stage.queued,
+        averageWaitMs: stage.calls > 0 ? Math.round(stage.waitMs / stage.calls) : 0
+      }]))
+    };
+  }
+}
@@ -0,0 +1,275 @@
+/**
+ * Schema-enforced structured outputs
+ *
+ * This module makes each agent's JSON output match a schema instead of hoping the model follows
+ * the example in its prompt. Every agent output has an output schema ({name, description,
+ * schema}, with a JSON Schema in schema) defined next to its prompt. Where the provider can
+ * enforce a schema, it is sent with the call: OpenAI, Azure OpenAI and, with
+ * LLM_STRUCTURED_OUTPUT=native, local endpoints get a strict json_schema response format;
+ * Anthropic gets a single tool it must call. Every reply, enforced or not, is then parsed and
+ * validated against the schema. A reply that is cut off, is not JSON or misses required fields gets
+ * a repair retry: the same prompt plus the list of problems, asking for the complete JSON again.
+ */
+
+import { HumanMessage } from '@langchain/core/messages';
+import { LLM_CONFIG } from './constants.js';
+
+export const STRUCTURED_OUTPUT_MODES = {
+  AUTO: 'auto', // Enforced by OpenAI, Azure OpenAI and Anthropic; validated for the rest
+  NATIVE: 'native', // Also enforced by local OpenAI-compatible endpoints
+  PROMPT: 'prompt' // Never sent to the provider; validated only
+};
+
+// How each provider enforces a schema; the others (mock, replayed cassettes) are validated only
+const NATIVE_METHODS = {
+  openai: 'response_format',
+  azure: 'response_format',
+  anthropic: 'tool',
+  local: 'response_format'
+};
+
+// Checked here, but not accepted by OpenAI's strict mode
+const LOCAL_ONLY_KEYWORDS = ['minItems', 'maxItems', 'minLength', 'maxLength', 'minimum', 'maximum'];
+
+/**
+ * Resolve the structured output mode from options or LLM_STRUCTURED_OUTPUT
+ * @param {Object} [options] - structuredOutput (mode) and repairAttempts
+ * @param {Object} [env] - Environment variables (default process.env)
+ * @returns {{data?: {mode: string, repairAttempts: number}, error?: string}} Settings or error
+ */
+export function resolveStructuredOutputConfig(options = {}, env = process.env) {
+  const mode = String(options.structuredOutput || env.LLM_STRUCTURED_OUTPUT || LLM_CONFIG.STRUCTURED_OUTPUT.MODE).trim().toLowerCase();
+  if (!Object.values(STRUCTURED_OUTPUT_MODES).includes(mode)) {
+    return { error: `LLM_STRUCTURED_OUTPUT must be one of: ${Object.values(STRUCTURED_OUTPUT_MODES).join(', ')} (got "${mode}")` };
+  }
+  return { data: { mode, repairAttempts: options.repairAttempts ?? LLM_CONFIG.STRUCTURED_OUTPUT.REPAIR_ATTEMPTS } };
+}
+
+/**
+ * Call options that make a provider enforce an output schema
+ * @param {string} provider - Provider of the model (llm-providers.js)
+ * @param {Object} outputSchema - {name, description, schema}
+ * @param {string} mode - STRUCTURED_OUTPUT_MODES value
+ * @returns {Object|null} Options for llm.invoke, or null when the schema is validated only
+ */
+export function getStructuredCallOptions(provider, outputSchema, mode) {
+  const method = NATIVE_METHODS[provider];
+  if (!method || mode === STRUCTURED_OUTPUT_MODES.PROMPT || (provider === 'local' && mode !== STRUCTURED_OUTPUT_MODES.NATIVE)) {
+    return null;
+  }
+
+  if (method === 'tool') {
+    return {
+      tools: [{ name: outputSchema.name, description: outputSchema.description, input_schema: outputSchema.schema }],
+      tool_choice: { type: 'tool', name: outputSchema.name }
+    };
+  }
+  return {
+    response_format: {
+      type: 'json_schema',
+      json_schema: { name: outputSchema.name, description: outputSchema.description, strict: true, schema: toStrictSchema(outputSchema.schema) }
+    }
+  };
+}
+
+/**
+ * Text of a reply: the JSON arguments of a forced tool call, otherwise the message text
+ * Also reads tool calls replayed from a cassette, which keep only the content blocks.
+ * @param {Object} response - LangChain AIMessage
+ * @returns {string} Reply text
+ */
+export function readResponseContent(response) {
+  const toolCall = response?.tool_calls?.[0];
+  if (toolCall) {
+    return JSON.stringify(toolCall.args);
+  }
+
+  const content = response?.content;
+  if (!Array.isArray(content)) {
+    return content;
+  }
+  const toolUse = content.find(block => block?.type === 'tool_use');
+  if (toolUse) {
+    return JSON.stringify(toolUse.input);
+  }
+  return content.map(block => (typeof block === 'string' ? block : block?.text || '')).join('');
+}
+
+/**
+ * Parse a reply and check it against an output schema
+ * @param {string} content - Reply text
+ * @param {Object} outputSchema - {name, schema, normalize?}; normalize reshapes the parsed reply
+ *   first, e.g. to accept a bare array where the schema wraps it in an object
+ * @returns {{data?: *, error?: string, problems?: string[]}} Parsed reply, or error and the problems to repair
+ */
+export function parseStructuredOutput(content, outputSchema) {
+  if (typeof content !== 'string' || content.trim() === '') {
+    return { error: 'LLM reply is empty', problems: ['The reply was empty'] };
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(extractJson(content));
+  } catch (error) {
+    const problem = `The reply is not valid JSON (${error.message}); it may have been cut off before the end`;
+    return { error: `LLM reply is not valid JSON: ${error.message}`, problems: [problem] };
+  }
+
+  const data = outputSchema.normalize ? outputSchema.normalize(parsed) : parsed;
+  const problems = validateSchema(data, outputSchema.schema);
+  if (problems.length > 0) {
+    return { error: `LLM reply does not match the ${outputSchema.name} schema: ${problems.slice(0, 3).join('; ')}${problems.length > 3 ? ` (and ${problems.length - 3} more)` : ''}`, problems };
+  }
+  return { data };
+}
+
+/**
+ * Check a value against a JSON Schema
+ * Supports the keywords the agent schemas use: type, properties, required, additionalProperties,
+ * items, enum, minItems, maxItems, minLength, maxLength, minimum and maximum.
+ * @param {*} value - Value to check
+ * @param {Object} schema - JSON Schema
+ * @param {string} [path] - Location of value, for messages
+ * @returns {string[]} Problems, empty when the value matches
+ */
+export function validateSchema(value, schema, path = '$') {
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+    return [`${path} should be ${types.join(' or ')}, got ${describeType(value)}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${path} should be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}, got ${JSON.stringify(value)}`];
+  }
+
+  const problems = [];
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) problems.push(`${path} should have at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) problems.push(`${path} should be at most ${schema.maxLength} characters`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) problems.push(`${path} should be at least ${schema.minimum}, got ${value}`);
+    if (schema.maximum !== undefined && value > schema.maximum) problems.push(`${path} should be at most ${schema.maximum}, got ${value}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) problems.push(`${path} should have at least ${schema.minItems} items, got ${value.length}`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) problems.push(`${path} should have at most ${schema.maxItems} items, got ${value.length}`);
+    if (schema.items) {
+      value.forEach((item, index) => problems.push(...validateSchema(item, schema.items, `${path}[${index}]`)));
+    }
+  } else if (value && typeof value === 'object') {
+    for (const name of schema.required || []) {
+      if (value[name] === undefined || value[name] === null) problems.push(`${path}.${name} is missing`);
+    }
+    for (const [name, propertyValue] of Object.entries(value)) {
+      const propertySchema = schema.properties?.[name];
+      if (propertySchema) {
+        if (propertyValue !== undefined && propertyValue !== null) {
+          problems.push(...validateSchema(propertyValue, propertySchema, `${path}.${name}`));
+        }
+      } else if (schema.additionalProperties === false) {
+        problems.push(`${path}.${name} is not allowed`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        problems.push(...validateSchema(propertyValue, schema.additionalProperties, `${path}.${name}`));
+      }
+    }
+  }
+  return problems;
+}
+
+/**
+ * Messages of a repair retry: the original prompt, then what was wrong with the reply
+ * @param {Array|string} messages - Messages (or prompt string) of the failed call
+ * @param {string[]} problems - Problems found by parseStructuredOutput
+ * @param {Object} outputSchema - {schema}
+ * @returns {Array} LangChain messages
+ */
+export function buildRepairMessages(messages, problems, outputSchema) {
+  const original = typeof messages === 'string' ? [new HumanMessage(messages)] : messages;
+  const shown = problems.slice(0, LLM_CONFIG.STRUCTURED_OUTPUT.MAX_REPAIR_PROBLEMS);
+  const more = problems.length > shown.length ? `\n- ...and ${problems.length - shown.length} more` : '';
+  return [
+    ...original,
+    new HumanMessage(`Your previous reply could not be used:
+- ${shown.join('\n- ')}${more}
+
+Reply again with the complete JSON only, with no text before or after it, matching this JSON Schema:
+${JSON.stringify(outputSchema.schema)}
+
+Keep text fields brief so the whole reply fits.`)
+  ];
+}
+
+/**
+ * Schema in the form OpenAI's strict mode accepts: every property required (optional ones may be
+ * null), no additional properties, and no length or range keywords
+ * @param {Object} schema - JSON Schema
+ * @returns {Object} Strict JSON Schema
+ */
+function toStrictSchema(schema) {
+  const strict = Object.fromEntries(Object.entries(schema).filter(([keyword]) => !LOCAL_ONLY_KEYWORDS.includes(keyword)));
+  if (schema.items) {
+    strict.items = toStrictSchema(schema.items);
+  }
+  if (schema.properties) {
+    const required = new Set(schema.required || []);
+    strict.properties = Object.fromEntries(Object.entries(schema.properties).map(([name, property]) => {
+      const strictProperty = toStrictSchema(property);
+      if (!required.has(name) && strictProperty.type) {
+        strictProperty.type = [...new Set([].concat(strictProperty.type, 'null'))];
+        if (strictProperty.enum) strictProperty.enum = [...strictProperty.enum, null];
+      }
+      return [name, strictProperty];
+    }));
+    strict.required = Object.keys(schema.properties);
+    strict.additionalProperties = false;
+  }
+  return strict;
+}
+
+/**
+ * JSON text of a reply: the inside of a ```json block, or from the first { or [ to the last } or ]
+ * @param {string} content - Reply text
+ * @returns {string} JSON text
+ */
+function extractJson(content) {
+  const text = content.trim();
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)(?:```|$)/i);
+  if (fenced) {
+    return fenced[1].trim();
+  }
+  const start = text.search(/[{[]/);
+  if (start === -1) {
+    return text;
+  }
+  const end = text.lastIndexOf(text[start] === '{' ? '}' : ']');
+  return end > start ? text.slice(start, end + 1) : text.slice(start);
+}
+
+/**
+ * Whether a value has a JSON Schema type
+ * @param {*} value - Value
+ * @param {string} type - JSON Schema type
+ * @returns {boolean} True when it matches
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'null': return value === null;
+    default: return typeof value === type;
+  }
+}
+
+/**
+ * JSON type name of a value, for messages
+ * @param {*} value - Value
+ * @returns {string} Type name
+ */
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
@@ -0,0 +1,390 @@
+/**
+ * LLM token accounting, cost estimation and budget caps
+ *
+ * This module records the prompt and completion tokens of every LLM call made through
+ * invokeLLM, prices them with the model price table (LLM_CONFIG.PRICING, extended or overridden
+ * by a LLM_PRICES JSON file) and totals them per run, per question and per stage (agent).
+ * A pipeline run owns one ledger and makes its calls inside runWithLLMUsage; questions label
+ * their calls with runWithUsageLabels. Both use AsyncLocalStorage, so parallel questions and
+ * concurrent runs keep separate accounts without passing the ledger through every agent.
+ * With a budget (LLM_BUDGET_USD), a call whose estimated cost would take the run over the cap is
+ * refused, and so is every call after it, so the run stops with the outputs it already has.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import fs from 'fs/promises';
+import { promptToText } from './llm-prompt.js';
+import { LLM_CONFIG } from './constants.js';
+
+const TOKENS_PER_PRICE_UNIT = 1000000;
+const NO_QUESTION = null;
+
+const usageContext = new AsyncLocalStorage();
+
+/**
+ * Run a function with a ledger recording its LLM calls
+ * @param {LLMUsageLedger} ledger - Ledger of the run
+ * @param {Function} fn - Function to run
+ * @returns {*} Return value of fn
+ */
+export function runWithLLMUsage(ledger, fn) {
+  return usageContext.run({ ledger, questionId: NO_QUESTION }, fn);
+}
+
+/**
+ * Run a function with labels (e.g. questionId) on the LLM calls it makes
+ * Without a ledger the function simply runs.
+ * @param {Object} labels - Labels such as {questionId}
+ * @param {Function} fn - Function to run
+ * @returns {*} Return value of fn
+ */
+export function runWithUsageLabels(labels, fn) {
+  const store = usageContext.getStore();
+  return store ? usageContext.run({ ...store, ...labels }, fn) : fn();
+}
+
+/**
+ * Ledger and labels of the current call, if any
+ * @returns {{ledger: LLMUsageLedger, questionId: string|null}|null} Usage context
+ */
+export function getUsageContext() {
+  return usageContext.getStore() || null;
+}
+
+/**
+ * Rough token count of a text or prompt, for providers that report no usage
+ * @param {string|Array} input - Text, prompt string or LangChain messages
+ * @returns {number} Estimated tokens
+ */
+export function estimateTokens(input) {
+  const text = typeof input === 'string' ? input : promptToText(input);
+  return Math.ceil(text.length / LLM_CONFIG.USAGE.CHARS_PER_TOKEN);
+}
+
+/**
+ * Token usage reported with a LangChain response
+ * Reads usage_metadata, then the OpenAI (tokenUsage) and Anthropic (usage) response metadata.
+ * @param {Object} response - LangChain AIMessage
+ * @returns {{promptTokens: number, completionTokens: number}|null} Usage, or null when not reported
+ */
+export function extractTokenUsage(response) {
+  const usage = response?.usage_metadata;
+  if (usage && (usage.input_tokens || usage.output_tokens)) {
+    return { promptTokens: usage.input_tokens || 0, completionTokens: usage.output_tokens || 0 };
+  }
+
+  const tokenUsage = response?.response_metadata?.tokenUsage;
+  if (tokenUsage) {
+    return { promptTokens: tokenUsage.promptTokens || 0, completionTokens: tokenUsage.completionTokens || 0 };
+  }
+
+  const metaUsage = response?.response_metadata?.usage;
+  if (metaUsage) {
+    return {
+      promptTokens: metaUsage.input_tokens ?? metaUsage.prompt_tokens ?? 0,
+      completionTokens: metaUsage.output_tokens ?? metaUsage.completion_tokens ?? 0
+    };
+  }
+  return null;
+}
+
+/**
+ * Build the model price table: LLM_CONFIG.PRICING plus the entries of an optional JSON file
+ * The file maps model names (or prefixes) to USD per million tokens:
+ * { "my-azure-deployment": { "input": 2.5, "output": 10 } }
+ * @param {string} [pricesPath] - JSON price file
+ * @returns {Promise<{data?: Object<string, {input: number, output: number}>, error?: string}>} Prices or error
+ */
+export async function loadPriceTable(pricesPath) {
+  const prices = Object.fromEntries(
+    Object.entries(LLM_CONFIG.PRICING).map(([model, price]) => [model.toLowerCase(), { input: price.INPUT_PER_MTOK, output: price.OUTPUT_PER_MTOK }])
+  );
+  if (!pricesPath) {
+    return { data: prices };
+  }
+
+  let overrides;
+  try {
+    overrides = JSON.parse(await fs.readFile(pricesPath, 'utf8'));
+  } catch (error) {
+    return { error: `Failed to read LLM price table ${pricesPath}: ${error.message}` };
+  }
+
+  for (const [model, price] of Object.entries(overrides)) {
+    if (!Number.isFinite(price?.input) || !Number.isFinite(price?.output) || price.input < 0 || price.output < 0) {
+      return { error: `LLM price table ${pricesPath}: "${model}" needs non-negative "input" and "output" prices per million tokens` };
+    }
+    prices[model.toLowerCase()] = { input: price.input, output: price.output };
+  }
+  return { data: prices };
+}
+
+/**
+ * Price of a model: the longest matching prefix in the price table, otherwise free for local,
+ * mock and replayed calls (a price table entry can still charge them, e.g. for internal chargeback)
+ * @param {Object} prices - Output of loadPriceTable
+ * @param {string|null} provider - Provider name
+ * @param {string|null} model - Model name
+ * @returns {{input: number, output: number}|null} USD per million tokens, or null when unknown
+ */
+export function resolveModelPrice(prices, provider, model) {
+  const name = String(model || '').toLowerCase();
+  const match = name && Object.keys(prices)
+    .filter(prefix => name.startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+  if (match) {
+    return prices[match];
+  }
+  return LLM_CONFIG.USAGE.FREE_PROVIDERS.includes(provider) ? { input: 0, output: 0 } : null;
+}
+
+/**
+ * Create the ledger of a run from options or LLM_BUDGET_USD / LLM_PRICES
+ * @param {Object} [options] - budgetUsd, pricesPath, onCall (called with each recorded call) and
+ *   onRetry (called with each retried attempt)
+ * @param {Object} [env] - Environment variables (default process.env)
+ * @returns {Promise<{data?: LLMUsageLedger, error?: string}>} Ledger or error
+ */
+export async function createUsageLedger(options = {}, env = process.env) {
+  const budgetValue = options.budgetUsd ?? env.LLM_BUDGET_USD ?? LLM_CONFIG.USAGE.BUDGET_USD;
+  const budgetUsd = budgetValue === null || budgetValue === '' ? null : Number(budgetValue);
+  if (budgetUsd !== null && !(budgetUsd > 0)) {
+    return { error: `LLM_BUDGET_USD must be a positive amount in US dollars (got "${budgetValue}")` };
+  }
+
+  const pricesResult = await loadPriceTable(options.pricesPath || env.LLM_PRICES);
+  if (pricesResult.error) {
+    return { error: pricesResult.error };
+  }
+  return { data: new LLMUsageLedger({ budgetUsd, prices: pricesResult.data, onCall: options.onCall, onRetry: options.onRetry }) };
+}
+
+/**
+ * Token and cost account of one run
+ */
+export class LLMUsageLedger {
+  /**
+   * @param {Object} [options] - budgetUsd (null for no cap), prices (loadPriceTable output), onCall and onRetry
+   */
+  constructor({ budgetUsd = null, prices = {}, onCall = null, onRetry = null } = {}) {
+    this.budgetUsd = budgetUsd;
+    this.prices = prices;
+    this.onCall = onCall;
+    this.onRetry = onRetry;
+    this.totals = emptyBucket();
+    this.byQuestion = {};
+    this.byStage = {};
+    this.byModel = {};
+    this.unpricedModels = new Set();
+    this.reservedUsd = 0;
+    this.budgetExceeded = false;
+    this.blockedCalls = 0;
+  }
+
+  /**
+   * Reserve the estimated cost of a call against the budget
+   * The completion is estimated from the stage's average so far, or its maxTokens before the
+   * first call. Calls of unpriced models cannot be capped and always pass.
+   * @param {Object} call - provider, model, agent, input (prompt) and maxTokens
+   * @returns {{data?: {estimatedUsd: number}, error?: string}} Reservation, or error when over budget
+   */
+  reserve(call) {
+    if (this.budgetExceeded) {
+      this.blockedCalls++;
+      return { error: this.budgetError() };
+    }
+
+    const price = resolveModelPrice(this.prices, call.provider, call.model);
+    if (!price || this.budgetUsd === null) {
+      return { data: { estimatedUsd: 0 } };
+    }
+
+    const stage = this.byStage[call.agent];
+    const answered = stage ? stage.calls - stage.cachedCalls - stage.failedCalls : 0;
+    const completionTokens = answered > 0
+      ? stage.completionTokens / answered
+      : call.maxTokens || LLM_CONFIG.MODEL.MAX_TOKENS;
+    const estimatedUsd = priceTokens(price, estimateTokens(call.input), completionTokens);
+
+    if (this.totals.costUsd + this.reservedUsd + estimatedUsd > this.budgetUsd) {
+      this.budgetExceeded = true;
+      this.blockedCalls++;
+      return { error: this.budgetError() };
+    }
+    this.reservedUsd += estimatedUsd;
+    return { data: { estimatedUsd } };
+  }
+
+  /**
+   * Record a finished call and release its reservation
+   * @param {Object|null} reservation - Output of reserve (null for cache hits)
+   * @param {Object} call - agent, questionId, provider, model, success, cached, duration,
+   *   usage (extractTokenUsage), input and output (for estimates when usage is missing)
+   * @returns {Object} Recorded call with tokens and costUsd
+   */
+  record(reservation, call) {
+    if (reservation) {
+      this.reservedUsd = Math.max(0, this.reservedUsd - reservation.estimatedUsd);
+    }
+
+    const estimated = !call.cached && call.success && !call.usage;
+    const promptTokens = call.cached || !call.success ? 0 : (call.usage ? call.usage.promptTokens : estimateTokens(call.input));
+    const completionTokens = call.cached || !call.success ? 0 : (call.usage ? call.usage.completionTokens : estimateTokens(String(call.output || '')));
+    const price = resolveModelPrice(this.prices, call.provider, call.model);
+    if (!price && !call.cached) {
+      this.unpricedModels.add(call.model);
+    }
+
+    const recorded = {
+      agent: call.agent,
+      questionId: call.questionId,
+      model: call.model,
+      success: call.success,
+      cached: !!call.cached,
+      duration: call.duration || 0,
+      promptTokens,
+      completionTokens,
+      estimated,
+      costUsd: price ? priceTokens(price, promptTokens, completionTokens) : 0
+    };
+
+    const buckets = [
+      this.totals,
+      bucketOf(this.byStage, call.agent),
+      bucketOf(this.byModel, call.model)
+    ];
+    if (call.questionId !== NO_QUESTION && call.questionId !== undefined) {
+      buckets.push(bucketOf(this.byQuestion, call.questionId));
+    }
+    buckets.forEach(bucket => addToBucket(bucket, recorded));
+
+    if (this.onCall) {
+      this.onCall(recorded);
+    }
+    return recorded;
+  }
+
+  /**
+   * Record a failed attempt that invokeLLM is about to retry
+   * The attempt costs nothing; its call is recorded once it finally succeeds or fails.
+   * @param {Object} retry - agent, questionId, model, attempt, kind, status, delayMs and error
+   */
+  recordRetry(retry) {
+    const buckets = [
+      this.totals,
+      bucketOf(this.byStage, retry.agent),
+      bucketOf(this.byModel, retry.model)
+    ];
+    if (retry.questionId !== NO_QUESTION && retry.questionId !== undefined) {
+      buckets.push(bucketOf(this.byQuestion, retry.questionId));
+    }
+    buckets.forEach(bucket => { bucket.retries++; });
+
+    if (this.onRetry) {
+      this.onRetry(retry);
+    }
+  }
+
+  /**
+   * Whether the budget stopped the run
+   * @returns {boolean} True once a call was refused
+   */
+  isBudgetExceeded() {
+    return this.budgetExceeded;
+  }
+
+  /**
+   * Usage and cost report of the run
+   * @returns {Object} {totals, byQuestion, byStage, byModel, unpricedModels, budget}
+   */
+  summarize() {
+    const round = buckets => Object.fromEntries(Object.entries(buckets).map(([name, bucket]) => [name, roundBucket(bucket)]));
+    return {
+      currency: 'USD',
+      totals: roundBucket(this.totals),
+      byQuestion: round(this.byQuestion),
+      byStage: round(this.byStage),
+      byModel: round(this.byModel),
+      unpricedModels: [...this.unpricedModels],
+      budget: {
+        limitUsd: this.budgetUsd,
+        spentUsd: roundUsd(this.totals.costUsd),
+        exceeded: this.budgetExceeded,
+        blockedCalls: this.blockedCalls
+      }
+    };
+  }
+
+  /**
+   * Error returned for refused calls
+   * @returns {string} Error message
+   */
+  budgetError() {
+    return `LLM budget of $${this.budgetUsd} reached ($${roundUsd(this.totals.costUsd)} spent); no further LLM calls are made in this run`;
+  }
+}
+
+/**
+ * Cost of a number of tokens
+ * @param {{input: number, output: number}} price - USD per million tokens
+ * @param {number} promptTokens - Prompt tokens
+ * @param {number} completionTokens - Completion tokens
+ * @returns {number} Cost in USD
+ */
+function priceTokens(price, promptTokens, completionTokens) {
+  return (promptTokens * price.input + completionTokens * price.output) / TOKENS_PER_PRICE_UNIT;
+}
+
+/**
+ * Zeroed usage totals
+ * @returns {Object} Bucket
+ */
+function emptyBucket() {
+  return { calls: 0, cachedCalls: 0, failedCalls: 0, estimatedCalls: 0, retries: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, costUsd: 0 };
+}
+
+/**
+ * Bucket of a question, stage or model, created on first use
+ * @param {Object} buckets - Buckets by name
+ * @param {string} name - Bucket name
+ * @returns {Object} Bucket
+ */
+function bucketOf(buckets, name) {
+  const key = name ?? 'unknown';
+  if (!buckets[key]) buckets[key] = emptyBucket();
+  return buckets[key];
+}
+
+/**
+ * Add a recorded call to a bucket
+ * @param {Object} bucket - Bucket to update
+ * @param {Object} call - Recorded call
+ */
+function addToBucket(bucket, call) {
+  bucket.calls++;
+  if (call.cached) bucket.cachedCalls++;
+  if (!call.success) bucket.failedCalls++;
+  if (call.estimated) bucket.estimatedCalls++;
+  bucket.promptTokens += call.promptTokens;
+  bucket.completionTokens += call.completionTokens;
+  bucket.totalTokens += call.promptTokens + call.completionTokens;
+  bucket.costUsd += call.costUsd;
+}
+
+/**
+ * Copy of a bucket with its cost rounded to a millionth of a dollar
+ * @param {Object} bucket - Bucket
+ * @returns {Object} Rounded bucket
+ */
+function roundBucket(bucket) {
+  return { ...bucket, costUsd: roundUsd(bucket.costUsd) };
+}
+
+/**
+ * Round a dollar amount to six decimals
+ * @param {number} value - Amount in USD
+ * @returns {number} Rounded amount
+ */
+function roundUsd(value) {
+  return Math.round(value * 1000000) / 1000000;
+}
@@ -158,11 +158,8 @@ export async function checkFileExists(filePath) {
  * @returns {Promise<Object>} File stats object
  */
 export async function getFileStats(filePath) {
-  // TODO: Implement file stats retrieval
   try {
-    // const stats = await fs.stat(filePath);
-    // return stats;
-    throw new Error('File stats not implemented yet');
+    return await fs.stat(filePath);
   } catch (error) {
     throw new Error(`Failed to get file stats for ${filePath}: ${error.message}`);
   }
@@ -214,16 +211,17 @@ export async function createBackup(filePath) {
  * @returns {Promise<Array>} Array of file paths
  */
 export async function listFiles(dirPath, options = {}) {
-  // TODO: Implement directory listing
-  // - Read directory contents
-  // - Filter by extensions if specified
-  // - Apply pattern matching if specified
-  // - Return sorted list of file paths
-  
   try {
-    // TODO: Read directory and filter files
-    console.log(`Listing files in: ${dirPath}`);
-    throw new Error('Directory listing not implemented yet');
+    const entries = await fs.readdir(dirPath, { withFileTypes: true });
+    const extensions = options.extensions?.map(extension => extension.replace(/^\./, '').toLowerCase());
+    
+    return entries
+      .filter(entry => entry.isFile())
+      .map(entry => entry.name)
+      .filter(name => !extensions || extensions.includes(getFileExtension(name)))
+      .filter(name => !options.pattern || options.pattern.test(name))
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+      .map(name => path.join(dirPath, name));
     
   } catch (error) {
     throw new Error(`Failed to list files in ${dirPath}: ${error.message}`);
@@ -0,0 +1,384 @@
+/**
+ * Statistical test helpers
+ *
+ * This module provides the small set of significance tests and descriptive statistics used by
+ * the output generators.
+ * Implemented without dependencies so results are reproducible and easy to audit.
+ */
+
+/**
+ * Pearson chi-square test of independence for an r x c contingency table
+ * Rows or columns that sum to zero are ignored.
+ * @param {Array<Array<number>>} table - Observed counts
+ * @returns {{statistic: number, degreesOfFreedom: number, pValue: number, minExpected: number}|{error: string}} Test result or error
+ */
+export function chiSquareTest(table) {
+  const trimmed = dropEmptyRowsAndColumns(table);
+  const rows = trimmed.length;
+  const columns = rows > 0 ? trimmed[0].length : 0;
+
+  if (rows < 2 || columns < 2) {
+    return { error: 'Chi-square test needs at least two non-empty rows and columns' };
+  }
+
+  const rowTotals = trimmed.map(row => row.reduce((sum, value) => sum + value, 0));
+  const columnTotals = trimmed[0].map((_, column) => trimmed.reduce((sum, row) => sum + row[column], 0));
+  const total = rowTotals.reduce((sum, value) => sum + value, 0);
+
+  let statistic = 0;
+  let minExpected = Infinity;
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      const expected = (rowTotals[row] * columnTotals[column]) / total;
+      minExpected = Math.min(minExpected, expected);
+      statistic += ((trimmed[row][column] - expected) ** 2) / expected;
+    }
+  }
+
+  const degreesOfFreedom = (rows - 1) * (columns - 1);
+  return {
+    statistic,
+    degreesOfFreedom,
+    pValue: chiSquareSurvival(statistic, degreesOfFreedom),
+    minExpected
+  };
+}
+
+/**
+ * Two-sided Fisher's exact test for a 2 x 2 contingency table
+ * Sums the probabilities of all tables with the same margins that are no more likely than the observed one.
+ * @param {Array<Array<number>>} table - [[a, b], [c, d]] observed counts
+ * @returns {{pValue: number, oddsRatio: number}|{error: string}} Test result or error
+ */
+export function fisherExactTest(table) {
+  if (!Array.isArray(table) || table.length !== 2 || table.some(row => !Array.isArray(row) || row.length !== 2)) {
+    return { error: "Fisher's exact test needs a 2 x 2 table" };
+  }
+
+  const [[a, b], [c, d]] = table;
+  const row1 = a + b;
+  const row2 = c + d;
+  const column1 = a + c;
+  const total = row1 + row2;
+
+  if (total === 0) {
+    return { error: "Fisher's exact test needs at least one observation" };
+  }
+
+  const logDenominator = logFactorial(total) - logFactorial(row1) - logFactorial(row2) - logFactorial(column1) - logFactorial(total - column1);
+  const tableProbability = x => Math.exp(
+    -logDenominator - logFactorial(x) - logFactorial(row1 - x) - logFactorial(column1 - x) - logFactorial(row2 - column1 + x)
+  );
+
+  const observed = tableProbability(a);
+  const minA = Math.max(0, column1 - row2);
+  const maxA = Math.min(row1, column1);
+
+  let pValue = 0;
+  for (let x = minA; x <= maxA; x++) {
+    const probability = tableProbability(x);
+    // Relative tolerance guards against floating point ties
+    if (probability <= observed * (1 + 1e-7)) {
+      pValue += probability;
+    }
+  }
+
+  return {
+    pValue: Math.min(1, pValue),
+    oddsRatio: b * c === 0 ? (a * d === 0 ? NaN : Infinity) : (a * d) / (b * c)
+  };
+}
+
+/**
+ * Descriptive statistics of a list of numbers
+ * Quartiles use linear interpolation between ranks; the standard deviation is the sample one.
+ * @param {Array<number>} values - Numbers to describe
+ * @returns {{count: number, mean: number, median: number, standardDeviation: number, min: number, max: number, lowerQuartile: number, upperQuartile: number}|{error: string}} Statistics or error
+ */
+export function describeNumbers(values) {
+  const sorted = values.filter(value => Number.isFinite(value)).sort((a, b) => a - b);
+  const count = sorted.length;
+  if (count === 0) {
+    return { error: 'No numbers to describe' };
+  }
+
+  const mean = sorted.reduce((sum, value) => sum + value, 0) / count;
+  const variance = count > 1
+    ? sorted.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (count - 1)
+    : 0;
+
+  return {
+    count,
+    mean,
+    median: quantile(sorted, 0.5),
+    standardDeviation: Math.sqrt(variance),
+    min: sorted[0],
+    max: sorted[count - 1],
+    lowerQuartile: quantile(sorted, 0.25),
+    upperQuartile: quantile(sorted, 0.75)
+  };
+}
+
+/**
+ * Quantile of sorted numbers by linear interpolation between ranks
+ * @param {Array<number>} sorted - Numbers in ascending order
+ * @param {number} probability - Quantile between 0 and 1
+ * @returns {number} Quantile value
+ */
+function quantile(sorted, probability) {
+  const position = (sorted.length - 1) * probability;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Welch's two-sample t-test (unequal variances), two-sided
+ * @param {Array<number>} first - First sample
+ * @param {Array<number>} second - Second sample
+ * @returns {{statistic: number, degreesOfFreedom: number, pValue: number}|{error: string}} Test result or error
+ */
+export function welchTTest(first, second) {
+  if (first.length < 2 || second.length < 2) {
+    return { error: 'Welch t-test needs at least two values in each sample' };
+  }
+
+  const a = sampleMoments(first);
+  const b = sampleMoments(second);
+  const standardError = Math.sqrt(a.variance / a.count + b.variance / b.count);
+  if (standardError === 0) {
+    return { error: 'Welch t-test needs variation in at least one sample' };
+  }
+
+  const statistic = (a.mean - b.mean) / standardError;
+  const degreesOfFreedom = (a.variance / a.count + b.variance / b.count) ** 2 / (
+    (a.variance / a.count) ** 2 / (a.count - 1) + (b.variance / b.count) ** 2 / (b.count - 1)
+  );
+  // Two-sided tail of Student's t via the regularized incomplete beta function
+  const pValue = regularizedIncompleteBeta(degreesOfFreedom / (degreesOfFreedom + statistic ** 2), degreesOfFreedom / 2, 0.5);
+
+  return { statistic, degreesOfFreedom, pValue: Math.min(1, pValue) };
+}
+
+/**
+ * One-way analysis of variance across groups
+ * Empty groups are ignored.
+ * @param {Array<Array<number>>} groups - Values per group
+ * @returns {{statistic: number, degreesOfFreedom: Array<number>, pValue: number}|{error: string}} F test result ([between, within] degrees of freedom) or error
+ */
+export function oneWayAnova(groups) {
+  const samples = groups.filter(group => group.length > 0).map(sampleMoments);
+  const total = samples.reduce((sum, sample) => sum + sample.count, 0);
+  if (samples.length < 2 || total <= samples.length) {
+    return { error: 'ANOVA needs at least two groups and more values than groups' };
+  }
+
+  const grandMean = samples.reduce((sum, sample) => sum + sample.mean * sample.count, 0) / total;
+  const between = samples.reduce((sum, sample) => sum + sample.count * (sample.mean - grandMean) ** 2, 0);
+  const within = samples.reduce((sum, sample) => sum + sample.variance * (sample.count - 1), 0);
+  const degreesOfFreedom = [samples.length - 1, total - samples.length];
+  if (within === 0) {
+    return { error: 'ANOVA needs variation within groups' };
+  }
+
+  const statistic = (between / degreesOfFreedom[0]) / (within / degreesOfFreedom[1]);
+  const pValue = regularizedIncompleteBeta(
+    degreesOfFreedom[1] / (degreesOfFreedom[1] + degreesOfFreedom[0] * statistic),
+    degreesOfFreedom[1] / 2,
+    degreesOfFreedom[0] / 2
+  );
+
+  return { statistic, degreesOfFreedom, pValue: Math.min(1, pValue) };
+}
+
+/**
+ * Cohen's d effect size: difference of means over the pooled standard deviation
+ * @param {Array<number>} first - First sample
+ * @param {Array<number>} second - Second sample
+ * @returns {number|null} Effect size, or null when it is undefined (fewer than two values each, or no variation)
+ */
+export function cohensD(first, second) {
+  if (first.length < 2 || second.length < 2) return null;
+
+  const a = sampleMoments(first);
+  const b = sampleMoments(second);
+  const pooledVariance = ((a.count - 1) * a.variance + (b.count - 1) * b.variance) / (a.count + b.count - 2);
+  return pooledVariance > 0 ? (a.mean - b.mean) / Math.sqrt(pooledVariance) : null;
+}
+
+/**
+ * Upper tail probability of the chi-square distribution
+ * @param {number} statistic - Chi-square statistic
+ * @param {number} degreesOfFreedom - Degrees of freedom
+ * @returns {number} P(X >= statistic)
+ */
+export function chiSquareSurvival(statistic, degreesOfFreedom) {
+  if (statistic <= 0) return 1;
+  return 1 - regularizedLowerGamma(degreesOfFreedom / 2, statistic / 2);
+}
+
+/**
+ * Natural log of n!
+ * @param {number} n - Non-negative integer
+ * @returns {number} ln(n!)
+ */
+export function logFactorial(n) {
+  return logGamma(n + 1);
+}
+
+/**
+ * Natural log of the gamma function (Lanczos approximation)
+ * @param {number} x - Positive number
+ * @returns {number} ln(Γ(x))
+ */
+export function logGamma(x) {
+  const coefficients = [
+    676.5203681218851, -1259.1392167224028, 771.32342877765313,
+    -176.61502916214059, 12.507343278686905, -0.13857109526572012,
+    9.9843695780195716e-6, 1.5056327351493116e-7
+  ];
+
+  if (x < 0.5) {
+    // Reflection formula
+    return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  }
+
+  const shifted = x - 1;
+  let sum = 0.99999999999980993;
+  coefficients.forEach((coefficient, index) => {
+    sum += coefficient / (shifted + index + 1);
+  });
+  const t = shifted + coefficients.length - 0.5;
+  return 0.5 * Math.log(2 * Math.PI) + (shifted + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+/**
+ * Regularized lower incomplete gamma function P(s, x)
+ * Series expansion below s + 1, continued fraction above (Numerical Recipes 6.2).
+ * @param {number} s - Shape parameter
+ * @param {number} x - Upper integration limit
+ * @returns {number} P(s, x)
+ */
+function regularizedLowerGamma(s, x) {
+  const maxIterations = 500;
+  const epsilon = 1e-14;
+  const logPrefactor = s * Math.log(x) - x - logGamma(s);
+
+  if (x < s + 1) {
+    let term = 1 / s;
+    let sum = term;
+    for (let n = 1; n < maxIterations; n++) {
+      term *= x / (s + n);
+      sum += term;
+      if (Math.abs(term) < Math.abs(sum) * epsilon) break;
+    }
+    return Math.min(1, sum * Math.exp(logPrefactor));
+  }
+
+  // Lentz's method for the continued fraction of Q(s, x)
+  const tiny = 1e-300;
+  let b = x + 1 - s;
+  let c = 1 / tiny;
+  let d = 1 / b;
+  let h = d;
+  for (let n = 1; n < maxIterations; n++) {
+    const an = -n * (n - s);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = b + an / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < epsilon) break;
+  }
+  return Math.max(0, 1 - Math.exp(logPrefactor) * h);
+}
+
+/**
+ * Regularized incomplete beta function I_x(a, b)
+ * Continued fraction evaluated with Lentz's method (Numerical Recipes 6.4).
+ * @param {number} x - Integration limit between 0 and 1
+ * @param {number} a - First shape parameter
+ * @param {number} b - Second shape parameter
+ * @returns {number} I_x(a, b)
+ */
+function regularizedIncompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+
+  const logPrefactor = logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x);
+  // The continued fraction converges quickly below the mean; use the symmetry relation above it
+  if (x > (a + 1) / (a + b + 2)) {
+    return 1 - Math.exp(logPrefactor) * betaContinuedFraction(1 - x, b, a) / b;
+  }
+  return Math.exp(logPrefactor) * betaContinuedFraction(x, a, b) / a;
+}
+
+/**
+ * Continued fraction for the incomplete beta function
+ * @param {number} x - Integration limit
+ * @param {number} a - First shape parameter
+ * @param {number} b - Second shape parameter
+ * @returns {number} Continued fraction value
+ */
+function betaContinuedFraction(x, a, b) {
+  const maxIterations = 500;
+  const epsilon = 1e-14;
+  const tiny = 1e-300;
+
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let h = d;
+
+  for (let m = 1; m < maxIterations; m++) {
+    const m2 = 2 * m;
+    // Even step
+    let an = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+    d = 1 + an * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + an / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    h *= d * c;
+    // Odd step
+    an = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+    d = 1 + an * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + an / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < epsilon) break;
+  }
+  return h;
+}
+
+/**
+ * Count, mean and sample variance of a list of numbers
+ * @param {Array<number>} values - Numbers
+ * @returns {{count: number, mean: number, variance: number}} Moments (variance 0 for a single value)
+ */
+function sampleMoments(values) {
+  const count = values.length;
+  const mean = values.reduce((sum, value) => sum + value, 0) / count;
+  const variance = count > 1 ? values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (count - 1) : 0;
+  return { count, mean, variance };
+}
+
+/**
+ * Remove rows and columns whose totals are zero
+ * @param {Array<Array<number>>} table - Contingency table
+ * @returns {Array<Array<number>>} Table without empty rows/columns
+ */
+function dropEmptyRowsAndColumns(table) {
+  const rows = table.filter(row => row.some(value => value > 0));
+  if (rows.length === 0) return [];
+
+  const keepColumns = rows[0].map((_, column) => rows.some(row => row[column] > 0));
+  return rows.map(row => row.filter((_, column) => keepColumns[column]));
+}
@@ -8,6 +8,7 @@
 import { performance } from 'perf_hooks';
 import fs from 'fs/promises';
 import path from 'path';
+import { getLLMCacheStats } from '../config/llm-cache.js';
 
 /**
  * Production Monitor for comprehensive system monitoring
@@ -33,7 +34,8 @@ export class ProductionMonitor {
       performance: {
         memory: [],
         cpu: [],
-        api: []
+        api: [],
+        retries: []
       },
       quality: {
         dataProcessing: {},
@@ -47,6 +49,9 @@ export class ProductionMonitor {
     
     this.phases = new Map();
     
+    // LLM cache counters are process-wide; the report shows the change since this session began
+    this.llmCacheBaseline = getLLMCacheStats();
+    
     this.activePhases = new Map();
     this.memoryMonitor = null;
     
@@ -125,6 +130,7 @@ export class ProductionMonitor {
   
   /**
    * Monitor LLM API calls
+   * metadata may carry promptTokens, completionTokens and costUsd, totalled in the api metrics.
    */
   recordLLMCall(operation, duration, success, metadata = {}) {
     const apiCall = {
@@ -147,6 +153,24 @@ export class ProductionMonitor {
     return apiCall;
   }
   
+  /**
+   * Monitor LLM retries
+   * metadata carries questionId, model, attempt, kind (rate_limit, server_error, timeout, network),
+   * status, delayMs and error; the call itself is recorded by recordLLMCall once it ends.
+   */
+  recordLLMRetry(operation, metadata = {}) {
+    const retry = {
+      operation,
+      timestamp: Date.now(),
+      metadata
+    };
+    
+    this.metrics.performance.retries.push(retry);
+    this.log('WARNING', `LLM API call retried: ${operation}`, metadata);
+    
+    return retry;
+  }
+  
   /**
    * Record quality metrics
    */
@@ -164,6 +188,27 @@ export class ProductionMonitor {
     this.log('DEBUG', `Quality metric recorded: ${category}.${metric}`, { value, ...context });
   }
   
+  /**
+   * Record progress of a long-running phase (e.g. rows streamed so far)
+   * The latest snapshot is kept on the active phase and ends up in the phase results.
+   */
+  recordProgress(phaseName, progress = {}) {
+    const snapshot = {
+      ...progress,
+      timestamp: Date.now(),
+      memoryMB: Math.round(process.memoryUsage().rss / 1024 / 1024)
+    };
+    
+    const phaseData = this.activePhases.get(phaseName);
+    if (phaseData) {
+      phaseData.progress = snapshot;
+      phaseData.metrics.operations++;
+    }
+    
+    this.log('DEBUG', `Progress: ${phaseName}`, snapshot);
+    return snapshot;
+  }
+  
   /**
    * Record error
    */
@@ -252,7 +297,15 @@ export class ProductionMonitor {
       failedCalls: apiCalls.filter(call => !call.success).length,
       successRate: apiCalls.length > 0 ? apiCalls.filter(call => call.success).length / apiCalls.length : 0,
       averageDuration: apiCalls.length > 0 ? apiCalls.reduce((sum, call) => sum + call.duration, 0) / apiCalls.length : 0,
-      totalApiTime: apiCalls.reduce((sum, call) => sum + call.duration, 0)
+      totalApiTime: apiCalls.reduce((sum, call) => sum + call.duration, 0),
+      promptTokens: apiCalls.reduce((sum, call) => sum + (call.metadata?.promptTokens || 0), 0),
+      completionTokens: apiCalls.reduce((sum, call) => sum + (call.metadata?.completionTokens || 0), 0),
+      costUsd: Math.round(apiCalls.reduce((sum, call) => sum + (call.metadata?.costUsd || 0), 0) * 1000000) / 1000000,
+      retries: this.metrics.performance.retries.length,
+      retriesByKind: this.metrics.performance.retries.reduce((acc, retry) => {
+        acc[retry.metadata.kind] = (acc[retry.metadata.kind] || 0) + 1;
+        return acc;
+      }, {})
     };
     
     // Memory metrics
@@ -273,10 +326,19 @@ export class ProductionMonitor {
       warningTypes: this.groupByType(this.metrics.warnings)
     };
     
+    // LLM response cache (llm-cache.js) metrics
+    const cacheStats = getLLMCacheStats();
+    const llmCache = Object.fromEntries(
+      Object.entries(cacheStats).map(([name, value]) => [name, value - (this.llmCacheBaseline[name] || 0)])
+    );
+    const lookups = llmCache.hits + llmCache.misses;
+    llmCache.hitRate = lookups > 0 ? llmCache.hits / lookups : 0;
+    
     return {
       performance,
       api,
       memory,
+      llmCache,
       reliability,
       quality: this.metrics.quality
     };
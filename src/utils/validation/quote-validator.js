@@ -6,6 +6,7 @@
  */
 
 import { VALIDATION_CONFIG } from '../config/constants.js';
+import { getResponseParticipantText } from '../../data/parsers/conversation-parser.js';
 
 /**
  * Quote Validator Service
@@ -186,7 +187,7 @@ export class QuoteValidator {
     // Step 1: Try original participant ID first
     if (originalParticipantId && participantLookup[originalParticipantId]) {
       const originalConversation = participantLookup[originalParticipantId];
-      const originalUserText = this.extractUserResponsesOnly(originalConversation.cleanResponse);
+      const originalUserText = getResponseParticipantText(originalConversation);
       
       if (originalUserText) {
         const verbatimCheck = this.validateQuoteExistsVerbatim(quoteText, originalUserText);
@@ -209,7 +210,7 @@ export class QuoteValidator {
       const conversation = participantLookup[participantId];
       if (!conversation) continue;
       
-      const userText = this.extractUserResponsesOnly(conversation.cleanResponse);
+      const userText = getResponseParticipantText(conversation);
       if (!userText) continue;
       
       const verbatimCheck = this.validateQuoteExistsVerbatim(quoteText, userText);
@@ -386,36 +387,6 @@ export class QuoteValidator {
     return normalized;
   }
 
-  /**
-   * Extract user responses only from conversation format
-   * FIXED: Proper line-by-line parsing to avoid substring issues
-   * @param {string} conversationText - Full conversation text
-   * @returns {string} User responses only, joined with spaces
-   */
-  extractUserResponsesOnly(conversationText) {
-    if (!conversationText || typeof conversationText !== 'string') {
-      return '';
-    }
-
-    const lines = conversationText.split('\n');
-    const userParts = [];
-    let isUserSection = false;
-    
-    for (const line of lines) {
-      if (line.trim().toLowerCase().startsWith('user:')) {
-        isUserSection = true;
-        const userText = line.substring(line.indexOf(':') + 1).trim();
-        if (userText) userParts.push(userText);
-      } else if (line.trim().toLowerCase().startsWith('assistant:')) {
-        isUserSection = false;
-      } else if (isUserSection && line.trim()) {
-        userParts.push(line.trim());
-      }
-    }
-    
-    return userParts.join(' ');
-  }
-
   /**
    * Extract a fallback quote when original is hallucinated
    * @param {Object} participantResponse - The participant's response object
@@ -424,7 +395,7 @@ export class QuoteValidator {
    * @returns {string|null} A real quote from the participant or null
    */
   extractFallbackQuote(participantResponse, themeId, classifications) {
-    const userText = this.extractUserResponsesOnly(participantResponse.cleanResponse);
+    const userText = getResponseParticipantText(participantResponse);
     
     // Get sentences from user response
     const sentences = userText.split(/[.!?]+/).filter(s => s.trim().length > 10);
@@ -454,9 +425,7 @@ export class QuoteValidator {
     
     // Step 1: Try exact match with claimed participant
     if (participantLookup[claimedParticipantId]) {
-      const userText = this.extractUserResponsesOnly(
-        participantLookup[claimedParticipantId].cleanResponse
-      );
+      const userText = getResponseParticipantText(participantLookup[claimedParticipantId]);
       
       if (this.quoteExistsInText(quoteText, userText)) {
         return {
@@ -469,7 +438,7 @@ export class QuoteValidator {
     
     // Step 2: Search all participants for this quote
     for (const [participantId, response] of Object.entries(participantLookup)) {
-      const userText = this.extractUserResponsesOnly(response.cleanResponse);
+      const userText = getResponseParticipantText(response);
       
       if (this.quoteExistsInText(quoteText, userText)) {
         return {
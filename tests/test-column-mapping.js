@@ -0,0 +1,169 @@
+/**
+ * Column Mapping Tests
+ * Tests header-based column roles and their use during extraction
+ */
+
+import { resolveColumnMapping, normalizeColumnMapping, loadColumnMapping } from '../src/data/extractors/column-mapping.js';
+import { extractDataFromDelimited } from '../src/data/extractors/csv-extractor.js';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const HEADERS = ['Timestamp', 'Email', 'Respondent ID', 'Segment', 'Satisfaction rating', 'q1_choice', 'q2_feedback'];
+
+/**
+ * Simple test runner - follows pattern from previous tests
+ */
+async function runTest(testName, testFn) {
+  try {
+    await testFn();
+    console.log(`✅ ${testName}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ ${testName}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Assert function for test validation
+ */
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+/**
+ * Test default layout matches the original column A convention
+ */
+async function testDefaultLayout() {
+  const result = resolveColumnMapping(['ID', 'q1', '', 'q2']);
+  assert(!result.error, `Resolve failed: ${result.error}`);
+  assert(result.data.idColumnIndex === 0, 'Default ID column should be column A');
+  assert(result.data.questionColumns.map(c => c.columnIndex).join(',') === '1,3', 'Empty headers should be skipped');
+}
+
+/**
+ * Test names and regex patterns assign roles
+ */
+async function testRoleAssignment() {
+  const result = resolveColumnMapping(HEADERS, {
+    idColumn: 'respondent id',
+    ignoreColumns: ['Timestamp', 'Email'],
+    metadataColumns: ['Segment', '/rating/i']
+  });
+  assert(!result.error, `Resolve failed: ${result.error}`);
+  assert(result.data.idColumnIndex === 2, 'ID column should match case-insensitively');
+  assert(result.data.metadataColumns.map(c => c.headerText).join('|') === 'Segment|Satisfaction rating', 'Metadata columns mismatch');
+  assert(result.data.questionColumns.map(c => c.headerText).join('|') === 'q1_choice|q2_feedback', 'Remaining columns should be questions');
+
+  const explicit = resolveColumnMapping(HEADERS, { idColumn: 'Respondent ID', questionColumns: ['/^q2_/'] });
+  assert(explicit.data.questionColumns.length === 1, 'Explicit question columns should limit questions');
+  assert(explicit.data.ignoredColumns.length === 5, 'Unmapped columns should be ignored when questions are explicit');
+}
+
+/**
+ * Test mapping validation against headers
+ */
+async function testValidation() {
+  const missingId = resolveColumnMapping(HEADERS, { idColumn: 'participant_id' });
+  assert(missingId.error && missingId.error.includes('not found'), 'Missing ID column should error');
+
+  const ambiguousId = resolveColumnMapping(HEADERS, { idColumn: '/^q/' });
+  assert(ambiguousId.error && ambiguousId.error.includes('several'), 'Ambiguous ID column should error');
+
+  const conflict = resolveColumnMapping(HEADERS, { idColumn: 'Respondent ID', ignoreColumns: ['Segment'], metadataColumns: ['Segment'] });
+  assert(conflict.error && conflict.error.includes('both'), 'Column in two roles should error');
+
+  const noQuestions = resolveColumnMapping(HEADERS, { idColumn: 'Respondent ID', questionColumns: ['nothing'] });
+  assert(noQuestions.error && noQuestions.error.includes('no question columns'), 'Mapping without questions should error');
+
+  const unmatched = resolveColumnMapping(HEADERS, { idColumn: 'Respondent ID', ignoreColumns: ['Timestamp', 'IP address'] });
+  assert(!unmatched.error && unmatched.warnings.some(w => w.includes('IP address')), 'Unmatched pattern should warn');
+
+  assert(normalizeColumnMapping({ idColumns: 'x' }).error, 'Unknown keys should error');
+  assert(normalizeColumnMapping({ ignoreColumns: ['/[unclosed/'] }).error, 'Invalid regex should error');
+
+  const forged = normalizeColumnMapping({ normalized: true, idColumn: 42 });
+  assert(forged.error && forged.error.includes('normalized'), 'A normalized flag in a raw mapping should not skip validation');
+  assert(resolveColumnMapping(HEADERS, { normalized: true, idColumn: 42 }).error, 'Forged mappings should not reach column resolution');
+
+  const normalized = normalizeColumnMapping({ idColumn: 'Respondent ID' }).data;
+  assert(normalizeColumnMapping(normalized).data === normalized, 'Normalized mappings should pass through unchanged');
+  assert(!Object.keys(normalized).includes('normalized') && !JSON.stringify(normalized).includes('normalized'), 'The marker should not show up as a key');
+}
+
+/**
+ * Test extraction honours the mapping loaded from JSON
+ */
+async function testExtractionWithMapping() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'column-mapping-'));
+  const csvPath = path.join(dir, 'export.csv');
+  const mappingPath = path.join(dir, 'mapping.json');
+
+  await fs.writeFile(csvPath, [
+    HEADERS.join(','),
+    '2024-01-01,a@x.com,P1,Gamer,4,user: Speed matters,user: Works well',
+    '2024-01-02,b@x.com,P2,Traveler,2,user: Servers abroad,'
+  ].join('\n'), 'utf8');
+  await fs.writeFile(mappingPath, JSON.stringify({
+    idColumn: 'Respondent ID',
+    ignoreColumns: ['Timestamp', 'Email'],
+    metadataColumns: ['Segment', '/rating/i']
+  }), 'utf8');
+
+  const mappingResult = await loadColumnMapping(mappingPath);
+  assert(!mappingResult.error, `Loading mapping failed: ${mappingResult.error}`);
+
+  const result = await extractDataFromDelimited(csvPath, 'inputs/project_background.txt', { columnMapping: mappingResult.data });
+  assert(!result.error, `Extraction failed: ${result.error}`);
+
+  const data = result.data;
+  assert(data.questions.map(q => q.questionId).join('|') === 'q1_choice|q2_feedback', 'Only mapped questions should be extracted');
+  assert(data.participantResponses.length === 3, `Expected 3 responses, got ${data.participantResponses.length}`);
+  assert(data.participantResponses[0].participantId === 'P1', 'Participant ID should come from the mapped column');
+  assert(data.metadata.columnMapping.metadataColumns.length === 2, 'Metadata columns should be recorded');
+
+  const invalid = await extractDataFromDelimited(csvPath, 'inputs/project_background.txt', { columnMapping: { idColumn: 'ID' } });
+  assert(invalid.error && invalid.error.includes('ID column'), 'Invalid mapping should stop extraction');
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('\n🧪 Running Column Mapping Tests...\n');
+
+  const tests = [
+    ['Default Layout', testDefaultLayout],
+    ['Role Assignment', testRoleAssignment],
+    ['Mapping Validation', testValidation],
+    ['Extraction With Mapping', testExtractionWithMapping]
+  ];
+
+  let passed = 0;
+  let total = tests.length;
+
+  for (const [name, testFn] of tests) {
+    if (await runTest(name, testFn)) {
+      passed++;
+    }
+  }
+
+  console.log(`\n📊 Test Results: ${passed}/${total} tests passed`);
+
+  if (passed === total) {
+    console.log('✅ All column mapping tests passed!');
+  } else {
+    console.log('❌ Some tests failed. Please fix issues before proceeding.');
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export { runAllTests };
@@ -0,0 +1,302 @@
+/**
+ * Conversation Chunking Tests
+ * Tests turn-aware chunking of long interviews, chunk classification roll-up and quote provenance
+ */
+
+import {
+  chunkConversation,
+  chunkResponse,
+  rollUpChunkClassifications,
+  findQuoteChunk
+} from '../src/data/parsers/conversation-chunker.js';
+import { parseConversation, getParticipantText } from '../src/data/parsers/conversation-parser.js';
+import { parseAndCleanResponses } from '../src/data/parsers/response-parser.js';
+import { isValidResponse } from '../src/data/extractors/validator.js';
+import { ClassifierAgent } from '../src/analysis/agents/classifier.js';
+import { QuoteExtractorAgent } from '../src/analysis/agents/quote-extractor.js';
+import { QuoteValidator } from '../src/utils/validation/quote-validator.js';
+import { PROCESSING_CONFIG } from '../src/utils/config/constants.js';
+
+const THEMES = [
+  { id: 'price', title: 'Price', description: 'Cost drives the choice' },
+  { id: 'privacy', title: 'Privacy', description: 'No logs and anonymity' }
+];
+
+/**
+ * Simple test runner - follows pattern from previous tests
+ */
+async function runTest(testName, testFn) {
+  try {
+    await testFn();
+    console.log(`✅ ${testName}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ ${testName}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Assert function for test validation
+ */
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+/**
+ * A long interview: one question and a padded answer per topic
+ */
+function buildInterview(topics, answerLength = 1500) {
+  return topics.map(([question, answer]) => {
+    const filler = ' I can say more about that.'.repeat(Math.ceil(answerLength / 27));
+    return `assistant: ${question}\nuser: ${answer}${filler}`.slice(0, answerLength);
+  }).join('\n');
+}
+
+/**
+ * Cleaned responses for one question from raw conversations
+ */
+function buildResponses(conversations) {
+  const result = parseAndCleanResponses({
+    projectBackground: 'VPN study',
+    questions: [{ questionId: 'q1', headerText: 'q1' }],
+    participantResponses: Object.entries(conversations).map(([participantId, response]) => ({
+      participantId,
+      questionId: 'q1',
+      response
+    })),
+    metadata: {}
+  });
+  assert(!result.error, `Parsing failed: ${result.error}`);
+  return result.data.responsesByQuestion.q1;
+}
+
+/**
+ * Fake LLM classifying each prompt entry by keyword and recording the prompts it saw
+ */
+function createClassificationLLM() {
+  const llm = {
+    prompts: [],
+    async invoke(messages) {
+      const prompt = messages[messages.length - 1].content;
+      llm.prompts.push(prompt);
+      const entries = prompt.split(/\[\d+\] Participant ID: /).slice(1);
+      assert(entries.length > 0, 'Prompt should list responses');
+      const classifications = entries.map(entry => {
+        const participantId = entry.split('\n')[0].trim();
+        const privacy = /logs|anonym/i.test(entry.split('\n\n---\n\n')[0]);
+        return {
+          participantId,
+          questionId: 'q1',
+          themeId: privacy ? 'privacy' : 'price',
+          theme: privacy ? 'Privacy' : 'Price',
+          confidence: privacy ? 0.9 : 0.6,
+          reasoning: `Entry ${participantId}`
+        };
+      });
+      return { content: JSON.stringify(classifications) };
+    }
+  };
+  return llm;
+}
+
+/**
+ * Test chunks follow turn boundaries and keep questions with their answers
+ */
+async function testChunkBoundaries() {
+  const text = buildInterview([
+    ['Which VPN do you use?', 'Mullvad, because it keeps no logs.'],
+    ['What did you use before?', 'NordVPN, it was cheap on a two year plan.'],
+    ['Would you switch again?', 'Only if the price went up a lot.']
+  ]);
+  const { turns } = parseConversation(text);
+  const chunks = chunkConversation(turns, { maxChars: 3200 });
+
+  assert(chunks.length === 2, `Expected 2 chunks, got ${chunks.length}`);
+  assert(chunks.flat().length === turns.length, 'Every turn should be in exactly one chunk');
+  chunks.forEach(chunk => {
+    assert(chunk[0].role === 'interviewer', 'Chunks should start with an interviewer question');
+    assert(chunk.reduce((sum, turn) => sum + turn.text.length, 0) <= 3200, 'Chunks should fit the limit');
+  });
+
+  const [response] = buildResponses({ P1: text });
+  assert(chunkResponse(response, { maxChars: 50000 })[0] === response, 'Short responses should not be chunked');
+  const parts = chunkResponse({ ...response, translation: { language: 'en', text: 'x' } }, { maxChars: 3200 });
+  assert(parts.length === 2 && parts[1].chunk.id === 'P1#2' && parts[1].chunk.total === 2, 'Chunks should be numbered per participant');
+  assert(parts[1].chunk.firstTurn === chunks[1][0].index && parts[1].cleanResponse.startsWith('interviewer: '), 'Chunks should record their turns');
+  assert(!parts[0].translation, 'Whole-response translations should not be copied onto chunks');
+}
+
+/**
+ * Test a single turn longer than a chunk is split at sentence ends
+ */
+async function testOversizedTurn() {
+  const sentence = 'Privacy matters to me because my employer watches the network. ';
+  const turns = [
+    { index: 0, role: 'interviewer', speaker: 'assistant', text: 'Tell me everything.' },
+    { index: 1, role: 'participant', speaker: 'user', text: sentence.repeat(40).trim() }
+  ];
+
+  const chunks = chunkConversation(turns, { maxChars: 1000 });
+  const pieces = chunks.flat().filter(turn => turn.role === 'participant');
+  assert(pieces.length > 1 && pieces.every(turn => turn.index === 1 && turn.part), 'Long turns should be split into numbered parts of the same turn');
+  assert(pieces.every(turn => turn.text.length <= 1000 && turn.text.endsWith('.')), 'Parts should end at sentence ends and fit the limit');
+  assert(pieces.map(turn => turn.text).join(' ') === turns[1].text, 'No text should be lost');
+
+  const unbroken = chunkConversation([{ index: 0, role: 'participant', speaker: 'user', text: 'x'.repeat(2500) }], { maxChars: 1000 });
+  assert(unbroken.length === 3 && unbroken.every(chunk => chunk[0].text.length <= 1000), 'Text without sentence ends should be cut at the limit');
+}
+
+/**
+ * Test chunk classifications roll up to the participant with provenance
+ */
+async function testRollUp() {
+  const units = [
+    { participantId: 'P1' },
+    { participantId: 'P2#1', sourceParticipantId: 'P2', chunk: { id: 'P2#1', index: 1, firstTurn: 0, lastTurn: 3 } },
+    { participantId: 'P2#2', sourceParticipantId: 'P2', chunk: { id: 'P2#2', index: 2, firstTurn: 4, lastTurn: 7 } },
+    { participantId: 'P2#3', sourceParticipantId: 'P2', chunk: { id: 'P2#3', index: 3, firstTurn: 8, lastTurn: 9 } }
+  ];
+  const rolledUp = rollUpChunkClassifications([
+    { participantId: 'P2#3', themeId: 'price', theme: 'Price', confidence: 0.6, reasoning: 'c3' },
+    { participantId: 'P1', themeId: 'price', theme: 'Price', confidence: 0.8, reasoning: 'p1' },
+    { participantId: 'P2#1', themeId: 'privacy', theme: 'Privacy', confidence: 0.9, reasoning: 'c1' },
+    { participantId: 'P2#2', themeId: 'price', theme: 'Price', confidence: 0.7, reasoning: 'c2' }
+  ], units);
+
+  assert(rolledUp.length === 2, 'There should be one classification per participant');
+  const p2 = rolledUp.find(c => c.participantId === 'P2');
+  assert(p2.themeId === 'price' && p2.confidence === 0.65, `Summed confidence should pick the theme: ${JSON.stringify(p2)}`);
+  assert(p2.reasoning === 'c2', 'Reasoning should come from the strongest winning chunk');
+  assert(p2.chunks.map(c => c.chunkId).join() === 'P2#1,P2#2,P2#3' && p2.chunks[0].themeId === 'privacy' && p2.chunks[1].firstTurn === 4, 'Chunk results should be kept in order as provenance');
+  assert(!('chunk' in p2) && !rolledUp.find(c => c.participantId === 'P1').chunks, 'Unchunked classifications should be unchanged');
+}
+
+/**
+ * Test the classifier sends chunks, batches by size and returns participant-level results
+ */
+async function testClassifierChunking() {
+  const longInterview = buildInterview([
+    ['Which VPN do you use?', 'Mullvad, because it keeps no logs.'],
+    ['Why does that matter?', 'My employer could see everything, so no logs is the point.'],
+    ['And the price?', 'It is fine, the price was not why I chose it.'],
+    ['Anything else on anonymity?', 'Paying in cash keeps me anonymous.']
+  ], 2000);
+  const responses = buildResponses({
+    P1: 'assistant: Which VPN do you use?\nuser: NordVPN because it was cheap',
+    P2: longInterview
+  });
+  assert(longInterview.length > PROCESSING_CONFIG.RESPONSES.MAX_LENGTH, 'Fixture should be a long conversation');
+
+  const classifier = new ClassifierAgent();
+  classifier.llm = createClassificationLLM();
+  const result = await classifier.invoke({
+    derivedQuestion: 'Why did you choose your VPN?',
+    themes: THEMES,
+    responses,
+    projectBackground: 'VPN study',
+    qualityHandling: 'keep'
+  });
+
+  assert(!result.error, `Classification failed: ${result.error}`);
+  assert(classifier.llm.prompts.some(prompt => prompt.includes('Participant ID: P2#2')), 'Chunks should be classified under chunk IDs');
+  assert(result.classifications.length === 2, 'Results should be per participant');
+  const p2 = result.classifications.find(c => c.participantId === 'P2');
+  assert(p2.themeId === 'privacy' && p2.chunks.length >= 2, 'Long interview should roll up with chunk provenance');
+
+  const batches = classifier.createBatches([
+    { conversation: 'a'.repeat(40) },
+    { conversation: 'b'.repeat(40) },
+    { conversation: 'c'.repeat(100) },
+    { conversation: 'd' }
+  ], 25, 100);
+  assert(batches.map(batch => batch.length).join() === '2,1,1', 'Batches should respect the character budget');
+  assert(classifier.createBatches(Array.from({ length: 5 }, () => ({ conversation: 'x' })), 2, 100).length === 3, 'Batches should respect the batch size');
+}
+
+/**
+ * Test quotes from any chunk validate and record the chunk they came from
+ */
+async function testQuoteProvenance() {
+  const longInterview = buildInterview([
+    ['Which VPN do you use?', 'Mullvad, because it keeps no logs.'],
+    ['What did you use before?', 'NordVPN, it was cheap on a two year plan.'],
+    ['Would you switch again?', 'Only if the price went up a lot.'],
+    ['Anything else?', 'Paying in cash keeps me anonymous.']
+  ], 2000);
+  const responses = buildResponses({ P2: longInterview, P1: 'assistant: Why?\nuser: It was cheap and simple' });
+  const quote = 'Paying in cash keeps me anonymous.';
+
+  const validation = new QuoteValidator().validateQuotes({
+    selectedQuotes: { privacy: [{ quote, participantId: 'P2' }] },
+    responses,
+    themes: THEMES,
+    classifications: [{ participantId: 'P2', themeId: 'privacy' }]
+  });
+  assert(validation.passed, `Quote from the last chunk should validate: ${validation.errors.join('; ')}`);
+
+  const chunk = findQuoteChunk(responses[0], quote);
+  assert(chunk && chunk.index === chunk.total && chunk.index > 1, 'Quote should be found in the last chunk');
+  assert(getParticipantText(chunkResponse(responses[0])[chunk.index - 1].turns).includes(quote), 'Chunk text should contain the quote');
+
+  const quotes = new QuoteExtractorAgent().addChunkProvenance({
+    privacy: [{ quote, participantId: 'P2' }],
+    price: [{ quote: 'It was cheap and simple', participantId: 'P1' }]
+  }, responses);
+  assert(quotes.privacy[0].chunkId === chunk.id && quotes.privacy[0].firstTurn === chunk.firstTurn, 'Quotes should record their chunk');
+  assert(!quotes.price[0].chunkId, 'Quotes from short responses should be unchanged');
+}
+
+/**
+ * Test long interviews are accepted instead of rejected
+ */
+async function testLongResponsesAccepted() {
+  const response = { participantId: 'P9', questionId: 'q1', response: `assistant: Tell me about it\nuser: ${'I use it every day. '.repeat(4000)}` };
+  assert(response.response.length > 50000, 'Fixture should exceed the old limit');
+  assert(!isValidResponse(response).error, 'Long interviews should be accepted');
+  const huge = { ...response, response: 'x'.repeat(PROCESSING_CONFIG.RESPONSES.REJECT_LENGTH + 1) };
+  assert(isValidResponse(huge).error, 'Responses over the reject length should still be rejected');
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('\n🧪 Running Conversation Chunking Tests...\n');
+
+  const tests = [
+    ['Chunk Boundaries', testChunkBoundaries],
+    ['Oversized Turn', testOversizedTurn],
+    ['Roll Up Chunk Classifications', testRollUp],
+    ['Classifier Chunking', testClassifierChunking],
+    ['Quote Provenance', testQuoteProvenance],
+    ['Long Responses Accepted', testLongResponsesAccepted]
+  ];
+
+  let passed = 0;
+  let total = tests.length;
+
+  for (const [name, testFn] of tests) {
+    if (await runTest(name, testFn)) {
+      passed++;
+    }
+  }
+
+  console.log(`\n📊 Test Results: ${passed}/${total} tests passed`);
+
+  if (passed === total) {
+    console.log('✅ All conversation chunking tests passed!');
+  } else {
+    console.log('❌ Some tests failed. Please fix issues before proceeding.');
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export { runAllTests };
@@ -0,0 +1,164 @@
+/**
+ * CSV/TSV Extraction Tests
+ * Tests delimited-text parsing and that CSV/TSV inputs produce the same structure as Excel
+ */
+
+import { extractDataFromDelimited, parseDelimitedText } from '../src/data/extractors/csv-extractor.js';
+import { parseAndCleanResponses } from '../src/data/parsers/response-parser.js';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const BACKGROUND_PATH = 'inputs/project_background.txt';
+
+/**
+ * Simple test runner - follows pattern from previous tests
+ */
+async function runTest(testName, testFn) {
+  try {
+    await testFn();
+    console.log(`✅ ${testName}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ ${testName}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Assert function for test validation
+ */
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+/**
+ * Write a fixture file to a temporary directory
+ */
+async function writeFixture(fileName, content) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'csv-extraction-'));
+  const filePath = path.join(dir, fileName);
+  await fs.writeFile(filePath, content, 'utf8');
+  return filePath;
+}
+
+/**
+ * Test quoting rules: delimiters, escaped quotes and line breaks inside cells
+ */
+async function testQuotedCells() {
+  const text = 'ID,q1\r\nP1,"assistant: Why?\r\nuser: Price, mostly ""cheap"""\r\nP2,plain\r\n';
+  const result = parseDelimitedText(text, ',');
+
+  assert(!result.error, `Parse failed: ${result.error}`);
+  assert(result.rows.length === 3, `Expected 3 rows, got ${result.rows.length}`);
+  assert(result.rows[1][1] === 'assistant: Why?\nuser: Price, mostly "cheap"', `Unexpected cell: ${JSON.stringify(result.rows[1][1])}`);
+  assert(result.rows[2][1] === 'plain', 'Unquoted cell should be preserved');
+
+  const withBom = parseDelimitedText('\uFEFFID,q1\n', ',');
+  assert(withBom.rows[0][0] === 'ID', 'Byte order mark should be stripped');
+}
+
+/**
+ * Test unterminated quotes are reported instead of silently merging rows
+ */
+async function testUnterminatedQuote() {
+  const result = parseDelimitedText('ID,q1\nP1,"never closed\nP2,x\n', ',');
+  assert(result.error, 'Unterminated quote should return error');
+  assert(result.error.includes('line 2'), `Error should point at line 2: ${result.error}`);
+}
+
+/**
+ * Test CSV extraction produces the ExtractedData shape
+ */
+async function testCsvExtraction() {
+  const filePath = await writeFixture('survey.csv', [
+    '\uFEFFID,vpn_selection,current_vpn_feedback',
+    'P1,"assistant: How did you choose?\nuser: A friend recommended it to me","user: Works fine"',
+    'P2,"user: Price was the main factor",',
+    ',,',
+    'P3,,"user: Too slow, honestly"'
+  ].join('\n'));
+
+  const result = await extractDataFromDelimited(filePath, BACKGROUND_PATH);
+  assert(!result.error, `Extraction failed: ${result.error}`);
+
+  const data = result.data;
+  assert(data.projectBackground.length > 0, 'Missing project background');
+  assert(data.questions.length === 2, `Expected 2 questions, got ${data.questions.length}`);
+  assert(data.questions[0].questionId === 'vpn_selection', 'Question IDs should come from headers');
+  assert(data.participantResponses.length === 4, `Expected 4 responses, got ${data.participantResponses.length}`);
+  assert(data.metadata.totalParticipants === 3, 'Should count 3 participants');
+  assert(data.questionStats.current_vpn_feedback.totalResponses === 2, 'Question stats mismatch');
+
+  const multiLine = data.participantResponses.find(r => r.participantId === 'P1' && r.questionId === 'vpn_selection');
+  assert(multiLine.response.includes('\nuser: A friend'), 'Multi-line conversation should be preserved');
+
+  // Downstream parsing works unchanged
+  const parsed = parseAndCleanResponses(data);
+  assert(!parsed.error, `Parsing failed: ${parsed.error}`);
+}
+
+/**
+ * Test TSV extraction infers tab delimiter from extension
+ */
+async function testTsvExtraction() {
+  const filePath = await writeFixture('survey.tsv', 'ID\tq1\nP1\tuser: Comma, inside is fine\n');
+
+  const result = await extractDataFromDelimited(filePath, BACKGROUND_PATH);
+  assert(!result.error, `Extraction failed: ${result.error}`);
+  assert(result.data.participantResponses[0].response === 'user: Comma, inside is fine', 'Commas should not split TSV cells');
+}
+
+/**
+ * Test error handling for unknown extensions and empty files
+ */
+async function testErrorHandling() {
+  const unknown = await extractDataFromDelimited('inputs/data.txt', BACKGROUND_PATH);
+  assert(unknown.error && unknown.error.includes('delimiter'), 'Unknown extension should return error');
+
+  const emptyPath = await writeFixture('empty.csv', '\n\n');
+  const empty = await extractDataFromDelimited(emptyPath, BACKGROUND_PATH);
+  assert(empty.error, 'Empty file should return error');
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('\n🧪 Running CSV/TSV Extraction Tests...\n');
+
+  const tests = [
+    ['Quoted Cell Parsing', testQuotedCells],
+    ['Unterminated Quote Detection', testUnterminatedQuote],
+    ['CSV Extraction', testCsvExtraction],
+    ['TSV Extraction', testTsvExtraction],
+    ['Error Handling', testErrorHandling]
+  ];
+
+  let passed = 0;
+  let total = tests.length;
+
+  for (const [name, testFn] of tests) {
+    if (await runTest(name, testFn)) {
+      passed++;
+    }
+  }
+
+  console.log(`\n📊 Test Results: ${passed}/${total} tests passed`);
+
+  if (passed === total) {
+    console.log('✅ All CSV/TSV extraction tests passed!');
+  } else {
+    console.log('❌ Some tests failed. Please fix issues before proceeding.');
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export { runAllTests };
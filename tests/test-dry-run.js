@@ -0,0 +1,240 @@
+/**
+ * Dry Run Tests
+ * Tests the pre-flight estimate: prompts built with the agents' own code, classifier batch
+ * splits, per-stage totals and cost, and a duration under the scheduler's caps, all without
+ * initializing or calling an LLM
+ */
+
+import { ThematicAnalysisPipeline } from '../src/main.js';
+import { ClassifierAgent } from '../src/analysis/agents/classifier.js';
+import { estimateRun } from '../src/analysis/workflows/dry-run.js';
+import { estimateTokens } from '../src/utils/config/llm-usage.js';
+import { LLM_CONFIG } from '../src/utils/config/constants.js';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const ANSWERS = [
+  'It keeps no logs of what I do',
+  'The price was the lowest I found',
+  'Streaming is fast and the price is fair',
+  'Audited no logs policy and based outside the EU'
+];
+
+/**
+ * Simple test runner - follows pattern from previous tests
+ */
+async function runTest(testName, testFn) {
+  try {
+    await testFn();
+    console.log(`✅ ${testName}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ ${testName}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Assert function for test validation
+ */
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+/**
+ * Run a function with environment variables set, restoring them afterwards
+ */
+async function withEnv(values, fn) {
+  const original = {};
+  for (const [name, value] of Object.entries(values)) {
+    original[name] = process.env[name];
+    if (value === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = value;
+    }
+  }
+  try {
+    return await fn();
+  } finally {
+    for (const [name, value] of Object.entries(original)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+  }
+}
+
+/**
+ * Write a survey of 60 participants: every one answers the first question, 5 the second
+ */
+async function writeSurvey(dir) {
+  const rows = [['id', 'Why did you choose your VPN?', 'What would make you switch?']];
+  for (let index = 1; index <= 60; index++) {
+    const answer = ANSWERS[index % ANSWERS.length];
+    const second = index <= 5 ? `assistant: Switch?\nuser: A better price than ${index} euros` : '';
+    rows.push([`P${index}`, `assistant: Why?\nuser: ${answer} (participant ${index})`, second]);
+  }
+  const csvPath = path.join(dir, 'survey.csv');
+  await fs.writeFile(csvPath, rows.map(row => row.map(cell => `"${cell}"`).join(',')).join('\n'));
+  await fs.writeFile(path.join(dir, 'background.txt'), 'VPN study');
+  return csvPath;
+}
+
+/**
+ * Test a pipeline dry run counts every call per stage and question without calling the LLM
+ */
+async function testPipelineDryRun() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dry-run-'));
+  const csvPath = await writeSurvey(dir);
+  const outputDir = path.join(dir, 'outputs');
+
+  // Without an API key any LLM initialization would fail
+  const result = await withEnv({ LLM_PROVIDER: 'openai', LLM_MODEL: undefined, OPENAI_API_KEY: undefined, LLM_CASSETTE: undefined, LLM_PRICES: undefined, LLM_BUDGET_USD: undefined }, () => {
+    const pipeline = new ThematicAnalysisPipeline({
+      inputExcelPath: csvPath,
+      backgroundPath: path.join(dir, 'background.txt'),
+      outputDir,
+      enableProductionMonitoring: false,
+      budgetUsd: 0.000001
+    });
+    return pipeline.dryRun();
+  });
+  assert(!result.error, `Dry run failed: ${result.error}`);
+
+  const estimate = result.data;
+  const [first, second] = Object.keys(estimate.byQuestion);
+  assert(JSON.stringify(estimate.byQuestion[first].classificationBatches) === '[25,25,10]', `60 responses should go in batches of 25: ${JSON.stringify(estimate.byQuestion[first])}`);
+  assert(JSON.stringify(estimate.byQuestion[second].classificationBatches) === '[5]', `5 responses should go in one batch: ${JSON.stringify(estimate.byQuestion[second])}`);
+  assert(estimate.byQuestion[first].calls === 6 && estimate.byQuestion[second].calls === 4, 'Each question should count themes, classifier batches, quotes and summary');
+
+  const { byStage, totals } = estimate;
+  assert(byStage['theme-generator'].calls === 2 && byStage.classifier.calls === 4 && byStage['quote-extractor'].calls === 2 && byStage.summarizer.calls === 2, `Calls should be counted per stage: ${JSON.stringify(byStage)}`);
+  assert(byStage.translator.calls === 0 && totals.calls === 10, 'Translation is off, so 10 calls in total');
+  assert(Object.values(byStage).reduce((sum, stage) => sum + stage.promptTokens, 0) === totals.promptTokens, 'Stage prompt tokens should add up to the total');
+  assert(byStage.classifier.promptTokens > byStage['theme-generator'].promptTokens, 'Classifier prompts carry every conversation and should be the largest');
+
+  const price = LLM_CONFIG.PRICING['gpt-4o-mini'];
+  const expectedCost = (totals.promptTokens * price.INPUT_PER_MTOK + totals.completionTokens * price.OUTPUT_PER_MTOK) / 1000000;
+  assert(estimate.model === 'gpt-4o-mini' && Math.abs(totals.costUsd - expectedCost) < 1e-12, `Cost should use the default model price: ${totals.costUsd}`);
+  assert(estimate.budget.exceeded === true, 'A tiny budget should be reported as exceeded');
+  assert(estimate.estimatedDurationSeconds > 0, 'A duration should be estimated');
+  assert(await fs.access(outputDir).then(() => false, () => true), 'A dry run should write no outputs');
+}
+
+/**
+ * Test classifier prompts match the prompts the agent sends, and unknown models are not priced
+ */
+async function testEstimateDetails() {
+  const responses = Array.from({ length: 3 }, (_, index) => ({
+    participantId: `P${index + 1}`,
+    questionId: 'q1',
+    cleanResponse: `user: ${ANSWERS[index]}`,
+    turns: [{ role: 'participant', text: ANSWERS[index] }],
+    language: { code: 'en' }
+  }));
+  const data = {
+    questions: [{ questionId: 'q1', questionText: 'Why did you choose your VPN?', themeCount: { min: 2, max: 2 } }],
+    responsesByQuestion: { q1: responses },
+    questionStats: { q1: { totalResponses: 3, participantCount: 3 } },
+    projectBackground: 'VPN study'
+  };
+
+  const result = await estimateRun(data, {}, { LLM_PROVIDER: 'openai', LLM_MODEL: 'in-house-model' });
+  assert(!result.error, `Estimate failed: ${result.error}`);
+  assert(result.data.totals.costUsd === null && result.data.notes.some(note => note.includes('in-house-model')), 'Models without a price should not be costed');
+
+  const classifier = new ClassifierAgent();
+  const { units } = classifier.prepareUnits({ responses });
+  const themes = [1, 2].map(index => ({
+    id: `theme_${index}`,
+    title: `Theme ${index}`,
+    description: 'Placeholder theme of typical length; the real title and description come from theme generation.'
+  }));
+  const { messages } = classifier.buildBatchMessages(themes, units, 'Why did you choose your VPN?', 'VPN study');
+  assert(result.data.byStage.classifier.promptTokens === estimateTokens(messages), 'Classifier prompt tokens should come from the agent prompt');
+
+  const translated = await estimateRun(data, {
+    translation: { targetLanguage: 'en', texts: [{ id: 'q1:P1', text: 'Es guarda cap registre', language: 'ca' }] }
+  }, { LLM_PROVIDER: 'mock' });
+  assert(translated.data.byStage.translator.calls === 1 && translated.data.totals.costUsd === 0, 'Translation batches should be counted, and mock calls are free');
+  assert(translated.data.byStage.classifier.promptTokens > result.data.byStage.classifier.promptTokens, 'Translated responses should carry their translation into the classifier prompt');
+}
+
+/**
+ * Test the duration runs questions in waves under the question and request caps
+ */
+async function testDurationUnderCaps() {
+  const buildData = questionCount => {
+    const questions = Array.from({ length: questionCount }, (_, index) => ({ questionId: `q${index + 1}`, questionText: 'Why did you choose your VPN?' }));
+    return {
+      questions,
+      responsesByQuestion: Object.fromEntries(questions.map(({ questionId }) => [
+        questionId,
+        ANSWERS.map((answer, index) => ({ participantId: `P${index + 1}`, questionId, cleanResponse: `user: ${answer}`, turns: [{ role: 'participant', text: answer }] }))
+      ])),
+      projectBackground: 'VPN study'
+    };
+  };
+  const duration = async (questionCount, concurrency, env = {}) => {
+    const result = await estimateRun(buildData(questionCount), { concurrency }, { LLM_PROVIDER: 'mock', ...env });
+    assert(!result.error, `Estimate failed: ${result.error}`);
+    return result.data.estimatedDurationSeconds;
+  };
+  const near = (actual, expected) => Math.abs(actual - expected) <= 2;
+
+  const one = await duration(1);
+  const sixQuestions = await duration(6);
+  const twelveQuestions = await duration(12);
+  assert(near(sixQuestions, one), `Six questions should run at once by default: ${sixQuestions}s vs ${one}s`);
+  assert(near(twelveQuestions, 2 * one), `Twelve questions should take two waves of six: ${twelveQuestions}s vs ${one}s each`);
+  assert(near(await duration(12, { maxConcurrentQuestions: 12, maxConcurrentCalls: 12 }), one), 'Without binding caps, questions should all run at once');
+  assert(near(await duration(12, { maxConcurrentQuestions: 12, maxConcurrentCalls: 4 }), 3 * one), 'Questions should share the request slots');
+  assert(near(await duration(12, {}, { LLM_MAX_CONCURRENT_QUESTIONS: '3' }), 4 * one), 'The question cap should be read from the environment');
+
+  const invalid = await estimateRun(buildData(1), {}, { LLM_PROVIDER: 'mock', LLM_MAX_CONCURRENT_CALLS: '0' });
+  assert(invalid.error?.includes('LLM_MAX_CONCURRENT_CALLS'), 'Invalid caps should be reported');
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('\n🧪 Running Dry Run Tests...\n');
+
+  const tests = [
+    ['Pipeline Dry Run', testPipelineDryRun],
+    ['Estimate Details', testEstimateDetails],
+    ['Duration Under Caps', testDurationUnderCaps]
+  ];
+
+  let passed = 0;
+  let total = tests.length;
+
+  for (const [name, testFn] of tests) {
+    if (await runTest(name, testFn)) {
+      passed++;
+    }
+  }
+
+  console.log(`\n📊 Test Results: ${passed}/${total} tests passed`);
+
+  if (passed === total) {
+    console.log('✅ All dry run tests passed!');
+  } else {
+    console.log('❌ Some tests failed. Please fix issues before proceeding.');
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export { runAllTests };
@@ -3,8 +3,12 @@
  * Tests the complete extraction pipeline with real data from inputs/ folder
  */
 
-import { extractDataFromExcel } from '../src/data/extractors/excel-extractor.js';
+import { extractDataFromExcel, extractDataFromExcelStream, listExcelSheets } from '../src/data/extractors/excel-extractor.js';
 import { isValidResponse, findDuplicateResponses } from '../src/data/extractors/validator.js';
+import { ProductionMonitor } from '../src/utils/monitoring/production-monitor.js';
+import ExcelJS from 'exceljs';
+import fs from 'fs/promises';
+import os from 'os';
 import path from 'path';
 
 /**
@@ -179,6 +183,113 @@ async function testDataQuality() {
   }
 }
 
+/**
+ * Write a workbook with one tab per interview wave to a temporary directory
+ */
+async function writeMultiSheetWorkbook() {
+  const workbook = new ExcelJS.Workbook();
+  
+  const wave1 = workbook.addWorksheet('Wave 1');
+  wave1.addRow(['ID', 'vpn_selection', 'current_vpn_feedback']);
+  wave1.addRow(['P1', 'user: Price mattered most', 'user: It is fine']);
+  wave1.addRow(['P2', 'user: Friend recommended it', '']);
+  
+  workbook.addWorksheet('Notes');
+  
+  const wave2 = workbook.addWorksheet('Wave 2');
+  wave2.addRow(['ID', 'current_vpn_feedback', 'vpn_selection', 'new_probe']);
+  wave2.addRow(['P3', 'user: Too slow', 'user: Reviews online', 'user: Yes']);
+  
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'excel-extraction-'));
+  const filePath = path.join(dir, 'waves.xlsx');
+  await workbook.xlsx.writeFile(filePath);
+  return filePath;
+}
+
+/**
+ * Test listing and selecting worksheets
+ */
+async function testSheetSelection() {
+  const filePath = await writeMultiSheetWorkbook();
+  const backgroundPath = 'inputs/project_background.txt';
+  
+  const listResult = await listExcelSheets(filePath);
+  assert(!listResult.error, `Listing failed: ${listResult.error}`);
+  assert(listResult.sheets.map(s => s.name).join('|') === 'Wave 1|Notes|Wave 2', 'Should list sheets in workbook order');
+  
+  const defaultResult = await extractDataFromExcel(filePath, backgroundPath);
+  assert(!defaultResult.error, `Default extraction failed: ${defaultResult.error}`);
+  assert(defaultResult.data.participantResponses.every(r => r.sourceSheet === 'Wave 1'), 'Default should read the first sheet');
+  
+  const byName = await extractDataFromExcel(filePath, backgroundPath, { sheet: 'wave 2' });
+  assert(!byName.error, `Selection by name failed: ${byName.error}`);
+  assert(byName.data.questions.length === 3, 'Wave 2 should have 3 questions');
+  assert(byName.data.participantResponses.every(r => r.participantId === 'P3'), 'Should only read Wave 2');
+  
+  const byPosition = await extractDataFromExcel(filePath, backgroundPath, { sheet: 3 });
+  assert(!byPosition.error && byPosition.data.metadata.sourceSheets[0] === 'Wave 2', 'Selection by position should work');
+  
+  const missing = await extractDataFromExcel(filePath, backgroundPath, { sheet: 'Wave 9' });
+  assert(missing.error && missing.error.includes('"Wave 1"'), 'Unknown sheet should list available sheets');
+}
+
+/**
+ * Test merging worksheets with question deduplication
+ */
+async function testSheetMerging() {
+  const filePath = await writeMultiSheetWorkbook();
+  
+  const result = await extractDataFromExcel(filePath, 'inputs/project_background.txt', { mergeSheets: true });
+  assert(!result.error, `Merge failed: ${result.error}`);
+  
+  const data = result.data;
+  assert(data.questions.map(q => q.questionId).join('|') === 'vpn_selection|current_vpn_feedback|new_probe', 'Questions should be deduplicated by header');
+  assert(data.questions[0].sourceSheets.join('|') === 'Wave 1|Wave 2', 'Question should record both source sheets');
+  assert(data.participantResponses.length === 6, `Expected 6 responses, got ${data.participantResponses.length}`);
+  assert(data.participantResponses.every(r => r.sourceSheet), 'Every response should record its source sheet');
+  assert(data.questionStats.vpn_selection.totalResponses === 3, 'Stats should span merged sheets');
+  assert(data.metadata.totalParticipants === 3, 'Should count participants across sheets');
+  assert(result.warnings.some(w => w.includes('Notes')), 'Empty sheet should be reported');
+  
+  const listed = await extractDataFromExcel(filePath, 'inputs/project_background.txt', { mergeSheets: ['Wave 2', 'Wave 1'] });
+  assert(!listed.error, `Merge by list failed: ${listed.error}`);
+  assert(listed.data.participantResponses[0].sourceSheet === 'Wave 2', 'Listed sheets should be read in the given order');
+}
+
+/**
+ * Test streaming extraction matches the in-memory path and reports progress
+ */
+async function testStreamingExtraction() {
+  const filePath = await writeMultiSheetWorkbook();
+  const backgroundPath = 'inputs/project_background.txt';
+  
+  const inMemory = await extractDataFromExcel(filePath, backgroundPath, { mergeSheets: true, streaming: false });
+  const progress = [];
+  const streamed = await extractDataFromExcel(filePath, backgroundPath, {
+    mergeSheets: true,
+    streaming: true,
+    onProgress: update => progress.push(update)
+  });
+  assert(!streamed.error, `Streaming failed: ${streamed.error}`);
+  assert(JSON.stringify(streamed.data) === JSON.stringify(inMemory.data), 'Streaming should produce the same data');
+  assert(streamed.warnings.some(w => w.includes('Notes')), 'Empty sheet should be reported when streaming');
+  
+  const final = progress[progress.length - 1];
+  assert(final && final.done && final.responses === 6, 'Final progress update should report all responses');
+  
+  const single = await extractDataFromExcelStream(filePath, backgroundPath, { sheet: 'Wave 2' });
+  assert(!single.error && single.data.participantResponses.every(r => r.participantId === 'P3'), 'Streaming should honour sheet selection');
+  
+  const missing = await extractDataFromExcelStream(filePath, backgroundPath, { sheet: 'Wave 9' });
+  assert(missing.error && missing.error.includes('"Wave 1"'), 'Unknown sheet should error when streaming');
+  
+  const monitor = new ProductionMonitor({ logLevel: 'ERROR', enableMemoryTracking: false });
+  monitor.startPhase('DATA_EXTRACTION');
+  monitor.recordProgress('DATA_EXTRACTION', final);
+  const phase = monitor.endPhase('DATA_EXTRACTION');
+  assert(phase.progress.responses === 6 && phase.metrics.operations === 1, 'Monitor should keep the latest progress on the phase');
+}
+
 /**
  * Run all tests
  */
@@ -189,7 +300,10 @@ async function runAllTests() {
     ['Real Data Extraction', testRealDataExtraction],
     ['Response Validation', testResponseValidation],
     ['Question Detection', testQuestionDetection],
-    ['Data Quality Check', testDataQuality]
+    ['Data Quality Check', testDataQuality],
+    ['Sheet Selection', testSheetSelection],
+    ['Sheet Merging', testSheetMerging],
+    ['Streaming Extraction', testStreamingExtraction]
   ];
   
   let passed = 0;
@@ -0,0 +1,235 @@
+/**
+ * Incremental Run Tests
+ * Tests loading previous results, classifying only new participants against the previous
+ * themes, the missing-theme check, and reuse of unchanged questions without LLM calls
+ */
+
+import { loadPreviousResults, splitNewResponses, restorePreviousClassifications, assessIncrementalUpdate } from '../src/analysis/workflows/incremental.js';
+import { QuestionAnalysisWorkflow } from '../src/analysis/workflows/question-analyzer.js';
+import { ParallelOrchestrator } from '../src/analysis/workflows/parallel-orchestrator.js';
+import { generateExecutiveSummary } from '../src/outputs/generators/summary-generator.js';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const PREVIOUS = {
+  questionId: 'vpn_choice',
+  derivedQuestion: 'Why did you choose your VPN?',
+  participantCount: 3,
+  headline: 'Privacy first',
+  summary: 'Most participants chose for privacy.',
+  themes: [
+    { id: 'privacy', title: 'Privacy', description: 'No logs', supportingQuotes: [{ quote: 'no logs', participantId: 'P1' }] },
+    { id: 'price', title: 'Price', description: 'Cheap', supportingQuotes: [] }
+  ],
+  classifications: { P1: 'Privacy', P2: 'Privacy', P3: 'Price' },
+  metadata: { themeValidation: { passed: true } }
+};
+
+const QUESTION = { questionId: 'vpn_choice', headerText: 'vpn_choice' };
+
+/**
+ * Build responses for participant IDs
+ */
+function responsesFor(participantIds) {
+  return participantIds.map(participantId => ({ participantId, cleanResponse: `user: answer from ${participantId}` }));
+}
+
+/**
+ * Workflow with fake agents that record their input
+ * New participants whose ID starts with "S" (streaming) fit no existing theme.
+ */
+function createFakeWorkflow(calls) {
+  const workflow = new QuestionAnalysisWorkflow();
+  workflow.themeGeneratorAgent = { invoke: async () => { throw new Error('Themes should not be regenerated'); } };
+  workflow.classifierAgent = {
+    invoke: async input => {
+      calls.classified = input.responses.map(response => response.participantId);
+      calls.derivedQuestion = input.derivedQuestion;
+      return {
+        classifications: input.responses.map(response => response.participantId.startsWith('S')
+          ? { participantId: response.participantId, themeId: 'price', theme: 'Price', confidence: 0.3 }
+          : { participantId: response.participantId, themeId: 'privacy', theme: 'Privacy', confidence: 0.9 })
+      };
+    }
+  };
+  workflow.quoteExtractorAgent = {
+    invoke: async input => {
+      calls.quoted = input.classifications.map(classification => classification.participantId);
+      return { quotes: { privacy: [{ quote: 'answer', participantId: 'N1' }] }, totalQuotesExtracted: 1, themeQuoteCounts: { privacy: 1 } };
+    }
+  };
+  workflow.summarizerAgent = {
+    invoke: async input => {
+      calls.summarized = input.classifications.length;
+      return { summary: { headline: 'Still privacy first', summary: 'Updated', keyInsights: ['k'] } };
+    }
+  };
+  return workflow;
+}
+
+/**
+ * Simple test runner - follows pattern from previous tests
+ */
+async function runTest(testName, testFn) {
+  try {
+    await testFn();
+    console.log(`✅ ${testName}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ ${testName}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Assert function for test validation
+ */
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+/**
+ * Test loading a previous results file
+ */
+async function testLoadPreviousResults() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'incremental-'));
+  const resultsPath = path.join(dir, 'results.json');
+  await fs.writeFile(resultsPath, JSON.stringify({ timestamp: '2025-01-01T12:00:00.000Z', questionAnalyses: [PREVIOUS] }));
+
+  const loaded = await loadPreviousResults(resultsPath);
+  assert(!loaded.error, `Loading failed: ${loaded.error}`);
+  assert(loaded.data.analyses.vpn_choice.themes.length === 2 && loaded.data.generatedAt === '2025-01-01T12:00:00.000Z', 'Analyses should be keyed by question ID');
+
+  await fs.writeFile(resultsPath, JSON.stringify({ questions: [] }));
+  assert((await loadPreviousResults(resultsPath)).error.includes('no question analyses'), 'Files without analyses should be rejected');
+  await fs.writeFile(resultsPath, '{');
+  assert((await loadPreviousResults(resultsPath)).error.includes('not valid JSON'), 'Broken JSON should be rejected');
+  assert((await loadPreviousResults(path.join(dir, 'missing.json'))).error, 'Missing files should be rejected');
+}
+
+/**
+ * Test splitting participants and the missing-theme check
+ */
+async function testSplitAndAssess() {
+  const split = splitNewResponses(PREVIOUS, responsesFor(['P1', 'P3', 'N1', 'N2']));
+  assert(split.newResponses.map(response => response.participantId).join() === 'N1,N2', 'Only unseen participants should be new');
+  assert(split.previousParticipants === 3 && split.missingFromInput.join() === 'P2', 'Previous participants absent from the input should be listed');
+
+  const restored = restorePreviousClassifications(PREVIOUS, PREVIOUS.themes);
+  assert(restored.length === 3 && restored[2].themeId === 'price' && restored.every(classification => classification.carriedOver), 'Previous classifications should map back to theme IDs');
+
+  const poor = { participantId: 'S1', themeId: 'price', theme: 'Price', confidence: 0.3 };
+  const good = { participantId: 'N1', themeId: 'privacy', theme: 'Privacy', confidence: 0.9 };
+  const update = assessIncrementalUpdate({
+    newClassifications: [poor, { ...poor, participantId: 'S2' }, { ...poor, participantId: 'S3', themeId: 'unknown', confidence: 0.8 }, good, { ...poor, participantId: 'L1', qualityFlag: 'low_effort' }],
+    themes: PREVIOUS.themes,
+    newParticipants: 5,
+    previousParticipants: 3,
+    missingFromInput: []
+  });
+  assert(update.totalParticipants === 8 && update.poorFits.length === 3 && update.poorFitShare === 0.75, `Unexpected update: ${JSON.stringify(update)}`);
+  assert(update.possibleMissingTheme, 'Mostly poor fits should flag a missing theme');
+
+  const fewPoorFits = assessIncrementalUpdate({ newClassifications: [poor, good], themes: PREVIOUS.themes, newParticipants: 2, previousParticipants: 3, missingFromInput: [] });
+  assert(!fewPoorFits.possibleMissingTheme, 'A single poor fit should not flag a missing theme');
+}
+
+/**
+ * Test the workflow keeps previous themes and classifies only new participants
+ */
+async function testIncrementalWorkflow() {
+  const calls = {};
+  const workflow = createFakeWorkflow(calls);
+  const finalState = await workflow.runAnalysis({
+    question: QUESTION,
+    responses: responsesFor(['P1', 'P3', 'N1', 'S1', 'S2', 'S3']),
+    projectBackground: 'VPN study',
+    previousAnalysis: PREVIOUS
+  });
+  assert(!finalState.error, `Workflow failed: ${finalState.error}`);
+  assert(calls.classified.join() === 'N1,S1,S2,S3' && calls.derivedQuestion === PREVIOUS.derivedQuestion, 'Only new participants should be classified with the previous question');
+  assert(finalState.themes.length === 2 && !finalState.themes[0].supportingQuotes, 'Previous themes should be kept without their old quotes');
+  assert(finalState.classifications.length === 7 && calls.summarized === 7, 'Summary should cover previous and new participants');
+  assert(calls.quoted.join() === 'P1,P3,N1,S1,S2,S3', 'Participants without a response should not be quoted');
+  assert(finalState.participantCount === 7 && finalState.incremental.possibleMissingTheme, 'Poorly fitting new responses should flag a missing theme');
+
+  const result = new ParallelOrchestrator().transformToAnalysisResult(finalState);
+  assert(result.participantCount === 7 && result.classifications.P2 === 'Privacy' && result.classifications.S1 === 'Price', 'Result should merge previous and new classifications');
+  assert(result.incremental.missingFromInput.join() === 'P2' && result.themes[0].supportingQuotes.length === 1, 'Result should report the update and refreshed quotes');
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'incremental-'));
+  const markdown = await generateExecutiveSummary([result], {}, { outputPath: path.join(dir, 'summary.md') });
+  assert(typeof markdown === 'string' && markdown.includes('3 of the 4 newly added participants fit the existing themes poorly'), 'Executive summary should warn about a missing theme');
+}
+
+/**
+ * Test questions without new participants reuse the previous analysis and new questions run in full
+ */
+async function testOrchestratorReuse() {
+  const orchestrator = new ParallelOrchestrator();
+  const reused = await orchestrator.runQuestionAnalysisWorkflow({
+    question: QUESTION,
+    responses: responsesFor(['P1', 'P2', 'P3']),
+    projectBackground: 'VPN study',
+    previousAnalysis: PREVIOUS,
+    questionIndex: 1
+  });
+  assert(reused.headline === PREVIOUS.headline && reused.themes[0].supportingQuotes.length === 1, 'Unchanged questions should keep the previous analysis');
+  assert(reused.incremental.newParticipants === 0 && reused.incremental.totalParticipants === 3, 'Reused analyses should report no new participants');
+
+  const previousByQuestion = {};
+  orchestrator.runQuestionAnalysisWorkflow = async questionData => {
+    previousByQuestion[questionData.question.questionId] = questionData.previousAnalysis;
+    return { questionId: questionData.question.questionId, themes: [], classifications: {} };
+  };
+  await orchestrator.parallelThematicAnalysis({
+    questions: [QUESTION, { questionId: 'new_question' }],
+    responsesByQuestion: { vpn_choice: responsesFor(['P1', 'N1']), new_question: responsesFor(['P1']) },
+    projectBackground: 'VPN study',
+    questionStats: { vpn_choice: {}, new_question: {} }
+  }, { previousAnalyses: { vpn_choice: PREVIOUS } });
+  assert(previousByQuestion.vpn_choice === PREVIOUS, 'Previously analysed questions should get their previous analysis');
+  assert('new_question' in previousByQuestion && previousByQuestion.new_question === undefined, 'Questions missing from the previous results should be analysed in full');
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('\n🧪 Running Incremental Run Tests...\n');
+
+  const tests = [
+    ['Load Previous Results', testLoadPreviousResults],
+    ['Split And Assess', testSplitAndAssess],
+    ['Incremental Workflow', testIncrementalWorkflow],
+    ['Orchestrator Reuse', testOrchestratorReuse]
+  ];
+
+  let passed = 0;
+  let total = tests.length;
+
+  for (const [name, testFn] of tests) {
+    if (await runTest(name, testFn)) {
+      passed++;
+    }
+  }
+
+  console.log(`\n📊 Test Results: ${passed}/${total} tests passed`);
+
+  if (passed === total) {
+    console.log('✅ All incremental run tests passed!');
+  } else {
+    console.log('❌ Some tests failed. Please fix issues before proceeding.');
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export { runAllTests };
@@ -0,0 +1,178 @@
+/**
+ * Input Audit Tests
+ * Tests the data-quality audit run on extraction and parsing results before any LLM call
+ */
+
+import { extractDataFromExcel } from '../src/data/extractors/excel-extractor.js';
+import { extractDataFromDelimited } from '../src/data/extractors/csv-extractor.js';
+import { parseAndCleanResponses } from '../src/data/parsers/response-parser.js';
+import { buildInputAudit, generateInputAudit } from '../src/outputs/generators/audit-generator.js';
+import { ThematicAnalysisPipeline } from '../src/main.js';
+import ExcelJS from 'exceljs';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const BACKGROUND_PATH = 'inputs/project_background.txt';
+
+/**
+ * Simple test runner - follows pattern from previous tests
+ */
+async function runTest(testName, testFn) {
+  try {
+    await testFn();
+    console.log(`✅ ${testName}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ ${testName}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Assert function for test validation
+ */
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+/**
+ * Write a workbook with the problems the audit should find
+ */
+async function writeProblemWorkbook(dir) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Export');
+  sheet.getRow(1).values = ['participant_id', 'vpn_selection', 'privacy_concerns'];
+  sheet.getRow(2).values = ['P1', 'assistant: Which VPN?\nuser: Mullvad, no email needed', 'assistant: Worries?\nuser: Ad trackers'];
+  sheet.getRow(3).values = ['P2', 'assistant: Which VPN?\nuser: ok', ''];
+  // Row 4 left blank
+  sheet.getRow(5).values = ['', 'assistant: Which VPN?\nuser: Nord', ''];
+  sheet.getRow(6).values = ['P3', '', ''];
+  sheet.getRow(7).values = ['P1', '', 'Just plain text without labels'];
+  sheet.getRow(8).values = ['P4', `assistant: Which VPN?\nuser: ${'very long answer '.repeat(400)}`, ''];
+  sheet.getRow(9).values = ['bad id!', 'assistant: Which VPN?\nuser: Proton', ''];
+
+  const filePath = path.join(dir, 'export.xlsx');
+  await workbook.xlsx.writeFile(filePath);
+  return filePath;
+}
+
+/**
+ * Test the builder row log: row numbers, blank rows and rows without IDs
+ */
+async function testRowAudit() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'input-audit-'));
+  const filePath = await writeProblemWorkbook(dir);
+
+  const plain = await extractDataFromExcel(filePath, BACKGROUND_PATH);
+  assert(!plain.error, `Extraction failed: ${plain.error}`);
+  assert(plain.rowAudit === undefined, 'Row log should only be kept when auditing');
+
+  for (const streaming of [false, true]) {
+    const result = await extractDataFromExcel(filePath, BACKGROUND_PATH, { audit: true, streaming });
+    assert(!result.error, `Extraction failed: ${result.error}`);
+    assert(result.rowAudit.map(row => row.rowNumber).join(',') === '2,3,4,5,6,7,8,9', `Row numbers mismatch (streaming: ${streaming})`);
+    assert(result.rowAudit[2].blank, 'Skipped worksheet row should be logged as blank');
+    assert(result.rowAudit[3].participantId === null && result.rowAudit[3].answeredQuestions === 1, 'Row without ID should keep its answer count');
+  }
+
+  const csvPath = path.join(dir, 'export.csv');
+  await fs.writeFile(csvPath, 'id,q1\nP1,user: yes\n\n,user: orphan\n', 'utf8');
+  const csv = await extractDataFromDelimited(csvPath, BACKGROUND_PATH, { audit: true });
+  assert(csv.rowAudit.map(row => `${row.rowNumber}${row.blank ? 'b' : ''}`).join(',') === '2,3b,4', 'CSV records should keep their numbers');
+}
+
+/**
+ * Test every audit section on a problem workbook
+ */
+async function testAuditReport() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'input-audit-'));
+  const filePath = await writeProblemWorkbook(dir);
+
+  const extraction = await extractDataFromExcel(filePath, BACKGROUND_PATH, { audit: true });
+  const parsing = parseAndCleanResponses(extraction.data);
+  assert(parsing.rejectedResponses.length === 1, 'Parsing should return rejected responses');
+
+  const auditResult = buildInputAudit(extraction, parsing, { input: filePath });
+  assert(!auditResult.error, `Audit failed: ${auditResult.error}`);
+  const audit = auditResult.data;
+
+  assert(audit.emptyRows.map(r => `${r.rowNumber}:${r.reason}`).join('|') === '4:Blank row|6:No answers', 'Empty rows mismatch');
+  assert(audit.rowsWithoutId.length === 1 && audit.rowsWithoutId[0].rowNumber === 5, 'Row 5 has answers but no ID');
+  assert(audit.duplicateParticipantIds.length === 1 && audit.duplicateParticipantIds[0].rows.map(r => r.rowNumber).join(',') === '2,7', 'P1 is on rows 2 and 7');
+  assert(audit.responsesWithoutSpeakerLabels.length === 1 && audit.responsesWithoutSpeakerLabels[0].participantId === 'P1', 'Unlabeled response should be reported');
+  assert(audit.shortAnswers.length === 1 && audit.shortAnswers[0].participantText === 'ok', 'Short participant answer should be reported');
+  assert(audit.overlongAnswers.length === 1 && audit.overlongAnswers[0].participantId === 'P4', 'Overlong response should be reported');
+  assert(audit.rejectedResponses.length === 1 && audit.rejectedResponses[0].participantId === 'bad id!', 'Rejected response should be listed');
+  assert(audit.rejectedResponses[0].reason.length > 0, 'Rejection reason should be kept');
+
+  const vpn = audit.questionFillRates.find(q => q.questionId === 'vpn_selection');
+  assert(vpn.participants === 5 && vpn.answered === 3 && vpn.rejected === 1, `Fill rate counts mismatch: ${JSON.stringify(vpn)}`);
+  assert(vpn.fillRate === 0.6, 'Fill rate should count participants with no answers');
+
+  const report = await generateInputAudit(audit, { outputDir: dir });
+  assert(!report.error, `Report failed: ${report.error}`);
+  const markdown = await fs.readFile(report.markdownPath, 'utf8');
+  assert(markdown.includes('## Rejected Responses (1)') && markdown.includes('| Empty rows | 2 |'), 'Markdown report should list sections');
+  const json = JSON.parse(await fs.readFile(report.filePath, 'utf8'));
+  assert(json.summary.rowsRead === 7, 'JSON report should hold the summary');
+}
+
+/**
+ * Test the pipeline audit entry point makes no LLM call and reports on real data
+ */
+async function testPipelineAudit() {
+  const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'input-audit-'));
+  const pipeline = new ThematicAnalysisPipeline({
+    inputExcelPath: 'inputs/data.xlsx',
+    backgroundPath: BACKGROUND_PATH,
+    outputDir,
+    enableProductionMonitoring: false
+  });
+
+  const result = await pipeline.runAudit();
+  assert(!result.error, `Audit failed: ${result.error}`);
+  assert(pipeline.llm === null, 'Audit should not initialise the LLM');
+  assert(result.auditData.summary.responsesAccepted === 530, 'All real responses should be accepted');
+  assert(result.auditData.questionFillRates.length === 6, 'Every question should have a fill rate');
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('\n🧪 Running Input Audit Tests...\n');
+
+  const tests = [
+    ['Row Audit', testRowAudit],
+    ['Audit Report', testAuditReport],
+    ['Pipeline Audit', testPipelineAudit]
+  ];
+
+  let passed = 0;
+  let total = tests.length;
+
+  for (const [name, testFn] of tests) {
+    if (await runTest(name, testFn)) {
+      passed++;
+    }
+  }
+
+  console.log(`\n📊 Test Results: ${passed}/${total} tests passed`);
+
+  if (passed === total) {
+    console.log('✅ All input audit tests passed!');
+  } else {
+    console.log('❌ Some tests failed. Please fix issues before proceeding.');
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export { runAllTests };
@@ -0,0 +1,200 @@
+/**
+ * LLM Response Cache Tests
+ * Tests cache settings, the on/refresh/only modes, retries, expiry, clearing, and the
+ * hit and miss counters of the monitoring report
+ */
+
+import { resolveCacheConfig, createCacheKey, clearLLMCache, getLLMCacheStats } from '../src/utils/config/llm-cache.js';
+import { MockChatModel, setMockResponses } from '../src/utils/config/llm-mock.js';
+import { invokeLLM, createMessages } from '../src/utils/config/llm-config.js';
+import { createProductionMonitor } from '../src/utils/monitoring/production-monitor.js';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Simple test runner - follows pattern from previous tests
+ */
+async function runTest(testName, testFn) {
+  try {
+    await testFn();
+    console.log(`✅ ${testName}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ ${testName}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Assert function for test validation
+ */
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+/**
+ * Mock model answering with a counter, so cached and fresh responses differ
+ */
+function createModel(temperature) {
+  let count = 0;
+  setMockResponses({ '*': { '*': () => `answer ${++count}` } });
+  const llm = new MockChatModel({ agent: 'classifier' });
+  if (temperature !== undefined) llm.temperature = temperature;
+  return llm;
+}
+
+/**
+ * Test settings from options and the environment
+ */
+async function testCacheConfig() {
+  const defaults = resolveCacheConfig({}, {});
+  assert(defaults.data.mode === 'off' && defaults.data.dir === '.cache/llm' && defaults.data.ttlHours === 168, 'The cache should be off by default');
+
+  const fromEnv = resolveCacheConfig({}, { LLM_CACHE: 'ONLY', LLM_CACHE_DIR: '/tmp/c', LLM_CACHE_TTL_HOURS: '0' });
+  assert(fromEnv.data.mode === 'only' && fromEnv.data.dir === '/tmp/c' && fromEnv.data.ttlHours === 0, 'Environment variables should be read');
+
+  assert(resolveCacheConfig({}, { LLM_CACHE: 'always' }).error.includes('LLM_CACHE must be one of'), 'Unknown modes should error');
+  assert(resolveCacheConfig({}, { LLM_CACHE_TTL_HOURS: 'week' }).error, 'Invalid TTLs should error');
+
+  const messages = createMessages('System', 'Classify this');
+  assert(createCacheKey(createModel(0.3), messages) === createCacheKey(createModel(0.3), messages), 'Keys should be stable');
+  assert(createCacheKey(createModel(0.3), messages) !== createCacheKey(createModel(0.7), messages), 'Keys should depend on temperature');
+  assert(createCacheKey(createModel(0.3), messages) !== createCacheKey(createModel(0.3), createMessages('System', 'Classify that')), 'Keys should depend on the prompt');
+  const jsonFormat = { response_format: { type: 'json_object' } };
+  assert(createCacheKey(createModel(0.3), messages) !== createCacheKey(createModel(0.3), messages, jsonFormat), 'Keys should depend on the call options');
+  assert(createCacheKey(createModel(0.3), messages, jsonFormat) !== createCacheKey(createModel(0.3), messages, { tools: [{ name: 'record' }] }), 'Keys should tell call options apart');
+}
+
+/**
+ * Test the cache modes, retries and expiry
+ */
+async function testCacheModes() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'llm-cache-'));
+  const on = { cacheMode: 'on', cacheDir: dir, cacheTtlHours: 1 };
+  const messages = createMessages('System', 'Classify this');
+  const before = getLLMCacheStats();
+
+  const first = createModel(0.3);
+  const miss = await invokeLLM(first, messages, on);
+  assert(miss.content === 'answer 1' && miss.cached === false && first.calls.length === 1, 'A miss should call the model');
+
+  const second = createModel(0.3);
+  const hit = await invokeLLM(second, messages, on);
+  assert(hit.content === 'answer 1' && hit.cached === true && second.calls.length === 0, 'A hit should not call the model');
+
+  const retry = await invokeLLM(second, messages, on);
+  assert(retry.content === 'answer 1' && retry.cached === false && second.calls.length === 1, 'A repeated prompt from the same model should go to the model');
+
+  const refreshed = createModel(0.3);
+  const refresh = await invokeLLM(refreshed, messages, { ...on, cacheMode: 'refresh' });
+  assert(refresh.cached === false && refreshed.calls.length === 1, 'Refresh should call the model');
+
+  const cacheOnly = createModel(0.3);
+  const onlyHit = await invokeLLM(cacheOnly, messages, { ...on, cacheMode: 'only' });
+  assert(onlyHit.cached === true, 'Cache-only should answer from the cache');
+  const onlyMiss = await invokeLLM(cacheOnly, createMessages('System', 'Never asked'), { ...on, cacheMode: 'only' });
+  assert(onlyMiss.error && onlyMiss.error.includes('LLM_CACHE=only') && cacheOnly.calls.length === 0, 'Cache-only misses should fail without calling the model');
+
+  // Age the entry past the TTL
+  const key = createCacheKey(first, messages);
+  const entryPath = path.join(dir, key.slice(0, 2), `${key}.json`);
+  const entry = JSON.parse(await fs.readFile(entryPath, 'utf8'));
+  assert(entry.model === 'MockChatModel' && entry.temperature === 0.3, 'Entries should record the model and temperature');
+  await fs.writeFile(entryPath, JSON.stringify({ ...entry, createdAt: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString() }));
+  const expired = createModel(0.3);
+  assert((await invokeLLM(expired, messages, on)).cached === false && expired.calls.length === 1, 'Expired entries should be misses');
+
+  const after = getLLMCacheStats();
+  assert(after.hits - before.hits === 2, `Hits should be counted: ${JSON.stringify(after)}`);
+  assert(after.misses - before.misses === 5 && after.expired - before.expired === 1, `Misses and expiry should be counted: ${JSON.stringify(after)}`);
+  assert(after.writes - before.writes === 4, `Writes should be counted: ${JSON.stringify(after)}`);
+}
+
+/**
+ * Test clearing entries
+ */
+async function testClearCache() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'llm-cache-'));
+  const on = { cacheMode: 'on', cacheDir: dir };
+  for (const prompt of ['One', 'Two', 'Three']) {
+    await invokeLLM(createModel(0.3), prompt, on);
+  }
+
+  const key = createCacheKey(createModel(0.3), 'One');
+  const entryPath = path.join(dir, key.slice(0, 2), `${key}.json`);
+  const entry = JSON.parse(await fs.readFile(entryPath, 'utf8'));
+  await fs.writeFile(entryPath, JSON.stringify({ ...entry, createdAt: '2020-01-01T00:00:00.000Z' }));
+
+  const expired = await clearLLMCache({ dir, expiredOnly: true });
+  assert(expired.data.removed === 1 && expired.data.kept === 2, `Only expired entries should be removed: ${JSON.stringify(expired.data)}`);
+  const otherModel = await clearLLMCache({ dir, model: 'gpt-4o-mini' });
+  assert(otherModel.data.removed === 0, 'Entries of other models should be kept');
+  const all = await clearLLMCache({ dir });
+  assert(all.data.removed === 2 && all.data.kept === 0, 'Clearing without filters should remove everything');
+  assert((await clearLLMCache({ dir: path.join(dir, 'missing') })).data.removed === 0, 'A missing cache should be empty');
+}
+
+/**
+ * Test the monitoring report counts the session's hits and misses
+ */
+async function testMonitoringReport() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'llm-cache-'));
+  const on = { cacheMode: 'on', cacheDir: dir };
+  await invokeLLM(createModel(0.3), 'Before the session', on);
+
+  const monitor = createProductionMonitor({ outputDir: dir, enableMemoryTracking: false, logLevel: 'ERROR' });
+  await invokeLLM(createModel(0.3), 'Summarize this', on);
+  await invokeLLM(createModel(0.3), 'Summarize this', on);
+  await invokeLLM(createModel(0.3), 'Summarize this', on);
+  monitor.endSession();
+
+  const report = await monitor.generateReport(path.join(dir, 'report.json'));
+  const { llmCache } = report.metrics;
+  assert(llmCache.hits === 2 && llmCache.misses === 1 && llmCache.writes === 1, `Only this session should be counted: ${JSON.stringify(llmCache)}`);
+  assert(Math.abs(llmCache.hitRate - 2 / 3) < 1e-9, 'The hit rate should be reported');
+  const saved = JSON.parse(await fs.readFile(path.join(dir, 'report.json'), 'utf8'));
+  assert(saved.metrics.llmCache.hits === 2, 'The saved report should include the cache counters');
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('\n🧪 Running LLM Response Cache Tests...\n');
+
+  const tests = [
+    ['Cache Config', testCacheConfig],
+    ['Cache Modes', testCacheModes],
+    ['Clear Cache', testClearCache],
+    ['Monitoring Report', testMonitoringReport]
+  ];
+
+  let passed = 0;
+  let total = tests.length;
+
+  for (const [name, testFn] of tests) {
+    if (await runTest(name, testFn)) {
+      passed++;
+    }
+  }
+
+  setMockResponses({});
+  console.log(`\n📊 Test Results: ${passed}/${total} tests passed`);
+
+  if (passed === total) {
+    console.log('✅ All LLM response cache tests passed!');
+  } else {
+    console.log('❌ Some tests failed. Please fix issues before proceeding.');
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export { runAllTests };
@@ -0,0 +1,155 @@
+/**
+ * LLM Provider Tests
+ * Tests provider selection, per-provider settings and errors, and that each backend
+ * creates its chat model without network access
+ */
+
+import { resolveProviderConfig, createChatModel, LLM_PROVIDERS } from '../src/utils/config/llm-providers.js';
+import { initializeLLM } from '../src/utils/config/llm-config.js';
+import { validateConfig, LLM_CONFIG } from '../src/utils/config/constants.js';
+import { ChatOpenAI, AzureChatOpenAI } from '@langchain/openai';
+import { ChatAnthropic } from '@langchain/anthropic';
+
+/**
+ * Simple test runner - follows pattern from previous tests
+ */
+async function runTest(testName, testFn) {
+  try {
+    await testFn();
+    console.log(`✅ ${testName}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ ${testName}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Assert function for test validation
+ */
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+/**
+ * Run a function with environment variables set, restoring them afterwards
+ */
+async function withEnv(values, fn) {
+  const original = {};
+  for (const [name, value] of Object.entries(values)) {
+    original[name] = process.env[name];
+    if (value === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = value;
+    }
+  }
+  try {
+    return await fn();
+  } finally {
+    for (const [name, value] of Object.entries(original)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+  }
+}
+
+/**
+ * Test OpenAI stays the default and keeps its settings and error
+ */
+async function testOpenAIDefault() {
+  const { config } = resolveProviderConfig({ maxTokens: 4000 }, { OPENAI_API_KEY: 'sk-test' });
+  assert(config.provider === 'openai' && config.modelName === LLM_CONFIG.PROVIDERS.OPENAI.DEFAULT_MODEL, 'OpenAI should be the default provider');
+  assert(config.maxTokens === 4000 && config.temperature === 0.3 && config.apiKey === 'sk-test', `Unexpected settings: ${JSON.stringify(config)}`);
+  assert(resolveProviderConfig({}, { OPENAI_API_KEY: 'sk-test', LLM_MODEL: 'gpt-4.1' }).config.modelName === 'gpt-4.1', 'LLM_MODEL should override the model');
+  assert(resolveProviderConfig({}, {}).error.includes('OPENAI_API_KEY'), 'A missing key should name the variable');
+  assert(createChatModel(config) instanceof ChatOpenAI, 'OpenAI should use ChatOpenAI');
+}
+
+/**
+ * Test Azure OpenAI, Anthropic and local settings
+ */
+async function testOtherProviders() {
+  const azureEnv = { LLM_PROVIDER: 'Azure', AZURE_OPENAI_API_KEY: 'az', AZURE_OPENAI_API_DEPLOYMENT_NAME: 'gpt4o-prod', AZURE_OPENAI_API_INSTANCE_NAME: 'research' };
+  const azure = resolveProviderConfig({}, azureEnv).config;
+  assert(azure.provider === 'azure' && azure.modelName === 'gpt4o-prod' && azure.apiVersion === LLM_CONFIG.PROVIDERS.AZURE.API_VERSION, `Unexpected Azure settings: ${JSON.stringify(azure)}`);
+  assert(createChatModel(azure) instanceof AzureChatOpenAI, 'Azure should use AzureChatOpenAI');
+  const { AZURE_OPENAI_API_INSTANCE_NAME, ...withoutResource } = azureEnv;
+  assert(resolveProviderConfig({}, withoutResource).error.includes('AZURE_OPENAI_ENDPOINT'), 'Azure needs an instance name or endpoint');
+  assert(resolveProviderConfig({}, { ...withoutResource, AZURE_OPENAI_ENDPOINT: 'https://research.openai.azure.com/' }).config.endpoint, 'An endpoint should be accepted');
+
+  const anthropic = resolveProviderConfig({ provider: 'anthropic', maxTokens: 12000 }, { ANTHROPIC_API_KEY: 'sk-ant' }).config;
+  assert(anthropic.modelName === LLM_CONFIG.PROVIDERS.ANTHROPIC.DEFAULT_MODEL && anthropic.maxTokens === LLM_CONFIG.PROVIDERS.ANTHROPIC.MAX_OUTPUT_TOKENS, 'Anthropic output tokens should be capped');
+  assert(createChatModel(anthropic) instanceof ChatAnthropic, 'Anthropic should use ChatAnthropic');
+  assert(resolveProviderConfig({ provider: 'anthropic' }, {}).error.includes('ANTHROPIC_API_KEY'), 'A missing Anthropic key should error');
+
+  const local = resolveProviderConfig({}, { LLM_PROVIDER: 'local', LLM_MODEL: 'qwen2.5:14b' }).config;
+  assert(local.baseURL === LLM_CONFIG.PROVIDERS.LOCAL.BASE_URL && local.modelName === 'qwen2.5:14b' && local.apiKey, 'Local endpoints need no key and default to Ollama');
+  const localModel = createChatModel(local);
+  assert(localModel instanceof ChatOpenAI && localModel.clientConfig.baseURL === local.baseURL, 'Local endpoints should use ChatOpenAI with the base URL');
+
+  assert(resolveProviderConfig({ provider: 'gemini' }, {}).error.includes(Object.values(LLM_PROVIDERS).join(', ')), 'Unknown providers should list the supported ones');
+}
+
+/**
+ * Test initializeLLM keeps its { llm, config } / { error } contract and validateConfig follows the provider
+ */
+async function testInitializeAndValidate() {
+  await withEnv({ LLM_PROVIDER: 'local', OPENAI_API_KEY: undefined }, async () => {
+    const result = await initializeLLM({ maxTokens: 4000 });
+    assert(!result.error && result.llm && result.config.provider === 'local', `Local initialization failed: ${result.error}`);
+    assert(!validateConfig().errors.some(error => error.includes('OPENAI_API_KEY')), 'A local provider should not need an OpenAI key');
+  });
+
+  await withEnv({ LLM_PROVIDER: 'anthropic', ANTHROPIC_API_KEY: undefined }, async () => {
+    assert((await initializeLLM()).error.includes('ANTHROPIC_API_KEY'), 'Missing keys should be returned as errors');
+    assert(validateConfig().errors.includes('ANTHROPIC_API_KEY environment variable is required'), 'validateConfig should check the provider key');
+  });
+
+  await withEnv({ LLM_PROVIDER: 'gemini' }, async () => {
+    assert(validateConfig().errors.some(error => error.startsWith('LLM_PROVIDER must be one of')), 'validateConfig should reject unknown providers');
+  });
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('\n🧪 Running LLM Provider Tests...\n');
+
+  const tests = [
+    ['OpenAI Default', testOpenAIDefault],
+    ['Other Providers', testOtherProviders],
+    ['Initialize And Validate', testInitializeAndValidate]
+  ];
+
+  let passed = 0;
+  let total = tests.length;
+
+  for (const [name, testFn] of tests) {
+    if (await runTest(name, testFn)) {
+      passed++;
+    }
+  }
+
+  console.log(`\n📊 Test Results: ${passed}/${total} tests passed`);
+
+  if (passed === total) {
+    console.log('✅ All LLM provider tests passed!');
+  } else {
+    console.log('❌ Some tests failed. Please fix issues before proceeding.');
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export { runAllTests };
@@ -0,0 +1,256 @@
+/**
+ * LLM Retry Tests
+ * Tests error classification, Retry-After and backoff delays, per-attempt timeouts, and
+ * invokeLLM retrying transient failures while failing permanent ones at once, with every retry
+ * counted in the usage ledger and the monitoring report
+ */
+
+import { AIMessage } from '@langchain/core/messages';
+import {
+  resolveRetryConfig,
+  classifyLLMError,
+  getRetryDelay,
+  callWithRetry,
+  LLM_ERROR_KINDS
+} from '../src/utils/config/llm-retry.js';
+import { invokeLLM } from '../src/utils/config/llm-config.js';
+import { createUsageLedger, runWithLLMUsage, runWithUsageLabels } from '../src/utils/config/llm-usage.js';
+import { MockChatModel, setMockResponses } from '../src/utils/config/llm-mock.js';
+import { createProductionMonitor } from '../src/utils/monitoring/production-monitor.js';
+import { validateConfig, LLM_CONFIG } from '../src/utils/config/constants.js';
+
+// Short waits so retries take milliseconds
+const FAST = { cacheMode: 'off', retryAttempts: 3, retryDelayMs: 5, timeoutMs: 200 };
+
+/**
+ * Simple test runner - follows pattern from previous tests
+ */
+async function runTest(testName, testFn) {
+  try {
+    await testFn();
+    console.log(`✅ ${testName}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ ${testName}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Assert function for test validation
+ */
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+/**
+ * Error shaped like the ones the OpenAI and Anthropic clients throw
+ */
+function apiError(status, message, headers = {}, code = undefined) {
+  const error = new Error(message);
+  error.status = status;
+  error.headers = headers;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Chat model that fails with the given errors (or hangs, for 'hang') before answering
+ */
+function createFlakyModel(failures) {
+  const model = {
+    model: 'flaky-model',
+    calls: 0,
+    signals: [],
+    async invoke(messages, options = {}) {
+      model.signals.push(options.signal);
+      const failure = failures[model.calls++];
+      if (failure === 'hang') {
+        return new Promise(() => {});
+      }
+      if (failure) {
+        throw failure;
+      }
+      return new AIMessage('{"ok": true}');
+    }
+  };
+  return model;
+}
+
+/**
+ * Test failures are sorted into retryable kinds and permanent errors
+ */
+async function testClassifyErrors() {
+  const rateLimit = classifyLLMError(apiError(429, 'Rate limit reached', { 'retry-after': '2' }));
+  assert(rateLimit.kind === LLM_ERROR_KINDS.RATE_LIMIT && rateLimit.retryable && rateLimit.retryAfterMs === 2000, `429 should be a rate limit with its Retry-After: ${JSON.stringify(rateLimit)}`);
+  assert(classifyLLMError(apiError(429, 'Slow down', new Headers({ 'retry-after-ms': '750' }))).retryAfterMs === 750, 'retry-after-ms should be read from Headers');
+
+  const quota = classifyLLMError(apiError(429, 'You exceeded your current quota', {}, 'insufficient_quota'));
+  assert(quota.kind === LLM_ERROR_KINDS.PERMANENT && !quota.retryable, 'An exhausted quota should not be retried');
+
+  assert(classifyLLMError(apiError(503, 'Overloaded')).kind === LLM_ERROR_KINDS.SERVER, '5xx should be a server error');
+  assert(classifyLLMError(apiError(529, 'Overloaded')).retryable, "Anthropic's 529 should be retried");
+  assert(classifyLLMError(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })).kind === LLM_ERROR_KINDS.NETWORK, 'Connection resets should be network errors');
+  assert(classifyLLMError(Object.assign(new Error('Request timed out.'), { name: 'APIConnectionTimeoutError' })).kind === LLM_ERROR_KINDS.TIMEOUT, 'Client timeouts should be timeouts');
+
+  for (const error of [apiError(400, 'Bad request'), apiError(401, 'Invalid API key'), new Error('No mock response for agent "classifier"')]) {
+    assert(!classifyLLMError(error).retryable, `"${error.message}" should not be retried`);
+  }
+}
+
+/**
+ * Test backoff doubles with jitter and is capped, and Retry-After replaces it in full
+ */
+async function testRetryDelays() {
+  const settings = resolveRetryConfig({}, {}).data;
+  assert(settings.attempts === LLM_CONFIG.API.RETRY_ATTEMPTS && settings.timeoutMs === LLM_CONFIG.API.TIMEOUT_MS, 'Defaults should come from LLM_CONFIG.API');
+
+  const serverError = classifyLLMError(apiError(500, 'Internal error'));
+  assert(getRetryDelay(1, serverError, settings, () => 0) === 500 && getRetryDelay(1, serverError, settings, () => 0.999) <= 1000, 'The first wait should be between half and all of the base delay');
+  assert(getRetryDelay(3, serverError, settings, () => 0) === 2000, 'The wait should double with each retry');
+  assert(getRetryDelay(20, serverError, settings, () => 0.999) <= settings.maxDelayMs, 'Backoff should be capped');
+
+  const rateLimit = classifyLLMError(apiError(429, 'Rate limit', { 'retry-after': '3' }));
+  assert(getRetryDelay(1, rateLimit, settings, () => 0) === 3000, 'Retry-After should replace the backoff');
+  assert(getRetryDelay(1, rateLimit, settings, () => 0.5) === 3000 + settings.rateLimitSpreadMs / 2, 'Retry-After should get a random spread');
+  const longWait = classifyLLMError(apiError(429, 'Rate limit', { 'retry-after': '3600' }));
+  assert(getRetryDelay(1, longWait, settings, () => 0) === 3600000, 'Retry-After should not be cut down to the backoff cap');
+  assert(settings.maxRetryAfterMs === LLM_CONFIG.API.MAX_RETRY_AFTER_MS && resolveRetryConfig({}, { LLM_MAX_RETRY_AFTER_MS: '120000' }).data.maxRetryAfterMs === 120000, 'The Retry-After limit should come from LLM_MAX_RETRY_AFTER_MS');
+  assert(resolveRetryConfig({}, { LLM_MAX_RETRY_AFTER_MS: 'never' }).error, 'A non-numeric LLM_MAX_RETRY_AFTER_MS should be rejected');
+
+  assert(resolveRetryConfig({}, { LLM_RETRY_ATTEMPTS: '0', LLM_TIMEOUT_MS: '5000' }).data.attempts === 0, 'LLM_RETRY_ATTEMPTS=0 should turn retries off');
+  assert(resolveRetryConfig({}, { LLM_RETRY_ATTEMPTS: 'many' }).error, 'A non-numeric LLM_RETRY_ATTEMPTS should be rejected');
+  assert(resolveRetryConfig({}, { LLM_TIMEOUT_MS: '0' }).error, 'A zero LLM_TIMEOUT_MS should be rejected');
+
+  const original = process.env.LLM_TIMEOUT_MS;
+  process.env.LLM_TIMEOUT_MS = '-1';
+  const validation = validateConfig();
+  if (original === undefined) delete process.env.LLM_TIMEOUT_MS; else process.env.LLM_TIMEOUT_MS = original;
+  assert(validation.errors.some(error => error.includes('LLM_TIMEOUT_MS')), 'validateConfig should report an invalid LLM_TIMEOUT_MS');
+}
+
+/**
+ * Test rate limits and server errors are retried until the call succeeds, honouring Retry-After
+ */
+async function testRetryTransientErrors() {
+  const model = createFlakyModel([
+    apiError(429, 'Rate limit reached', { 'retry-after-ms': '60' }),
+    apiError(502, 'Bad gateway')
+  ]);
+
+  const startTime = Date.now();
+  const result = await invokeLLM(model, 'Classify this', FAST);
+  assert(!result.error && result.content === '{"ok": true}', `The third attempt should succeed: ${result.error}`);
+  assert(model.calls === 3, `Expected 3 attempts, got ${model.calls}`);
+  assert(Date.now() - startTime >= 60, 'The Retry-After wait should be honoured');
+  assert(model.signals.every(signal => signal instanceof AbortSignal), 'Every attempt should get an abort signal');
+
+  const tooLong = createFlakyModel([apiError(429, 'Rate limit reached', { 'retry-after': '120' })]);
+  const refused = await invokeLLM(tooLong, 'Classify this', { ...FAST, maxRetryAfterMs: 60000 });
+  assert(tooLong.calls === 1 && refused.errorKind === LLM_ERROR_KINDS.RATE_LIMIT, 'A Retry-After over the limit should fail at once');
+  assert(refused.error.includes('retry after 120s, longer than the 60s limit'), `The error should say why: ${refused.error}`);
+
+  const exhausted = createFlakyModel(Array(5).fill(apiError(503, 'Service unavailable')));
+  const failed = await invokeLLM(exhausted, 'Classify this', { ...FAST, retryAttempts: 2 });
+  assert(exhausted.calls === 3, `2 retries should make 3 attempts, got ${exhausted.calls}`);
+  assert(failed.errorKind === LLM_ERROR_KINDS.SERVER && failed.error.includes('after 3 attempts'), `The last error should be returned with its kind: ${failed.error}`);
+}
+
+/**
+ * Test permanent errors fail on the first attempt
+ */
+async function testPermanentErrors() {
+  const badRequest = createFlakyModel([apiError(400, 'Invalid messages')]);
+  const result = await invokeLLM(badRequest, 'Classify this', FAST);
+  assert(badRequest.calls === 1 && result.errorKind === LLM_ERROR_KINDS.PERMANENT, 'A bad request should not be retried');
+  assert(result.error === 'LLM invocation failed: Invalid messages', `Unexpected error: ${result.error}`);
+
+  const quota = createFlakyModel([apiError(429, 'You exceeded your current quota', {}, 'insufficient_quota')]);
+  await invokeLLM(quota, 'Classify this', FAST);
+  assert(quota.calls === 1, 'An exhausted quota should not be retried');
+
+  setMockResponses({});
+  const mock = new MockChatModel({ agent: 'classifier' });
+  const unscripted = await invokeLLM(mock, 'Unscripted prompt', FAST);
+  assert(unscripted.error && unscripted.errorKind === LLM_ERROR_KINDS.PERMANENT, 'Unscripted mock prompts should fail without retries');
+}
+
+/**
+ * Test a hanging attempt is aborted at the timeout and retried
+ */
+async function testTimeouts() {
+  const model = createFlakyModel(['hang']);
+  const result = await invokeLLM(model, 'Summarize this', { ...FAST, timeoutMs: 50 });
+  assert(!result.error && model.calls === 2, `The attempt after the timeout should succeed: ${result.error}`);
+  assert(model.signals[0].aborted && !model.signals[1].aborted, 'Only the timed-out attempt should be aborted');
+
+  const retries = [];
+  const stuck = await callWithRetry(() => new Promise(() => {}), { ...resolveRetryConfig(FAST).data, attempts: 1, timeoutMs: 20 }, retry => retries.push(retry));
+  assert(stuck.kind === LLM_ERROR_KINDS.TIMEOUT && stuck.attempts === 2, `A call that never answers should time out: ${JSON.stringify(stuck)}`);
+  assert(retries.length === 1 && retries[0].kind === LLM_ERROR_KINDS.TIMEOUT, 'The timeout retry should be reported');
+}
+
+/**
+ * Test retries are counted per stage and question and listed in the monitoring report
+ */
+async function testRetryAccounting() {
+  const monitor = createProductionMonitor({ enableMemoryTracking: false, logLevel: 'ERROR' });
+  const { data: ledger } = await createUsageLedger({
+    onRetry: retry => monitor.recordLLMRetry(retry.agent, { questionId: retry.questionId, kind: retry.kind, status: retry.status, delayMs: retry.delayMs })
+  }, {});
+
+  const model = createFlakyModel([apiError(429, 'Rate limit'), apiError(500, 'Internal error')]);
+  const result = await runWithLLMUsage(ledger, () => runWithUsageLabels({ questionId: 'q1' }, () => invokeLLM(model, 'Classify this', FAST)));
+  assert(!result.error, `The call should succeed after retries: ${result.error}`);
+
+  const usage = ledger.summarize();
+  assert(usage.totals.retries === 2 && usage.totals.calls === 1 && usage.totals.failedCalls === 0, `Retries should be counted apart from calls: ${JSON.stringify(usage.totals)}`);
+  assert(usage.byQuestion.q1.retries === 2 && usage.byModel['flaky-model'].retries === 2, 'Retries should be counted per question and model');
+
+  monitor.endSession();
+  const { api } = monitor.calculateMetrics();
+  assert(api.retries === 2 && api.retriesByKind.rate_limit === 1 && api.retriesByKind.server_error === 1, `The monitor should list each retry: ${JSON.stringify(api)}`);
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('\n🧪 Running LLM Retry Tests...\n');
+
+  const tests = [
+    ['Classify Errors', testClassifyErrors],
+    ['Retry Delays', testRetryDelays],
+    ['Retry Transient Errors', testRetryTransientErrors],
+    ['Permanent Errors', testPermanentErrors],
+    ['Timeouts', testTimeouts],
+    ['Retry Accounting', testRetryAccounting]
+  ];
+
+  let passed = 0;
+  let total = tests.length;
+
+  for (const [name, testFn] of tests) {
+    if (await runTest(name, testFn)) {
+      passed++;
+    }
+  }
+
+  console.log(`\n📊 Test Results: ${passed}/${total} tests passed`);
+
+  if (passed === total) {
+    console.log('✅ All LLM retry tests passed!');
+  } else {
+    console.log('❌ Some tests failed. Please fix issues before proceeding.');
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export { runAllTests };
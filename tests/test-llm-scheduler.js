@@ -0,0 +1,202 @@
+/**
+ * LLM Scheduler Tests
+ * Tests the run-wide limits: questions analysed at once, LLM requests in flight across questions,
+ * round-robin queueing between stages, and the tokens-per-minute window
+ */
+
+import { AIMessage } from '@langchain/core/messages';
+import { createLLMScheduler, runWithLLMScheduler, LLMScheduler } from '../src/utils/config/llm-scheduler.js';
+import { invokeLLM } from '../src/utils/config/llm-config.js';
+import { ParallelOrchestrator } from '../src/analysis/workflows/parallel-orchestrator.js';
+import { PROCESSING_CONFIG } from '../src/utils/config/constants.js';
+
+/**
+ * Simple test runner - follows pattern from previous tests
+ */
+async function runTest(testName, testFn) {
+  try {
+    await testFn();
+    console.log(`✅ ${testName}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ ${testName}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Assert function for test validation
+ */
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Counter of how many tasks run at once
+ */
+function createConcurrencyTracker() {
+  const tracker = {
+    active: 0,
+    peak: 0,
+    async run(ms, result) {
+      tracker.active++;
+      tracker.peak = Math.max(tracker.peak, tracker.active);
+      await sleep(ms);
+      tracker.active--;
+      return result;
+    }
+  };
+  return tracker;
+}
+
+/**
+ * Test limits come from options, then the environment, then PROCESSING_CONFIG
+ */
+async function testSchedulerConfig() {
+  const defaults = createLLMScheduler({}, {}).data;
+  assert(defaults.maxQuestions === PROCESSING_CONFIG.CONCURRENCY.MAX_QUESTIONS, 'Question cap should default to MAX_QUESTIONS');
+  assert(defaults.maxConcurrentCalls === PROCESSING_CONFIG.CONCURRENCY.MAX_LLM_CALLS && defaults.tokensPerMinute === null, 'Call cap should default to MAX_LLM_CALLS, with no token cap');
+
+  const fromEnv = createLLMScheduler({ maxConcurrentCalls: 3 }, { LLM_MAX_CONCURRENT_QUESTIONS: '2', LLM_MAX_CONCURRENT_CALLS: '10', LLM_TOKENS_PER_MINUTE: '90000' }).data;
+  assert(fromEnv.maxQuestions === 2 && fromEnv.maxConcurrentCalls === 3 && fromEnv.tokensPerMinute === 90000, 'Options should override the environment');
+
+  assert(createLLMScheduler({}, { LLM_MAX_CONCURRENT_CALLS: '0' }).error.includes('LLM_MAX_CONCURRENT_CALLS'), 'A zero call cap should be rejected');
+  assert(createLLMScheduler({}, { LLM_TOKENS_PER_MINUTE: 'lots' }).error.includes('LLM_TOKENS_PER_MINUTE'), 'A non-numeric token cap should be rejected');
+}
+
+/**
+ * Test questions beyond the cap wait, and start in order
+ */
+async function testQuestionLimit() {
+  const orchestrator = new ParallelOrchestrator();
+  const tracker = createConcurrencyTracker();
+  const started = [];
+  orchestrator.runQuestionAnalysisWorkflow = questionData => {
+    started.push(questionData.question.questionId);
+    return tracker.run(20, { questionId: questionData.question.questionId, themes: [], classifications: {} });
+  };
+
+  const questions = ['q1', 'q2', 'q3', 'q4', 'q5'].map(questionId => ({ questionId }));
+  const scheduler = new LLMScheduler({ maxQuestions: 2, maxConcurrentCalls: 4 });
+  const results = await runWithLLMScheduler(scheduler, () => orchestrator.parallelThematicAnalysis({
+    questions,
+    responsesByQuestion: Object.fromEntries(questions.map(({ questionId }) => [questionId, []])),
+    projectBackground: 'VPN study',
+    questionStats: Object.fromEntries(questions.map(({ questionId }) => [questionId, {}]))
+  }));
+
+  assert(Array.isArray(results) && results.length === 5, `Every question should be analysed: ${JSON.stringify(results)}`);
+  assert(tracker.peak === 2 && scheduler.summarize().peakConcurrentQuestions === 2, `At most 2 questions should run at once, saw ${tracker.peak}`);
+  assert(started.join(',') === 'q1,q2,q3,q4,q5', `Questions should start in order: ${started}`);
+}
+
+/**
+ * Test LLM requests from parallel questions share the call cap, and stages take turns
+ */
+async function testCallLimitAndFairness() {
+  const tracker = createConcurrencyTracker();
+  const model = {
+    model: 'slow-model',
+    invoke: () => tracker.run(20, new AIMessage('{}'))
+  };
+  const scheduler = new LLMScheduler({ maxQuestions: 6, maxConcurrentCalls: 2 });
+  const results = await runWithLLMScheduler(scheduler, () => Promise.all(
+    Array.from({ length: 6 }, (_, index) => invokeLLM(model, `Prompt ${index}`, { cacheMode: 'off' }))
+  ));
+  assert(results.every(result => !result.error), 'Every call should succeed');
+  assert(tracker.peak === 2, `At most 2 requests should be in flight, saw ${tracker.peak}`);
+
+  const stages = new LLMScheduler({ maxConcurrentCalls: 1 });
+  const order = [];
+  const first = await stages.acquire({ agent: 'classifier' });
+  const waiting = [
+    ['classifier', 'classifier 2'],
+    ['classifier', 'classifier 3'],
+    ['classifier', 'classifier 4'],
+    ['summarizer', 'summarizer 1']
+  ].map(([agent, label]) => stages.acquire({ agent }).then(release => {
+    order.push(label);
+    release();
+  }));
+  first();
+  await Promise.all(waiting);
+  assert(order.join(',') === 'classifier 2,summarizer 1,classifier 3,classifier 4', `The summarizer should not wait for every classifier batch: ${order}`);
+
+  const summary = stages.summarize();
+  assert(summary.byStage.classifier.calls === 4 && summary.byStage.classifier.queuedCalls === 3 && summary.byStage.summarizer.queuedCalls === 1, `Queued calls should be counted per stage: ${JSON.stringify(summary.byStage)}`);
+}
+
+/**
+ * Test a call waits until older calls leave the one-minute token window
+ */
+async function testTokensPerMinute() {
+  const scheduler = new LLMScheduler({ maxConcurrentCalls: 5, tokensPerMinute: 100 });
+
+  const release = await scheduler.acquire({ agent: 'classifier', tokens: 4000 });
+  release(80);
+  assert(scheduler.sentTokens[0].tokens === 80, 'Reported usage should replace the estimate');
+
+  let started = false;
+  const next = scheduler.acquire({ agent: 'summarizer', tokens: 30 }).then(releaseNext => {
+    started = true;
+    releaseNext();
+  });
+  await sleep(20);
+  assert(!started, 'A call over the per-minute limit should wait');
+
+  // Age the first call so it leaves the window shortly
+  scheduler.sentTokens[0].time -= 59950;
+  clearTimeout(scheduler.tokenTimer);
+  scheduler.tokenTimer = null;
+  scheduler.dispatch();
+  await next;
+  assert(started, 'The call should start once the window has room');
+
+  const large = new LLMScheduler({ tokensPerMinute: 100 });
+  const releaseLarge = await large.acquire({ tokens: 500 });
+  releaseLarge();
+  assert(large.tokenWaitMs(10) > 0, 'A call larger than the limit should go alone and fill the window');
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('\n🧪 Running LLM Scheduler Tests...\n');
+
+  const tests = [
+    ['Scheduler Config', testSchedulerConfig],
+    ['Question Limit', testQuestionLimit],
+    ['Call Limit And Fairness', testCallLimitAndFairness],
+    ['Tokens Per Minute', testTokensPerMinute]
+  ];
+
+  let passed = 0;
+  let total = tests.length;
+
+  for (const [name, testFn] of tests) {
+    if (await runTest(name, testFn)) {
+      passed++;
+    }
+  }
+
+  console.log(`\n📊 Test Results: ${passed}/${total} tests passed`);
+
+  if (passed === total) {
+    console.log('✅ All LLM scheduler tests passed!');
+  } else {
+    console.log('❌ Some tests failed. Please fix issues before proceeding.');
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export { runAllTests };
@@ -0,0 +1,267 @@
+/**
+ * Structured Output Tests
+ * Tests schema validation of agent replies, the call options that make providers enforce a
+ * schema, reading forced tool calls, the repair retry for cut-off or invalid replies, and
+ * keeping invalid replies out of the LLM cache
+ */
+
+import { AIMessage } from '@langchain/core/messages';
+import {
+  resolveStructuredOutputConfig,
+  getStructuredCallOptions,
+  readResponseContent,
+  parseStructuredOutput,
+  validateSchema,
+  buildRepairMessages
+} from '../src/utils/config/llm-structured.js';
+import { invokeStructured } from '../src/utils/config/llm-config.js';
+import { OUTPUT_SCHEMA as THEME_SCHEMA } from '../src/analysis/prompts/theme-generation.js';
+import { buildOutputSchema as buildClassificationSchema } from '../src/analysis/prompts/classification.js';
+import { ClassifierAgent } from '../src/analysis/agents/classifier.js';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Simple test runner - follows pattern from previous tests
+ */
+async function runTest(testName, testFn) {
+  try {
+    await testFn();
+    console.log(`✅ ${testName}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ ${testName}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Assert function for test validation
+ */
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+const THEMES = [
+  { id: 'privacy', title: 'Privacy' },
+  { id: 'price', title: 'Price' }
+];
+
+const RESPONSES = [
+  { participantId: 'P1', response: 'I do not want to be tracked' },
+  { participantId: 'P2', response: 'It was the cheapest' }
+];
+
+const CLASSIFICATIONS = [
+  { participantId: 'P1', questionId: 'q1', themeId: 'privacy', theme: 'Privacy', confidence: 0.9, reasoning: 'Tracking' },
+  { participantId: 'P2', questionId: 'q1', themeId: 'price', theme: 'Price', confidence: 0.8, reasoning: 'Cost' }
+];
+
+/**
+ * Model that replies with each scripted text in turn and records its calls
+ */
+function createScriptedLLM(replies) {
+  const llm = {
+    model: 'scripted-model',
+    calls: [],
+    invoke: async (messages, options) => {
+      llm.calls.push({ messages, options });
+      return new AIMessage(replies[Math.min(llm.calls.length, replies.length) - 1]);
+    }
+  };
+  return llm;
+}
+
+/**
+ * Test schema validation reports each problem with its location
+ */
+async function testValidateSchema() {
+  const valid = { derivedQuestion: 'Why a VPN?', themes: [{ title: 'Privacy', description: 'Avoid tracking', estimatedParticipants: 4 }] };
+  assert(validateSchema(valid, THEME_SCHEMA.schema).length === 0, 'A complete theme output should pass');
+
+  const problems = validateSchema({ themes: [{ title: '', description: 5, estimatedParticipants: -1 }] }, THEME_SCHEMA.schema);
+  for (const expected of ['$.derivedQuestion is missing', '$.themes[0].title should have at least 1 characters', '$.themes[0].description should be string, got number', '$.themes[0].estimatedParticipants should be at least 0']) {
+    assert(problems.some(problem => problem.startsWith(expected)), `Problems should include "${expected}": ${JSON.stringify(problems)}`);
+  }
+
+  const schema = buildClassificationSchema(THEMES, RESPONSES);
+  const unknownTheme = validateSchema({ classifications: [CLASSIFICATIONS[0], { ...CLASSIFICATIONS[1], themeId: 'speed' }] }, schema.schema);
+  assert(unknownTheme.length === 1 && unknownTheme[0].includes('$.classifications[1].themeId should be one of'), `Theme IDs should be limited to the themes: ${unknownTheme}`);
+  const missing = validateSchema({ classifications: [CLASSIFICATIONS[0]] }, schema.schema);
+  assert(missing.some(problem => problem.includes('at least 2 items')), 'Every response of the batch should be classified');
+}
+
+/**
+ * Test replies are parsed from code blocks and surrounding text, and cut-off JSON is reported
+ */
+async function testParseStructuredOutput() {
+  const fenced = parseStructuredOutput('Here you go:\n```json\n{"headline": "VPNs", "summary": "Mostly privacy", "keyInsights": ["Privacy first"]}\n```', { name: 'summary', schema: { type: 'object', required: ['headline'] } });
+  assert(fenced.data?.headline === 'VPNs', `A fenced reply should parse: ${fenced.error}`);
+
+  const trailing = parseStructuredOutput('{"t1": "Hello"} Let me know if you need more.', { name: 'translation', schema: { type: 'object' } });
+  assert(trailing.data?.t1 === 'Hello', `Text after the JSON should be ignored: ${trailing.error}`);
+
+  const truncated = parseStructuredOutput('{"derivedQuestion": "Why a VPN?", "themes": [{"title": "Privacy", "description": "Avoid trac', THEME_SCHEMA);
+  assert(truncated.error?.includes('not valid JSON') && truncated.problems[0].includes('cut off'), `A cut-off reply should be reported for repair: ${truncated.error}`);
+
+  const empty = parseStructuredOutput('  ', THEME_SCHEMA);
+  assert(empty.error === 'LLM reply is empty', 'An empty reply should be an error');
+
+  const bareArray = parseStructuredOutput(JSON.stringify(CLASSIFICATIONS), buildClassificationSchema(THEMES, RESPONSES));
+  assert(bareArray.data?.classifications?.length === 2, `A bare classification array should be accepted: ${bareArray.error}`);
+}
+
+/**
+ * Test each provider gets the call options that enforce a schema
+ */
+async function testStructuredCallOptions() {
+  const openai = getStructuredCallOptions('openai', THEME_SCHEMA, 'auto');
+  const { json_schema: jsonSchema } = openai.response_format;
+  assert(openai.response_format.type === 'json_schema' && jsonSchema.strict && jsonSchema.name === 'theme_generation', 'OpenAI should get a strict json_schema response format');
+  const theme = jsonSchema.schema.properties.themes.items;
+  assert(theme.required.join(',') === 'id,title,description,estimatedParticipants' && theme.additionalProperties === false, 'Strict mode should require every property');
+  assert(theme.properties.estimatedParticipants.type.includes('null') && theme.properties.title.type === 'string', 'Optional properties should become nullable');
+  assert(jsonSchema.schema.properties.themes.minItems === undefined && theme.properties.estimatedParticipants.minimum === undefined, 'Keywords strict mode rejects should be left out');
+  assert(THEME_SCHEMA.schema.properties.themes.minItems === 1 && THEME_SCHEMA.schema.properties.themes.items.required.length === 2, 'The original schema should not change');
+
+  const anthropic = getStructuredCallOptions('anthropic', THEME_SCHEMA, 'auto');
+  assert(anthropic.tools[0].name === 'theme_generation' && anthropic.tools[0].input_schema === THEME_SCHEMA.schema, 'Anthropic should get the schema as a tool');
+  assert(anthropic.tool_choice.type === 'tool' && anthropic.tool_choice.name === 'theme_generation', 'Anthropic should be made to call the tool');
+
+  assert(getStructuredCallOptions('local', THEME_SCHEMA, 'auto') === null, 'Local endpoints should be validated only by default');
+  assert(getStructuredCallOptions('local', THEME_SCHEMA, 'native')?.response_format, 'Native mode should send the schema to local endpoints');
+  assert(getStructuredCallOptions('openai', THEME_SCHEMA, 'prompt') === null, 'Prompt mode should never send the schema');
+  assert(getStructuredCallOptions('mock', THEME_SCHEMA, 'native') === null, 'The mock provider should be validated only');
+
+  assert(resolveStructuredOutputConfig({}, {}).data.mode === 'auto', 'The mode should default to auto');
+  assert(resolveStructuredOutputConfig({}, { LLM_STRUCTURED_OUTPUT: 'Native' }).data.mode === 'native', 'The mode should be read from the environment');
+  assert(resolveStructuredOutputConfig({}, { LLM_STRUCTURED_OUTPUT: 'tools' }).error.includes('LLM_STRUCTURED_OUTPUT'), 'An unknown mode should be rejected');
+}
+
+/**
+ * Test forced tool calls are read as the reply text
+ */
+async function testReadResponseContent() {
+  const toolCall = new AIMessage({ content: '', tool_calls: [{ name: 'summary', args: { headline: 'VPNs' }, id: 'call_1' }] });
+  assert(readResponseContent(toolCall) === '{"headline":"VPNs"}', 'Tool call arguments should be the reply');
+
+  const replayed = { content: [{ type: 'text', text: 'Using the tool' }, { type: 'tool_use', name: 'summary', input: { headline: 'VPNs' } }] };
+  assert(readResponseContent(replayed) === '{"headline":"VPNs"}', 'A tool_use block should be the reply');
+
+  assert(readResponseContent({ content: [{ type: 'text', text: '{"a":' }, { type: 'text', text: '1}' }] }) === '{"a":1}', 'Text blocks should be joined');
+  assert(readResponseContent(new AIMessage('plain')) === 'plain', 'Plain text should be returned as is');
+}
+
+/**
+ * Test a cut-off reply gets one repair retry listing its problems
+ */
+async function testRepairRetry() {
+  const complete = JSON.stringify({ derivedQuestion: 'Why a VPN?', themes: [{ title: 'Privacy', description: 'Avoid tracking' }] });
+  const llm = createScriptedLLM(['{"derivedQuestion": "Why a VPN?", "themes": [{"title": "Priv', complete]);
+
+  const result = await invokeStructured(llm, 'Generate themes', THEME_SCHEMA, { cacheMode: 'off' });
+  assert(!result.error && result.repaired && result.data.themes[0].title === 'Privacy', `The repaired reply should be used: ${result.error}`);
+  assert(llm.calls.length === 2, `One repair retry should be made, saw ${llm.calls.length} calls`);
+
+  const repairPrompt = llm.calls[1].messages;
+  assert(repairPrompt[0].content === 'Generate themes', 'The repair should repeat the original prompt');
+  assert(repairPrompt[1].content.includes('not valid JSON') && repairPrompt[1].content.includes('"derivedQuestion"'), 'The repair should list the problems and the schema');
+
+  const repeated = buildRepairMessages('Prompt', Array.from({ length: 15 }, (_, index) => `Problem ${index}`), THEME_SCHEMA);
+  assert(repeated[1].content.includes('...and 5 more'), 'Long problem lists should be shortened');
+
+  const broken = createScriptedLLM(['not json']);
+  const failed = await invokeStructured(broken, 'Generate themes', THEME_SCHEMA, { cacheMode: 'off' });
+  assert(failed.invalidOutput && failed.error.includes('after 1 repair retry'), `A reply still invalid after the repair should be an error: ${failed.error}`);
+  assert(broken.calls.length === 2, 'Only one repair retry should be made');
+
+  const noRepair = createScriptedLLM(['not json']);
+  const unrepaired = await invokeStructured(noRepair, 'Generate themes', THEME_SCHEMA, { cacheMode: 'off', repairAttempts: 0 });
+  assert(unrepaired.invalidOutput && noRepair.calls.length === 1, 'Repairs should be skipped when repairAttempts is 0');
+}
+
+/**
+ * Test only replies that pass validation are cached
+ */
+async function testCacheOnlyValidReplies() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'llm-structured-cache-'));
+  const cache = { cacheMode: 'on', cacheDir: dir };
+  const complete = JSON.stringify({ derivedQuestion: 'Why a VPN?', themes: [{ title: 'Privacy', description: 'Avoid tracking' }] });
+  try {
+    const first = createScriptedLLM(['{"derivedQuestion": "Why a VPN?", "themes": [{"title": "Priv', complete]);
+    const repaired = await invokeStructured(first, 'Generate themes', THEME_SCHEMA, cache);
+    assert(!repaired.error && repaired.repaired, `The first run should be repaired: ${repaired.error}`);
+
+    const second = createScriptedLLM([complete]);
+    const rerun = await invokeStructured(second, 'Generate themes', THEME_SCHEMA, cache);
+    assert(!rerun.error && !rerun.repaired && !rerun.cached && second.calls.length === 1, 'The cut-off reply should not be replayed from the cache');
+
+    const third = createScriptedLLM(['not json']);
+    const hit = await invokeStructured(third, 'Generate themes', THEME_SCHEMA, cache);
+    assert(hit.cached && third.calls.length === 0 && hit.data.themes[0].title === 'Privacy', 'Valid replies should be cached');
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Test the classifier repairs an unterminated batch reply instead of failing it
+ */
+async function testClassifierRepair() {
+  const classifier = new ClassifierAgent();
+  const truncated = JSON.stringify({ classifications: CLASSIFICATIONS }).slice(0, 120);
+  classifier.llm = createScriptedLLM([truncated, JSON.stringify(CLASSIFICATIONS)]);
+
+  const result = await classifier.processBatch(THEMES, RESPONSES, 'Why did you choose a VPN?', 'VPN study');
+  assert(!result.error && result.classifications.length === 2, `The batch should be classified after the repair: ${result.error}`);
+  assert(classifier.llm.calls.length === 2, 'The unterminated reply should be repaired');
+
+  classifier.llm = createScriptedLLM([truncated]);
+  const failed = await classifier.processBatch(THEMES, RESPONSES, 'Why did you choose a VPN?', 'VPN study');
+  assert(failed.error?.includes('JSON'), `An unrepaired reply should still let the classifier fall back to smaller batches: ${failed.error}`);
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('\n🧪 Running Structured Output Tests...\n');
+
+  const tests = [
+    ['Validate Schema', testValidateSchema],
+    ['Parse Structured Output', testParseStructuredOutput],
+    ['Structured Call Options', testStructuredCallOptions],
+    ['Read Response Content', testReadResponseContent],
+    ['Repair Retry', testRepairRetry],
+    ['Cache Only Valid Replies', testCacheOnlyValidReplies],
+    ['Classifier Repair', testClassifierRepair]
+  ];
+
+  let passed = 0;
+  let total = tests.length;
+
+  for (const [name, testFn] of tests) {
+    if (await runTest(name, testFn)) {
+      passed++;
+    }
+  }
+
+  console.log(`\n📊 Test Results: ${passed}/${total} tests passed`);
+
+  if (passed === total) {
+    console.log('✅ All structured output tests passed!');
+  } else {
+    console.log('❌ Some tests failed. Please fix issues before proceeding.');
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export { runAllTests };
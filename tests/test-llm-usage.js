@@ -0,0 +1,344 @@
+/**
+ * LLM Usage And Budget Tests
+ * Tests token extraction, the price table, per-question and per-stage accounting, budget caps,
+ * and a pipeline run stopped by its budget with the outputs of the questions it finished
+ */
+
+import { AIMessage } from '@langchain/core/messages';
+import {
+  extractTokenUsage,
+  loadPriceTable,
+  resolveModelPrice,
+  createUsageLedger,
+  runWithLLMUsage,
+  runWithUsageLabels
+} from '../src/utils/config/llm-usage.js';
+import { setMockResponses } from '../src/utils/config/llm-mock.js';
+import { invokeLLM } from '../src/utils/config/llm-config.js';
+import { ThematicAnalysisPipeline } from '../src/main.js';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const QUESTIONS = ['Why did you choose your VPN?', 'What would make you switch provider?'];
+
+const ROWS = [
+  ['id', ...QUESTIONS],
+  ['P1', 'assistant: Why?\nuser: It keeps no logs of what I do', 'assistant: Why?\nuser: A data leak'],
+  ['P2', 'assistant: Why?\nuser: The price was the lowest I found', 'assistant: Why?\nuser: A price increase'],
+  ['P3', 'assistant: Why?\nuser: No logs and based outside the EU', 'assistant: Why?\nuser: Logging user activity'],
+  ['P4', 'assistant: Why?\nuser: Cheap yearly plan with a discount', 'assistant: Why?\nuser: Higher renewal price'],
+  ['P5', 'assistant: Why?\nuser: Audited no logs policy', 'assistant: Why?\nuser: Slow speeds at night'],
+  ['P6', 'assistant: Why?\nuser: Streaming is fast and the price is fair', 'assistant: Why?\nuser: Streaming stops working']
+];
+
+const THEMES = [
+  { id: 'privacy', title: 'Privacy', description: 'No-logs policies and jurisdiction', estimatedParticipants: 3 },
+  { id: 'price', title: 'Price', description: 'Low price and discounts', estimatedParticipants: 3 }
+];
+
+/**
+ * Theme of a participant answer, by keyword
+ */
+function themeOf(text) {
+  return /logs/i.test(text) ? THEMES[0] : THEMES[1];
+}
+
+/**
+ * Scripted responses; the second question's themes arrive late and are very long, so they use up
+ * the budget after the first question has finished
+ */
+const MOCK_RESPONSES = {
+  'theme-generator': {
+    '*': async promptText => {
+      if (!promptText.includes(QUESTIONS[1])) {
+        return { derivedQuestion: QUESTIONS[0], themes: THEMES };
+      }
+      await new Promise(resolve => setTimeout(resolve, 1500));
+      return JSON.stringify({ derivedQuestion: QUESTIONS[1], themes: THEMES }) + ' '.repeat(84000);
+    }
+  },
+  classifier: {
+    '*': promptText => promptText.split(/\[\d+\] Participant ID: /).slice(1).map(entry => {
+      const participantId = entry.split('\n')[0].trim();
+      const theme = themeOf(entry.split('\n\n---\n\n')[0]);
+      return { participantId, questionId: 'q', themeId: theme.id, theme: theme.title, confidence: 0.9, reasoning: 'keyword' };
+    })
+  },
+  'quote-extractor': {
+    '*': promptText => {
+      const quotes = Object.fromEntries(THEMES.map(theme => [theme.id, []]));
+      for (const [, participantId, text] of promptText.matchAll(/^\s*Participant (\S+): "(.+)"$/gm)) {
+        quotes[themeOf(text).id].push({ quote: text, participantId });
+      }
+      return quotes;
+    }
+  },
+  summarizer: {
+    '*': { headline: 'Privacy and price drive VPN choice', summary: 'Half chose for privacy, half for price.', keyInsights: ['No-logs policies matter'] }
+  }
+};
+
+/**
+ * Simple test runner - follows pattern from previous tests
+ */
+async function runTest(testName, testFn) {
+  try {
+    await testFn();
+    console.log(`✅ ${testName}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ ${testName}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Assert function for test validation
+ */
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+/**
+ * Run a function with environment variables set, restoring them afterwards
+ */
+async function withEnv(values, fn) {
+  const original = {};
+  for (const [name, value] of Object.entries(values)) {
+    original[name] = process.env[name];
+    if (value === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = value;
+    }
+  }
+  try {
+    return await fn();
+  } finally {
+    for (const [name, value] of Object.entries(original)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+  }
+}
+
+/**
+ * Fake gpt-4o-mini model reporting 1000 prompt and 500 completion tokens per call
+ */
+function createPricedModel() {
+  const llm = {
+    model: 'gpt-4o-mini',
+    calls: 0,
+    async invoke() {
+      llm.calls++;
+      return new AIMessage({ content: 'ok', usage_metadata: { input_tokens: 1000, output_tokens: 500, total_tokens: 1500 } });
+    }
+  };
+  return llm;
+}
+
+/**
+ * Test token usage extraction and the price table
+ */
+async function testUsageAndPrices() {
+  assert(extractTokenUsage(new AIMessage({ content: 'x', usage_metadata: { input_tokens: 10, output_tokens: 5, total_tokens: 15 } })).completionTokens === 5, 'usage_metadata should be read');
+  assert(extractTokenUsage({ response_metadata: { tokenUsage: { promptTokens: 7, completionTokens: 3 } } }).promptTokens === 7, 'OpenAI token usage should be read');
+  assert(extractTokenUsage({ response_metadata: { usage: { input_tokens: 4, output_tokens: 2 } } }).completionTokens === 2, 'Anthropic usage should be read');
+  assert(extractTokenUsage(new AIMessage('x')) === null, 'Missing usage should be null');
+
+  const { data: prices } = await loadPriceTable();
+  assert(resolveModelPrice(prices, 'openai', 'gpt-4o-mini-2024-07-18').input === 0.15, 'Dated models should use the longest matching prefix');
+  assert(resolveModelPrice(prices, 'openai', 'gpt-4o-2024-08-06').input === 2.5, 'gpt-4o should not match gpt-4');
+  assert(resolveModelPrice(prices, 'azure', 'my-deployment') === null, 'Unknown models should have no price');
+  assert(resolveModelPrice(prices, 'local', 'llama3.1').output === 0, 'Local models should be free');
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'llm-usage-'));
+  const pricesPath = path.join(dir, 'prices.json');
+  await fs.writeFile(pricesPath, JSON.stringify({ 'My-Deployment': { input: 1, output: 2 } }));
+  const custom = await loadPriceTable(pricesPath);
+  assert(resolveModelPrice(custom.data, 'azure', 'my-deployment').output === 2, 'Price files should add models');
+  await fs.writeFile(pricesPath, JSON.stringify({ 'my-deployment': { input: 1 } }));
+  assert((await loadPriceTable(pricesPath)).error.includes('"output"'), 'Incomplete prices should error');
+  assert((await createUsageLedger({}, { LLM_BUDGET_USD: '-1' })).error.includes('LLM_BUDGET_USD'), 'Negative budgets should error');
+}
+
+/**
+ * Test calls are totalled per run, question, stage and model
+ */
+async function testAccounting() {
+  const { data: ledger } = await createUsageLedger({}, {});
+  const llm = createPricedModel();
+  await runWithLLMUsage(ledger, async () => {
+    await runWithUsageLabels({ questionId: 'q1' }, () => invokeLLM(llm, 'First'));
+    await runWithUsageLabels({ questionId: 'q1' }, () => invokeLLM(llm, 'Second'));
+    await runWithUsageLabels({ questionId: 'q2' }, () => invokeLLM(llm, 'Third'));
+    await invokeLLM(llm, 'Outside any question');
+  });
+  await invokeLLM(llm, 'Outside the run');
+
+  const usage = ledger.summarize();
+  assert(usage.totals.calls === 4 && usage.totals.promptTokens === 4000 && usage.totals.completionTokens === 2000, `Run totals should count calls inside the run only: ${JSON.stringify(usage.totals)}`);
+  assert(Math.abs(usage.totals.costUsd - 4 * 0.00045) < 1e-9, `Cost should use the price table: ${usage.totals.costUsd}`);
+  assert(usage.byQuestion.q1.calls === 2 && usage.byQuestion.q2.calls === 1 && Object.keys(usage.byQuestion).length === 2, 'Calls should be charged to their question');
+  assert(usage.byStage.default.calls === 4 && usage.byModel['gpt-4o-mini'].calls === 4, 'Calls should be totalled per stage and model');
+  assert(usage.budget.limitUsd === null && !usage.budget.exceeded, 'No budget should be set by default');
+}
+
+/**
+ * Test the budget refuses calls once it would be exceeded, and every call after that
+ */
+async function testBudgetCap() {
+  const { data: ledger } = await createUsageLedger({ budgetUsd: 0.01 }, {});
+  const llm = createPricedModel();
+  const results = await runWithLLMUsage(ledger, async () => {
+    const outcomes = [];
+    for (let i = 0; i < 40; i++) {
+      outcomes.push(await invokeLLM(llm, `Prompt ${i}`));
+    }
+    return outcomes;
+  });
+
+  const refused = results.findIndex(result => result.budgetExceeded);
+  assert(refused > 10, `Calls should run until the budget is nearly spent (refused at ${refused})`);
+  assert(results.slice(refused).every(result => result.budgetExceeded && result.error.includes('LLM budget of $0.01')), 'Every call after the cap should be refused');
+  assert(llm.calls === refused, 'Refused calls should not reach the model');
+
+  const { budget, totals } = ledger.summarize();
+  assert(budget.exceeded && budget.blockedCalls === 40 - refused, 'The budget stop should be reported');
+  assert(totals.costUsd <= 0.01, `Spend should stay within the budget: ${totals.costUsd}`);
+}
+
+/**
+ * Test a pipeline stopped by its budget writes what it finished
+ */
+async function testPipelineBudgetStop() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'llm-usage-'));
+  const csvPath = path.join(dir, 'survey.csv');
+  await fs.writeFile(csvPath, ROWS.map(row => row.map(cell => `"${cell}"`).join(',')).join('\n'));
+  await fs.writeFile(path.join(dir, 'background.txt'), 'VPN study');
+  // Output tokens at $0.001 each: every first call of a stage reserves its maxTokens
+  const pricesPath = path.join(dir, 'prices.json');
+  await fs.writeFile(pricesPath, JSON.stringify({ mock: { input: 0, output: 1000 } }));
+
+  setMockResponses(MOCK_RESPONSES);
+  const outputDir = path.join(dir, 'outputs');
+  const pipeline = new ThematicAnalysisPipeline({
+    inputExcelPath: csvPath,
+    backgroundPath: path.join(dir, 'background.txt'),
+    outputDir,
+    budgetUsd: 20,
+    llmPricesPath: pricesPath
+  });
+  const result = await withEnv({ LLM_PROVIDER: 'mock', LLM_CASSETTE: undefined, LLM_CACHE: undefined }, () => pipeline.run());
+  pipeline.monitor.stopMemoryMonitoring();
+  setMockResponses({});
+
+  assert(!result.error, `The pipeline should finish with partial results: ${result.error}`);
+  assert(result.status === 'stopped_at_budget', `The run should report the budget stop: ${result.status}`);
+
+  const { llmUsage } = result;
+  assert(llmUsage.budget.exceeded && llmUsage.budget.blockedCalls > 0, 'Refused calls should be reported');
+  assert(Object.keys(llmUsage.byQuestion).length === 2, `Both questions should be charged: ${Object.keys(llmUsage.byQuestion)}`);
+  assert(['theme-generator', 'classifier', 'quote-extractor', 'summarizer'].every(stage => llmUsage.byStage[stage]?.calls > 0), `Every stage should be charged: ${Object.keys(llmUsage.byStage)}`);
+  assert(llmUsage.byStage['theme-generator'].costUsd > 20, 'The long response should be priced');
+  assert(Math.abs(result.monitoring.metrics.api.costUsd - llmUsage.totals.costUsd) < 1e-6, 'The monitoring report should total the same cost');
+
+  const files = await fs.readdir(outputDir);
+  const technical = JSON.parse(await fs.readFile(path.join(outputDir, files.find(file => file.endsWith('_technical_pipeline_results.json'))), 'utf8'));
+  assert(technical.llmUsage.totals.calls === llmUsage.totals.calls, 'The technical results should include the usage report');
+  assert(files.some(file => file.endsWith('.md')), `Outputs should be written: ${files}`);
+
+  // The first question finished before the cap; the second kept its themes but was not classified
+  const thematic = JSON.parse(await fs.readFile(path.join(outputDir, files.find(file => file.endsWith('_thematic_analysis.json'))), 'utf8'));
+  const participantsOf = analysis => analysis.themes.reduce((sum, theme) => sum + theme.participantCount, 0);
+  const [finished, stopped] = thematic.analyses;
+  assert(participantsOf(finished) === 6 && finished.themes.every(theme => theme.quotes.length > 0), 'The finished question should keep its full analysis');
+  assert(stopped.themes.length === 2 && participantsOf(stopped) === 0, `The stopped question should have no classifications: ${JSON.stringify(stopped.themes)}`);
+}
+
+/**
+ * Test a budget reached while every question is mid-way keeps the themes made so far
+ */
+async function testBudgetStopMidWay() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'llm-usage-'));
+  const csvPath = path.join(dir, 'survey.csv');
+  await fs.writeFile(csvPath, ROWS.map(row => row.map(cell => `"${cell}"`).join(',')).join('\n'));
+  await fs.writeFile(path.join(dir, 'background.txt'), 'VPN study');
+  const pricesPath = path.join(dir, 'prices.json');
+  await fs.writeFile(pricesPath, JSON.stringify({ mock: { input: 0, output: 1000 } }));
+
+  // Both questions' themes arrive together and use up the budget, so no question gets classified
+  setMockResponses({
+    ...MOCK_RESPONSES,
+    'theme-generator': {
+      '*': promptText => JSON.stringify({ derivedQuestion: promptText.includes(QUESTIONS[1]) ? QUESTIONS[1] : QUESTIONS[0], themes: THEMES }) + ' '.repeat(84000)
+    }
+  });
+  const outputDir = path.join(dir, 'outputs');
+  const pipeline = new ThematicAnalysisPipeline({
+    inputExcelPath: csvPath,
+    backgroundPath: path.join(dir, 'background.txt'),
+    outputDir,
+    budgetUsd: 20,
+    llmPricesPath: pricesPath,
+    piiMapPath: path.join(dir, 'pii_map.json')
+  });
+  const result = await withEnv({ LLM_PROVIDER: 'mock', LLM_CASSETTE: undefined, LLM_CACHE: undefined }, () => pipeline.run());
+  pipeline.monitor.stopMemoryMonitoring();
+  setMockResponses({});
+
+  assert(!result.error && result.status === 'stopped_at_budget', `The run should stop cleanly with partial outputs: ${result.error || result.status}`);
+  assert(!result.llmUsage.byStage['quote-extractor'] && !result.llmUsage.byStage.summarizer, `No stage after the cap should be attempted: ${Object.keys(result.llmUsage.byStage)}`);
+
+  const files = await fs.readdir(outputDir);
+  const thematic = JSON.parse(await fs.readFile(path.join(outputDir, files.find(file => file.endsWith('_thematic_analysis.json'))), 'utf8'));
+  assert(thematic.analyses.length === 2 && thematic.analyses.every(analysis => analysis.themes.length === 2), `Both questions should keep their themes: ${JSON.stringify(thematic.analyses)}`);
+  const summary = await fs.readFile(path.join(outputDir, files.find(file => file.endsWith('.md'))), 'utf8');
+  assert((summary.match(/LLM budget stopped this question/g) || []).length === 2, 'The executive summary should flag both stopped questions');
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('\n🧪 Running LLM Usage And Budget Tests...\n');
+
+  const tests = [
+    ['Usage And Prices', testUsageAndPrices],
+    ['Accounting', testAccounting],
+    ['Budget Cap', testBudgetCap],
+    ['Pipeline Budget Stop', testPipelineBudgetStop],
+    ['Budget Stop Mid-Way', testBudgetStopMidWay]
+  ];
+
+  let passed = 0;
+  let total = tests.length;
+
+  for (const [name, testFn] of tests) {
+    if (await runTest(name, testFn)) {
+      passed++;
+    }
+  }
+
+  console.log(`\n📊 Test Results: ${passed}/${total} tests passed`);
+
+  if (passed === total) {
+    console.log('✅ All LLM usage and budget tests passed!');
+  } else {
+    console.log('❌ Some tests failed. Please fix issues before proceeding.');
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export { runAllTests };
@@ -0,0 +1,274 @@
+/**
+ * Multilingual Response Tests
+ * Tests language detection, the translation stage, runs that go on when translation fails and
+ * quotes kept in the original language
+ */
+
+import { detectLanguage, needsTranslation } from '../src/data/parsers/language-detector.js';
+import { parseAndCleanResponses } from '../src/data/parsers/response-parser.js';
+import { getResponseAnalysisText, getResponseParticipantText } from '../src/data/parsers/conversation-parser.js';
+import { TranslatorAgent } from '../src/analysis/agents/translator.js';
+import { QuoteExtractorAgent } from '../src/analysis/agents/quote-extractor.js';
+import { QuoteValidator } from '../src/utils/validation/quote-validator.js';
+import { generateExecutiveSummary } from '../src/outputs/generators/summary-generator.js';
+import { ThematicAnalysisPipeline } from '../src/main.js';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const ANSWERS = {
+  P1: 'I picked Mullvad because it does not want my email address',
+  P2: 'Ich nutze Mullvad, weil es keine E-Mail-Adresse braucht und sehr schnell ist',
+  P3: 'Uso NordVPN porque es muy rápido y el precio es bueno',
+  P4: 'プライバシーが一番大事なので、ログを残さないサービスを選びました',
+  P5: 'ProtonVPN'
+};
+
+// Stand-in translations returned by the fake LLM, keyed by the start of the source text
+const TRANSLATIONS = {
+  Ich: 'I use Mullvad because it needs no email address and is very fast',
+  Uso: 'I use NordVPN because it is very fast and the price is good',
+  'プラ': 'Privacy matters most, so I chose a service that keeps no logs',
+  weil: 'because it needs no email address'
+};
+
+/**
+ * Simple test runner - follows pattern from previous tests
+ */
+async function runTest(testName, testFn) {
+  try {
+    await testFn();
+    console.log(`✅ ${testName}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ ${testName}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Assert function for test validation
+ */
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+/**
+ * Fake LLM answering translation prompts from TRANSLATIONS and counting calls
+ */
+function createTranslationLLM() {
+  const llm = {
+    calls: 0,
+    async invoke(messages) {
+      llm.calls++;
+      const prompt = messages[messages.length - 1].content;
+      const output = {};
+      for (const match of prompt.matchAll(/^\s*\[(t\d+)\] \([^)]+\) (.+)$/gm)) {
+        const key = Object.keys(TRANSLATIONS).find(start => match[2].startsWith(start));
+        if (key) output[match[1]] = TRANSLATIONS[key];
+      }
+      return { content: JSON.stringify(output) };
+    }
+  };
+  return llm;
+}
+
+/**
+ * Translator agent wired to the fake LLM
+ */
+function createTranslator() {
+  const translator = new TranslatorAgent();
+  translator.llm = createTranslationLLM();
+  return translator;
+}
+
+/**
+ * Cleaned data for one question from participant answers
+ */
+function buildCleanedData() {
+  const result = parseAndCleanResponses({
+    projectBackground: 'VPN study',
+    questions: [{ questionId: 'q1', headerText: 'q1' }],
+    participantResponses: Object.entries(ANSWERS).map(([participantId, answer]) => ({
+      participantId,
+      questionId: 'q1',
+      response: `assistant: Which VPN do you use and why?\nuser: ${answer}`
+    })),
+    metadata: {}
+  });
+  assert(!result.error, `Parsing failed: ${result.error}`);
+  return result.data;
+}
+
+/**
+ * Test language detection on single texts and parsed responses
+ */
+async function testLanguageDetection() {
+  assert(detectLanguage(ANSWERS.P1).code === 'en', 'English should be detected');
+  assert(detectLanguage(ANSWERS.P2).code === 'de', 'German should be detected');
+  assert(detectLanguage(ANSWERS.P3).code === 'es', 'Spanish should be detected');
+  assert(detectLanguage(ANSWERS.P4).code === 'ja', 'Japanese should be detected by script');
+  assert(detectLanguage('Je le trouve très simple et pas cher').code === 'fr', 'French should be detected');
+  assert(detectLanguage(ANSWERS.P5).code === 'und', 'A brand name alone should be undetermined');
+  assert(detectLanguage('NordVPN ExpressVPN Surfshark').code === 'und', 'Texts without language cues should be undetermined');
+
+  const data = buildCleanedData();
+  const byId = Object.fromEntries(data.responsesByQuestion.q1.map(r => [r.participantId, r]));
+  assert(byId.P2.language.code === 'de' && byId.P2.language.confidence > 0.5, 'Responses should store their language');
+  assert(data.metadata.languages.en === 1 && data.metadata.languages.und === 1, 'Metadata should count languages');
+  assert(needsTranslation(byId.P3, 'en') && !needsTranslation(byId.P1, 'en') && !needsTranslation(byId.P5, 'en'), 'Only other detected languages need translation');
+}
+
+/**
+ * Test translator batching and failed batches
+ */
+async function testTranslatorAgent() {
+  const translator = createTranslator();
+  const texts = [
+    { id: 'a', text: ANSWERS.P2, language: 'de' },
+    { id: 'b', text: ANSWERS.P3, language: 'es' },
+    { id: 'c', text: ANSWERS.P4, language: 'ja' }
+  ];
+
+  const result = await translator.invoke({ texts, targetLanguage: 'en', batchSize: 2 });
+  assert(!result.error, `Translation failed: ${result.error}`);
+  assert(translator.llm.calls === 2, 'Texts should be translated in batches');
+  assert(result.translations.c === TRANSLATIONS['プラ'], 'Batch IDs should map back to caller IDs');
+
+  translator.llm = { invoke: async () => ({ content: 'not json' }) };
+  const failed = await translator.invoke({ texts, targetLanguage: 'en' });
+  assert(!failed.error && failed.failedBatches.length === 1 && Object.keys(failed.translations).length === 0, 'Failed batches should be reported, not thrown');
+
+  assert(translator.validateInput({ texts: [{ text: 'x' }] }).error, 'Texts without IDs should be rejected');
+}
+
+/**
+ * Test the pipeline translation stage keeps originals next to translations
+ */
+async function testTranslationStage() {
+  const data = buildCleanedData();
+
+  const off = await new ThematicAnalysisPipeline({ enableProductionMonitoring: false }).translateResponses(data);
+  assert(off.data === data, 'Translation should be off by default');
+
+  const pipeline = new ThematicAnalysisPipeline({ translate: true, enableProductionMonitoring: false });
+  pipeline.translator = createTranslator();
+  const result = await pipeline.translateResponses(data);
+  assert(!result.error, `Translation failed: ${result.error}`);
+  assert(result.translatedResponses === 3, 'German, Spanish and Japanese answers should be translated');
+
+  const byId = Object.fromEntries(result.data.responsesByQuestion.q1.map(r => [r.participantId, r]));
+  assert(byId.P2.translation.language === 'en' && byId.P2.translation.text === TRANSLATIONS.Ich, 'Translation should be stored on the response');
+  assert(getResponseParticipantText(byId.P2) === ANSWERS.P2, 'Original text should be kept');
+  assert(getResponseAnalysisText(byId.P2) === TRANSLATIONS.Ich, 'Analysis text should be the translation');
+  assert(getResponseAnalysisText(byId.P1) === ANSWERS.P1 && !byId.P1.translation, 'English answers should be left alone');
+  assert(result.data.metadata.translation.translatedResponses === 3, 'Metadata should record the translation');
+}
+
+/**
+ * Test a failing translator leaves the responses untranslated instead of stopping the run
+ */
+async function testTranslationFailure() {
+  const data = buildCleanedData();
+  const pipeline = new ThematicAnalysisPipeline({ translate: true, enableProductionMonitoring: false });
+  pipeline.translator = { invoke: async () => ({ error: 'LLM budget of $0.01 reached' }) };
+
+  const result = await pipeline.translateResponses(data);
+  assert(!result.error && result.translatedResponses === 0, `A translator failure should not fail the stage: ${result.error}`);
+  const byId = Object.fromEntries(result.data.responsesByQuestion.q1.map(r => [r.participantId, r]));
+  assert(['P2', 'P3', 'P4'].every(id => byId[id].untranslated === true && !byId[id].translation), 'Responses that needed a translation should be marked untranslated');
+  assert(!byId.P1.untranslated && !byId.P5.untranslated, 'Responses already in the analysis language should not be marked');
+  assert(getResponseAnalysisText(byId.P2) === ANSWERS.P2, 'Untranslated responses should be analysed in their own language');
+  const { translation } = result.data.metadata;
+  assert(translation.untranslatedResponses === 3 && translation.error.includes('budget'), `Metadata should record the failure: ${JSON.stringify(translation)}`);
+
+  const partial = new ThematicAnalysisPipeline({ translate: true, enableProductionMonitoring: false });
+  partial.translator = { invoke: async ({ texts }) => ({ translations: { [texts[0].id]: 'Translated' }, failedBatches: ['LLM API call failed'] }) };
+  const partialResult = await partial.translateResponses(data);
+  const marked = partialResult.data.responsesByQuestion.q1.filter(r => r.untranslated).length;
+  assert(partialResult.translatedResponses === 1 && marked === 2, `Responses of failed batches should be marked untranslated: ${marked}`);
+}
+
+/**
+ * Test quotes stay in the original language, validate against it and get a translation
+ */
+async function testOriginalLanguageQuotes() {
+  const pipeline = new ThematicAnalysisPipeline({ translate: true, enableProductionMonitoring: false });
+  pipeline.translator = createTranslator();
+  const responses = (await pipeline.translateResponses(buildCleanedData())).data.responsesByQuestion.q1;
+
+  const validator = new QuoteValidator();
+  const validate = quote => validator.validateQuotes({
+    selectedQuotes: { t1: [{ quote, participantId: 'P2' }] },
+    responses,
+    themes: [{ id: 't1', title: 'No email needed' }],
+    classifications: [{ participantId: 'P2', themeId: 't1' }]
+  });
+  assert(validate('weil es keine E-Mail-Adresse braucht').passed, 'Quote in the original language should validate');
+  assert(!validate('because it needs no email address and is really quick').passed, 'Translated text is not a verbatim quote');
+
+  const extractor = new QuoteExtractorAgent();
+  extractor.translator = createTranslator();
+  const quotes = await extractor.addQuoteTranslations({
+    t1: [
+      { quote: 'weil es keine E-Mail-Adresse braucht', participantId: 'P2' },
+      { quote: 'it does not want my email address', participantId: 'P1' }
+    ]
+  }, responses);
+  assert(quotes.t1[0].quote === 'weil es keine E-Mail-Adresse braucht', 'Quote text should stay verbatim');
+  assert(quotes.t1[0].language === 'de' && quotes.t1[0].translation === TRANSLATIONS.weil, 'Quote should carry its translation');
+  assert(!quotes.t1[1].translation && !quotes.t1[1].language, 'Quotes from untranslated responses should be unchanged');
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'multilingual-'));
+  const markdown = await generateExecutiveSummary([{
+    questionId: 'q1',
+    derivedQuestion: 'Which VPN do you use and why?',
+    participantCount: 2,
+    themes: [{ id: 't1', title: 'No email needed', description: 'Sign-up without email', participantCount: 2, supportingQuotes: quotes.t1 }],
+    summary: { headline: 'Email-free sign-up wins', summary: 's', keyInsights: ['k'] }
+  }], { metadata: {} }, { outputPath: path.join(dir, 'summary.md') });
+  assert(typeof markdown === 'string', `Summary failed: ${markdown.error}`);
+  assert(markdown.includes('"weil es keine E-Mail-Adresse braucht"') && markdown.includes(`Translation: "${TRANSLATIONS.weil}"`), 'Summary should show the original quote with its translation');
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('\n🧪 Running Multilingual Response Tests...\n');
+
+  const tests = [
+    ['Language Detection', testLanguageDetection],
+    ['Translator Agent', testTranslatorAgent],
+    ['Translation Stage', testTranslationStage],
+    ['Translation Failure', testTranslationFailure],
+    ['Original-Language Quotes', testOriginalLanguageQuotes]
+  ];
+
+  let passed = 0;
+  let total = tests.length;
+
+  for (const [name, testFn] of tests) {
+    if (await runTest(name, testFn)) {
+      passed++;
+    }
+  }
+
+  console.log(`\n📊 Test Results: ${passed}/${total} tests passed`);
+
+  if (passed === total) {
+    console.log('✅ All multilingual response tests passed!');
+  } else {
+    console.log('❌ Some tests failed. Please fix issues before proceeding.');
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export { runAllTests };
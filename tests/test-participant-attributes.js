@@ -0,0 +1,174 @@
+/**
+ * Participant Attribute Tests
+ * Tests that metadata columns travel from extraction to the classification outputs
+ */
+
+import { extractDataFromDelimited } from '../src/data/extractors/csv-extractor.js';
+import { parseAndCleanResponses } from '../src/data/parsers/response-parser.js';
+import { ParallelOrchestrator } from '../src/analysis/workflows/parallel-orchestrator.js';
+import { generateClassificationFiles } from '../src/outputs/generators/excel-generator.js';
+import ExcelJS from 'exceljs';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const COLUMN_MAPPING = {
+  idColumn: 'ID',
+  ignoreColumns: ['Email'],
+  metadataColumns: ['Plan', 'Region']
+};
+
+/**
+ * Simple test runner - follows pattern from previous tests
+ */
+async function runTest(testName, testFn) {
+  try {
+    await testFn();
+    console.log(`✅ ${testName}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ ${testName}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Assert function for test validation
+ */
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+/**
+ * Extract and clean a small export with plan and region columns
+ */
+async function loadFixture() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'participant-attributes-'));
+  const csvPath = path.join(dir, 'export.csv');
+  await fs.writeFile(csvPath, [
+    'ID,Email,Plan,Region,vpn_selection',
+    'P1,a@x.com,Premium,EU,user: Speed and price',
+    'P2,b@x.com,Free,,user: A friend told me',
+    'P3,c@x.com,Free,US,'
+  ].join('\n'), 'utf8');
+
+  const extraction = await extractDataFromDelimited(csvPath, 'inputs/project_background.txt', { columnMapping: COLUMN_MAPPING });
+  assert(!extraction.error, `Extraction failed: ${extraction.error}`);
+
+  const parsing = parseAndCleanResponses(extraction.data);
+  assert(!parsing.error, `Parsing failed: ${parsing.error}`);
+
+  return { dir, extractedData: extraction.data, cleanedData: parsing.data };
+}
+
+/**
+ * Test attributes are captured per participant and survive parsing
+ */
+async function testAttributeExtraction() {
+  const { extractedData, cleanedData } = await loadFixture();
+
+  assert(extractedData.participantAttributes.P1.Plan === 'Premium', 'P1 plan should be captured');
+  assert(extractedData.participantAttributes.P2.Region === undefined, 'Empty cells should be omitted');
+  assert(extractedData.participantAttributes.P3.Region === 'US', 'Participants without answers keep attributes');
+  assert(extractedData.metadata.attributeNames.join('|') === 'Plan|Region', 'Attribute names should be recorded');
+  assert(cleanedData.participantAttributes.P1.Region === 'EU', 'Attributes should be carried through parsing');
+}
+
+/**
+ * Test attributes appear next to each classification in analysis results
+ */
+async function testAnalysisResultAttributes() {
+  const { cleanedData } = await loadFixture();
+  const orchestrator = new ParallelOrchestrator();
+  const responses = cleanedData.responsesByQuestion.vpn_selection;
+
+  const questionAttributes = orchestrator.selectParticipantAttributes(cleanedData.participantAttributes, responses);
+  assert(Object.keys(questionAttributes).join('|') === 'P1|P2', 'Only participants of the question should be selected');
+
+  const result = orchestrator.transformToAnalysisResult({
+    question: { questionId: 'vpn_selection' },
+    themes: [{ id: 't1', title: 'Price', description: 'Cost' }],
+    classifications: [{ participantId: 'P1', theme: 'Price' }, { participantId: 'P2', theme: 'Price' }],
+    quotes: {},
+    summary: { headline: 'h', summary: 's' },
+    responses,
+    participantAttributes: questionAttributes
+  });
+
+  const detail = result.classificationDetails.find(d => d.participantId === 'P1');
+  assert(detail && detail.theme === 'Price' && detail.attributes.Plan === 'Premium', 'Classification detail should include attributes');
+
+  const withoutAttributes = orchestrator.transformToAnalysisResult({
+    question: { questionId: 'q' }, classifications: [], responses: [], participantAttributes: {}
+  });
+  assert(withoutAttributes.classificationDetails === undefined, 'No details without attributes');
+}
+
+/**
+ * Test classification Excel files include attribute columns
+ */
+async function testClassificationFileColumns() {
+  const { dir, cleanedData } = await loadFixture();
+
+  const analyses = [{
+    questionId: 'vpn_selection',
+    derivedQuestion: 'Why did you choose your VPN?',
+    participantCount: 2,
+    themes: [{ id: 't1', title: 'Price', description: 'Cost', supportingQuotes: [] }],
+    classifications: { P1: 'Price', P2: 'Price' },
+    summary: 's'
+  }];
+
+  const files = await generateClassificationFiles(analyses, cleanedData, { outputDir: dir });
+  assert(!files.error && files.length === 1, `Generation failed: ${files.error}`);
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(files[0]);
+  const sheet = workbook.getWorksheet('Classification Data');
+
+  const headers = sheet.getRow(4).values.slice(1);
+  assert(headers.slice(-2).join('|') === 'Plan|Region', `Attribute headers missing: ${headers.join(', ')}`);
+
+  const firstRow = sheet.getRow(5).values.slice(1);
+  assert(firstRow[0] === 'P1' && firstRow[5] === 'Premium' && firstRow[6] === 'EU', `Unexpected row: ${firstRow.join(', ')}`);
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('\n🧪 Running Participant Attribute Tests...\n');
+
+  const tests = [
+    ['Attribute Extraction', testAttributeExtraction],
+    ['Analysis Result Attributes', testAnalysisResultAttributes],
+    ['Classification File Columns', testClassificationFileColumns]
+  ];
+
+  let passed = 0;
+  let total = tests.length;
+
+  for (const [name, testFn] of tests) {
+    if (await runTest(name, testFn)) {
+      passed++;
+    }
+  }
+
+  console.log(`\n📊 Test Results: ${passed}/${total} tests passed`);
+
+  if (passed === total) {
+    console.log('✅ All participant attribute tests passed!');
+  } else {
+    console.log('❌ Some tests failed. Please fix issues before proceeding.');
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export { runAllTests };
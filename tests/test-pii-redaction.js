@@ -0,0 +1,260 @@
+/**
+ * PII Redaction Tests
+ * Tests placeholder redaction before analysis, the local re-identification map and output modes
+ */
+
+import {
+  redactText,
+  redactCleanedData,
+  restoreRedactedValues,
+  RedactionMap,
+  PII_TYPES
+} from '../src/data/parsers/pii-redactor.js';
+import { parseAndCleanResponses } from '../src/data/parsers/response-parser.js';
+import { getParticipantText } from '../src/data/parsers/conversation-parser.js';
+import { QuoteValidator } from '../src/utils/validation/quote-validator.js';
+import { ThematicAnalysisPipeline, getPipelineOptionsFromEnv } from '../src/main.js';
+import { PROCESSING_CONFIG } from '../src/utils/config/constants.js';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Simple test runner - follows pattern from previous tests
+ */
+async function runTest(testName, testFn) {
+  try {
+    await testFn();
+    console.log(`✅ ${testName}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ ${testName}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Assert function for test validation
+ */
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+/**
+ * Build cleaned data for one question from participant answers
+ */
+function buildCleanedData(answers) {
+  const result = parseAndCleanResponses({
+    projectBackground: 'VPN study',
+    questions: [{ questionId: 'q1', headerText: 'q1' }],
+    participantResponses: Object.entries(answers).map(([participantId, answer]) => ({
+      participantId,
+      questionId: 'q1',
+      response: `moderator (Ana): Why did you pick your VPN?\nuser: ${answer}`
+    })),
+    metadata: {}
+  });
+  assert(!result.error, `Parsing failed: ${result.error}`);
+  return result.data;
+}
+
+/**
+ * Test detectors and stable placeholders
+ */
+async function testRedactText() {
+  const map = new RedactionMap();
+
+  const first = redactText('Mail me at jane.doe@example.com or call +44 20 7946 0958. My name is Jane Doe.', map);
+  assert(first === 'Mail me at [EMAIL_1] or call [PHONE_1]. My name is [NAME_1].', `Unexpected redaction: ${first}`);
+
+  const second = redactText('JANE.DOE@example.com again, 020-7946-0958 is not the same number', map);
+  assert(second.startsWith('[EMAIL_1] again'), 'The same email should get the same placeholder');
+  assert(second.includes('[PHONE_2]'), 'Different digits should get a new placeholder');
+
+  const org = redactText('I work at Northwind Traders and my partner is at Contoso Ltd.', map);
+  assert(org === 'I work at [ORG_1] and my partner is at [ORG_2].', `Unexpected organisation redaction: ${org}`);
+
+  const phones = redactText('US: (555) 123-4567, local 555 987 6543, intl +1 555.123.4567', new RedactionMap());
+  assert(phones === 'US: [PHONE_1], local [PHONE_2], intl [PHONE_3]', `Phone-shaped numbers should be redacted: ${phones}`);
+
+  for (const kept of [
+    'It launched on 2023-10-19 and again on 19.10.2023',
+    'Order number 12345678 arrived',
+    'Running version 1.2.3.4.5.6.7 now',
+    'They raised 100 000 000 last year'
+  ]) {
+    assert(redactText(kept, map) === kept, `Dates, IDs, versions and amounts should be kept: ${redactText(kept, map)}`);
+  }
+
+  const brands = 'NordVPN costs $4.99 and Mullvad has 40 servers in 2024';
+  assert(redactText(brands, map) === brands, 'Brands, prices, years and short numbers should be kept');
+
+  const terms = redactText('Priya from Fabrikam said so', map, { terms: { NAME: ['Priya'], ORG: ['fabrikam'] } });
+  assert(terms === '[NAME_2] from [ORG_3] said so', `Configured terms should be redacted: ${terms}`);
+
+  assert(redactText('Ask [NAME_1] about it', map, { terms: { NAME: ['NAME'] } }) === 'Ask [NAME_1] about it', 'Placeholders should not be redacted again');
+}
+
+/**
+ * Test restoring originals from the map and its JSON form
+ */
+async function testRestore() {
+  const map = new RedactionMap();
+  const redacted = redactText('Call me Sam, sam@example.org', map);
+
+  const reloaded = new RedactionMap(JSON.parse(JSON.stringify(map)));
+  assert(reloaded.restore(redacted) === 'Call me Sam, sam@example.org', 'Reloaded map should restore originals');
+  assert(reloaded.placeholderFor(PII_TYPES.NAME, 'Lee') === '[NAME_2]', 'Reloaded map should continue numbering');
+  assert(reloaded.restore('[ORG_9] stays') === '[ORG_9] stays', 'Unknown placeholders should be left alone');
+
+  const results = restoreRedactedValues({ quotes: [{ quote: redacted, confidence: 0.9 }], when: new Date(0) }, map);
+  assert(results.quotes[0].quote === 'Call me Sam, sam@example.org' && results.quotes[0].confidence === 0.9, 'Nested strings should be restored');
+  assert(results.when instanceof Date, 'Non-plain objects should be kept');
+}
+
+/**
+ * Test cleaned data is redacted in both response text and turns, and quotes validate against it
+ */
+async function testRedactCleanedData() {
+  const cleaned = buildCleanedData({
+    P1: 'Ana recommended Mullvad to me. Reach me on jo@example.com',
+    P2: 'My name is Chris and the price was right'
+  });
+
+  const result = redactCleanedData(cleaned, { terms: { NAME: [], ORG: [] } });
+  assert(!result.error, `Redaction failed: ${result.error}`);
+  assert(cleaned.responsesByQuestion.q1[0].cleanResponse.includes('jo@example.com'), 'Input data should not be changed');
+
+  const [p1, p2] = result.data.responsesByQuestion.q1;
+  assert(getParticipantText(p1.turns) === '[NAME_1] recommended Mullvad to me. Reach me on [EMAIL_1]', `Speaker names should be redacted in speech: ${getParticipantText(p1.turns)}`);
+  assert(p1.turns[0].speaker === 'moderator ([NAME_1])', 'Speaker labels should be redacted');
+  assert(!p1.cleanResponse.includes('Ana') && p1.cleanResponse.includes('[EMAIL_1]'), 'Response text should match the turns');
+  assert(getParticipantText(p2.turns).startsWith('My name is [NAME_2]'), 'Introduced names should be redacted');
+  assert(result.redactedResponses === 2 && result.data.metadata.piiRedaction.placeholders.NAME === 2, 'Redaction should be counted');
+
+  const validator = new QuoteValidator();
+  const validation = validator.validateQuotes({
+    selectedQuotes: { t1: [{ quote: 'Reach me on [EMAIL_1]', participantId: 'P1' }] },
+    responses: result.data.responsesByQuestion.q1,
+    themes: [{ id: 't1', title: 'Recommendations' }],
+    classifications: [{ participantId: 'P1', themeId: 't1' }]
+  });
+  assert(validation.passed, `Redacted quote should validate against redacted text: ${validation.errors.join('; ')}`);
+
+  assert(redactCleanedData({}).error, 'Missing responses should error');
+}
+
+/**
+ * Test names and organisations found by phrasing stay in the response that introduced them
+ */
+async function testPhrasedTermsStayInTheirResponse() {
+  const parsed = parseAndCleanResponses({
+    projectBackground: 'VPN study',
+    questions: [{ questionId: 'q1', headerText: 'q1' }, { questionId: 'q2', headerText: 'q2' }],
+    participantResponses: [
+      { participantId: 'P1', questionId: 'q1', response: 'My name is Will and I work with NordVPN. Will always will.' },
+      { participantId: 'P2', questionId: 'q1', response: 'I will pick NordVPN because it will be fast' },
+      { participantId: 'P1', questionId: 'q2', response: 'My name is Priya Shah, I work at Northwind and Priya Shah pays' },
+      { participantId: 'P2', questionId: 'q2', response: 'I heard northwind and Northwind pay Priya Shah' }
+    ],
+    metadata: {}
+  });
+  assert(!parsed.error, `Parsing failed: ${parsed.error}`);
+
+  const result = redactCleanedData(parsed.data, { terms: { NAME: [], ORG: [] } });
+  const text = (questionId, index) => result.data.responsesByQuestion[questionId][index].cleanResponse;
+  assert(text('q1', 0) === 'My name is [NAME_1] and I work with NordVPN. [NAME_1] always will.', `Only the capitalised name should be redacted: ${text('q1', 0)}`);
+  assert(text('q1', 1) === 'I will pick NordVPN because it will be fast', `Another participant's answer should be untouched: ${text('q1', 1)}`);
+  assert(text('q2', 0) === 'My name is [NAME_2], I work at [ORG_1] and [NAME_2] pays', `Terms should be redacted throughout their response: ${text('q2', 0)}`);
+  assert(text('q2', 1) === 'I heard northwind and Northwind pay Priya Shah', `Terms should not spread to other responses: ${text('q2', 1)}`);
+  assert(result.redactionMap.restore(text('q1', 0)) === 'My name is Will and I work with NordVPN. Will always will.', 'Restoring should give back the original text');
+
+  const configured = redactCleanedData(parsed.data, { terms: { NAME: ['priya shah'], ORG: [] } });
+  assert(/pay \[NAME_\d+\]$/.test(configured.data.responsesByQuestion.q2[1].cleanResponse), 'Configured terms should still be redacted everywhere, in any case');
+}
+
+/**
+ * Test the pipeline writes the map locally and picks output data by mode
+ */
+async function testPipelineOutputModes() {
+  const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'pii-redaction-'));
+  const cleaned = buildCleanedData({ P1: 'Email me at jo@example.com' });
+  const analysis = { analyses: [{ questionId: 'q1', quotes: ['Email me at [EMAIL_1]'] }] };
+
+  const piiMapPath = path.join(await fs.mkdtemp(path.join(os.tmpdir(), 'pii-map-')), 'map.json');
+  const redactedPipeline = new ThematicAnalysisPipeline({ outputDir, piiMapPath, enableProductionMonitoring: false });
+  const redaction = await redactedPipeline.redactPersonalData(cleaned);
+  assert(!redaction.error, `Redaction failed: ${redaction.error}`);
+  const map = JSON.parse(await fs.readFile(redaction.mapPath, 'utf8'));
+  assert(redaction.mapPath === piiMapPath && map['[EMAIL_1]'].value === 'jo@example.com', 'Map should be written to the map path');
+  assert((await fs.readdir(outputDir)).length === 0, 'Nothing should be written to the shareable output directory');
+  assert(!path.resolve(PROCESSING_CONFIG.PII.MAP_PATH).startsWith(path.resolve('outputs')), 'The default map path should be outside the default output directory');
+
+  const shareable = redactedPipeline.prepareOutputData(analysis, redaction.data, redaction);
+  assert(shareable.analysisResults.analyses[0].quotes[0] === 'Email me at [EMAIL_1]', 'Redacted mode should keep placeholders');
+  assert(shareable.outputData === redaction.data, 'Redacted mode should output redacted data');
+
+  const internalPipeline = new ThematicAnalysisPipeline({ outputDir, piiMapPath, piiOutputMode: 'restore', enableProductionMonitoring: false });
+  const internal = internalPipeline.prepareOutputData(analysis, redaction.data, redaction);
+  assert(internal.analysisResults.analyses[0].quotes[0] === 'Email me at jo@example.com', 'Restore mode should put originals back');
+  assert(internal.outputData.responsesByQuestion.q1[0].cleanResponse === cleaned.responsesByQuestion.q1[0].cleanResponse, 'Restore mode should output original data');
+
+  const disabled = await new ThematicAnalysisPipeline({ outputDir, redactPII: false, enableProductionMonitoring: false }).redactPersonalData(cleaned);
+  assert(disabled.data === cleaned && disabled.redactionMap === null, 'Redaction should be skippable');
+}
+
+/**
+ * Test a CLI run with no variables set keeps the configured defaults
+ */
+async function testPipelineDefaultsFromEnv() {
+  const pipeline = new ThematicAnalysisPipeline(getPipelineOptionsFromEnv({}, { auditOnly: true }));
+  assert(pipeline.options.redactPII === PROCESSING_CONFIG.PII.ENABLED && pipeline.options.redactPII === true, `Redaction should stay on by default, got ${pipeline.options.redactPII}`);
+  assert(pipeline.options.piiOutputMode === PROCESSING_CONFIG.PII.OUTPUT_MODE, `Output mode should default to ${PROCESSING_CONFIG.PII.OUTPUT_MODE}, got ${pipeline.options.piiOutputMode}`);
+  assert(pipeline.options.translate === PROCESSING_CONFIG.LANGUAGE.TRANSLATION.ENABLED, `Translation should keep its default, got ${pipeline.options.translate}`);
+
+  const disabled = new ThematicAnalysisPipeline(getPipelineOptionsFromEnv({ REDACT_PII: 'false', PII_OUTPUT_MODE: 'restore', TRANSLATE_RESPONSES: 'true' }, { auditOnly: true }));
+  assert(disabled.options.redactPII === false && disabled.options.piiOutputMode === 'restore' && disabled.options.translate === true, 'Set variables should override the defaults');
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('\n🧪 Running PII Redaction Tests...\n');
+
+  const tests = [
+    ['Redact Text', testRedactText],
+    ['Restore Originals', testRestore],
+    ['Redact Cleaned Data', testRedactCleanedData],
+    ['Phrased Terms Stay In Their Response', testPhrasedTermsStayInTheirResponse],
+    ['Pipeline Output Modes', testPipelineOutputModes],
+    ['Pipeline Defaults From Environment', testPipelineDefaultsFromEnv]
+  ];
+
+  let passed = 0;
+  let total = tests.length;
+
+  for (const [name, testFn] of tests) {
+    if (await runTest(name, testFn)) {
+      passed++;
+    }
+  }
+
+  console.log(`\n📊 Test Results: ${passed}/${total} tests passed`);
+
+  if (passed === total) {
+    console.log('✅ All PII redaction tests passed!');
+  } else {
+    console.log('❌ Some tests failed. Please fix issues before proceeding.');
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export { runAllTests };
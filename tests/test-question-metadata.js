@@ -0,0 +1,299 @@
+/**
+ * Question Metadata Tests
+ * Tests the question-metadata file: validation, renaming and skipping questions,
+ * and its use by the theme generator, classifier and output generators
+ */
+
+import { normalizeQuestionMetadata, applyQuestionMetadata, loadQuestionMetadata } from '../src/data/extractors/question-metadata.js';
+import { parseAndCleanResponses } from '../src/data/parsers/response-parser.js';
+import { ThemeGeneratorAgent } from '../src/analysis/agents/theme-generator.js';
+import { ClassifierAgent } from '../src/analysis/agents/classifier.js';
+import { QuestionAnalysisWorkflow } from '../src/analysis/workflows/question-analyzer.js';
+import { generateExecutiveSummary } from '../src/outputs/generators/summary-generator.js';
+import { generateClassificationFiles } from '../src/outputs/generators/excel-generator.js';
+import { ThematicAnalysisPipeline } from '../src/main.js';
+import ExcelJS from 'exceljs';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const METADATA = {
+  'Q1 - Which VPN do you use?': {
+    id: 'vpn_choice',
+    question: 'Which VPN do you use today, and why did you choose it?',
+    notes: 'Keep free trials apart from price',
+    themeCount: { min: 2, max: 4 }
+  },
+  'internal notes': { skip: true },
+  'Q9 - Removed question': { id: 'removed' }
+};
+
+/**
+ * Simple test runner - follows pattern from previous tests
+ */
+async function runTest(testName, testFn) {
+  try {
+    await testFn();
+    console.log(`✅ ${testName}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ ${testName}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Assert function for test validation
+ */
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+/**
+ * Extracted data with a question, a notes column and a question without metadata
+ */
+function buildExtractedData() {
+  const headers = ['Q1 - Which VPN do you use?', 'Internal Notes', 'Q2 - Anything else?'];
+  const answers = {
+    P1: ['assistant: Which VPN?\nuser: Mullvad, it keeps no logs', 'follow up', 'assistant: Anything else?\nuser: No'],
+    P2: ['assistant: Which VPN?\nuser: NordVPN was on a free trial', 'call back', '']
+  };
+  const questions = headers.map((headerText, index) => ({ columnIndex: index + 1, questionId: headerText, headerText }));
+  const participantResponses = Object.entries(answers).flatMap(([participantId, cells]) => cells
+    .map((response, index) => ({ participantId, questionId: headers[index], response }))
+    .filter(response => response.response));
+
+  return {
+    projectBackground: 'VPN study',
+    questions,
+    participantResponses,
+    participantAttributes: {},
+    questionStats: Object.fromEntries(headers.map(header => [header, {
+      totalResponses: participantResponses.filter(r => r.questionId === header).length,
+      participantCount: participantResponses.filter(r => r.questionId === header).length
+    }])),
+    metadata: { totalParticipants: 2, totalQuestions: 3, totalResponses: participantResponses.length }
+  };
+}
+
+/**
+ * Fake LLM returning a fixed answer and recording the prompts it saw
+ */
+function createLLM(answer) {
+  const llm = {
+    prompts: [],
+    async invoke(messages) {
+      llm.prompts.push(messages[messages.length - 1].content);
+      return { content: JSON.stringify(typeof answer === 'function' ? answer(messages) : answer) };
+    }
+  };
+  return llm;
+}
+
+/**
+ * Test validation of the metadata file
+ */
+async function testNormalize() {
+  const result = normalizeQuestionMetadata(METADATA);
+  assert(!result.error, `Valid metadata rejected: ${result.error}`);
+  const [first, skipped] = result.data.entries;
+  assert(first.id === 'vpn_choice' && first.questionText.startsWith('Which VPN') && first.analystNotes && first.themeCount.max === 4, 'Entries should be normalized');
+  assert(skipped.skip === true && skipped.id === null, 'Skip-only entries should be kept');
+  assert(normalizeQuestionMetadata({ q: { themeCount: 3 } }).data.entries[0].themeCount.min === 3, 'A single theme count should become a range');
+
+  assert(normalizeQuestionMetadata([]).error, 'Arrays should be rejected');
+  assert(normalizeQuestionMetadata({ q: { title: 'x' } }).error.includes('unknown keys'), 'Unknown keys should be rejected');
+  assert(normalizeQuestionMetadata({ a: { id: 'x' }, b: { id: 'x' } }).error.includes('reuses'), 'Repeated IDs should be rejected');
+  assert(normalizeQuestionMetadata({ q: { themeCount: { min: 5, max: 3 } } }).error, 'Inverted ranges should be rejected');
+  assert(normalizeQuestionMetadata({ q: { skip: 'yes' } }).error, 'Non-boolean skip should be rejected');
+  assert(normalizeQuestionMetadata({ Q: {}, ' q ': {} }).error, 'Headers listed twice should be rejected');
+  assert(normalizeQuestionMetadata({ normalized: true }).error, 'A normalized flag in raw metadata should not skip validation');
+  assert(normalizeQuestionMetadata(result.data).data === result.data, 'Normalized metadata should pass through unchanged');
+
+  const missing = await loadQuestionMetadata(path.join(os.tmpdir(), 'no-such-question-metadata.json'));
+  assert(missing.error, 'Missing files should error');
+}
+
+/**
+ * Test questions are renamed, described and skipped across the extracted data
+ */
+async function testApply() {
+  const extracted = buildExtractedData();
+  const result = applyQuestionMetadata(extracted, METADATA);
+  assert(!result.error, `Apply failed: ${result.error}`);
+
+  const { questions, participantResponses, questionStats, metadata } = result.data;
+  assert(questions.map(q => q.questionId).join() === 'vpn_choice,Q2 - Anything else?', `Unexpected questions: ${questions.map(q => q.questionId)}`);
+  assert(questions[0].headerText === 'Q1 - Which VPN do you use?' && questions[0].analystNotes && questions[0].themeCount.min === 2, 'Questions should carry their metadata');
+  assert(!('analystNotes' in questions[1]), 'Questions without metadata should be unchanged');
+  assert(participantResponses.every(r => r.questionId !== 'Internal Notes') && participantResponses.filter(r => r.questionId === 'vpn_choice').length === 2, 'Responses should be renamed and skipped');
+  assert(questionStats.vpn_choice.totalResponses === 2 && !questionStats['Internal Notes'], 'Question stats should follow the questions');
+  assert(metadata.totalQuestions === 2 && metadata.totalResponses === 3, 'Totals should be recounted');
+  assert(metadata.questionMetadata.configuredQuestions === 2 && metadata.questionMetadata.skippedQuestions[0] === 'Internal Notes', 'Skipped questions should be recorded');
+  assert(result.warnings.length === 1 && result.warnings[0].includes('Q9 - Removed question'), 'Unmatched entries should warn');
+  assert(extracted.questions[0].questionId === 'Q1 - Which VPN do you use?', 'Input data should not be changed');
+
+  assert(applyQuestionMetadata(extracted, { 'Q1 - Which VPN do you use?': { id: 'Q2 - Anything else?' } }).error, 'IDs clashing with other questions should be rejected');
+  const skipAll = Object.fromEntries(extracted.questions.map(q => [q.headerText, { skip: true }]));
+  assert(applyQuestionMetadata(extracted, skipAll).error, 'Skipping every question should be rejected');
+
+  const cleaned = parseAndCleanResponses(result.data);
+  assert(!cleaned.error && cleaned.data.responsesByQuestion.vpn_choice.length === 2, 'Renamed data should parse');
+}
+
+/**
+ * Test the pipeline loads the file before extraction and applies it
+ */
+async function testPipelineExtraction() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'question-metadata-'));
+  const csvPath = path.join(dir, 'survey.csv');
+  await fs.writeFile(csvPath, [
+    'id,Q1 - Which VPN do you use?,Internal Notes',
+    'P1,"assistant: Which VPN?\nuser: Mullvad, it keeps no logs",follow up',
+    'P2,"assistant: Which VPN?\nuser: NordVPN was on a free trial",call back'
+  ].join('\n'));
+  await fs.writeFile(path.join(dir, 'background.txt'), 'VPN study');
+  const metadataPath = path.join(dir, 'question_metadata.json');
+  await fs.writeFile(metadataPath, JSON.stringify(METADATA));
+
+  const pipeline = new ThematicAnalysisPipeline({
+    inputExcelPath: csvPath,
+    backgroundPath: path.join(dir, 'background.txt'),
+    questionMetadataPath: metadataPath,
+    enableProductionMonitoring: false
+  });
+  const result = await pipeline.extractData();
+  assert(!result.error, `Extraction failed: ${result.error}`);
+  assert(result.data.questions.length === 1 && result.data.questions[0].questionId === 'vpn_choice', 'Metadata should be applied to extracted questions');
+  assert(result.warnings.some(warning => warning.includes('Q9 - Removed question')), 'Metadata warnings should be passed on');
+
+  await fs.writeFile(metadataPath, JSON.stringify({ q: { colour: 'red' } }));
+  const invalid = await pipeline.extractData();
+  assert(invalid.error && invalid.error.startsWith('Invalid question metadata'), 'Invalid metadata should stop extraction');
+}
+
+/**
+ * Test the theme generator, theme validation and classifier use the metadata
+ */
+async function testAgents() {
+  const cleaned = parseAndCleanResponses(applyQuestionMetadata(buildExtractedData(), METADATA).data).data;
+  const question = cleaned.questions[0];
+  const responses = cleaned.responsesByQuestion.vpn_choice;
+
+  const generator = new ThemeGeneratorAgent();
+  generator.llm = createLLM({
+    derivedQuestion: 'What VPN do people use?',
+    themes: [{ id: 'privacy', title: 'Privacy', description: 'No logs' }]
+  });
+  const themes = await generator.invoke({
+    questionId: question.questionId,
+    questionText: question.questionText,
+    analystNotes: question.analystNotes,
+    themeCount: question.themeCount,
+    responses,
+    projectBackground: 'VPN study'
+  });
+  assert(!themes.error, `Theme generation failed: ${themes.error}`);
+  assert(themes.derivedQuestion === question.questionText, 'Known wording should be the derived question');
+  const themePrompt = generator.llm.prompts[0];
+  assert(themePrompt.includes('generate 2-4 themes') && themePrompt.includes(`questionAsked: ${question.questionText}`) && themePrompt.includes('Keep free trials apart from price'), 'Theme prompt should carry the metadata');
+
+  const defaults = new ThemeGeneratorAgent();
+  defaults.llm = createLLM({ derivedQuestion: 'What VPN?', themes: [{ title: 'Privacy', description: 'No logs' }] });
+  const derived = await defaults.invoke({ questionId: 'q1', responses, projectBackground: 'VPN study' });
+  assert(derived.derivedQuestion === 'What VPN?' && defaults.llm.prompts[0].includes('generate 3-5 themes') && !defaults.llm.prompts[0].includes('questionAsked'), 'Without metadata the prompt should be unchanged');
+
+  const workflow = new QuestionAnalysisWorkflow();
+  const validated = await workflow.validateThemes({ question, responses, themes: themes.themes, derivedQuestion: themes.derivedQuestion });
+  assert(validated.themeValidation.warnings.some(warning => warning.includes('optimal: 2-4')), 'Theme validation should use the question theme count');
+
+  const classifier = new ClassifierAgent();
+  classifier.llm = createLLM(() => responses.map(r => ({ participantId: r.participantId, questionId: 'vpn_choice', themeId: 'privacy', theme: 'Privacy', confidence: 0.8, reasoning: 'r' })));
+  const classified = await classifier.invoke({
+    derivedQuestion: themes.derivedQuestion,
+    themes: themes.themes,
+    responses,
+    projectBackground: 'VPN study',
+    analystNotes: question.analystNotes
+  });
+  assert(!classified.error, `Classification failed: ${classified.error}`);
+  assert(classifier.llm.prompts[0].includes('Analyst Notes: Keep free trials apart from price'), 'Classifier prompt should carry analyst notes');
+
+  const plain = new ClassifierAgent();
+  plain.llm = classifier.llm;
+  await plain.invoke({ derivedQuestion: 'q', themes: themes.themes, responses, projectBackground: 'VPN study' });
+  assert(!classifier.llm.prompts[1].includes('Analyst Notes') && !classifier.llm.prompts[1].includes('{analystNotes}'), 'Without notes the line should be left out');
+}
+
+/**
+ * Test outputs show the analyst notes and the original column header
+ */
+async function testOutputs() {
+  const cleaned = parseAndCleanResponses(applyQuestionMetadata(buildExtractedData(), METADATA).data).data;
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'question-metadata-'));
+  const analysis = {
+    questionId: 'vpn_choice',
+    derivedQuestion: METADATA['Q1 - Which VPN do you use?'].question,
+    headerText: 'Q1 - Which VPN do you use?',
+    analystNotes: 'Keep free trials apart from price',
+    participantCount: 2,
+    themes: [{ id: 'privacy', title: 'Privacy', description: 'No logs', participantCount: 2, supportingQuotes: [] }],
+    classifications: { P1: 'Privacy', P2: 'Privacy' },
+    summary: { headline: 'Privacy first', summary: 's', keyInsights: ['k'] }
+  };
+
+  const markdown = await generateExecutiveSummary([analysis], { metadata: {} }, { outputPath: path.join(dir, 'summary.md') });
+  assert(typeof markdown === 'string', `Summary failed: ${markdown.error}`);
+  assert(markdown.includes(`### 1. ${analysis.derivedQuestion}`) && markdown.includes('*Analyst notes: Keep free trials apart from price*'), 'Summary should show the question wording and notes');
+
+  const files = await generateClassificationFiles([analysis], cleaned, { outputDir: dir });
+  assert(!files.error && path.basename(files[0]) === 'vpn_choice_classifications.xlsx', `Files should use the short ID: ${files.error || files}`);
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(files[0]);
+  const rows = [];
+  workbook.getWorksheet('Summary Statistics').eachRow(row => rows.push(row.values.slice(1)));
+  assert(rows.some(row => row[0] === 'Column Header' && row[1] === analysis.headerText), 'Summary sheet should show the column header');
+  assert(rows.some(row => row[0] === 'Analyst Notes' && row[1] === analysis.analystNotes), 'Summary sheet should show analyst notes');
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('\n🧪 Running Question Metadata Tests...\n');
+
+  const tests = [
+    ['Normalize Metadata', testNormalize],
+    ['Apply Metadata', testApply],
+    ['Pipeline Extraction', testPipelineExtraction],
+    ['Agents Use Metadata', testAgents],
+    ['Outputs Show Metadata', testOutputs]
+  ];
+
+  let passed = 0;
+  let total = tests.length;
+
+  for (const [name, testFn] of tests) {
+    if (await runTest(name, testFn)) {
+      passed++;
+    }
+  }
+
+  console.log(`\n📊 Test Results: ${passed}/${total} tests passed`);
+
+  if (passed === total) {
+    console.log('✅ All question metadata tests passed!');
+  } else {
+    console.log('❌ Some tests failed. Please fix issues before proceeding.');
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export { runAllTests };
@@ -0,0 +1,230 @@
+/**
+ * Question Type Tests
+ * Tests numeric, categorical and open-ended column detection, routing of closed-ended
+ * questions around the LLM workflow, and their descriptive summaries in the outputs
+ */
+
+import { detectQuestionType, separateClosedQuestions, parseNumber, QUESTION_TYPES } from '../src/data/extractors/question-types.js';
+import { buildExtractedData } from '../src/data/extractors/excel-extractor.js';
+import { applyQuestionMetadata, normalizeQuestionMetadata } from '../src/data/extractors/question-metadata.js';
+import { buildDescriptiveSummaries, createDescriptiveMarkdown } from '../src/outputs/generators/descriptive-generator.js';
+import { describeNumbers } from '../src/utils/helpers/statistics.js';
+import { generateMainResults } from '../src/outputs/generators/json-generator.js';
+import { generateThematicAnalysis } from '../src/outputs/generators/analysis-generator.js';
+import { generateExecutiveSummary } from '../src/outputs/generators/summary-generator.js';
+import { ThematicAnalysisPipeline } from '../src/main.js';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const ROWS = [
+  ['id', 'Why did you pick your VPN?', 'How likely are you to recommend it? (0-10)', 'Do you pay for it?'],
+  ['P1', 'assistant: Why?\nuser: Mullvad keeps no logs and takes cash', '10', 'Yes'],
+  ['P2', 'assistant: Why?\nuser: NordVPN was on a free trial with my laptop', '9', 'yes'],
+  ['P3', 'assistant: Why?\nuser: A friend set up ProtonVPN for me', '7', 'No'],
+  ['P4', 'assistant: Why?\nuser: Streaming abroad works with ExpressVPN', '3', 'Yes.'],
+  ['P5', 'assistant: Why?\nuser: My employer requires the corporate VPN', '8', 'No'],
+  ['P6', 'assistant: Why?\nuser: Cheapest option I found with WireGuard', '10', 'Yes']
+];
+
+/**
+ * Simple test runner - follows pattern from previous tests
+ */
+async function runTest(testName, testFn) {
+  try {
+    await testFn();
+    console.log(`✅ ${testName}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ ${testName}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Assert function for test validation
+ */
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+/**
+ * Test detection from answers alone
+ */
+async function testDetectQuestionType() {
+  assert(detectQuestionType(['1', '2', '5', '4', '3', '4']) === QUESTION_TYPES.NUMERIC, 'Ratings should be numeric');
+  assert(detectQuestionType(['4,5', '3.5', '-1', '2', '.5']) === QUESTION_TYPES.NUMERIC, 'Decimal points and commas should parse');
+  const mostlyNumbers = [...Array(19).fill('7'), 'n/a'];
+  assert(detectQuestionType(mostlyNumbers) === QUESTION_TYPES.NUMERIC, 'A stray non-number should not stop a numeric column');
+  assert(detectQuestionType(['Agree', 'Strongly agree', 'agree', 'Disagree', 'Agree', 'Neutral', 'Agree', 'Disagree']) === QUESTION_TYPES.CATEGORICAL, 'Likert labels should be categorical');
+  assert(detectQuestionType(['Yes', 'No', 'Yes', '', 'No', 'yes']) === QUESTION_TYPES.CATEGORICAL, 'Yes/no answers should be categorical');
+  assert(detectQuestionType(['Price', 'Speed', 'Logs', 'Support', 'Brand', 'Trial']) === QUESTION_TYPES.OPEN, 'Short answers that do not repeat should stay open');
+  assert(detectQuestionType(ROWS.slice(1).map(row => row[1])) === QUESTION_TYPES.OPEN, 'Conversations should stay open');
+  assert(detectQuestionType(['1', '2', '3']) === QUESTION_TYPES.OPEN, 'Too few answers should stay open');
+}
+
+/**
+ * Test decimal commas and thousands separators
+ */
+async function testParseNumber() {
+  const cases = [
+    ['1,250', 1250], ['-1,250,000', -1250000], ['1,250.5', 1250.5], ['1.250,5', 1250.5], ['1.250.000', 1250000],
+    ['4,5', 4.5], ['1,25', 1.25], ['0,250', 0.25], ['1,2500', 1.25], ['1.250', 1.25], ['.5', 0.5], [' 7 ', 7]
+  ];
+  for (const [text, expected] of cases) {
+    assert(parseNumber(text) === expected, `"${text}" should parse as ${expected}, got ${parseNumber(text)}`);
+  }
+  for (const text of ['1,2,3', '12,50,000', '1.250.5', '1,250,5', 'ten', '']) {
+    assert(parseNumber(text) === null, `"${text}" should not parse, got ${parseNumber(text)}`);
+  }
+  assert(detectQuestionType(['1,250', '980', '2,400', '1,100', '3,050', '700']) === QUESTION_TYPES.NUMERIC, 'Grouped amounts should be numeric');
+}
+
+/**
+ * Test extraction types each column and closed questions are split off with their answers
+ */
+async function testExtractionAndSeparation() {
+  const result = buildExtractedData([{ rows: ROWS }], 'VPN study');
+  assert(!result.error, `Extraction failed: ${result.error}`);
+  const types = result.data.questions.map(question => question.questionType);
+  assert(types.join() === 'open,numeric,categorical', `Unexpected question types: ${types}`);
+
+  const { data, closedQuestions } = separateClosedQuestions(result.data);
+  assert(data.questions.length === 1 && data.participantResponses.length === 6, 'Only the open question should remain');
+  assert(Object.keys(data.questionStats).length === 1, 'Question stats should follow the open questions');
+  assert(closedQuestions.length === 2 && closedQuestions[1].responses[3].value === 'Yes.', 'Closed questions should keep their answers');
+  assert(result.data.questions.length === 3, 'Input data should not be changed');
+
+  const untyped = { ...result.data, questions: result.data.questions.map(({ questionType, ...question }) => question) };
+  assert(separateClosedQuestions(untyped).closedQuestions.length === 0, 'Questions without a type should be treated as open');
+}
+
+/**
+ * Test question metadata can override the detected type
+ */
+async function testMetadataOverride() {
+  const extracted = buildExtractedData([{ rows: ROWS }], 'VPN study').data;
+  const result = applyQuestionMetadata(extracted, { 'Do you pay for it?': { id: 'pays', type: 'open' } });
+  assert(!result.error, `Applying metadata failed: ${result.error}`);
+  assert(result.data.questions.find(question => question.questionId === 'pays').questionType === QUESTION_TYPES.OPEN, 'Type should be overridden');
+  assert(normalizeQuestionMetadata({ q: { type: 'likert' } }).error.includes('type must be one of'), 'Unknown types should be rejected');
+}
+
+/**
+ * Test descriptive statistics, NPS and category counts
+ */
+async function testDescriptiveSummaries() {
+  const stats = describeNumbers([4, 1, 3, 2]);
+  assert(stats.mean === 2.5 && stats.median === 2.5 && stats.lowerQuartile === 1.75 && stats.upperQuartile === 3.25, `Unexpected statistics: ${JSON.stringify(stats)}`);
+  assert(Math.abs(stats.standardDeviation - 1.291) < 0.001, 'Standard deviation should be the sample one');
+  assert(describeNumbers([]).error, 'No numbers should error');
+
+  const { closedQuestions } = separateClosedQuestions(buildExtractedData([{ rows: ROWS }], 'VPN study').data);
+  const [nps, pays] = buildDescriptiveSummaries(closedQuestions);
+
+  assert(nps.statistics.mean === 7.83 && nps.statistics.median === 8.5 && nps.statistics.min === 3, `Unexpected NPS statistics: ${JSON.stringify(nps.statistics)}`);
+  assert(nps.distribution[0].value === 3 && nps.distribution.find(entry => entry.value === 10).count === 2, 'Numeric distribution should count each value in order');
+  assert(nps.netPromoterScore.score === 33 && nps.netPromoterScore.passives === 2, `Unexpected NPS: ${JSON.stringify(nps.netPromoterScore)}`);
+
+  assert(pays.distribution.length === 2 && pays.distribution[0].value === 'Yes' && pays.distribution[0].count === 4, 'Spelling variants should count as one category');
+  assert(pays.distribution[0].share === 0.667 && pays.topCategories.join() === 'Yes,No', 'Shares and top categories should be reported');
+
+  const ages = buildDescriptiveSummaries([{ questionId: 'age', headerText: 'Age', questionType: 'numeric', responses: Array.from({ length: 20 }, (_, index) => ({ value: String(20 + index) })) }]);
+  assert(!ages[0].distribution && !ages[0].netPromoterScore, 'Free numbers should get no value distribution or NPS');
+
+  const markdown = createDescriptiveMarkdown([nps, pays]);
+  assert(markdown.startsWith('## Closed-Ended Questions'), 'Markdown should have its own section');
+  assert(markdown.includes('**NPS: 33**') && markdown.includes('top answers: Yes (66.7%), No (33.3%)'), 'Markdown should show NPS and top answers');
+  assert(createDescriptiveMarkdown([]) === '', 'No closed questions should give no section');
+}
+
+/**
+ * Test the pipeline keeps closed questions out of the analysed data and writes their summaries
+ */
+async function testPipelineAndOutputs() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'question-types-'));
+  const csvPath = path.join(dir, 'survey.csv');
+  await fs.writeFile(csvPath, ROWS.map(row => row.map(cell => `"${cell}"`).join(',')).join('\n'));
+  await fs.writeFile(path.join(dir, 'background.txt'), 'VPN study');
+
+  const pipeline = new ThematicAnalysisPipeline({
+    inputExcelPath: csvPath,
+    backgroundPath: path.join(dir, 'background.txt'),
+    outputDir: dir,
+    enableProductionMonitoring: false
+  });
+  const cleanedData = await pipeline.extractAndParseData();
+  assert(!cleanedData.error, `Extraction failed: ${cleanedData.error}`);
+  assert(cleanedData.questions.length === 1 && Object.keys(cleanedData.responsesByQuestion).length === 1, 'Only the open question should be analysed');
+  assert(cleanedData.closedQuestions.map(question => question.questionType).join() === 'numeric,categorical', 'Closed questions should be carried to the outputs');
+
+  const descriptiveSummaries = buildDescriptiveSummaries(cleanedData.closedQuestions);
+  const analysis = {
+    questionId: 'Why did you pick your VPN?',
+    derivedQuestion: 'Why did you pick your VPN?',
+    participantCount: 6,
+    themes: [{ id: 'privacy', title: 'Privacy', description: 'No logs', participantCount: 6, supportingQuotes: [] }],
+    classifications: {},
+    summary: { headline: 'Privacy first', summary: 's', keyInsights: ['k'] }
+  };
+
+  const report = await generateMainResults([analysis], { outputPath: path.join(dir, 'results.json'), descriptiveSummaries });
+  assert(!report.error && report.closedQuestions.length === 2, `Results JSON should list closed questions: ${report.error}`);
+  const written = JSON.parse(await fs.readFile(path.join(dir, 'results.json'), 'utf8'));
+  assert(written.closedQuestions[0].netPromoterScore.score === 33, 'Results file should contain the summaries');
+
+  const thematic = await generateThematicAnalysis([analysis], { outputDirectory: dir, descriptiveSummaries });
+  assert(!thematic.error && thematic.analysisData.closedQuestions[1].questionType === 'categorical', 'Thematic analysis should list closed questions');
+
+  const markdown = await generateExecutiveSummary([analysis], report, { outputPath: path.join(dir, 'summary.md'), descriptiveSummaries });
+  assert(typeof markdown === 'string' && markdown.includes('## Closed-Ended Questions'), 'Executive summary should include closed questions');
+
+  const closedOnly = path.join(dir, 'closed.csv');
+  await fs.writeFile(closedOnly, ROWS.map(row => [row[0], row[2]].join(',')).join('\n'));
+  const closedPipeline = new ThematicAnalysisPipeline({ inputExcelPath: closedOnly, backgroundPath: path.join(dir, 'background.txt'), enableProductionMonitoring: false });
+  const closedResult = await closedPipeline.extractAndParseData();
+  assert(closedResult.error && closedResult.error.includes('No open-ended questions'), 'A file without open questions should stop with an error');
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('\n🧪 Running Question Type Tests...\n');
+
+  const tests = [
+    ['Detect Question Type', testDetectQuestionType],
+    ['Parse Number', testParseNumber],
+    ['Extraction And Separation', testExtractionAndSeparation],
+    ['Metadata Type Override', testMetadataOverride],
+    ['Descriptive Summaries', testDescriptiveSummaries],
+    ['Pipeline And Outputs', testPipelineAndOutputs]
+  ];
+
+  let passed = 0;
+  let total = tests.length;
+
+  for (const [name, testFn] of tests) {
+    if (await runTest(name, testFn)) {
+      passed++;
+    }
+  }
+
+  console.log(`\n📊 Test Results: ${passed}/${total} tests passed`);
+
+  if (passed === total) {
+    console.log('✅ All question type tests passed!');
+  } else {
+    console.log('❌ Some tests failed. Please fix issues before proceeding.');
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export { runAllTests };
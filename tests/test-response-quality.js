@@ -0,0 +1,244 @@
+/**
+ * Response Quality Tests
+ * Tests low-effort and near-duplicate flags and how agents and outputs use them
+ */
+
+import {
+  isLowEffortResponse,
+  findNearDuplicateResponses,
+  assessResponseQuality,
+  normalizeResponseText,
+  QUALITY_FLAGS
+} from '../src/data/extractors/validator.js';
+import { parseAndCleanResponses } from '../src/data/parsers/response-parser.js';
+import { ClassifierAgent } from '../src/analysis/agents/classifier.js';
+import { QuoteExtractorAgent } from '../src/analysis/agents/quote-extractor.js';
+import { generateClassificationFiles } from '../src/outputs/generators/excel-generator.js';
+import ExcelJS from 'exceljs';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const COPIED = 'I picked it because the price was fair and it never slowed down my streaming at all';
+
+/**
+ * Simple test runner - follows pattern from previous tests
+ */
+async function runTest(testName, testFn) {
+  try {
+    await testFn();
+    console.log(`✅ ${testName}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ ${testName}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Assert function for test validation
+ */
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+/**
+ * Build extracted data for one question from participant answers
+ */
+function buildExtractedData(answers) {
+  return {
+    projectBackground: 'VPN study',
+    questions: [{ questionId: 'q1', headerText: 'q1' }],
+    participantResponses: Object.entries(answers).map(([participantId, answer]) => ({
+      participantId,
+      questionId: 'q1',
+      response: `assistant: Why did you pick your VPN?\nuser: ${answer}`
+    })),
+    metadata: {}
+  };
+}
+
+/**
+ * Test low-effort detection
+ */
+async function testLowEffort() {
+  assert(normalizeResponseText("I DON'T know!!") === 'i dont know', 'Normalization should drop case, apostrophes and punctuation');
+
+  for (const text of ['idk', 'N/A', "I don't know.", 'Not sure', '??', 'Price']) {
+    assert(isLowEffortResponse(text).lowEffort, `"${text}" should be low effort`);
+  }
+  for (const text of ['Mostly the price', 'It keeps my banking safe on public wifi']) {
+    assert(!isLowEffortResponse(text).lowEffort, `"${text}" should not be low effort`);
+  }
+  assert(isLowEffortResponse('Price').reason === '1-word answer', 'Single words should give a reason');
+  assert(!isLowEffortResponse('Price', { maxWords: 0 }).lowEffort, 'Word limit should be configurable');
+}
+
+/**
+ * Test near-duplicate detection across participants of the same question
+ */
+async function testNearDuplicates() {
+  const responses = [
+    { participantId: 'P1', questionId: 'q1', cleanResponse: `user: ${COPIED}` },
+    { participantId: 'P2', questionId: 'q1', cleanResponse: `user: ${COPIED.toUpperCase()}!` },
+    { participantId: 'P3', questionId: 'q1', cleanResponse: `user: ${COPIED.replace('fair', 'really fair')}` },
+    { participantId: 'P4', questionId: 'q1', cleanResponse: 'user: My employer requires it for remote work and pays for the licence too' },
+    { participantId: 'P5', questionId: 'q2', cleanResponse: `user: ${COPIED}` },
+    { participantId: 'P6', questionId: 'q1', cleanResponse: 'user: Not that I can think of' },
+    { participantId: 'P7', questionId: 'q1', cleanResponse: 'user: Not that I can think of' }
+  ];
+
+  const duplicates = findNearDuplicateResponses(responses);
+  assert(duplicates.map(d => d.response.participantId).join(',') === 'P2,P3', `Unexpected duplicates: ${duplicates.map(d => d.response.participantId)}`);
+  assert(duplicates.every(d => d.duplicateOf === 'P1'), 'Duplicates should point at the first answer');
+  assert(duplicates[0].similarity === 1 && duplicates[1].similarity >= 0.8 && duplicates[1].similarity < 1, 'Similarity should reflect edits');
+
+  const quality = assessResponseQuality(responses);
+  assert(quality[0].flag === QUALITY_FLAGS.OK && quality[1].flag === QUALITY_FLAGS.NEAR_DUPLICATE, 'Original should stay ok');
+  assert(quality[4].flag === QUALITY_FLAGS.OK, 'Other questions should not be compared');
+  assert(quality[6].flag === QUALITY_FLAGS.OK, 'Short stock phrases should not count as copies');
+}
+
+/**
+ * Test near-duplicate detection stays fast on large questions
+ */
+async function testNearDuplicatesAtScale() {
+  const vocabulary = Array.from({ length: 400 }, (_, i) => `word${i}`);
+  let seed = 7;
+  const nextWord = () => {
+    seed = (seed * 48271) % 2147483647;
+    return vocabulary[seed % vocabulary.length];
+  };
+
+  const responses = Array.from({ length: 5000 }, (_, i) => ({
+    participantId: `P${i}`,
+    questionId: 'q1',
+    cleanResponse: `user: ${Array.from({ length: 20 }, nextWord).join(' ')}`
+  }));
+  responses.push({ participantId: 'COPY1', questionId: 'q1', cleanResponse: responses[1234].cleanResponse });
+  responses.push({ participantId: 'COPY2', questionId: 'q1', cleanResponse: `${responses[4321].cleanResponse} indeed` });
+
+  const started = Date.now();
+  const duplicates = findNearDuplicateResponses(responses);
+  const elapsed = Date.now() - started;
+
+  assert(duplicates.map(d => `${d.response.participantId}>${d.duplicateOf}`).join(',') === 'COPY1>P1234,COPY2>P4321',
+    `Unexpected duplicates: ${duplicates.map(d => `${d.response.participantId}>${d.duplicateOf}`)}`);
+  assert(elapsed < 5000, `Near-duplicate detection took ${elapsed}ms for ${responses.length} answers`);
+}
+
+/**
+ * Test cleaned responses carry quality flags
+ */
+async function testParsingFlags() {
+  const result = parseAndCleanResponses(buildExtractedData({
+    P1: COPIED,
+    P2: COPIED,
+    P3: 'idk',
+    P4: 'Speed matters most because I game online every evening'
+  }));
+  assert(!result.error, `Parsing failed: ${result.error}`);
+
+  const byId = Object.fromEntries(result.data.responsesByQuestion.q1.map(r => [r.participantId, r]));
+  assert(byId.P1.quality.flag === 'ok' && byId.P2.quality.flag === 'near_duplicate', 'Copied answer should be flagged');
+  assert(byId.P3.quality.flag === 'low_effort', 'Non-answer should be flagged');
+  assert(result.data.flaggedResponses.map(r => r.participantId).join(',') === 'P2,P3', 'Flagged responses should be listed');
+  assert(result.data.metadata.flaggedResponses === 2, 'Metadata should count flagged responses');
+}
+
+/**
+ * Test classifier and quote extractor handling of flagged responses
+ */
+async function testAgentHandling() {
+  const flagged = { participantId: 'P2', quality: { flag: 'low_effort', reason: '1-word answer' } };
+  const ok = { participantId: 'P1', quality: { flag: 'ok' } };
+  const classifications = [
+    { participantId: 'P1', themeId: 't1', theme: 'Price', confidence: 0.9 },
+    { participantId: 'P2', themeId: 't1', theme: 'Price', confidence: 0.8 }
+  ];
+
+  const classifier = new ClassifierAgent();
+  const downweighted = classifier.applyQualityHandling({ classifications }, [ok, flagged], [], 'downweight');
+  assert(downweighted.classifications[0].confidence === 0.9 && !downweighted.classifications[0].qualityFlag, 'Unflagged classification should be unchanged');
+  assert(downweighted.classifications[1].confidence === 0.4 && downweighted.classifications[1].qualityFlag === 'low_effort', 'Flagged confidence should be halved');
+
+  const excluded = classifier.applyQualityHandling({ classifications: classifications.slice(0, 1) }, [ok], [flagged], 'exclude');
+  assert(excluded.excludedResponses[0].participantId === 'P2', 'Excluded responses should be reported');
+
+  const extractor = new QuoteExtractorAgent();
+  const flaggedIds = new Set(['P2']);
+  assert(extractor.prioritizeResponses([flagged, ok], flaggedIds, 'downweight')[0] === ok, 'Unflagged responses should come first');
+  assert(extractor.prioritizeResponses([flagged, ok], flaggedIds, 'exclude').length === 1, 'Flagged responses should be left out of the prompt');
+
+  const quotes = { t1: [{ quote: 'idk', participantId: 'P2' }, { quote: 'Fair price', participantId: 'P1' }] };
+  assert(extractor.applyQualityHandling(quotes, flaggedIds, 'exclude').t1.length === 1, 'Quotes from flagged responses should be dropped');
+  assert(extractor.applyQualityHandling(quotes, flaggedIds, 'downweight').t1[1].participantId === 'P2', 'Quotes from flagged responses should be ranked last');
+}
+
+/**
+ * Test classification files list flagged responses
+ */
+async function testFlaggedOutputs() {
+  const cleaned = parseAndCleanResponses(buildExtractedData({ P1: COPIED, P2: 'n/a' })).data;
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'response-quality-'));
+
+  const files = await generateClassificationFiles([{
+    questionId: 'q1',
+    derivedQuestion: 'Why did you pick your VPN?',
+    participantCount: 2,
+    themes: [{ id: 't1', title: 'Price', description: 'Cost', supportingQuotes: [] }],
+    classifications: { P1: 'Price', P2: 'Price' },
+    summary: 's'
+  }], cleaned, { outputDir: dir });
+  assert(!files.error && files.length === 1, `Generation failed: ${files.error}`);
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(files[0]);
+  const sheet = workbook.getWorksheet('Flagged Responses');
+  assert(sheet, 'Flagged responses sheet should be added');
+  const row = sheet.getRow(2).values.slice(1);
+  assert(row[0] === 'P2' && row[2] === 'low_effort' && row[4] === 'Price', `Unexpected flagged row: ${row.join(', ')}`);
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('\n🧪 Running Response Quality Tests...\n');
+
+  const tests = [
+    ['Low-Effort Detection', testLowEffort],
+    ['Near-Duplicate Detection', testNearDuplicates],
+    ['Near-Duplicates At Scale', testNearDuplicatesAtScale],
+    ['Parsing Flags', testParsingFlags],
+    ['Agent Handling', testAgentHandling],
+    ['Flagged Outputs', testFlaggedOutputs]
+  ];
+
+  let passed = 0;
+  let total = tests.length;
+
+  for (const [name, testFn] of tests) {
+    if (await runTest(name, testFn)) {
+      passed++;
+    }
+  }
+
+  console.log(`\n📊 Test Results: ${passed}/${total} tests passed`);
+
+  if (passed === total) {
+    console.log('✅ All response quality tests passed!');
+  } else {
+    console.log('❌ Some tests failed. Please fix issues before proceeding.');
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export { runAllTests };
@@ -0,0 +1,201 @@
+/**
+ * Segment Comparison Tests
+ * Tests significance helpers and theme x segment cross-tabs in JSON, Excel and Markdown outputs
+ */
+
+import { chiSquareTest, fisherExactTest, chiSquareSurvival } from '../src/utils/helpers/statistics.js';
+import {
+  buildSegmentComparisons,
+  generateSegmentComparison,
+  createSegmentComparisonMarkdown
+} from '../src/outputs/generators/segment-generator.js';
+import { generateClassificationFiles } from '../src/outputs/generators/excel-generator.js';
+import ExcelJS from 'exceljs';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Simple test runner - follows pattern from previous tests
+ */
+async function runTest(testName, testFn) {
+  try {
+    await testFn();
+    console.log(`✅ ${testName}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ ${testName}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Assert function for test validation
+ */
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+/**
+ * Build a question where enterprise participants mostly mention security and SMB mostly price
+ */
+function buildFixture() {
+  const classifications = {};
+  const participantAttributes = {};
+  const responses = [];
+
+  for (let i = 1; i <= 40; i++) {
+    const participantId = `P${i}`;
+    const tier = i <= 20 ? 'Enterprise' : 'SMB';
+    const theme = tier === 'Enterprise'
+      ? (i <= 16 ? 'Security' : 'Price')
+      : (i <= 36 ? 'Price' : 'Security');
+    classifications[participantId] = theme;
+    participantAttributes[participantId] = { Tier: tier, Region: i % 2 === 0 ? 'EU' : 'US', Email: `${participantId}@x.com` };
+    responses.push({ participantId, questionId: 'vpn_selection', cleanResponse: `user: I picked it for ${theme.toLowerCase()}` });
+  }
+  // Small segment that should be excluded
+  participantAttributes.P40.Tier = 'Startup';
+
+  const analyses = [{
+    questionId: 'vpn_selection',
+    derivedQuestion: 'Why did you choose your VPN?',
+    participantCount: 40,
+    themes: [
+      { id: 't1', title: 'Security', description: 'Security features', supportingQuotes: [] },
+      { id: 't2', title: 'Price', description: 'Cost', supportingQuotes: [] }
+    ],
+    classifications,
+    summary: 'summary'
+  }, { questionId: 'failed_question', error: 'LLM failed' }];
+
+  return { analyses, participantAttributes, cleanedData: { participantAttributes, responsesByQuestion: { vpn_selection: responses } } };
+}
+
+/**
+ * Test statistical helpers against reference values
+ */
+async function testStatistics() {
+  const chi = chiSquareTest([[10, 20], [30, 40]]);
+  assert(Math.abs(chi.statistic - 0.7937) < 0.001, `Unexpected chi-square statistic ${chi.statistic}`);
+  assert(Math.abs(chi.pValue - 0.373) < 0.001, `Unexpected chi-square p-value ${chi.pValue}`);
+  assert(Math.abs(chiSquareSurvival(5.991, 2) - 0.05) < 0.001, 'Chi-square survival should match table value');
+
+  const fisher = fisherExactTest([[1, 9], [11, 3]]);
+  assert(Math.abs(fisher.pValue - 0.002759) < 0.00001, `Unexpected Fisher p-value ${fisher.pValue}`);
+  assert(fisherExactTest([[1, 2, 3]]).error, 'Fisher test should reject non 2x2 tables');
+  assert(chiSquareTest([[1, 0], [2, 0]]).error, 'Chi-square should reject tables with one non-empty column');
+}
+
+/**
+ * Test cross-tabs and significance flags
+ */
+async function testCrossTabs() {
+  const { analyses, participantAttributes } = buildFixture();
+  const result = buildSegmentComparisons(analyses, participantAttributes);
+  assert(!result.error, `Build failed: ${result.error}`);
+
+  const tier = result.data.comparisons.find(c => c.attribute === 'Tier');
+  assert(tier, 'Tier comparison should exist');
+  assert(tier.segments.map(s => s.name).join('|') === 'Enterprise|SMB', 'Segments should be sorted and small ones excluded');
+  assert(tier.excludedSegments[0].name === 'Startup', 'Startup segment should be excluded as too small');
+
+  const security = tier.crossTab.find(row => row.theme === 'Security');
+  assert(security.counts.Enterprise === 16 && security.shares.Enterprise === 0.8, 'Security counts/shares mismatch for Enterprise');
+  assert(security.test.significant, 'Security difference between tiers should be significant');
+  assert(tier.overallTest.significant, 'Overall tier test should be significant');
+
+  const region = result.data.comparisons.find(c => c.attribute === 'Region');
+  assert(region && !region.overallTest.significant, 'Region should not show a significant difference');
+
+  assert(result.data.skipped.some(s => s.attribute === 'Email'), 'Identifier-like attributes should be skipped');
+}
+
+/**
+ * Test JSON file generation and skipping without attributes
+ */
+async function testJsonGeneration() {
+  const { analyses, cleanedData } = buildFixture();
+  const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'segment-comparison-'));
+
+  const result = await generateSegmentComparison(analyses, cleanedData, { outputDir });
+  assert(!result.error && result.filePath, `Generation failed: ${result.error}`);
+
+  const written = JSON.parse(await fs.readFile(result.filePath, 'utf8'));
+  assert(written.comparisons.length === result.comparisonData.comparisons.length, 'Written JSON should match comparison data');
+
+  const skipped = await generateSegmentComparison(analyses, { participantAttributes: {} }, { outputDir });
+  assert(skipped.skipped, 'Should skip when there are no attributes');
+}
+
+/**
+ * Test Markdown section and Excel sheet
+ */
+async function testMarkdownAndExcel() {
+  const { analyses, participantAttributes, cleanedData } = buildFixture();
+  const comparisonData = buildSegmentComparisons(analyses, participantAttributes).data;
+
+  const markdown = createSegmentComparisonMarkdown(comparisonData);
+  assert(markdown.startsWith('## Segment Comparison'), 'Markdown should start with section header');
+  assert(markdown.includes('| Security |'), 'Markdown should include cross-tab rows');
+  assert(markdown.includes('Notable differences'), 'Markdown should list significant differences');
+  assert(createSegmentComparisonMarkdown(null) === '', 'No comparison data should produce no section');
+
+  const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'segment-excel-'));
+  const files = await generateClassificationFiles([analyses[0]], cleanedData, { outputDir, segmentComparison: comparisonData });
+  assert(!files.error && files.length === 1, `Excel generation failed: ${files.error}`);
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(files[0]);
+  const sheet = workbook.getWorksheet('Segment Comparison');
+  assert(sheet, 'Classification workbook should include Segment Comparison sheet');
+
+  let foundSignificant = false;
+  sheet.eachRow(row => {
+    if (row.getCell(1).value === 'Security' && String(row.values.slice(-1)[0]).startsWith('Yes')) {
+      foundSignificant = true;
+    }
+  });
+  assert(foundSignificant, 'Sheet should flag the significant Security difference');
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('\n🧪 Running Segment Comparison Tests...\n');
+
+  const tests = [
+    ['Statistical Helpers', testStatistics],
+    ['Cross-Tabs and Significance', testCrossTabs],
+    ['JSON Generation', testJsonGeneration],
+    ['Markdown and Excel Output', testMarkdownAndExcel]
+  ];
+
+  let passed = 0;
+  let total = tests.length;
+
+  for (const [name, testFn] of tests) {
+    if (await runTest(name, testFn)) {
+      passed++;
+    }
+  }
+
+  console.log(`\n📊 Test Results: ${passed}/${total} tests passed`);
+
+  if (passed === total) {
+    console.log('✅ All segment comparison tests passed!');
+  } else {
+    console.log('❌ Some tests failed. Please fix issues before proceeding.');
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export { runAllTests };
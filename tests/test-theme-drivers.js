@@ -0,0 +1,199 @@
+/**
+ * Theme Driver Tests
+ * Tests the t-test, ANOVA and effect-size helpers, joining themes with a numeric outcome,
+ * and the "Theme Drivers" sections in the results JSON and executive summary
+ */
+
+import { welchTTest, oneWayAnova, cohensD } from '../src/utils/helpers/statistics.js';
+import { resolveOutcomeScores, buildThemeDrivers, createThemeDriversMarkdown } from '../src/outputs/generators/driver-generator.js';
+import { generateMainResults } from '../src/outputs/generators/json-generator.js';
+import { generateExecutiveSummary } from '../src/outputs/generators/summary-generator.js';
+import { ThematicAnalysisPipeline } from '../src/main.js';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const SCORES = { P1: 9, P2: 10, P3: 8, P4: 9, P5: 10, P6: 3, P7: 4, P8: 2, P9: 5, P10: 3, P11: 7, P12: 6 };
+
+const ANALYSIS = {
+  questionId: 'vpn_choice',
+  derivedQuestion: 'Why did you choose your VPN?',
+  participantCount: 13,
+  themes: [
+    { id: 'privacy', title: 'Privacy', description: 'No logs', participantCount: 5, supportingQuotes: [] },
+    { id: 'price', title: 'Price', description: 'Cheap', participantCount: 5, supportingQuotes: [] },
+    { id: 'speed', title: 'Speed', description: 'Fast', participantCount: 2, supportingQuotes: [] },
+    { id: 'brand', title: 'Brand', description: 'Known name', participantCount: 0, supportingQuotes: [] }
+  ],
+  classifications: {
+    P1: 'Privacy', P2: 'Privacy', P3: 'Privacy', P4: 'Privacy', P5: 'Privacy',
+    P6: 'Price', P7: 'Price', P8: 'Price', P9: 'Price', P10: 'Price',
+    P11: 'Speed', P12: 'Speed', P13: 'Speed'
+  },
+  summary: { headline: 'Privacy first', summary: 's', keyInsights: ['k'] }
+};
+
+/**
+ * Simple test runner - follows pattern from previous tests
+ */
+async function runTest(testName, testFn) {
+  try {
+    await testFn();
+    console.log(`✅ ${testName}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ ${testName}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Assert function for test validation
+ */
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+/**
+ * Test the statistical helpers against known results
+ */
+async function testStatistics() {
+  const welch = welchTTest([1, 2, 3, 4, 5], [3, 4, 5, 6, 7, 8]);
+  assert(Math.abs(welch.statistic + 2.4019) < 0.0001 && Math.abs(welch.degreesOfFreedom - 8.9894) < 0.0001, `Unexpected Welch statistic: ${JSON.stringify(welch)}`);
+  assert(Math.abs(welch.pValue - 0.0398) < 0.0001, `Unexpected Welch p-value: ${welch.pValue}`);
+  assert(welchTTest([1], [2, 3]).error && welchTTest([2, 2], [2, 2]).error, 'Tiny or constant samples should error');
+
+  const anova = oneWayAnova([[1, 2, 3], [4, 5, 6], [7, 8, 9.5], []]);
+  // With two numerator degrees of freedom the F tail has a closed form: (1 + 2F / d2)^(-d2 / 2)
+  const expected = (1 + 2 * anova.statistic / 6) ** -3;
+  assert(anova.degreesOfFreedom.join() === '2,6' && Math.abs(anova.pValue - expected) < 1e-10, `Unexpected ANOVA: ${JSON.stringify(anova)}`);
+  assert(oneWayAnova([[1, 2]]).error, 'One group should error');
+
+  assert(Math.abs(cohensD([1, 2, 3, 4, 5], [3, 4, 5, 6, 7, 8]) + 1.4302) < 0.0001, 'Cohen\'s d should use the pooled standard deviation');
+  assert(cohensD([1, 1], [1, 1]) === null, 'No variation should give no effect size');
+}
+
+/**
+ * Test outcome scores come from numeric questions or numeric attributes
+ */
+async function testResolveOutcomeScores() {
+  const cleanedData = {
+    closedQuestions: [
+      { questionId: 'nps', headerText: 'How likely are you to recommend us?', questionType: 'numeric', responses: [{ participantId: 'P1', value: '9' }, { participantId: 'P2', value: 'n/a' }] },
+      { questionId: 'pays', headerText: 'Do you pay?', questionType: 'categorical', responses: [] }
+    ],
+    participantAttributes: { P1: { Satisfaction: '4,5', Plan: 'Pro' }, P2: { Satisfaction: '2', Plan: 'Free' } }
+  };
+
+  const byHeader = resolveOutcomeScores(cleanedData, 'how likely are you to recommend us?');
+  assert(byHeader.data.outcome === 'nps' && byHeader.data.source === 'question', 'Questions should match by header');
+  assert(JSON.stringify(byHeader.data.scores) === '{"P1":9}', 'Non-numeric answers should be skipped');
+
+  const attribute = resolveOutcomeScores(cleanedData, 'satisfaction');
+  assert(attribute.data.source === 'attribute' && attribute.data.scores.P1 === 4.5, 'Numeric attributes should be used');
+
+  assert(resolveOutcomeScores(cleanedData, 'pays').error.includes('categorical'), 'Categorical questions should be rejected');
+  assert(resolveOutcomeScores(cleanedData, 'Plan').error.includes('no numeric values'), 'Text attributes should be rejected');
+  assert(resolveOutcomeScores(cleanedData, 'missing').error.includes('not a numeric question'), 'Unknown columns should be rejected');
+}
+
+/**
+ * Test per-theme means, effect sizes and significance
+ */
+async function testBuildThemeDrivers() {
+  const result = buildThemeDrivers([ANALYSIS, { questionId: 'failed', error: 'boom' }], { outcome: 'nps', scores: SCORES });
+  assert(!result.error, `Driver analysis failed: ${result.error}`);
+
+  const [question] = result.data.questions;
+  assert(result.data.questions.length === 1 && question.scoredParticipants === 12 && question.participantsWithoutScore === 1, 'Participants without a score should be counted apart');
+  assert(question.themes.map(theme => theme.theme).join() === 'Privacy,Speed,Price', `Drivers should be ordered by difference: ${question.themes.map(theme => theme.theme)}`);
+
+  const [privacy, speed, price] = question.themes;
+  assert(privacy.meanScore === 9.2 && privacy.otherMeanScore === 4.29 && privacy.difference === 4.91, `Unexpected privacy means: ${JSON.stringify(privacy)}`);
+  assert(privacy.test.method === 'welch-t' && privacy.test.significant && privacy.effectLabel === 'large', 'Privacy should be a significant positive driver');
+  assert(price.difference < 0 && price.test.significant, 'Price should be a significant negative driver');
+  assert(speed.test.method === 'none' && speed.effectSize === null, 'Themes below the minimum size should not be tested');
+  assert(question.overallTest.method === 'anova' && question.overallTest.significant, 'ANOVA should cover the tested themes');
+
+  const skipped = buildThemeDrivers([ANALYSIS], { outcome: 'nps', scores: { P1: 9 } });
+  assert(skipped.data.questions.length === 0 && skipped.data.skipped[0].reason.includes('Only 1'), 'Questions with too few scores should be skipped');
+  assert(buildThemeDrivers(null, { scores: {} }).error, 'Invalid analyses should error');
+
+  const markdown = createThemeDriversMarkdown(result.data);
+  assert(markdown.startsWith('## Theme Drivers') && markdown.includes('"Privacy" goes with higher nps') && markdown.includes('"Price" goes with lower nps'), 'Markdown should name the drivers');
+  assert(markdown.includes('| Speed | 2 | 6.5 |') && markdown.includes('ANOVA, F(1, 8)'), 'Markdown should list every theme and the overall test');
+  assert(createThemeDriversMarkdown(skipped.data) === '', 'No analysed question should give no section');
+}
+
+/**
+ * Test the pipeline picks the outcome column and the outputs show the drivers
+ */
+async function testPipelineAndOutputs() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'theme-drivers-'));
+  const cleanedData = {
+    questions: [{ questionId: 'vpn_choice' }],
+    closedQuestions: [{
+      questionId: 'nps',
+      headerText: 'nps',
+      questionType: 'numeric',
+      responses: Object.entries(SCORES).map(([participantId, score]) => ({ participantId, value: String(score) }))
+    }],
+    participantAttributes: {}
+  };
+
+  const pipeline = new ThematicAnalysisPipeline({ outputDir: dir, enableProductionMonitoring: false });
+  const drivers = pipeline.analyzeThemeDrivers([ANALYSIS], cleanedData);
+  assert(drivers && drivers.outcome === 'nps', 'The only numeric question should be the default outcome');
+  const missing = new ThematicAnalysisPipeline({ driverColumn: 'satisfaction', enableProductionMonitoring: false });
+  assert(missing.analyzeThemeDrivers([ANALYSIS], cleanedData) === null, 'An unknown outcome column should skip driver analysis');
+  assert(pipeline.analyzeThemeDrivers([ANALYSIS], { ...cleanedData, closedQuestions: [] }) === null, 'No outcome column should skip driver analysis');
+
+  const report = await generateMainResults([ANALYSIS], { outputPath: path.join(dir, 'results.json'), themeDrivers: drivers });
+  assert(!report.error, `Results JSON failed: ${report.error}`);
+  const written = JSON.parse(await fs.readFile(path.join(dir, 'results.json'), 'utf8'));
+  assert(written.themeDrivers.questions[0].themes[0].theme === 'Privacy', 'Results file should contain the drivers');
+
+  const markdown = await generateExecutiveSummary([ANALYSIS], report, { outputPath: path.join(dir, 'summary.md'), themeDrivers: drivers });
+  assert(typeof markdown === 'string' && markdown.includes('## Theme Drivers'), 'Executive summary should include theme drivers');
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('\n🧪 Running Theme Driver Tests...\n');
+
+  const tests = [
+    ['Statistics Helpers', testStatistics],
+    ['Resolve Outcome Scores', testResolveOutcomeScores],
+    ['Build Theme Drivers', testBuildThemeDrivers],
+    ['Pipeline And Outputs', testPipelineAndOutputs]
+  ];
+
+  let passed = 0;
+  let total = tests.length;
+
+  for (const [name, testFn] of tests) {
+    if (await runTest(name, testFn)) {
+      passed++;
+    }
+  }
+
+  console.log(`\n📊 Test Results: ${passed}/${total} tests passed`);
+
+  if (passed === total) {
+    console.log('✅ All theme driver tests passed!');
+  } else {
+    console.log('❌ Some tests failed. Please fix issues before proceeding.');
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export { runAllTests };
@@ -0,0 +1,274 @@
+/**
+ * Transcript Extraction Tests
+ * Tests VTT, SRT, DOCX and plain-text transcripts split into questions with a discussion guide
+ */
+
+import {
+  extractDataFromTranscripts,
+  parseCaptions,
+  parseSpeakerLines,
+  assignSpeakerRoles
+} from '../src/data/extractors/transcript-extractor.js';
+import { loadDiscussionGuide, normalizeDiscussionGuide, segmentTranscript } from '../src/data/extractors/discussion-guide.js';
+import { resolveSpeakerLabels, getParticipantText } from '../src/data/parsers/conversation-parser.js';
+import { parseAndCleanResponses } from '../src/data/parsers/response-parser.js';
+import JSZip from 'jszip';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const GUIDE = {
+  questions: [
+    { questionId: 'vpn_selection', question: 'Which VPN do you use and why did you choose it?', cues: ['which vpn'] },
+    { questionId: 'privacy_concerns', question: 'What worries you most about online privacy?' }
+  ]
+};
+
+const VTT = `WEBVTT
+
+NOTE recorded on Zoom
+
+1
+00:00:01.000 --> 00:00:03.000
+<v Jane Smith>Thanks for joining today.</v>
+
+2
+00:00:04.000 --> 00:00:07.000
+<v Jane Smith>So, which VPN are you using at the moment?</v>
+
+3
+00:00:08.000 --> 00:00:10.000
+<v Tom>Mostly Mullvad, because</v>
+
+4
+00:00:10.000 --> 00:00:12.000
+<v Tom>it does not ask for an email.</v>
+
+5
+00:00:13.000 --> 00:00:16.000
+<v Jane Smith>And what worries you most about your privacy online?</v>
+
+6
+00:00:17.000 --> 00:00:20.000
+<v Tom>Ad trackers &amp; data brokers.</v>
+`;
+
+const SRT = `1
+00:00:01,000 --> 00:00:04,000
+Interviewer: Which VPN do you use, and why did you choose it?
+
+2
+00:00:05,000 --> 00:00:08,000
+Respondent: NordVPN. My brother set it up.
+
+3
+00:00:09,000 --> 00:00:12,000
+Interviewer: Okay. Anything else?
+
+4
+00:00:13,000 --> 00:00:15,000
+Respondent: <i>It was on sale.</i>
+`;
+
+const TXT = [
+  '[00:00:02] Moderator (Ana): Welcome! Before we start: is recording okay?',
+  '[00:00:05] Priya: Sure.',
+  '[00:00:09] Moderator (Ana): What worries you most about online privacy?',
+  '[00:00:15] Priya: Honestly, my bank details leaking.',
+  'I check haveibeenpwned a lot.'
+].join('\n');
+
+/**
+ * Simple test runner - follows pattern from previous tests
+ */
+async function runTest(testName, testFn) {
+  try {
+    await testFn();
+    console.log(`✅ ${testName}`);
+    return true;
+  } catch (error) {
+    console.error(`❌ ${testName}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Assert function for test validation
+ */
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+/**
+ * Write a minimal Word document with one paragraph per line
+ */
+async function writeDocx(filePath, lines) {
+  const paragraphs = lines.map(line => {
+    const [speaker, ...rest] = line.split(': ');
+    // Split runs the way Word does when formatting changes mid-paragraph
+    return `<w:p><w:r><w:rPr><w:b/></w:rPr><w:t>${speaker}:</w:t></w:r><w:r><w:t xml:space="preserve"> ${rest.join(': ')}</w:t></w:r></w:p>`;
+  }).join('');
+
+  const zip = new JSZip();
+  zip.file('word/document.xml', `<?xml version="1.0" encoding="UTF-8"?><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>${paragraphs}</w:body></w:document>`);
+  await fs.writeFile(filePath, await zip.generateAsync({ type: 'nodebuffer' }));
+}
+
+/**
+ * Create a transcript folder with one file per supported format
+ */
+async function createTranscriptFolder() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'transcripts-'));
+  await fs.writeFile(path.join(dir, 'P01.vtt'), VTT, 'utf8');
+  await fs.writeFile(path.join(dir, 'P02.srt'), SRT, 'utf8');
+  await fs.writeFile(path.join(dir, 'P03.txt'), TXT, 'utf8');
+  await writeDocx(path.join(dir, 'P04.docx'), [
+    'Interviewer: Which VPN do you use and why?',
+    'Sam: ProtonVPN, since it is Swiss &amp; open source.',
+    'Interviewer: What worries you about online privacy?',
+    'Sam: Governments reading my messages.'
+  ]);
+  await fs.writeFile(path.join(dir, 'notes.md'), 'not a transcript', 'utf8');
+  await fs.writeFile(path.join(dir, 'guide.json'), JSON.stringify(GUIDE), 'utf8');
+  return dir;
+}
+
+/**
+ * Test caption and speaker-line parsing
+ */
+async function testTranscriptParsing() {
+  const vtt = parseCaptions(VTT);
+  assert(vtt.length === 4, `Expected 4 VTT utterances, got ${vtt.length}`);
+  assert(vtt[1].speaker === 'Tom' && vtt[1].text === 'Mostly Mullvad, because it does not ask for an email.', 'Consecutive cues should merge');
+  assert(vtt[3].text === 'Ad trackers & data brokers.', 'Entities should be decoded');
+
+  const srt = parseCaptions(SRT);
+  assert(srt.map(u => u.speaker).join('|') === 'Interviewer|Respondent|Interviewer|Respondent', 'SRT speaker prefixes should be read');
+  assert(srt[3].text === 'It was on sale.', 'Formatting tags should be stripped');
+
+  const txt = parseSpeakerLines(TXT);
+  assert(txt[0].speaker === 'Moderator (Ana)', 'Timestamps should be stripped before the speaker');
+  assert(txt[0].text === 'Welcome! Before we start: is recording okay?', 'Colons inside speech should not start a new speaker');
+  assert(txt[3].text.endsWith('I check haveibeenpwned a lot.'), 'Lines without a speaker should continue the utterance');
+}
+
+/**
+ * Test speaker role assignment
+ */
+async function testSpeakerRoles() {
+  const labels = resolveSpeakerLabels().data;
+
+  const known = assignSpeakerRoles(parseSpeakerLines(TXT), labels);
+  assert(known.turns[0].role === 'interviewer' && known.warnings.length === 0, 'Role hint in parentheses should be used');
+
+  const guessed = assignSpeakerRoles(parseCaptions(VTT), labels);
+  assert(guessed.turns[0].role === 'interviewer' && guessed.turns[1].role === 'participant', 'Question asker should be guessed as interviewer');
+  assert(guessed.warnings.some(w => w.includes('Jane Smith')), 'Guessing the interviewer should warn');
+
+  const configured = assignSpeakerRoles(parseCaptions(VTT), resolveSpeakerLabels({ interviewer: ['Jane Smith'] }).data);
+  assert(configured.warnings.length === 0, 'Configured interviewer names should not warn');
+
+  const noQuestions = assignSpeakerRoles([{ speaker: 'A1', text: 'Hi.' }, { speaker: 'B1', text: 'Hello.' }], labels);
+  assert(noQuestions.error, 'Transcripts without a recognisable interviewer should error');
+}
+
+/**
+ * Test discussion guide loading and segmentation
+ */
+async function testDiscussionGuide() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'guide-'));
+  const textGuide = path.join(dir, 'guide.txt');
+  await fs.writeFile(textGuide, '# Wave 1 guide\n[vpn] Which VPN do you use?\nWhat worries you about privacy?\n', 'utf8');
+
+  const loaded = await loadDiscussionGuide(textGuide);
+  assert(!loaded.error, `Loading failed: ${loaded.error}`);
+  assert(loaded.data.map(q => q.questionId).join('|') === 'vpn|q2', 'Text guide IDs mismatch');
+
+  assert(normalizeDiscussionGuide([]).error, 'Empty guide should error');
+  assert(normalizeDiscussionGuide(['a', { questionId: 'q1', question: 'b' }]).error, 'Duplicate IDs should error');
+
+  const guide = normalizeDiscussionGuide(GUIDE).data;
+  const sections = segmentTranscript([
+    { role: 'interviewer', text: 'Thanks for coming in.' },
+    { role: 'participant', text: 'No problem.' },
+    { role: 'interviewer', text: 'Which VPN do you have installed?' },
+    { role: 'participant', text: 'Surfshark.' },
+    { role: 'interviewer', text: 'Why that one?' },
+    { role: 'participant', text: 'Price.' },
+    { role: 'interviewer', text: 'What worries you most about privacy online?' }
+  ], guide);
+
+  assert(Object.keys(sections).join('|') === 'vpn_selection', 'Unanswered questions should be dropped');
+  assert(getParticipantText(sections.vpn_selection) === 'Surfshark. Price.', 'Follow-ups should stay in the section and intro should be dropped');
+}
+
+/**
+ * Test folder extraction end to end through response parsing
+ */
+async function testFolderExtraction() {
+  const dir = await createTranscriptFolder();
+  const result = await extractDataFromTranscripts(dir, 'inputs/project_background.txt', {
+    discussionGuidePath: path.join(dir, 'guide.json')
+  });
+  assert(!result.error, `Extraction failed: ${result.error}`);
+
+  const data = result.data;
+  assert(data.metadata.transcriptFiles.join('|') === 'P01.vtt|P02.srt|P03.txt|P04.docx', 'All transcript formats should be read');
+  assert(data.questions.map(q => q.questionId).join('|') === 'vpn_selection|privacy_concerns', 'Questions should follow the guide');
+  assert(data.questions[0].questionText === GUIDE.questions[0].question, 'Guide wording should be kept');
+  assert(data.questionStats.privacy_concerns.totalResponses === 3, 'P02 never answered the privacy question');
+
+  const parsing = parseAndCleanResponses(data);
+  assert(!parsing.error, `Parsing failed: ${parsing.error}`);
+
+  const vpn = parsing.data.responsesByQuestion.vpn_selection;
+  const byId = Object.fromEntries(vpn.map(r => [r.participantId, r]));
+  assert(getParticipantText(byId.P01.turns) === 'Mostly Mullvad, because it does not ask for an email.', 'VTT section mismatch');
+  assert(getParticipantText(byId.P02.turns) === 'NordVPN. My brother set it up. It was on sale.', 'SRT follow-up should stay in section');
+  assert(getParticipantText(byId.P04.turns) === 'ProtonVPN, since it is Swiss & open source.', 'DOCX section mismatch');
+  assert(byId.P04.sourceFile === 'P04.docx', 'Responses should record their source file');
+
+  const missingGuide = await extractDataFromTranscripts(dir, 'inputs/project_background.txt');
+  assert(missingGuide.error && missingGuide.error.includes('discussion guide'), 'Missing guide should error');
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('\n🧪 Running Transcript Extraction Tests...\n');
+
+  const tests = [
+    ['Transcript Parsing', testTranscriptParsing],
+    ['Speaker Roles', testSpeakerRoles],
+    ['Discussion Guide', testDiscussionGuide],
+    ['Folder Extraction', testFolderExtraction]
+  ];
+
+  let passed = 0;
+  let total = tests.length;
+
+  for (const [name, testFn] of tests) {
+    if (await runTest(name, testFn)) {
+      passed++;
+    }
+  }
+
+  console.log(`\n📊 Test Results: ${passed}/${total} tests passed`);
+
+  if (passed === total) {
+    console.log('✅ All transcript extraction tests passed!');
+  } else {
+    console.log('❌ Some tests failed. Please fix issues before proceeding.');
+    process.exit(1);
+  }
+}
+
+// Run tests if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  runAllTests();
+}
+
+export { runAllTests };